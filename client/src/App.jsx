@@ -27,6 +27,9 @@ import Login from './pages/Login.jsx'
 import Register from './pages/Register.jsx'
 import Logout from './pages/Logout.jsx'
 import Profile from './pages/Profile.jsx'
+import Orders from './pages/Orders.jsx'
+import Order from './pages/Order.jsx'
+import Addresses from './pages/Addresses.jsx'
 
 import AdminLayout from './pages/admin/Admin'
 import AdminStats from './pages/admin/AdminStats'
@@ -35,6 +38,9 @@ import AdminReviews from './pages/admin/AdminReviews'
 import AdminProducts from './pages/admin/AdminProducts'
 import AdminUsers from './pages/admin/AdminUsers'
 import AdminSales from './pages/admin/AdminSales'
+import AdminCoupons from './pages/admin/AdminCoupons'
+import AdminCategories from './pages/admin/AdminCategories'
+import AdminPromotions from './pages/admin/AdminPromotions'
 
 import { useState } from 'react'
 import { AuthProvider, useAuth } from './context/auth.jsx'
@@ -175,6 +181,9 @@ export default function App() {
           {/* Divers */}
           <Route path="/logout" element={<Logout />} />
           <Route path="/profile" element={<Profile />} />
+          <Route path="/orders" element={<Orders />} />
+          <Route path="/orders/:id" element={<Order />} />
+          <Route path="/addresses" element={<Addresses />} />
 
           {/* Admin (layout + sous-routes) */}
           <Route path="/admin" element={<AdminLayout />}>
@@ -183,8 +192,11 @@ export default function App() {
             <Route path="faq" element={<AdminFaq />} />
             <Route path="reviews" element={<AdminReviews />} />
             <Route path="products" element={<AdminProducts />} />
+            <Route path="categories" element={<AdminCategories />} />
             <Route path="users" element={<AdminUsers />} />
             <Route path="sales" element={<AdminSales />} />
+            <Route path="coupons" element={<AdminCoupons />} />
+            <Route path="promotions" element={<AdminPromotions />} />
           </Route>
         </Routes>
 
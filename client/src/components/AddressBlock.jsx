@@ -0,0 +1,20 @@
+/**
+ * client/src/components/AddressBlock.jsx
+ * Affichage postal d’une adresse (carnet d’adresses ou copie stockée sur une commande).
+ * - Partagé entre le checkout, le carnet d’adresses, mes commandes et l’admin.
+ */
+
+export default function AddressBlock({ address, className = '' }) {
+    if (!address) return <span className="text-muted">—</span>
+
+    return (
+        <address className={`mb-0 ${className}`}>
+            <strong>{address.fullName}</strong><br />
+            {address.line1}<br />
+            {address.line2 && <>{address.line2}<br /></>}
+            {address.postalCode} {address.city}{address.region ? `, ${address.region}` : ''}<br />
+            {address.country}
+            {address.phone && <><br /><span className="text-muted small">{address.phone}</span></>}
+        </address>
+    )
+}
@@ -0,0 +1,82 @@
+/**
+ * client/src/components/AddressForm.jsx
+ * Formulaire d’adresse (création / édition) pour le carnet d’adresses.
+ * - Contrôlé : `initial` pré-remplit les champs, `onSubmit(data)` reçoit les valeurs.
+ * - Les erreurs de validation viennent de l’API (POST/PATCH /api/me/addresses).
+ */
+
+import { useState } from 'react'
+import { Form, Button } from 'react-bootstrap'
+
+const EMPTY = { label: '', fullName: '', line1: '', line2: '', city: '', postalCode: '', region: '', country: '', phone: '' }
+
+export default function AddressForm({ initial, onSubmit, onCancel, submitting = false, submitLabel = 'Save address' }) {
+    const [form, setForm] = useState({ ...EMPTY, ...stripNulls(initial) })
+
+    const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value })
+
+    const handleSubmit = (e) => {
+        e.preventDefault()
+        onSubmit({ ...form, country: form.country.trim().toUpperCase() })
+    }
+
+    return (
+        <Form onSubmit={handleSubmit} className="row g-3">
+            <div className="col-md-4">
+                <Form.Label>Label</Form.Label>
+                <Form.Control name="label" value={form.label} onChange={handleChange} placeholder="Home, Work…" />
+            </div>
+            <div className="col-md-8">
+                <Form.Label>Full name</Form.Label>
+                <Form.Control name="fullName" value={form.fullName} onChange={handleChange} required placeholder="John Doe" />
+            </div>
+            <div className="col-12">
+                <Form.Label>Address</Form.Label>
+                <Form.Control name="line1" value={form.line1} onChange={handleChange} required placeholder="123 Main St" />
+            </div>
+            <div className="col-12">
+                <Form.Control name="line2" value={form.line2} onChange={handleChange} placeholder="Apartment, suite… (optional)" />
+            </div>
+            <div className="col-md-6">
+                <Form.Label>City</Form.Label>
+                <Form.Control name="city" value={form.city} onChange={handleChange} required />
+            </div>
+            <div className="col-md-3">
+                <Form.Label>ZIP</Form.Label>
+                <Form.Control name="postalCode" value={form.postalCode} onChange={handleChange} required />
+            </div>
+            <div className="col-md-3">
+                <Form.Label>Country</Form.Label>
+                <Form.Control
+                    name="country"
+                    value={form.country}
+                    onChange={handleChange}
+                    required
+                    maxLength={2}
+                    placeholder="FR"
+                    title="2-letter country code"
+                />
+            </div>
+            <div className="col-md-6">
+                <Form.Label>State / region</Form.Label>
+                <Form.Control name="region" value={form.region} onChange={handleChange} />
+            </div>
+            <div className="col-md-6">
+                <Form.Label>Phone</Form.Label>
+                <Form.Control name="phone" value={form.phone} onChange={handleChange} />
+            </div>
+
+            <div className="col-12 d-flex gap-2 justify-content-end">
+                {onCancel && <Button variant="outline-secondary" onClick={onCancel} disabled={submitting}>Cancel</Button>}
+                <Button type="submit" variant="success" disabled={submitting}>
+                    {submitting ? 'Saving…' : submitLabel}
+                </Button>
+            </div>
+        </Form>
+    )
+}
+
+// Les champs optionnels valent null côté API ; les inputs contrôlés veulent des chaînes
+function stripNulls(obj = {}) {
+    return Object.fromEntries(Object.entries(obj || {}).filter(([k, v]) => v !== null && k in EMPTY))
+}
@@ -0,0 +1,66 @@
+/**
+ * Fichier : client/src/components/BackInStockForm.jsx
+ * Rôle : « Notify me » sur la fiche d’un produit épuisé.
+ * - POST /api/products/:slug/subscriptions { email } ; client connecté : l’email
+ *   du compte est proposé (et utilisé par le serveur si le champ est vide).
+ * - Une notification part quand un admin remet le produit en stock.
+ */
+
+import { useEffect, useState } from 'react'
+import { Form, Button, InputGroup, Alert } from 'react-bootstrap'
+import { useAuth } from '../context/auth.jsx'
+
+export default function BackInStockForm({ slug }) {
+    const { user } = useAuth()
+    const [email, setEmail] = useState('')
+    const [saving, setSaving] = useState(false)
+    const [error, setError] = useState(null)
+    const [done, setDone] = useState(null)
+
+    // Préremplit avec l’email du compte ; repart de zéro sur un autre produit
+    useEffect(() => {
+        setEmail(user?.email ?? '')
+        setDone(null); setError(null)
+    }, [slug, user])
+
+    async function subscribe(e) {
+        e.preventDefault()
+        setSaving(true); setError(null)
+        try {
+            const res = await fetch(`/api/products/${encodeURIComponent(slug)}/subscriptions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ email: email.trim() || undefined }),
+            })
+            const data = await res.json().catch(() => ({}))
+            if (!res.ok) throw new Error(data?.error || 'Subscription failed')
+            setDone(data.email)
+        } catch (e2) {
+            setError(e2.message)
+        } finally {
+            setSaving(false)
+        }
+    }
+
+    if (done) {
+        return <Alert variant="success" className="mt-3 py-2">We’ll email {done} when it’s back in stock.</Alert>
+    }
+
+    return (
+        <Form onSubmit={subscribe} className="mt-3" style={{ maxWidth: 420 }}>
+            <Form.Label className="small mb-1">Get notified when it’s back in stock</Form.Label>
+            <InputGroup>
+                <Form.Control
+                    type="email"
+                    placeholder="you@example.com"
+                    value={email}
+                    onChange={e => setEmail(e.target.value)}
+                    required={!user}
+                />
+                <Button type="submit" variant="outline-primary" disabled={saving}>Notify me</Button>
+            </InputGroup>
+            {error && <Alert variant="danger" className="mt-2 py-2">{error}</Alert>}
+        </Form>
+    )
+}
@@ -0,0 +1,45 @@
+/**
+ * Fichier : client/src/components/CategoryNav.jsx
+ * Rôle : navigation par catégorie de la boutique (arbre de GET /api/categories).
+ * - tree : [{ id, slug, name, productCount, children }] ; productCount inclut les sous-catégories.
+ * - counts : { slug: nombre } facultatif (facettes de la recherche en cours) ; remplace productCount.
+ * - selected : slug de la catégorie active ('' = tout le catalogue) ; onSelect(slug).
+ * - Les sous-catégories ne sont dépliées que sous la branche active.
+ */
+
+import { ListGroup } from 'react-bootstrap'
+
+// La branche `node` contient-elle la catégorie `slug` ?
+const contains = (node, slug) => node.slug === slug || node.children.some(c => contains(c, slug))
+
+export default function CategoryNav({ tree, counts, selected, onSelect }) {
+    const renderNodes = (nodes, depth) => nodes.map(c => (
+        <div key={c.id}>
+            <ListGroup.Item
+                action
+                active={c.slug === selected}
+                onClick={() => onSelect(c.slug)}
+                className="d-flex justify-content-between align-items-center border-0 rounded"
+                style={{ paddingLeft: `${1 + depth}rem` }}
+            >
+                <span>{c.name}</span>
+                <span className="small opacity-75">{counts ? (counts[c.slug] ?? 0) : c.productCount}</span>
+            </ListGroup.Item>
+            {c.children.length > 0 && contains(c, selected) && renderNodes(c.children, depth + 1)}
+        </div>
+    ))
+
+    return (
+        <ListGroup variant="flush" className="small">
+            <ListGroup.Item
+                action
+                active={!selected}
+                onClick={() => onSelect('')}
+                className="border-0 rounded"
+            >
+                All products
+            </ListGroup.Item>
+            {renderNodes(tree, 0)}
+        </ListGroup>
+    )
+}
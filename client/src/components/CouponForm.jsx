@@ -0,0 +1,58 @@
+/**
+ * client/src/components/CouponForm.jsx
+ * Saisie d’un code promo pour le panier (utilisateur connecté).
+ * - Code appliqué → affiché avec un bouton pour le retirer.
+ * - `warning` : coupon appliqué mais plus valable pour ce panier (couponError du devis).
+ */
+
+import { useState } from 'react'
+import { Form, Button, InputGroup, Badge } from 'react-bootstrap'
+
+export default function CouponForm({ coupon, onApply, onRemove, warning }) {
+    const [code, setCode] = useState('')
+    const [error, setError] = useState(null)
+    const [busy, setBusy] = useState(false)
+
+    const submit = async (e) => {
+        e.preventDefault()
+        if (!code.trim() || busy) return
+        setBusy(true)
+        setError(null)
+        try {
+            await onApply(code.trim())
+            setCode('')
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    if (coupon) {
+        return (
+            <div>
+                <Badge bg="success" className="me-2">{coupon.code}</Badge>
+                {coupon.description && <span className="small text-muted me-2">{coupon.description}</span>}
+                <Button variant="link" size="sm" className="p-0" onClick={onRemove}>Remove</Button>
+                {warning && <p className="text-danger small mb-0 mt-1">{warning}</p>}
+            </div>
+        )
+    }
+
+    return (
+        <Form onSubmit={submit} style={{ maxWidth: 320 }}>
+            <InputGroup>
+                <Form.Control
+                    value={code}
+                    onChange={e => setCode(e.target.value)}
+                    placeholder="Promo code"
+                    aria-label="Promo code"
+                />
+                <Button type="submit" variant="outline-success" disabled={busy || !code.trim()}>
+                    Apply
+                </Button>
+            </InputGroup>
+            {error && <p className="text-danger small mb-0 mt-1">{error}</p>}
+        </Form>
+    )
+}
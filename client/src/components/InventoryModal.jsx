@@ -0,0 +1,208 @@
+/**
+ * Fichier : client/src/components/InventoryModal.jsx
+ * Rôle : journal des stocks d’un produit dans l’admin.
+ * - Historique via GET /api/admin/products/:id/inventory (plus récent en haut) :
+ *   type, variante, quantité signée, stock atteint, motif, auteur, commande liée.
+ * - Mouvement manuel via POST /api/admin/products/:id/inventory : réception (restock),
+ *   retour client ou ajustement (quantité signée, motif obligatoire).
+ * - Produit à variantes : le mouvement vise une variante (leur stock est celui vendu).
+ */
+
+import { useEffect, useState } from 'react'
+import { Modal, Form, Button, Table, Alert, Badge, Row, Col, Spinner } from 'react-bootstrap'
+
+const HISTORY_SIZE = 100
+
+// Libellé + couleur de chaque type de mouvement
+const TYPES = {
+    SALE: ['Sale', 'secondary'],
+    CANCELLATION: ['Cancellation', 'warning'],
+    RETURN: ['Return', 'info'],
+    ADJUSTMENT: ['Adjustment', 'dark'],
+    RESTOCK: ['Restock', 'success'],
+}
+
+// Types saisissables à la main (les autres viennent des commandes)
+const MANUAL_TYPES = ['RESTOCK', 'RETURN', 'ADJUSTMENT']
+
+const EMPTY_FORM = { type: 'RESTOCK', variantId: '', quantity: '', reason: '' }
+
+export default function InventoryModal({ product, show, onHide, onChanged }) {
+    const [movements, setMovements] = useState([])
+    const [total, setTotal] = useState(0)
+    const [loading, setLoading] = useState(false)
+    const [error, setError] = useState(null)
+    const [form, setForm] = useState(EMPTY_FORM)
+    const [saving, setSaving] = useState(false)
+
+    const variants = product?.variants || []
+
+    async function load() {
+        setLoading(true); setError(null)
+        try {
+            const res = await fetch(`/api/admin/products/${product.id}/inventory?take=${HISTORY_SIZE}`, { credentials: 'include' })
+            const data = await res.json().catch(() => ({}))
+            if (!res.ok) throw new Error(data?.error || 'Loading error')
+            setMovements(data.items || [])
+            setTotal(data.total || 0)
+        } catch (e) {
+            setError(e.message || 'Network error')
+            setMovements([])
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    // Recharge à chaque ouverture
+    useEffect(() => {
+        if (!show || !product) return
+        setForm(EMPTY_FORM)
+        load()
+    }, [show, product]) // eslint-disable-line react-hooks/exhaustive-deps
+
+    async function record(e) {
+        e.preventDefault()
+        setSaving(true); setError(null)
+        try {
+            const res = await fetch(`/api/admin/products/${product.id}/inventory`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({
+                    type: form.type,
+                    variantId: form.variantId === '' ? null : Number(form.variantId),
+                    quantity: Number(form.quantity),
+                    reason: form.reason,
+                })
+            })
+            const data = await res.json().catch(() => ({}))
+            if (!res.ok) throw new Error(data?.error || 'Save failed')
+            setForm(f => ({ ...EMPTY_FORM, type: f.type, variantId: f.variantId }))
+            await load()
+            onChanged?.()
+        } catch (e2) {
+            setError(e2.message)
+        } finally {
+            setSaving(false)
+        }
+    }
+
+    return (
+        <Modal show={show} onHide={onHide} size="xl">
+            <Modal.Header closeButton>
+                <Modal.Title>Stock history — {product?.name}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                {error && <Alert variant="danger">{error}</Alert>}
+
+                {/* Nouveau mouvement */}
+                <Form onSubmit={record} className="mb-3">
+                    <Row className="g-2 align-items-end">
+                        <Col md={2}>
+                            <Form.Label className="small">Type</Form.Label>
+                            <Form.Select
+                                size="sm"
+                                value={form.type}
+                                onChange={e => setForm(f => ({ ...f, type: e.target.value }))}
+                            >
+                                {MANUAL_TYPES.map(t => <option key={t} value={t}>{TYPES[t][0]}</option>)}
+                            </Form.Select>
+                        </Col>
+                        {variants.length > 0 && (
+                            <Col md={3}>
+                                <Form.Label className="small">Variant</Form.Label>
+                                <Form.Select
+                                    size="sm"
+                                    value={form.variantId}
+                                    onChange={e => setForm(f => ({ ...f, variantId: e.target.value }))}
+                                    required
+                                >
+                                    <option value="">— Choose —</option>
+                                    {variants.map(v => (
+                                        <option key={v.id} value={v.id}>
+                                            {v.title} ({v.sku}){v.active ? '' : ' · inactive'}
+                                        </option>
+                                    ))}
+                                </Form.Select>
+                            </Col>
+                        )}
+                        <Col md={2}>
+                            <Form.Label className="small">
+                                Quantity {form.type === 'ADJUSTMENT' && <span className="text-muted">(±)</span>}
+                            </Form.Label>
+                            <Form.Control
+                                size="sm"
+                                type="number"
+                                step="1"
+                                min={form.type === 'ADJUSTMENT' ? undefined : 1}
+                                value={form.quantity}
+                                onChange={e => setForm(f => ({ ...f, quantity: e.target.value }))}
+                                required
+                            />
+                        </Col>
+                        <Col>
+                            <Form.Label className="small">Reason</Form.Label>
+                            <Form.Control
+                                size="sm"
+                                value={form.reason}
+                                placeholder={form.type === 'RESTOCK' ? 'Supplier, delivery note…' : ''}
+                                onChange={e => setForm(f => ({ ...f, reason: e.target.value }))}
+                                required={form.type === 'ADJUSTMENT'}
+                            />
+                        </Col>
+                        <Col md="auto">
+                            <Button type="submit" size="sm" disabled={saving}>Record</Button>
+                        </Col>
+                    </Row>
+                </Form>
+
+                {/* Historique */}
+                {loading ? (
+                    <div className="d-flex align-items-center gap-2">
+                        <Spinner size="sm" /> Loading…
+                    </div>
+                ) : (
+                    <>
+                        <Table size="sm" hover responsive className="small">
+                            <thead>
+                                <tr>
+                                    <th>Date</th><th>Type</th>{variants.length > 0 && <th>Variant</th>}
+                                    <th className="text-end">Qty</th><th className="text-end">Stock</th>
+                                    <th>Reason</th><th>By</th><th>Order</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {movements.map(m => {
+                                    const [label, bg] = TYPES[m.type] || [m.type, 'secondary']
+                                    return (
+                                        <tr key={m.id}>
+                                            <td className="text-nowrap">{new Date(m.createdAt).toLocaleString()}</td>
+                                            <td><Badge bg={bg}>{label}</Badge></td>
+                                            {variants.length > 0 && <td>{m.variant ? `${m.variant.title} (${m.variant.sku})` : '—'}</td>}
+                                            <td className={`text-end ${m.quantity < 0 ? 'text-danger' : 'text-success'}`}>
+                                                {m.quantity > 0 ? `+${m.quantity}` : m.quantity}
+                                            </td>
+                                            <td className="text-end">{m.stockAfter}</td>
+                                            <td>{m.reason || <span className="text-muted">—</span>}</td>
+                                            <td>{m.actor ? (m.actor.name || m.actor.email) : <span className="text-muted">System</span>}</td>
+                                            <td>{m.saleId ? `#${m.saleId}` : ''}</td>
+                                        </tr>
+                                    )
+                                })}
+                                {movements.length === 0 && (
+                                    <tr><td colSpan={8} className="text-muted">No stock movements.</td></tr>
+                                )}
+                            </tbody>
+                        </Table>
+                        {total > movements.length && (
+                            <div className="text-muted small">Showing the latest {movements.length} of {total} movements.</div>
+                        )}
+                    </>
+                )}
+            </Modal.Body>
+            <Modal.Footer>
+                <Button variant="secondary" onClick={onHide}>Close</Button>
+            </Modal.Footer>
+        </Modal>
+    )
+}
@@ -0,0 +1,22 @@
+/**
+ * client/src/components/OrderStatusBadge.jsx
+ * Badge coloré pour le statut d’une commande (Sale.status).
+ * - Partagé entre l’admin (ventes) et l’espace client (mes commandes).
+ */
+
+import { Badge } from 'react-bootstrap'
+
+// Couleur Bootstrap + libellé affiché pour chaque statut
+export const ORDER_STATUSES = {
+    PENDING: { bg: 'secondary', label: 'Pending' },
+    PAID: { bg: 'primary', label: 'Paid' },
+    SHIPPED: { bg: 'info', label: 'Shipped' },
+    DELIVERED: { bg: 'success', label: 'Delivered' },
+    CANCELLED: { bg: 'dark', label: 'Cancelled' },
+    REFUNDED: { bg: 'warning', label: 'Refunded' },
+}
+
+export default function OrderStatusBadge({ status }) {
+    const s = ORDER_STATUSES[status] || { bg: 'light', label: status || '—' }
+    return <Badge bg={s.bg}>{s.label}</Badge>
+}
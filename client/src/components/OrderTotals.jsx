@@ -0,0 +1,35 @@
+/**
+ * client/src/components/OrderTotals.jsx
+ * Récapitulatif des montants (panier, checkout) : sous-total, remises, TVA, livraison, total.
+ * - tax = devis /api/tax/quote (ou null tant qu’il n’est pas chargé) ; ses remises
+ *   (promotions automatiques, puis coupon) sont déjà déduites de tax.gross
+ * - shipping = mode choisi dans le devis de livraison (ou null)
+ * - Prix TTC : la TVA est indiquée « dont TVA » ; prix HT : elle s’ajoute en ligne dédiée.
+ */
+
+import { sumMoney } from '../utils/money.js'
+
+export const grandTotal = (subtotal, tax, shipping) =>
+    sumMoney([tax ? tax.gross : subtotal, shipping?.cost || 0])
+
+export default function OrderTotals({ subtotal, tax, shipping, className = '' }) {
+    const exclusive = tax && !tax.pricesIncludeTax
+
+    return (
+        <div className={`text-end ${className}`}>
+            <div>{exclusive ? 'Subtotal (excl. VAT)' : 'Subtotal'}: ${subtotal.toFixed(2)}</div>
+            {tax?.promotions?.map(p => (
+                <div key={p.promotionId} className="text-success">{p.name}: −${p.discount.toFixed(2)}</div>
+            ))}
+            {tax?.couponDiscount > 0 && (
+                <div className="text-success">Coupon {tax.coupon}: −${tax.couponDiscount.toFixed(2)}</div>
+            )}
+            {exclusive && <div>VAT: ${tax.tax.toFixed(2)}</div>}
+            <div>Shipping: {shipping ? (shipping.cost === 0 ? 'Free' : `$${shipping.cost.toFixed(2)}`) : '—'}</div>
+            <div className="h5 mb-0">Total: ${grandTotal(subtotal, tax, shipping).toFixed(2)}</div>
+            {tax && !exclusive && tax.tax > 0 && (
+                <div className="small text-muted">incl. VAT ${tax.tax.toFixed(2)}</div>
+            )}
+        </div>
+    )
+}
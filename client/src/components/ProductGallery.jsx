@@ -0,0 +1,96 @@
+/**
+ * Fichier : client/src/components/ProductGallery.jsx
+ * Rôle : galerie de la page produit (carrousel + vignettes + zoom).
+ * - images : [{ id, url, alt }] dans l’ordre d’affichage (repli sur `fallback` si vide).
+ * - Un clic sur l’image ouvre une vue agrandie ; dans cette vue, un clic zoome
+ *   sur le point visé, un second clic revient à la taille normale.
+ */
+
+import { useState } from 'react'
+import { Carousel, Modal } from 'react-bootstrap'
+import { rendition } from '../utils/images.js'
+
+export default function ProductGallery({ images, fallback, name }) {
+    const list = images?.length ? images : fallback ? [{ id: 0, url: fallback, alt: name }] : []
+    const [index, setIndex] = useState(0)
+    const [showZoom, setShowZoom] = useState(false)
+    const [zoomAt, setZoomAt] = useState(null) // origine du zoom en % ({ x, y }) ou null
+
+    if (list.length === 0) return null
+    const current = list[Math.min(index, list.length - 1)]
+
+    function toggleZoom(e) {
+        if (zoomAt) return setZoomAt(null)
+        const r = e.currentTarget.getBoundingClientRect()
+        setZoomAt({ x: ((e.clientX - r.left) / r.width) * 100, y: ((e.clientY - r.top) / r.height) * 100 })
+    }
+
+    return (
+        <>
+            <Carousel
+                activeIndex={index}
+                onSelect={setIndex}
+                interval={null}
+                indicators={false}
+                controls={list.length > 1}
+                className="rounded-20 shadow-soft overflow-hidden"
+            >
+                {list.map(img => (
+                    <Carousel.Item key={img.id ?? img.url}>
+                        <img
+                            src={rendition(img.url, 'medium')}
+                            alt={img.alt || name}
+                            className="d-block w-100"
+                            style={{ cursor: 'zoom-in' }}
+                            onClick={() => setShowZoom(true)}
+                            loading="eager"
+                        />
+                    </Carousel.Item>
+                ))}
+            </Carousel>
+
+            {/* Vignettes : sélection directe d’une image */}
+            {list.length > 1 && (
+                <div className="d-flex gap-2 mt-2 flex-wrap">
+                    {list.map((img, i) => (
+                        <img
+                            key={img.id ?? img.url}
+                            src={rendition(img.url, 'thumb')}
+                            alt={img.alt || name}
+                            width="64"
+                            height="64"
+                            onClick={() => setIndex(i)}
+                            style={{
+                                objectFit: 'cover',
+                                borderRadius: 10,
+                                cursor: 'pointer',
+                                outline: i === index ? '2px solid var(--bs-success)' : 'none',
+                                opacity: i === index ? 1 : 0.7,
+                            }}
+                        />
+                    ))}
+                </div>
+            )}
+
+            <Modal show={showZoom} onHide={() => { setShowZoom(false); setZoomAt(null) }} size="xl" centered>
+                <Modal.Header closeButton>
+                    <Modal.Title className="fs-6">{current.alt || name}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body className="p-0 overflow-hidden text-center">
+                    <img
+                        src={current.url}
+                        alt={current.alt || name}
+                        className="img-fluid"
+                        onClick={toggleZoom}
+                        style={{
+                            cursor: zoomAt ? 'zoom-out' : 'zoom-in',
+                            transform: zoomAt ? 'scale(2.5)' : 'none',
+                            transformOrigin: zoomAt ? `${zoomAt.x}% ${zoomAt.y}%` : 'center',
+                            transition: 'transform .2s ease',
+                        }}
+                    />
+                </Modal.Body>
+            </Modal>
+        </>
+    )
+}
@@ -0,0 +1,105 @@
+/**
+ * Fichier : client/src/components/ProductImagesField.jsx
+ * Rôle : champ « galerie » du formulaire produit de l’admin.
+ * - Liste contrôlée [{ url, alt, isPrimary }] : l’ordre de la liste est l’ordre d’affichage.
+ * - Une seule image principale (bouton radio) ; c’est elle qui sert de vignette partout.
+ * - Ajout par envoi de fichiers (POST /api/admin/uploads) : on garde l’URL de la
+ *   grande taille, les autres tailles s’en déduisent (utils/images.js).
+ * - Le serveur valide et recopie l’image principale dans Product.img.
+ */
+
+import { useState } from 'react'
+import { Alert, Button, Form, Spinner } from 'react-bootstrap'
+import { rendition, uploadImage } from '../utils/images.js'
+
+export default function ProductImagesField({ images, onChange, folder = 'products' }) {
+    const [uploading, setUploading] = useState(false)
+    const [error, setError] = useState(null)
+
+    const update = (i, patch) => onChange(images.map((img, j) => (j === i ? { ...img, ...patch } : img)))
+
+    // Déplace l’image i d’un cran (dir = -1 vers le haut, +1 vers le bas)
+    function move(i, dir) {
+        const j = i + dir
+        if (j < 0 || j >= images.length) return
+        const next = [...images]
+            ;[next[i], next[j]] = [next[j], next[i]]
+        onChange(next)
+    }
+
+    function removeAt(i) {
+        const next = images.filter((_, j) => j !== i)
+        // L’image principale retirée → la première prend le relais
+        if (images[i].isPrimary && next.length > 0) next[0] = { ...next[0], isPrimary: true }
+        onChange(next)
+    }
+
+    const setPrimary = (i) => onChange(images.map((img, j) => ({ ...img, isPrimary: j === i })))
+
+    // Envoie les fichiers choisis un par un puis les ajoute en fin de galerie
+    async function addFiles(e) {
+        const files = [...e.target.files]
+        e.target.value = ''
+        if (files.length === 0) return
+        setUploading(true); setError(null)
+        const added = []
+        try {
+            for (const file of files) {
+                const stored = await uploadImage(file, folder)
+                added.push({ url: stored.url, alt: file.name.replace(/\.[^.]+$/, ''), isPrimary: false })
+            }
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            if (added.length > 0) {
+                if (!images.some(i => i.isPrimary)) added[0].isPrimary = true
+                onChange([...images, ...added])
+            }
+            setUploading(false)
+        }
+    }
+
+    return (
+        <div>
+            {images.map((img, i) => (
+                <div key={i} className="d-flex align-items-center gap-2 mb-2">
+                    <img
+                        src={rendition(img.url, 'thumb')}
+                        alt={img.alt}
+                        width="48"
+                        height="48"
+                        style={{ objectFit: 'cover', borderRadius: 8 }}
+                    />
+                    <Form.Control
+                        size="sm"
+                        placeholder="Alt text"
+                        value={img.alt}
+                        onChange={e => update(i, { alt: e.target.value })}
+                    />
+                    <Form.Check
+                        type="radio"
+                        name="primary-image"
+                        label="Primary"
+                        checked={!!img.isPrimary}
+                        onChange={() => setPrimary(i)}
+                    />
+                    <Button size="sm" variant="outline-secondary" disabled={i === 0} onClick={() => move(i, -1)}>↑</Button>
+                    <Button size="sm" variant="outline-secondary" disabled={i === images.length - 1} onClick={() => move(i, 1)}>↓</Button>
+                    <Button size="sm" variant="outline-danger" onClick={() => removeAt(i)}>×</Button>
+                </div>
+            ))}
+            {error && <Alert variant="danger" className="py-2">{error}</Alert>}
+            <Form.Label className="btn btn-sm btn-outline-secondary mb-0">
+                {uploading ? <><Spinner size="sm" /> Uploading…</> : '+ Upload images'}
+                <input
+                    type="file"
+                    accept="image/jpeg,image/png,image/webp,image/gif"
+                    multiple
+                    hidden
+                    disabled={uploading}
+                    onChange={addFiles}
+                />
+            </Form.Label>
+        </div>
+    )
+}
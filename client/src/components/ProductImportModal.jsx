@@ -0,0 +1,143 @@
+/**
+ * Fichier : client/src/components/ProductImportModal.jsx
+ * Rôle : import du catalogue (CSV ou JSON, mêmes colonnes que l’export) dans l’admin.
+ * - POST /api/admin/products/import?dryRun=1 (multipart, champ `file`) : rapport
+ *   sans rien écrire — lignes créées / modifiées (champ par champ) / inchangées,
+ *   erreurs par ligne.
+ * - « Import » renvoie le même fichier sans dryRun ; le serveur refuse tout le
+ *   fichier si une ligne est invalide.
+ */
+
+import { useEffect, useState } from 'react'
+import { Modal, Form, Button, Table, Alert, Badge, Spinner } from 'react-bootstrap'
+
+// Libellé + couleur de chaque action du rapport
+const ACTIONS = {
+    created: ['Create', 'success'],
+    updated: ['Update', 'primary'],
+    unchanged: ['Unchanged', 'secondary'],
+}
+
+const display = (v) => (v === null || v === '' ? '—' : String(v))
+
+export default function ProductImportModal({ show: open, onHide, onImported }) {
+    const [file, setFile] = useState(null)
+    const [report, setReport] = useState(null)
+    const [busy, setBusy] = useState(false)
+    const [error, setError] = useState(null)
+
+    // Repart de zéro à chaque ouverture
+    useEffect(() => {
+        if (!open) return
+        setFile(null); setReport(null); setError(null)
+    }, [open])
+
+    async function send(dryRun) {
+        setBusy(true); setError(null)
+        try {
+            const body = new FormData()
+            body.append('file', file)
+            const res = await fetch(`/api/admin/products/import${dryRun ? '?dryRun=1' : ''}`, {
+                method: 'POST',
+                credentials: 'include',
+                body,
+            })
+            const data = await res.json().catch(() => ({}))
+            if (data?.summary) setReport(data)
+            if (!res.ok) throw new Error(data?.error || 'Import failed')
+            if (data.applied) onImported?.()
+        } catch (e) {
+            setError(e.message)
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    const pending = report && !report.applied
+    const canApply = pending && report.errors.length === 0 && report.summary.created + report.summary.updated > 0
+
+    return (
+        <Modal show={open} onHide={onHide} size="xl">
+            <Modal.Header closeButton>
+                <Modal.Title>Import products</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                <Form.Group className="mb-3">
+                    <Form.Label className="small">
+                        CSV or JSON file with the export columns; rows are matched by slug. Empty CSV cells keep the current value.
+                    </Form.Label>
+                    <Form.Control
+                        type="file"
+                        accept=".csv,.json,text/csv,application/json"
+                        onChange={e => { setFile(e.target.files?.[0] ?? null); setReport(null); setError(null) }}
+                    />
+                </Form.Group>
+
+                {error && <Alert variant="danger">{error}</Alert>}
+                {busy && (
+                    <div className="d-flex align-items-center gap-2 mb-3">
+                        <Spinner size="sm" /> Processing…
+                    </div>
+                )}
+
+                {report && (
+                    <>
+                        <div className="d-flex gap-2 mb-3">
+                            {report.applied
+                                ? <Badge bg="success">Imported</Badge>
+                                : <Badge bg="warning" text="dark">Dry run — nothing saved yet</Badge>}
+                            <Badge bg="success">{report.summary.created} new</Badge>
+                            <Badge bg="primary">{report.summary.updated} changed</Badge>
+                            <Badge bg="secondary">{report.summary.unchanged} unchanged</Badge>
+                            {report.summary.invalid > 0 && <Badge bg="danger">{report.summary.invalid} invalid</Badge>}
+                        </div>
+
+                        {report.errors.length > 0 && (
+                            <Table size="sm" responsive className="small">
+                                <thead><tr><th>Line</th><th>Slug</th><th>Error</th></tr></thead>
+                                <tbody>
+                                    {report.errors.map(e => (
+                                        <tr key={e.line} className="table-danger">
+                                            <td>{e.line}</td><td>{display(e.slug)}</td><td>{e.error}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </Table>
+                        )}
+
+                        <Table size="sm" hover responsive className="small">
+                            <thead><tr><th>Line</th><th>Slug</th><th>Action</th><th>Changes</th></tr></thead>
+                            <tbody>
+                                {report.rows.filter(r => r.action !== 'unchanged').map(r => {
+                                    const [label, bg] = ACTIONS[r.action]
+                                    return (
+                                        <tr key={r.line}>
+                                            <td>{r.line}</td>
+                                            <td>{r.slug}</td>
+                                            <td><Badge bg={bg}>{label}</Badge></td>
+                                            <td>
+                                                {Object.entries(r.changes || {}).map(([field, c]) => (
+                                                    <div key={field}>
+                                                        <strong>{field}</strong>: {display(c.from)} → {display(c.to)}
+                                                    </div>
+                                                ))}
+                                            </td>
+                                        </tr>
+                                    )
+                                })}
+                                {report.summary.created + report.summary.updated === 0 && (
+                                    <tr><td colSpan={4} className="text-muted">Nothing to change.</td></tr>
+                                )}
+                            </tbody>
+                        </Table>
+                    </>
+                )}
+            </Modal.Body>
+            <Modal.Footer>
+                <Button variant="secondary" onClick={onHide}>Close</Button>
+                <Button variant="outline-primary" disabled={!file || busy} onClick={() => send(true)}>Check (dry run)</Button>
+                <Button disabled={!canApply || busy} onClick={() => send(false)}>Import</Button>
+            </Modal.Footer>
+        </Modal>
+    )
+}
@@ -0,0 +1,205 @@
+/**
+ * Fichier : client/src/components/ProductVariantsModal.jsx
+ * Rôle : édition des options (axes) et des variantes d’un produit dans l’admin.
+ * - Axes : nom + valeurs séparées par des virgules (ex. Size : S, M, L).
+ * - « Generate » crée une ligne par combinaison manquante (les lignes existantes sont gardées).
+ * - Enregistre tout en une fois via PUT /api/admin/products/:id/variants ;
+ *   une variante déjà vendue et retirée est désactivée par le serveur.
+ * - Prix / poids vides → ceux du produit.
+ */
+
+import { useEffect, useState } from 'react'
+import { Modal, Form, Button, Table, Alert, Row, Col } from 'react-bootstrap'
+
+const splitList = (s) => s.split(',').map(x => x.trim()).filter(Boolean)
+
+// Toutes les combinaisons { axe: valeur } des axes donnés
+function combinations(axes) {
+    return axes.reduce(
+        (acc, a) => acc.flatMap(combo => a.values.map(v => ({ ...combo, [a.name]: v }))),
+        [{}]
+    )
+}
+
+const titleOf = (axes, options) => axes.map(a => options[a.name]).join(' / ')
+
+export default function ProductVariantsModal({ product, show, onHide, onSaved }) {
+    const [axes, setAxes] = useState([])
+    const [rows, setRows] = useState([])
+    const [error, setError] = useState(null)
+    const [saving, setSaving] = useState(false)
+
+    // Recharge l’état local à chaque ouverture
+    useEffect(() => {
+        if (!show || !product) return
+        setAxes((product.options || []).map(o => ({ name: o.name, values: o.values.join(', ') })))
+        setRows((product.variants || []).map(v => ({
+            id: v.id,
+            sku: v.sku,
+            options: v.options,
+            price: v.price == null ? '' : String(Number(v.price)),
+            stock: v.stock,
+            weight: v.weight ?? '',
+            active: v.active,
+        })))
+        setError(null)
+    }, [show, product])
+
+    const parsedAxes = axes
+        .map(a => ({ name: a.name.trim(), values: splitList(a.values) }))
+        .filter(a => a.name && a.values.length > 0)
+
+    function updateAxis(i, patch) {
+        setAxes(prev => prev.map((a, j) => (j === i ? { ...a, ...patch } : a)))
+    }
+
+    function updateRow(i, patch) {
+        setRows(prev => prev.map((r, j) => (j === i ? { ...r, ...patch } : r)))
+    }
+
+    // Ajoute les combinaisons manquantes avec un SKU proposé
+    function generate() {
+        const existing = new Set(rows.map(r => titleOf(parsedAxes, r.options)))
+        const added = combinations(parsedAxes)
+            .filter(options => !existing.has(titleOf(parsedAxes, options)))
+            .map(options => ({
+                sku: [product.slug, ...parsedAxes.map(a => options[a.name])].join('-').toUpperCase().replace(/\s+/g, '-'),
+                options,
+                price: '',
+                stock: 0,
+                weight: '',
+                active: true,
+            }))
+        setRows(prev => [...prev, ...added])
+    }
+
+    async function save() {
+        setSaving(true); setError(null)
+        try {
+            const res = await fetch(`/api/admin/products/${product.id}/variants`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ options: parsedAxes, variants: rows })
+            })
+            const data = await res.json().catch(() => ({}))
+            if (!res.ok) throw new Error(data?.error || 'Save failed')
+            onSaved?.(data)
+            onHide()
+        } catch (e) {
+            setError(e.message)
+        } finally {
+            setSaving(false)
+        }
+    }
+
+    return (
+        <Modal show={show} onHide={onHide} size="xl">
+            <Modal.Header closeButton>
+                <Modal.Title>Variants — {product?.name}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                {error && <Alert variant="danger">{error}</Alert>}
+
+                <h6>Options</h6>
+                {axes.map((a, i) => (
+                    <Row key={i} className="g-2 mb-2">
+                        <Col md={3}>
+                            <Form.Control
+                                placeholder="Size"
+                                value={a.name}
+                                onChange={e => updateAxis(i, { name: e.target.value })}
+                            />
+                        </Col>
+                        <Col md={7}>
+                            <Form.Control
+                                placeholder="S, M, L"
+                                value={a.values}
+                                onChange={e => updateAxis(i, { values: e.target.value })}
+                            />
+                        </Col>
+                        <Col md={2}>
+                            <Button variant="outline-danger" onClick={() => setAxes(prev => prev.filter((_, j) => j !== i))}>
+                                Remove
+                            </Button>
+                        </Col>
+                    </Row>
+                ))}
+                <div className="d-flex gap-2 mb-4">
+                    <Button size="sm" variant="outline-secondary" onClick={() => setAxes(prev => [...prev, { name: '', values: '' }])}>
+                        + Option
+                    </Button>
+                    <Button size="sm" variant="outline-primary" disabled={parsedAxes.length === 0} onClick={generate}>
+                        Generate combinations
+                    </Button>
+                </div>
+
+                <h6>Variants</h6>
+                <Table size="sm" responsive className="align-middle">
+                    <thead>
+                        <tr><th>Variant</th><th>SKU</th><th>Price</th><th>Stock</th><th>Weight (g)</th><th>Active</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((r, i) => (
+                            <tr key={r.id ?? `new-${i}`}>
+                                <td>{titleOf(parsedAxes, r.options) || '—'}</td>
+                                <td>
+                                    <Form.Control size="sm" value={r.sku} onChange={e => updateRow(i, { sku: e.target.value })} />
+                                </td>
+                                <td style={{ width: 110 }}>
+                                    <Form.Control
+                                        size="sm"
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        placeholder={Number(product?.price ?? 0).toFixed(2)}
+                                        value={r.price}
+                                        onChange={e => updateRow(i, { price: e.target.value })}
+                                    />
+                                </td>
+                                <td style={{ width: 90 }}>
+                                    <Form.Control
+                                        size="sm"
+                                        type="number"
+                                        min="0"
+                                        value={r.stock}
+                                        onChange={e => updateRow(i, { stock: Number(e.target.value) })}
+                                    />
+                                </td>
+                                <td style={{ width: 100 }}>
+                                    <Form.Control
+                                        size="sm"
+                                        type="number"
+                                        min="0"
+                                        placeholder={String(product?.weight ?? '')}
+                                        value={r.weight}
+                                        onChange={e => updateRow(i, { weight: e.target.value })}
+                                    />
+                                </td>
+                                <td>
+                                    <Form.Check
+                                        type="switch"
+                                        checked={!!r.active}
+                                        onChange={e => updateRow(i, { active: e.target.checked })}
+                                    />
+                                </td>
+                                <td className="text-end">
+                                    <Button size="sm" variant="outline-danger" onClick={() => setRows(prev => prev.filter((_, j) => j !== i))}>
+                                        ×
+                                    </Button>
+                                </td>
+                            </tr>
+                        ))}
+                        {rows.length === 0 && (
+                            <tr><td colSpan={7} className="text-muted">No variants: the product is sold as is.</td></tr>
+                        )}
+                    </tbody>
+                </Table>
+            </Modal.Body>
+            <Modal.Footer>
+                <Button variant="secondary" onClick={onHide}>Cancel</Button>
+                <Button onClick={save} disabled={saving}>Save</Button>
+            </Modal.Footer>
+        </Modal>
+    )
+}
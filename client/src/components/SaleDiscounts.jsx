@@ -0,0 +1,23 @@
+/**
+ * client/src/components/SaleDiscounts.jsx
+ * Remises figées sur une vente (détail commande, admin) : une ligne par promotion
+ * automatique (copie Sale.promotions), puis le coupon (Sale.discount − promotions).
+ */
+
+import { toCents, fromCents } from '../utils/money.js'
+
+export default function SaleDiscounts({ sale, className = 'text-end mb-1 text-success' }) {
+    const promotions = Array.isArray(sale.promotions) ? sale.promotions : []
+    const coupon = fromCents(promotions.reduce((s, p) => s - toCents(p.discount), toCents(sale.discount)))
+
+    return (
+        <>
+            {promotions.map(p => (
+                <p key={p.promotionId} className={className}>{p.name}: −${Number(p.discount).toFixed(2)}</p>
+            ))}
+            {coupon > 0 && (
+                <p className={className}>Coupon{sale.couponCode ? ` ${sale.couponCode}` : ''}: −${coupon.toFixed(2)}</p>
+            )}
+        </>
+    )
+}
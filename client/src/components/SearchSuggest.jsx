@@ -0,0 +1,141 @@
+/**
+ * Fichier : client/src/components/SearchSuggest.jsx
+ * Rôle : champ de recherche de la boutique avec autocomplétion (GET /api/search/suggest?q=).
+ * - value / onChange : texte saisi (contrôlé par la page) ; onSearch(texte) à la validation.
+ * - Suggestions demandées après une courte pause de frappe (SUGGEST_DELAY ms), à partir
+ *   de 2 caractères ; une réponse arrivée après une frappe plus récente est ignorée.
+ * - Produit choisi → page produit ; catégorie choisie → onCategory(slug).
+ * - Clavier : ↑ / ↓ parcourent les suggestions, Entrée choisit (ou lance la recherche), Échap ferme.
+ */
+
+import { useEffect, useRef, useState } from 'react'
+import { Form, ListGroup } from 'react-bootstrap'
+import { useNavigate } from 'react-router-dom'
+import { rendition } from '../utils/images.js'
+
+const SUGGEST_DELAY = 200
+const MIN_LENGTH = 2
+
+export default function SearchSuggest({ value, onChange, onSearch, onCategory, placeholder = 'Search products...' }) {
+    const navigate = useNavigate()
+    const [suggestions, setSuggestions] = useState({ products: [], categories: [] })
+    const [open, setOpen] = useState(false)
+    const [active, setActive] = useState(-1)
+    const typed = useRef(false) // suggestions seulement après une frappe (pas quand l’URL remplit le champ)
+
+    // Effet: suggestions pour le texte saisi (après une pause de frappe)
+    useEffect(() => {
+        const q = value.trim()
+        if (!typed.current || q.length < MIN_LENGTH) {
+            setSuggestions({ products: [], categories: [] })
+            return
+        }
+        const controller = new AbortController()
+        const timer = setTimeout(() => {
+            fetch(`/api/search/suggest?q=${encodeURIComponent(q)}`, { signal: controller.signal })
+                .then(res => (res.ok ? res.json() : { products: [], categories: [] }))
+                .then(data => {
+                    setSuggestions({ products: data.products || [], categories: data.categories || [] })
+                    setActive(-1)
+                })
+                .catch(() => { /* requête annulée ou réseau : on garde le champ utilisable */ })
+        }, SUGGEST_DELAY)
+        // Nouvelle frappe : pause relancée, requête en cours annulée
+        return () => { clearTimeout(timer); controller.abort() }
+    }, [value])
+
+    // Suggestions à plat (ordre d’affichage) pour la navigation au clavier
+    const items = [
+        ...suggestions.categories.map(c => ({ key: `c${c.id}`, category: c })),
+        ...suggestions.products.map(p => ({ key: `p${p.id}`, product: p })),
+    ]
+
+    function close() {
+        setOpen(false)
+        setActive(-1)
+        typed.current = false
+    }
+
+    function choose(item) {
+        close()
+        if (item.product) navigate(`/product/${item.product.slug}`)
+        else onCategory(item.category.slug)
+    }
+
+    function onKeyDown(e) {
+        if (!open || items.length === 0) return
+        if (e.key === 'ArrowDown') {
+            e.preventDefault()
+            setActive(i => (i + 1) % items.length)
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault()
+            setActive(i => (i <= 0 ? items.length - 1 : i - 1))
+        } else if (e.key === 'Escape') {
+            close()
+        }
+    }
+
+    function submit(e) {
+        e.preventDefault()
+        if (open && items[active]) return choose(items[active])
+        close()
+        onSearch(value.trim())
+    }
+
+    return (
+        <Form className="flex-grow-1 position-relative" onSubmit={submit}>
+            <Form.Control
+                size="sm"
+                type="search"
+                placeholder={placeholder}
+                value={value}
+                autoComplete="off"
+                role="combobox"
+                aria-expanded={open && items.length > 0}
+                aria-autocomplete="list"
+                onChange={e => { typed.current = true; setOpen(true); onChange(e.target.value) }}
+                onKeyDown={onKeyDown}
+                onFocus={() => setOpen(true)}
+                // Délai : laisse le clic sur une suggestion aboutir avant la fermeture
+                onBlur={() => setTimeout(() => setOpen(false), 150)}
+            />
+            {open && items.length > 0 && (
+                <ListGroup
+                    role="listbox"
+                    className="position-absolute w-100 shadow-sm small mt-1"
+                    style={{ zIndex: 1050 }}
+                >
+                    {items.map((item, i) => (
+                        <ListGroup.Item
+                            key={item.key}
+                            action
+                            role="option"
+                            active={i === active}
+                            onMouseDown={e => e.preventDefault()} // garde le focus dans le champ
+                            onClick={() => choose(item)}
+                            className="d-flex align-items-center gap-2"
+                        >
+                            {item.product ? (
+                                <>
+                                    {item.product.img && (
+                                        <img
+                                            src={rendition(item.product.img, 'thumb')}
+                                            alt=""
+                                            width={28}
+                                            height={28}
+                                            style={{ objectFit: 'cover' }}
+                                            className="rounded"
+                                        />
+                                    )}
+                                    <span>{item.product.name}</span>
+                                </>
+                            ) : (
+                                <span>in <b>{item.category.name}</b></span>
+                            )}
+                        </ListGroup.Item>
+                    ))}
+                </ListGroup>
+            )}
+        </Form>
+    )
+}
@@ -0,0 +1,50 @@
+/**
+ * client/src/components/ShippingOptions.jsx
+ * Liste des modes de livraison d’un devis (POST /api/shipping/quote) en boutons radio.
+ * - Partagé entre le panier et le checkout.
+ * - Indique le montant restant avant la livraison offerte quand un seuil existe.
+ */
+
+import { Form, Badge } from 'react-bootstrap'
+
+export default function ShippingOptions({ quote, selected, onSelect, name = 'shippingMethod' }) {
+    if (!quote) return null
+    if (quote.methods.length === 0) {
+        return <p className="text-danger small mb-0">No shipping method available for this destination.</p>
+    }
+
+    return (
+        <>
+            {quote.methods.map(m => {
+                const missing = m.freeShippingThreshold != null && !m.free
+                    ? m.freeShippingThreshold - quote.subtotal
+                    : 0
+                return (
+                    <Form.Check
+                        key={m.code}
+                        type="radio"
+                        id={`${name}-${m.code}`}
+                        name={name}
+                        className="mb-2"
+                        checked={selected === m.code}
+                        onChange={() => onSelect(m.code)}
+                        label={
+                            <span>
+                                <span className="fw-semibold">{m.name}</span>{' '}
+                                {m.cost === 0
+                                    ? <Badge bg="success">Free</Badge>
+                                    : <span>${m.cost.toFixed(2)}</span>}
+                                {m.description && <span className="d-block small text-muted">{m.description}</span>}
+                                {missing > 0 && (
+                                    <span className="d-block small text-success">
+                                        Add ${missing.toFixed(2)} more for free {m.name.toLowerCase()} shipping
+                                    </span>
+                                )}
+                            </span>
+                        }
+                    />
+                )
+            })}
+        </>
+    )
+}
@@ -2,15 +2,28 @@
  * client/src/context/cart.jsx
  * Contexte du panier (CartContext).
  * - Gère deux modes : invité (localStorage) et utilisateur connecté (API serveur).
- * - Fournit les fonctions : add, setQty, remove, clear + le total calculé.
+ * - Fournit les fonctions : add, setQty, remove, clear, refresh + le total calculé.
+ * - Une ligne = un produit, ou une variante (variantId) ; setQty / remove visent
+ *   une ligne par sa clé `key` (voir lineKey).
+ * - Lignes serveur dont le produit n’est plus en vente (brouillon, hors fenêtre de
+ *   publication, variante désactivée : `available` false) : exposées à part dans
+ *   `unavailable`, hors total et hors devis ; le checkout les refuse.
+ * - Coupon : appliqué au panier serveur (utilisateur connecté) via applyCoupon / removeCoupon.
+ * - Mémorise la livraison choisie (pays + mode) pour la reprendre au checkout.
  * - Se synchronise automatiquement quand un utilisateur se connecte.
+ * - Chaque mutation serveur envoie un `Idempotency-Key` (un retry ne rejoue pas l’action).
  */
 
 import { createContext, useContext, useEffect, useState, useMemo } from 'react'
 import { useAuth } from './auth.jsx'
+import { newIdempotencyKey } from '../utils/idempotencyKey.js'
+import { toCents, fromCents } from '../utils/money.js'
 
 const CartContext = createContext(null)
 
+// Clé d’une ligne : produit + variante éventuelle
+export const lineKey = (productId, variantId) => `${productId}:${variantId ?? ''}`
+
 export function CartProvider({ children }) {
   const { user } = useAuth()
   const isAuth = !!user
@@ -28,6 +41,19 @@ export function CartProvider({ children }) {
     localStorage.setItem('gg_cart', JSON.stringify(guestItems))
   }, [guestItems])
 
+  // Livraison choisie (pays de destination + code du mode), persistée comme le panier invité
+  const [shipping, setShipping] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem('gg_shipping') || 'null') || { country: 'FR', method: null }
+    } catch {
+      return { country: 'FR', method: null }
+    }
+  })
+
+  useEffect(() => {
+    localStorage.setItem('gg_shipping', JSON.stringify(shipping))
+  }, [shipping])
+
   // Panier utilisateur (chargé depuis le serveur)
   const [serverCart, setServerCart] = useState(null)
 
@@ -44,11 +70,12 @@ export function CartProvider({ children }) {
       if (guestItems.length > 0) {
         await fetch('/api/cart/merge', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', 'Idempotency-Key': newIdempotencyKey() },
           credentials: 'include',
           body: JSON.stringify(
             guestItems.map(x => ({
               productId: x.id ?? x.productId,
+              variantId: x.variantId ?? null,
               qty: x.qty
             }))
           )
@@ -57,8 +84,7 @@ export function CartProvider({ children }) {
       }
 
       // Récupération du panier serveur
-      const res = await fetch('/api/cart', { credentials: 'include' })
-      const data = res.ok ? await res.json() : null
+      const data = await fetchServerCart()
       if (!cancelled) setServerCart(data)
     }
     load()
@@ -66,45 +92,67 @@ export function CartProvider({ children }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isAuth])
 
-  // Ajout au panier
-  async function add(p, qty = 1) {
+  // Lecture du panier ACTIVE côté serveur (null si erreur)
+  async function fetchServerCart() {
+    const res = await fetch('/api/cart', { credentials: 'include' })
+    return res.ok ? await res.json() : null
+  }
+
+  // Recharge le panier serveur (ex : après checkout ou si le serveur signale un panier modifié)
+  async function refresh() {
+    if (!isAuth) return
+    setServerCart(await fetchServerCart())
+  }
+
+  // Ajout au panier (variant : variante choisie pour un produit décliné)
+  async function add(p, qty = 1, variant = null) {
     const q = Math.max(1, Number(qty) || 1)
+    const variantId = variant?.id ?? null
     if (!isAuth) {
       setGuestItems(prev => {
         const next = [...prev]
-        const i = next.findIndex(x => x.slug === p.slug || x.id === p.id)
+        const i = next.findIndex(x => lineKey(x.id, x.variantId) === lineKey(p.id, variantId))
         if (i > -1) next[i] = { ...next[i], qty: next[i].qty + q }
-        else next.push({ slug: p.slug, id: p.id, name: p.name, price: Number(p.price), img: p.img, qty: q })
+        else next.push({
+          slug: p.slug, id: p.id, name: p.name, img: p.img, qty: q,
+          price: Number(variant?.price ?? p.price),
+          variantId, variantTitle: variant?.title ?? null
+        })
         return next
       })
     } else {
       const res = await fetch('/api/cart/add', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': newIdempotencyKey() },
         credentials: 'include',
-        body: JSON.stringify({ productId: p.id, qty: q })
+        body: JSON.stringify({ productId: p.id, variantId, qty: q })
       })
       const data = await res.json()
+      if (!res.ok) throw new Error(data?.error || 'Unable to add this product')
       setServerCart(data)
     }
   }
 
+  // Ligne visée par sa clé (voir lineKey), en vente ou non
+  const findLine = (key) => [...items, ...unavailable].find(x => x.key === key)
+
   // Modifier la quantité
-  async function setQty(idOrSlug, qty) {
+  async function setQty(key, qty) {
     const q = Math.max(1, Number(qty) || 1)
     if (!isAuth) {
       setGuestItems(prev =>
         prev.map(x =>
-          (x.id === idOrSlug || x.slug === idOrSlug) ? { ...x, qty: q } : x
+          lineKey(x.id, x.variantId) === key ? { ...x, qty: q } : x
         )
       )
     } else {
-      const productId = Number(idOrSlug)
+      const line = findLine(key)
+      if (!line) return
       const res = await fetch('/api/cart/qty', {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': newIdempotencyKey() },
         credentials: 'include',
-        body: JSON.stringify({ productId, qty: q })
+        body: JSON.stringify({ productId: line.id, variantId: line.variantId, qty: q })
       })
       const data = await res.json()
       setServerCart(data)
@@ -112,13 +160,16 @@ export function CartProvider({ children }) {
   }
 
   // Supprimer un article
-  async function remove(idOrSlug) {
+  async function remove(key) {
     if (!isAuth) {
-      setGuestItems(prev => prev.filter(x => !(x.id === idOrSlug || x.slug === idOrSlug)))
+      setGuestItems(prev => prev.filter(x => lineKey(x.id, x.variantId) !== key))
     } else {
-      const productId = Number(idOrSlug)
-      const res = await fetch(`/api/cart/item/${productId}`, {
+      const line = findLine(key)
+      if (!line) return
+      const query = line.variantId ? `?variantId=${line.variantId}` : ''
+      const res = await fetch(`/api/cart/item/${line.id}${query}`, {
         method: 'DELETE',
+        headers: { 'Idempotency-Key': newIdempotencyKey() },
         credentials: 'include'
       })
       const data = await res.json()
@@ -131,30 +182,76 @@ export function CartProvider({ children }) {
     if (!isAuth) {
       setGuestItems([])
     } else {
-      await fetch('/api/cart/clear', { method: 'DELETE', credentials: 'include' })
+      await fetch('/api/cart/clear', {
+        method: 'DELETE',
+        headers: { 'Idempotency-Key': newIdempotencyKey() },
+        credentials: 'include'
+      })
       setServerCart(prev => ({ ...prev, items: [] }))
     }
   }
 
-  // Items unifiés (même format pour invité et user connecté)
-  const items = useMemo(() => {
-    if (!isAuth) return guestItems
+  // Applique un code promo au panier serveur (erreur du serveur levée telle quelle)
+  async function applyCoupon(code) {
+    const res = await fetch('/api/cart/coupon', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': newIdempotencyKey() },
+      credentials: 'include',
+      body: JSON.stringify({ code })
+    })
+    const data = await res.json()
+    if (!res.ok) throw new Error(data?.error || 'Unable to apply this code')
+    setServerCart(data)
+  }
+
+  // Retire le code promo du panier serveur
+  async function removeCoupon() {
+    const res = await fetch('/api/cart/coupon', {
+      method: 'DELETE',
+      headers: { 'Idempotency-Key': newIdempotencyKey() },
+      credentials: 'include'
+    })
+    if (res.ok) setServerCart(await res.json())
+  }
+
+  // Lignes unifiées (même format pour invité et user connecté)
+  const lines = useMemo(() => {
+    if (!isAuth) {
+      return guestItems.map(x => ({
+        ...x, variantId: x.variantId ?? null, key: lineKey(x.id, x.variantId), available: true
+      }))
+    }
     const it = serverCart?.items || []
     return it.map(ci => ({
+      key: lineKey(ci.productId, ci.variantId),
       id: ci.productId,
+      variantId: ci.variantId,
+      variantTitle: ci.variant?.title ?? null,
       slug: ci.product.slug,
       name: ci.product.name,
       img: ci.product.img,
-      price: Number(ci.product.price),
-      qty: ci.qty
+      price: Number(ci.variant?.price ?? ci.product.price),
+      qty: ci.qty,
+      available: ci.available !== false
     }))
   }, [isAuth, guestItems, serverCart])
 
-  const total = items.reduce((s, i) => s + Number(i.price) * i.qty, 0)
+  // Lignes en vente (items) / retirées de la vente depuis l’ajout (unavailable)
+  const items = useMemo(() => lines.filter(l => l.available), [lines])
+  const unavailable = useMemo(() => lines.filter(l => !l.available), [lines])
+
+  // Sous-total des articles (hors frais de port, avant remise), cumulé en centimes
+  const total = fromCents(items.reduce((s, i) => s + toCents(i.price) * i.qty, 0))
+
+  // Coupon appliqué ({ code, type, value, description } ou null)
+  const coupon = (isAuth && serverCart?.coupon) || null
 
   // Expose le contexte
   return (
-    <CartContext.Provider value={{ items, add, setQty, remove, clear, total }}>
+    <CartContext.Provider value={{
+      items, unavailable, add, setQty, remove, clear, refresh, total, shipping, setShipping,
+      coupon, applyCoupon, removeCoupon
+    }}>
       {children}
     </CartContext.Provider>
   )
@@ -0,0 +1,138 @@
+/**
+ * Fichier : client/src/pages/Addresses.jsx
+ * Rôle : carnet d’adresses de l’utilisateur connecté (« My addresses »).
+ * Notes :
+ *  - CRUD via /api/me/addresses ; une seule adresse par défaut (gérée côté serveur).
+ *  - Modifier ou supprimer une adresse ne change pas les commandes déjà passées
+ *    (elles gardent leur propre copie).
+ *  - Redirige vers /login si l’utilisateur n’est pas connecté.
+ */
+
+import { useCallback, useEffect, useState } from 'react'
+import { Link, Navigate } from 'react-router-dom'
+import { Container, Button, Alert, Spinner, Badge } from 'react-bootstrap'
+import { useAuth } from '../context/auth.jsx'
+import AddressBlock from '../components/AddressBlock.jsx'
+import AddressForm from '../components/AddressForm.jsx'
+
+export default function Addresses() {
+  const { user, loading: authLoading } = useAuth()
+
+  const [addresses, setAddresses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+  // null = pas de formulaire ; 'new' = création ; sinon l’adresse en cours d’édition
+  const [editing, setEditing] = useState(null)
+
+  const load = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const res = await fetch('/api/me/addresses', { credentials: 'include' })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data?.error || 'Failed to load addresses')
+      setAddresses(data)
+    } catch (e) {
+      setError(e.message || 'Network error')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (user) load()
+  }, [user, load])
+
+  // Appel mutant générique puis rechargement de la liste
+  async function mutate(url, method, body) {
+    setSaving(true)
+    setError(null)
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        credentials: 'include',
+        body: body ? JSON.stringify(body) : undefined
+      })
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(data?.error || 'Request failed')
+      setEditing(null)
+      await load()
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const save = (form) => editing === 'new'
+    ? mutate('/api/me/addresses', 'POST', form)
+    : mutate(`/api/me/addresses/${editing.id}`, 'PATCH', form)
+
+  const makeDefault = (a) => mutate(`/api/me/addresses/${a.id}`, 'PATCH', { isDefault: true })
+
+  const remove = (a) => {
+    if (!confirm('Delete this address?')) return
+    mutate(`/api/me/addresses/${a.id}`, 'DELETE')
+  }
+
+  if (authLoading) return null
+  if (!user) return <Navigate to="/login" replace />
+
+  return (
+    <Container className="py-4" style={{ maxWidth: 720 }}>
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h2 className="mb-0">My addresses</h2>
+        <Button as={Link} to="/profile" variant="outline-secondary" size="sm">Back to profile</Button>
+      </div>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      {loading ? (
+        <div className="d-flex align-items-center gap-2">
+          <Spinner size="sm" /> Loading…
+        </div>
+      ) : (
+        <>
+          {addresses.length === 0 && !editing && (
+            <p className="text-muted">No saved address yet.</p>
+          )}
+
+          {addresses.map(a => (
+            <div key={a.id} className="rounded-20 shadow-soft p-3 mb-3">
+              {editing?.id === a.id ? (
+                <AddressForm initial={a} onSubmit={save} onCancel={() => setEditing(null)} submitting={saving} />
+              ) : (
+                <div className="d-flex justify-content-between gap-3">
+                  <div>
+                    <div className="mb-1">
+                      {a.label && <span className="fw-semibold me-2">{a.label}</span>}
+                      {a.isDefault && <Badge bg="success">Default</Badge>}
+                    </div>
+                    <AddressBlock address={a} />
+                  </div>
+                  <div className="d-flex flex-column gap-2">
+                    <Button size="sm" variant="outline-primary" onClick={() => setEditing(a)} disabled={saving}>Edit</Button>
+                    {!a.isDefault && (
+                      <Button size="sm" variant="outline-success" onClick={() => makeDefault(a)} disabled={saving}>Set default</Button>
+                    )}
+                    <Button size="sm" variant="outline-danger" onClick={() => remove(a)} disabled={saving}>Delete</Button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+
+          {editing === 'new' ? (
+            <div className="rounded-20 shadow-soft p-3">
+              <AddressForm onSubmit={save} onCancel={() => setEditing(null)} submitting={saving} submitLabel="Add address" />
+            </div>
+          ) : (
+            <Button variant="success" onClick={() => setEditing('new')} disabled={saving}>Add an address</Button>
+          )}
+        </>
+      )}
+    </Container>
+  )
+}
@@ -4,28 +4,73 @@
  * Notes :
  *  - Récupère l’état global du panier via le contexte `useCart`.
  *  - Permet de modifier les quantités, supprimer un produit, vider le panier.
- *  - Affiche le total et un bouton pour passer au checkout.
+ *  - Estime les frais de port (pays + mode, mémorisés dans le contexte pour le checkout).
+ *  - Code promo (utilisateur connecté) : appliqué au panier serveur, repris dans les devis.
+ *  - Promotions automatiques affichées ligne par ligne (lignes du devis de TVA).
+ *  - Produits retirés de la vente depuis leur ajout (`unavailable` du contexte) :
+ *    signalés à part, à retirer avant de passer commande.
+ *  - Affiche sous-total, TVA (selon le pays), livraison, total et un bouton pour passer au checkout.
  */
 
-import { Container, Table, Button } from 'react-bootstrap'
+import { useEffect } from 'react'
+import { Container, Table, Button, Form, Alert } from 'react-bootstrap'
 import { Link, useNavigate } from 'react-router-dom'
 import { useCart } from '../context/cart.jsx'
+import { useAuth } from '../context/auth.jsx'
+import { useShippingQuote } from '../utils/shipping.js'
+import { useTaxQuote } from '../utils/tax.js'
+import ShippingOptions from '../components/ShippingOptions.jsx'
+import { rendition } from '../utils/images.js'
+import OrderTotals from '../components/OrderTotals.jsx'
+import CouponForm from '../components/CouponForm.jsx'
 
 export default function Cart() {
   // Contexte du panier : items = produits ajoutés
   // setQty = modifier quantité | remove = supprimer produit | clear = vider panier | total = prix total
-  const { items, setQty, remove, clear, total } = useCart()
+  const { items, unavailable, setQty, remove, clear, total, shipping, setShipping, coupon, applyCoupon, removeCoupon } = useCart()
+  const { user } = useAuth()
   const nav = useNavigate()
 
+  // Devis de livraison pour le pays choisi (remise du coupon incluse)
+  const { quote, loading: quoting, error: quoteError } = useShippingQuote(items, shipping.country, coupon?.code)
+  const method = quote?.methods.find(m => m.code === shipping.method) || null
+  const { quote: tax } = useTaxQuote(items, shipping.country, coupon?.code)
+
+  // Mode indisponible pour ce pays/panier → on bascule sur le premier proposé
+  useEffect(() => {
+    if (!quote || method) return
+    const first = quote.methods[0]?.code ?? null
+    if (first !== shipping.method) setShipping(s => ({ ...s, method: first }))
+  }, [quote, method, shipping.method, setShipping])
+
   return (
     <Container className="py-4">
       <h2>Cart</h2>
 
       {/* Cas : panier vide */}
-      {items.length === 0 ? (
+      {items.length === 0 && unavailable.length === 0 ? (
         <p>Your cart is empty. <Link to="/shop">Go shopping</Link>.</p>
       ) : (
         <>
+          {/* Lignes dont le produit n’est plus en vente : hors total, bloquent la commande */}
+          {unavailable.length > 0 && (
+            <Alert variant="warning">
+              <p className="mb-2">
+                {unavailable.length === 1 ? 'This item is' : 'These items are'} no longer available.
+                Remove {unavailable.length === 1 ? 'it' : 'them'} to check out.
+              </p>
+              {unavailable.map(i => (
+                <div key={i.key} className="d-flex justify-content-between align-items-center gap-2 mb-1">
+                  <span>
+                    {i.name}
+                    {i.variantTitle && <span className="text-muted"> ({i.variantTitle})</span>}
+                  </span>
+                  <Button size="sm" variant="outline-danger" onClick={() => remove(i.key)}>Remove</Button>
+                </div>
+              ))}
+            </Alert>
+          )}
+
           {/* Tableau listant les produits du panier */}
           <div className="rounded-20 shadow-soft p-3">
             <Table responsive hover className="align-middle">
@@ -38,18 +83,26 @@ export default function Cart() {
                 </tr>
               </thead>
               <tbody>
-                {items.map(i => (
-                  <tr key={i.slug}>
+                {items.map((i, idx) => (
+                  <tr key={i.key}>
                     {/* Cellule produit : image + nom */}
                     <td className="d-flex align-items-center gap-2">
                       <img
-                        src={i.img}
+                        src={rendition(i.img, 'thumb')}
                         width="56"
                         height="56"
                         style={{ objectFit: 'cover', borderRadius: 12 }}
                         alt={i.name}
                       />
-                      {i.name}
+                      <div>
+                        {i.name}
+                        {i.variantTitle && <div className="small text-muted">{i.variantTitle}</div>}
+                        {tax?.lines[idx]?.promotions?.map(p => (
+                          <div key={p.promotionId} className="small text-success">
+                            {p.name} −${p.discount.toFixed(2)}
+                          </div>
+                        ))}
+                      </div>
                     </td>
 
                     {/* Cellule quantité : champ numérique modifiable */}
@@ -59,7 +112,7 @@ export default function Cart() {
                         min="1"
                         max="99"
                         value={i.qty}
-                        onChange={e => setQty(i.slug, e.target.value)}
+                        onChange={e => setQty(i.key, e.target.value)}
                         className="form-control form-control-sm"
                       />
                     </td>
@@ -72,7 +125,7 @@ export default function Cart() {
                       <button
                         type="button"
                         className="btn btn-outline-danger btn-sm"
-                        onClick={() => remove(i.slug)}
+                        onClick={() => remove(i.key)}
                       >
                         Remove
                       </button>
@@ -83,15 +136,50 @@ export default function Cart() {
             </Table>
           </div>
 
-          {/* Total + bouton vider panier */}
-          <div className="d-flex justify-content-between">
+          {/* Livraison : pays de destination + mode */}
+          <div className="rounded-20 shadow-soft p-3 my-3">
+            <h5>Shipping</h5>
+            <Form.Group className="mb-3" style={{ maxWidth: 160 }} controlId="cartCountry">
+              <Form.Label>Country</Form.Label>
+              <Form.Control
+                value={shipping.country}
+                maxLength={2}
+                onChange={e => setShipping(s => ({ ...s, country: e.target.value.toUpperCase() }))}
+                placeholder="FR"
+              />
+            </Form.Group>
+            {quoteError && <p className="text-danger small">{quoteError}</p>}
+            {quoting && !quote && <p className="text-muted small">Loading shipping options…</p>}
+            <ShippingOptions
+              quote={quote}
+              selected={shipping.method}
+              onSelect={code => setShipping(s => ({ ...s, method: code }))}
+              name="cartShipping"
+            />
+          </div>
+
+          {/* Code promo (panier serveur uniquement) */}
+          {user && (
+            <div className="rounded-20 shadow-soft p-3 my-3">
+              <h5>Promo code</h5>
+              <CouponForm
+                coupon={coupon}
+                onApply={applyCoupon}
+                onRemove={removeCoupon}
+                warning={tax?.couponError}
+              />
+            </div>
+          )}
+
+          {/* Totaux + bouton vider panier */}
+          <div className="d-flex justify-content-between align-items-start">
             <Button variant="outline-secondary" onClick={clear}>Clear cart</Button>
-            <div className="h5">Total: ${total.toFixed(2)}</div>
+            <OrderTotals subtotal={total} tax={tax} shipping={method} />
           </div>
 
           {/* Bouton vers checkout */}
           <div className="mt-3 text-end">
-            <Button onClick={() => nav('/checkout')} variant="success">
+            <Button onClick={() => nav('/checkout')} variant="success" disabled={items.length === 0 || unavailable.length > 0}>
               Proceed to Checkout
             </Button>
           </div>
@@ -3,31 +3,146 @@
  * Rôle : Page de paiement (factice) où l’utilisateur confirme sa commande.
  * Notes :
  *  - Récupère le panier global via `useCart`.
- *  - Simule un paiement en envoyant les articles à l’API `/api/checkout`.
- *  - Affiche un formulaire d’adresse + message de succès/erreur.
+ *  - Simule un paiement via l’API `/api/checkout` : le serveur commande son panier ACTIVE,
+ *    on envoie seulement ce qui est affiché (lignes + total) pour détecter un panier périmé.
+ *  - Adresse de livraison (et de facturation) choisie dans le carnet d’adresses
+ *    (/api/me/addresses), avec ajout rapide d’une nouvelle adresse ; le serveur en
+ *    garde une copie sur la commande.
+ *  - Mode de livraison repris du panier, re-chiffré pour le pays de l’adresse choisie ;
+ *    le total envoyé (TTC) inclut TVA, frais de port et remise du coupon appliqué au panier.
+ *  - Affiche un message de succès/erreur.
+ *  - Panier contenant un produit retiré de la vente : paiement bloqué, renvoi vers le panier.
+ *  - Un `Idempotency-Key` par tentative : double-clic ou retry réseau → une seule commande.
+ *  - Passerelle de paiement factice : le sélecteur « Test card » choisit l’issue
+ *    (succès, refus, timeout) ; en cas d’échec le panier est conservé.
  */
 
-import { useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
 import { Container, Form, Button, Alert } from 'react-bootstrap'
 import { useCart } from '../context/cart.jsx'
+import { useAuth } from '../context/auth.jsx'
+import { newIdempotencyKey } from '../utils/idempotencyKey.js'
+import AddressBlock from '../components/AddressBlock.jsx'
+import AddressForm from '../components/AddressForm.jsx'
+import ShippingOptions from '../components/ShippingOptions.jsx'
+import OrderTotals, { grandTotal } from '../components/OrderTotals.jsx'
+import { useShippingQuote } from '../utils/shipping.js'
+import { useTaxQuote } from '../utils/tax.js'
+
+// Moyens de paiement de test reconnus par la passerelle mock du serveur
+const TEST_CARDS = [
+  { value: 'pm_mock_succeed', label: 'Success' },
+  { value: 'pm_mock_decline', label: 'Declined' },
+  { value: 'pm_mock_timeout', label: 'Gateway timeout' },
+]
 
 export default function Checkout() {
-  const { items, total, clear } = useCart()
+  const { items, unavailable, total, refresh, shipping, setShipping, coupon } = useCart()
+  const { user } = useAuth()
 
   // Status du paiement : { type, msg } affiché comme une alerte Bootstrap
   const [status, setStatus] = useState(null)
+  const [paying, setPaying] = useState(false)
+  const [paymentMethod, setPaymentMethod] = useState(TEST_CARDS[0].value)
+
+  // Carnet d’adresses + sélection (facturation = livraison tant que billingSame)
+  const [addresses, setAddresses] = useState([])
+  const [shippingId, setShippingId] = useState(null)
+  const [billingSame, setBillingSame] = useState(true)
+  const [billingId, setBillingId] = useState(null)
+  const [addingAddress, setAddingAddress] = useState(false)
+  const [savingAddress, setSavingAddress] = useState(false)
+
+  // Charge le carnet une fois connecté ; présélectionne l’adresse par défaut
+  useEffect(() => {
+    if (!user) return
+    let cancelled = false
+      ; (async () => {
+        try {
+          const res = await fetch('/api/me/addresses', { credentials: 'include' })
+          if (!res.ok) return
+          const data = await res.json()
+          if (cancelled) return
+          setAddresses(data)
+          const preferred = data.find(a => a.isDefault) || data[0]
+          if (preferred) {
+            setShippingId(preferred.id)
+            setBillingId(preferred.id)
+          }
+          setAddingAddress(data.length === 0)
+        } catch {
+          // carnet indisponible : l’utilisateur peut toujours ajouter une adresse
+        }
+      })()
+    return () => { cancelled = true }
+  }, [user])
+
+  // Ajout d’une adresse depuis le checkout → enregistrée dans le carnet puis sélectionnée
+  const addAddress = async (form) => {
+    setSavingAddress(true)
+    try {
+      const res = await fetch('/api/me/addresses', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(form)
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data?.error || 'Unable to save address')
+      setAddresses(list => [...list, data])
+      setShippingId(data.id)
+      if (billingId === null) setBillingId(data.id)
+      setAddingAddress(false)
+      setStatus(null)
+    } catch (err) {
+      setStatus({ type: 'danger', msg: err.message })
+    } finally {
+      setSavingAddress(false)
+    }
+  }
+
+  // Devis de livraison et de TVA vers le pays de l’adresse sélectionnée
+  const shippingCountry = addresses.find(a => a.id === shippingId)?.country
+  const { quote, loading: quoting, error: quoteError } = useShippingQuote(items, shippingCountry, coupon?.code)
+  const method = quote?.methods.find(m => m.code === shipping.method) || null
+  const { quote: tax } = useTaxQuote(items, shippingCountry, coupon?.code)
+  const amountDue = grandTotal(total, tax, method)
+
+  // Mode du panier indisponible pour cette adresse → premier mode proposé
+  useEffect(() => {
+    if (!quote || method) return
+    const first = quote.methods[0]?.code ?? null
+    if (first !== shipping.method) setShipping(s => ({ ...s, method: first }))
+  }, [quote, method, shipping.method, setShipping])
+
+  // Clé de la tentative en cours : conservée tant qu’on n’a pas de réponse du serveur
+  // (erreur réseau → le retry réutilise la même clé), renouvelée ensuite.
+  const attemptKey = useRef(null)
 
   // Fonction appelée quand l’utilisateur clique sur "Pay"
   const onPay = async (e) => {
     e.preventDefault()
+    if (paying) return
+    setPaying(true)
+    if (!attemptKey.current) attemptKey.current = newIdempotencyKey()
     try {
       const res = await fetch('/api/checkout', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': attemptKey.current },
         credentials: 'include', // important : inclut le cookie JWT si l’utilisateur est connecté
-        body: JSON.stringify({ items })
+        body: JSON.stringify({
+          items: items.map(i => ({ productId: i.id, variantId: i.variantId ?? null, qty: i.qty })),
+          total: amountDue,
+          shippingMethod: method?.code,
+          paymentMethod,
+          shippingAddressId: shippingId,
+          billingAddressId: billingSame ? shippingId : billingId
+        })
       })
 
+      attemptKey.current = null // réponse reçue : la prochaine tentative est une nouvelle requête
+
       if (res.status === 401) {
         // Cas : utilisateur non connecté → erreur
         setStatus({ type: 'danger', msg: 'Please log in to complete your order.' })
@@ -35,16 +150,25 @@ export default function Checkout() {
       }
 
       const data = await res.json()
-      if (data.success) {
-        // Cas succès → vider panier + afficher confirmation
+      if (res.status === 409) {
+        // Cas : panier modifié ailleurs (autre onglet, prix changés) → on recharge l’état serveur
+        setStatus({ type: 'warning', msg: data.error })
+        await refresh()
+      } else if (data.success) {
+        // Cas succès → le serveur a clôturé le panier, on recharge + confirmation
         setStatus({ type: 'success', msg: 'Payment successful (test mode). Order confirmed!' })
-        clear()
+        await refresh()
+      } else if (res.status === 402) {
+        // Cas : paiement refusé → rien n’est débité, le panier reste intact
+        setStatus({ type: 'warning', msg: data.error })
       } else {
-        // Cas erreur renvoyée par l’API
+        // Cas erreur renvoyée par l’API (dont prestataire de paiement indisponible)
         setStatus({ type: 'danger', msg: data.error })
       }
     } catch (err) {
       setStatus({ type: 'danger', msg: 'Unexpected error during checkout.' })
+    } finally {
+      setPaying(false)
     }
   }
 
@@ -55,43 +179,123 @@ export default function Checkout() {
       {/* Message de succès/erreur */}
       {status && <Alert variant={status.type}>{status.msg}</Alert>}
 
-      {/* Formulaire factice (infos non stockées, juste pour la démo) */}
+      {!user && (
+        <Alert variant="info">
+          Please <Link to="/login">log in</Link> to complete your order.
+        </Alert>
+      )}
+
+      {/* Adresse de livraison : choix dans le carnet */}
+      {user && (
+        <section className="mb-4">
+          <h5>Shipping address</h5>
+          {addresses.map(a => (
+            <Form.Check
+              key={a.id}
+              type="radio"
+              id={`ship-${a.id}`}
+              name="shippingAddress"
+              className="rounded-20 shadow-soft p-3 ps-5 mb-2"
+              checked={shippingId === a.id}
+              onChange={() => setShippingId(a.id)}
+              label={<AddressBlock address={a} />}
+            />
+          ))}
+
+          {addingAddress ? (
+            <div className="rounded-20 shadow-soft p-3">
+              <AddressForm
+                onSubmit={addAddress}
+                onCancel={addresses.length ? () => setAddingAddress(false) : undefined}
+                submitting={savingAddress}
+                submitLabel="Use this address"
+              />
+            </div>
+          ) : (
+            <Button variant="outline-success" size="sm" onClick={() => setAddingAddress(true)}>
+              Add a new address
+            </Button>
+          )}
+
+          {/* Adresse de facturation : identique par défaut */}
+          {addresses.length > 0 && (
+            <div className="mt-3">
+              <Form.Check
+                type="checkbox"
+                id="billing-same"
+                label="Billing address same as shipping"
+                checked={billingSame}
+                onChange={e => setBillingSame(e.target.checked)}
+              />
+              {!billingSame && (
+                <Form.Select
+                  className="mt-2"
+                  value={billingId ?? ''}
+                  onChange={e => setBillingId(Number(e.target.value))}
+                >
+                  {addresses.map(a => (
+                    <option key={a.id} value={a.id}>
+                      {a.label ? `${a.label} — ` : ''}{a.fullName}, {a.line1}, {a.city} ({a.country})
+                    </option>
+                  ))}
+                </Form.Select>
+              )}
+            </div>
+          )}
+        </section>
+      )}
+
+      {/* Mode de livraison (dépend du pays de l’adresse) */}
+      {user && shippingId && (
+        <section className="mb-4">
+          <h5>Shipping method</h5>
+          {quoteError && <p className="text-danger small">{quoteError}</p>}
+          {quoting && !quote && <p className="text-muted small">Loading shipping options…</p>}
+          <ShippingOptions
+            quote={quote}
+            selected={method?.code}
+            onSelect={code => setShipping(s => ({ ...s, method: code }))}
+          />
+        </section>
+      )}
+
+      {/* Coupon du panier devenu invalide (expiré, épuisé…) : le serveur refusera la commande */}
+      {tax?.couponError && (
+        <Alert variant="warning">
+          {tax.couponError}. <Link to="/cart">Review your promo code</Link>.
+        </Alert>
+      )}
+
+      {/* Produit retiré de la vente depuis l’ajout au panier : le serveur refusera la commande */}
+      {unavailable.length > 0 && (
+        <Alert variant="warning">
+          {unavailable.map(i => i.name).join(', ')} {unavailable.length === 1 ? 'is' : 'are'} no longer
+          available. <Link to="/cart">Review your cart</Link>.
+        </Alert>
+      )}
+
+      {/* Paiement */}
       <Form onSubmit={onPay} className="row g-3">
         <div className="col-md-6">
-          <Form.Label>Full name</Form.Label>
-          <Form.Control required placeholder="John Doe" />
-        </div>
-        <div className="col-md-6">
-          <Form.Label>Email</Form.Label>
-          <Form.Control type="email" required placeholder="john@example.com" />
-        </div>
-        <div className="col-12">
-          <Form.Label>Address</Form.Label>
-          <Form.Control required placeholder="123 Main St" />
-        </div>
-        <div className="col-md-6">
-          <Form.Label>City</Form.Label>
-          <Form.Control required />
-        </div>
-        <div className="col-md-3">
-          <Form.Label>ZIP</Form.Label>
-          <Form.Control required />
-        </div>
-        <div className="col-md-3">
-          <Form.Label>Country</Form.Label>
-          <Form.Control required />
+          <Form.Label>Test card</Form.Label>
+          <Form.Select value={paymentMethod} onChange={e => setPaymentMethod(e.target.value)}>
+            {TEST_CARDS.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+          </Form.Select>
         </div>
 
         {/* Total + bouton paiement */}
         <div className="col-12 d-flex justify-content-between align-items-center">
-          <div className="fw-semibold">Total: ${total.toFixed(2)}</div>
-          <Button type="submit" variant="success">Pay with Stripe (Test)</Button>
+          <OrderTotals subtotal={total} tax={tax} shipping={method} className="text-start" />
+          <Button type="submit" variant="success" disabled={paying || items.length === 0 || unavailable.length > 0 || !shippingId || !method || !tax || !!tax.couponError}>
+            {paying ? 'Processing…' : 'Pay with Stripe (Test)'}
+          </Button>
         </div>
       </Form>
 
       {/* Note explicative */}
       <p className="text-muted small mt-3">
-        This is a mock checkout for portfolio screenshots. No real payment is processed.
+        This is a mock checkout for portfolio screenshots. No real payment is processed:
+        pick a test card to simulate an accepted, declined or timed-out payment.
       </p>
     </Container>
   )
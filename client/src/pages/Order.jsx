@@ -0,0 +1,149 @@
+/**
+ * Fichier : client/src/pages/Order.jsx
+ * Rôle : détail d’une commande de l’utilisateur connecté.
+ * Notes :
+ *  - GET /api/me/orders/:id (404 si la commande n’appartient pas à l’utilisateur).
+ *  - Les prix affichés sont les snapshots de SaleItem (prix payé), pas le prix actuel.
+ *  - Affiche le statut courant + l’historique des statuts.
+ *  - Adresses = copies faites au checkout (indépendantes du carnet d’adresses actuel).
+ *  - Le total inclut TVA, frais de port, promotions et remise coupon (montants figés au checkout).
+ */
+
+import { useEffect, useState } from 'react'
+import { Link, Navigate, useParams } from 'react-router-dom'
+import { Container, Table, Button, Alert, Spinner } from 'react-bootstrap'
+import { useAuth } from '../context/auth.jsx'
+import OrderStatusBadge from '../components/OrderStatusBadge.jsx'
+import AddressBlock from '../components/AddressBlock.jsx'
+import SaleDiscounts from '../components/SaleDiscounts.jsx'
+
+export default function Order() {
+  const { id } = useParams()
+  const { user, loading: authLoading } = useAuth()
+
+  const [order, setOrder] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Charge la commande quand l’id (ou l’utilisateur) change
+  useEffect(() => {
+    if (!user) return
+    let cancelled = false
+      ; (async () => {
+        setLoading(true)
+        setError(null)
+        setOrder(null)
+        try {
+          const res = await fetch(`/api/me/orders/${id}`, { credentials: 'include' })
+          if (!res.ok) {
+            if (res.status === 404) throw new Error('Order not found')
+            throw new Error('Failed to load order')
+          }
+          const data = await res.json()
+          if (!cancelled) setOrder(data)
+        } catch (e) {
+          if (!cancelled) setError(e.message || 'Network error')
+        } finally {
+          if (!cancelled) setLoading(false)
+        }
+      })()
+    return () => { cancelled = true }
+  }, [id, user])
+
+  if (authLoading) return null
+  if (!user) return <Navigate to="/login" replace />
+
+  return (
+    <Container className="py-4">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h2 className="mb-0">Order #{id}</h2>
+        <Button as={Link} to="/orders" variant="outline-secondary" size="sm">All orders</Button>
+      </div>
+
+      {loading && (
+        <div className="d-flex align-items-center gap-2">
+          <Spinner size="sm" /> Loading…
+        </div>
+      )}
+      {error && !loading && <Alert variant="danger">{error}</Alert>}
+
+      {!loading && !error && order && (
+        <>
+          <p className="mb-1"><b>Date:</b> {new Date(order.createdAt).toLocaleString()}</p>
+          <p><b>Status:</b> <OrderStatusBadge status={order.status} /></p>
+
+          {(order.shippingAddress || order.billingAddress) && (
+            <div className="row mb-3">
+              <div className="col-md-6">
+                <h6>Shipping address</h6>
+                <AddressBlock address={order.shippingAddress} />
+              </div>
+              <div className="col-md-6">
+                <h6>Billing address</h6>
+                <AddressBlock address={order.billingAddress} />
+              </div>
+            </div>
+          )}
+
+          {/* Lignes de commande : prix snapshot au moment de l’achat */}
+          <div className="rounded-20 shadow-soft p-3 mb-3">
+            <Table responsive className="align-middle mb-0">
+              <thead>
+                <tr><th>Product</th><th>Price</th><th>Qty</th><th>Subtotal</th></tr>
+              </thead>
+              <tbody>
+                {order.items.map(it => (
+                  <tr key={it.id}>
+                    <td className="d-flex align-items-center gap-2">
+                      {it.product?.img && (
+                        <img
+                          src={it.product.img}
+                          width="48"
+                          height="48"
+                          style={{ objectFit: 'cover', borderRadius: 10 }}
+                          alt={it.product.name}
+                        />
+                      )}
+                      <div>
+                        {it.product ? <Link to={`/product/${it.product.slug}`}>{it.product.name}</Link> : '—'}
+                        {it.variantTitle && <div className="small text-muted">{it.variantTitle}</div>}
+                      </div>
+                    </td>
+                    <td>${Number(it.price).toFixed(2)}</td>
+                    <td>{it.qty}</td>
+                    <td>${(Number(it.price) * it.qty).toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+
+          <SaleDiscounts sale={order} />
+          {!order.pricesIncludeTax && Number(order.taxTotal) > 0 && (
+            <p className="text-end mb-1">VAT: ${Number(order.taxTotal).toFixed(2)}</p>
+          )}
+          {order.shippingMethod && (
+            <p className="text-end mb-1">
+              Shipping ({order.shippingMethod}): {Number(order.shippingCost) === 0 ? 'Free' : `$${Number(order.shippingCost).toFixed(2)}`}
+            </p>
+          )}
+          <p className="text-end fs-5 mb-0"><b>Total:</b> ${Number(order.total).toFixed(2)}</p>
+          {order.pricesIncludeTax && Number(order.taxTotal) > 0 && (
+            <p className="text-end small text-muted">incl. VAT ${Number(order.taxTotal).toFixed(2)}</p>
+          )}
+
+          {/* Historique des statuts */}
+          <h5>Tracking</h5>
+          <ul className="list-unstyled">
+            {order.history.map(h => (
+              <li key={h.id} className="mb-1">
+                <span className="text-muted small me-2">{new Date(h.createdAt).toLocaleString()}</span>
+                <OrderStatusBadge status={h.toStatus} />
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </Container>
+  )
+}
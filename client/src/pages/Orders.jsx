@@ -0,0 +1,122 @@
+/**
+ * Fichier : client/src/pages/Orders.jsx
+ * Rôle : liste des commandes passées par l’utilisateur connecté (« My orders »).
+ * Notes :
+ *  - GET /api/me/orders?skip=&take= (pagination simple).
+ *  - Affiche date, statut, nombre d’articles et total (snapshot de la vente).
+ *  - Redirige vers /login si l’utilisateur n’est pas connecté.
+ */
+
+import { useEffect, useState } from 'react'
+import { Link, Navigate } from 'react-router-dom'
+import { Container, Table, Button, Alert, Spinner } from 'react-bootstrap'
+import { useAuth } from '../context/auth.jsx'
+import OrderStatusBadge from '../components/OrderStatusBadge.jsx'
+
+export default function Orders() {
+  const { user, loading: authLoading } = useAuth()
+
+  // Pagination + données + états réseau
+  const [page, setPage] = useState({ skip: 0, take: 10 })
+  const [rows, setRows] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const canPrev = page.skip > 0
+  const canNext = page.skip + page.take < total
+
+  // Charge la page courante quand l’utilisateur est connu
+  useEffect(() => {
+    if (!user) return
+    let cancelled = false
+      ; (async () => {
+        setLoading(true)
+        setError(null)
+        try {
+          const qs = new URLSearchParams({ skip: page.skip, take: page.take })
+          const res = await fetch(`/api/me/orders?${qs.toString()}`, { credentials: 'include' })
+          const data = await res.json()
+          if (!res.ok) throw new Error(data?.error || 'Failed to load orders')
+          if (!cancelled) {
+            setRows(data.items || [])
+            setTotal(data.total || 0)
+          }
+        } catch (e) {
+          if (!cancelled) setError(e.message || 'Network error')
+        } finally {
+          if (!cancelled) setLoading(false)
+        }
+      })()
+    return () => { cancelled = true }
+  }, [user, page.skip, page.take])
+
+  // Garde : session en cours de vérification / non connecté
+  if (authLoading) return null
+  if (!user) return <Navigate to="/login" replace />
+
+  return (
+    <Container className="py-4">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h2 className="mb-0">My orders</h2>
+        <Button as={Link} to="/profile" variant="outline-secondary" size="sm">Back to profile</Button>
+      </div>
+
+      {loading && (
+        <div className="d-flex align-items-center gap-2">
+          <Spinner size="sm" /> Loading…
+        </div>
+      )}
+      {error && !loading && <Alert variant="danger">{error}</Alert>}
+
+      {!loading && !error && (
+        rows.length === 0 ? (
+          <p>You have not placed any order yet. <Link to="/shop">Go shopping</Link>.</p>
+        ) : (
+          <>
+            <div className="rounded-20 shadow-soft p-3">
+              <Table responsive hover className="align-middle mb-0">
+                <thead>
+                  <tr>
+                    <th>Order</th>
+                    <th>Date</th>
+                    <th>Status</th>
+                    <th>Items</th>
+                    <th>Total</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(o => (
+                    <tr key={o.id}>
+                      <td>#{o.id}</td>
+                      <td>{new Date(o.createdAt).toLocaleDateString()}</td>
+                      <td><OrderStatusBadge status={o.status} /></td>
+                      <td>{o.items.reduce((s, i) => s + i.qty, 0)}</td>
+                      <td>${Number(o.total).toFixed(2)}</td>
+                      <td className="text-end">
+                        <Button as={Link} to={`/orders/${o.id}`} size="sm" variant="outline-primary">
+                          View
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+
+            {/* Pagination simple */}
+            <div className="d-flex justify-content-end gap-2 mt-3">
+              <Button size="sm" disabled={!canPrev} onClick={() => setPage(p => ({ ...p, skip: Math.max(0, p.skip - p.take) }))}>
+                ←
+              </Button>
+              <Button size="sm" disabled={!canNext} onClick={() => setPage(p => ({ ...p, skip: p.skip + p.take }))}>
+                →
+              </Button>
+            </div>
+          </>
+        )
+      )}
+    </Container>
+  )
+}
@@ -5,15 +5,36 @@
  *  - Chargement du produit par `slug` via l’API.
  *  - Gestion des états : loading / error / success.
  *  - Contrôle de la quantité (bornes 1..stock) et ajout au panier.
+ *  - Produit décliné : un sélecteur par option ; la variante choisie fixe
+ *    prix, disponibilité et ligne ajoutée au panier.
+ *  - Galerie d’images (vignettes + zoom) via ProductGallery.
+ *  - Produit épuisé (toutes variantes confondues) : abonnement « Notify me »
+ *    via BackInStockForm.
+ *  - Aperçu admin (?preview=1) : page d’un produit pas encore (ou plus) public,
+ *    avec un bandeau d’état ; l’ajout au panier n’y est possible que s’il est en ligne.
  */
 
 import { useEffect, useState, useMemo } from 'react'
-import { useParams, Link } from 'react-router-dom'
-import { Container, Row, Col, Button, Badge, Alert, Spinner } from 'react-bootstrap'
+import { useParams, useSearchParams, Link } from 'react-router-dom'
+import { Container, Row, Col, Button, Badge, Alert, Spinner, Form } from 'react-bootstrap'
 import { useCart } from '../context/cart.jsx'
+import { hasVariants, variantPrice, stockOf, findVariant } from '../utils/variants.js'
+import ProductGallery from '../components/ProductGallery.jsx'
+import BackInStockForm from '../components/BackInStockForm.jsx'
+
+// Bandeau de l’aperçu admin selon l’état de publication (voir server/src/lib/publishing.js)
+const PUBLICATION_NOTICES = {
+  DRAFT: 'Draft — not visible to customers.',
+  SCHEDULED: 'Scheduled — not visible to customers until',
+  ENDED: 'Publication ended — no longer visible to customers since',
+  ARCHIVED: 'Archived — not visible to customers.',
+  LIVE: 'Live — visible to customers.',
+}
 
 export default function Product() {
   const { slug } = useParams()            // Récupère le paramètre dynamique d’URL (/product/:slug)
+  const [searchParams] = useSearchParams()
+  const preview = searchParams.get('preview') === '1' // Aperçu admin (produit non public compris)
   const { add } = useCart()               // Action pour ajouter au panier (context global)
 
   // État local pour la ressource distante et l’UI
@@ -21,6 +42,8 @@ export default function Product() {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [qty, setQ] = useState(1)         // Quantité choisie par l’utilisateur
+  const [selection, setSelection] = useState({}) // Valeur choisie par option { Size: 'L', … }
+  const [addError, setAddError] = useState(null)
 
   // Effet : charge le produit quand `slug` change (navigations internes)
   useEffect(() => {
@@ -30,13 +53,18 @@ export default function Product() {
         setError(null)
         setProduct(null)
         try {
-          const res = await fetch('/api/products/' + slug)
+          const res = await fetch('/api/products/' + slug + (preview ? '?preview=1' : ''))
           if (!res.ok) {
             if (res.status === 404) throw new Error('Product not found')
             throw new Error('Failed to load product')
           }
           const data = await res.json()
-          if (!cancelled) setProduct(data)
+          if (!cancelled) {
+            setProduct(data)
+            // Présélection : première variante en stock (sinon la première)
+            const first = data.variants?.find(v => v.stock > 0) ?? data.variants?.[0]
+            setSelection(first ? { ...first.options } : {})
+          }
         } catch (e) {
           if (!cancelled) setError(e.message || 'Network error')
         } finally {
@@ -44,11 +72,20 @@ export default function Product() {
         }
       })()
     return () => { cancelled = true }
-  }, [slug])
-
-  // Dérivés : on évite de recalculer si `product` n’a pas changé
-  const inStock = useMemo(() => (product ? product.stock > 0 : false), [product])
-  const maxQty = useMemo(() => (product ? Math.max(0, product.stock) : 0), [product])
+  }, [slug, preview])
+
+  // Dérivés : variante choisie (produit décliné), puis stock disponible pour cette ligne
+  const variant = useMemo(() => findVariant(product, selection), [product, selection])
+  const needsVariant = hasVariants(product) && !variant
+  const stock = useMemo(() => {
+    if (!product || needsVariant) return 0
+    return stockOf(product, variant)
+  }, [product, variant, needsVariant])
+  // Aperçu d’un produit hors ligne : consultable, pas commandable
+  const offline = !!product?.publication && product.publication !== 'LIVE'
+  const inStock = stock > 0
+  const soldOut = !!product && stockOf(product) <= 0
+  const maxQty = Math.max(0, stock)
 
   // Valide et applique la quantité saisie (toujours 1..stock)
   const onChangeQty = (v) => {
@@ -56,9 +93,15 @@ export default function Product() {
     setQ(n)
   }
 
-  // Ajoute au panier en utilisant l’objet produit entier (utilisé côté CartContext)
-  const onAdd = () => {
-    if (product) add(product, qty)
+  // Ajoute au panier en utilisant l’objet produit entier (+ variante choisie)
+  const onAdd = async () => {
+    if (!product || needsVariant) return
+    setAddError(null)
+    try {
+      await add(product, qty, variant)
+    } catch (e) {
+      setAddError(e.message)
+    }
   }
 
   return (
@@ -80,17 +123,21 @@ export default function Product() {
         </Alert>
       )}
 
+      {/* Aperçu admin : état de publication */}
+      {!loading && !error && product?.publication && (
+        <Alert variant={offline ? 'warning' : 'info'} className="mb-3">
+          <strong>Preview.</strong> {PUBLICATION_NOTICES[product.publication]}
+          {product.publication === 'SCHEDULED' && ` ${new Date(product.publishAt).toLocaleString()}.`}
+          {product.publication === 'ENDED' && ` ${new Date(product.unpublishAt).toLocaleString()}.`}
+        </Alert>
+      )}
+
       {/* État : succès */}
       {!loading && !error && product && (
         <Row className="g-4">
-          {/* Visuel produit — image responsive, coins arrondis + ombre douce */}
+          {/* Visuels produit — galerie (repli sur l’image principale) */}
           <Col md={6}>
-            <img
-              src={product.img}
-              alt={product.name}
-              className="img-fluid rounded-20 shadow-soft"
-              loading="eager"
-            />
+            <ProductGallery images={product.images} fallback={product.img} name={product.name} />
           </Col>
 
           {/* Détails + actions */}
@@ -98,14 +145,28 @@ export default function Product() {
             <div className="d-flex justify-content-between align-items-start">
               <h3 className="mb-1">{product.name}</h3>
               <Badge bg={inStock ? 'success' : 'danger'}>
-                {inStock ? `${product.stock} left` : 'Out of stock'}
+                {needsVariant ? 'Unavailable' : inStock ? `${stock} left` : 'Out of stock'}
               </Badge>
             </div>
 
-            <p className="text-muted mb-2">{product.category}</p>
+            <p className="text-muted mb-2">{product.category?.name}</p>
             <p>{product.description}</p>
 
-            <h4 className="mb-3">${Number(product.price).toFixed(2)}</h4>
+            <h4 className="mb-3">${variantPrice(product, variant).toFixed(2)}</h4>
+
+            {/* Sélecteurs d’options (produit décliné) */}
+            {product.options?.map(o => (
+              <Form.Group key={o.id} className="mb-3" style={{ maxWidth: 260 }}>
+                <Form.Label className="small mb-1">{o.name}</Form.Label>
+                <Form.Select
+                  value={selection[o.name] ?? ''}
+                  onChange={(e) => setSelection({ ...selection, [o.name]: e.target.value })}
+                >
+                  {o.values.map(v => <option key={v} value={v}>{v}</option>)}
+                </Form.Select>
+              </Form.Group>
+            ))}
+            {variant && <p className="text-muted small">SKU {variant.sku}</p>}
 
             {/* Contrôle quantité + actions (UX : input large sur mobile) */}
             <div className="d-flex align-items-center gap-2 flex-wrap">
@@ -114,14 +175,14 @@ export default function Product() {
                 min="1"
                 max={maxQty || 1}
                 value={qty}
-                disabled={!inStock}
+                disabled={!inStock || offline}
                 onChange={(e) => onChangeQty(e.target.value)}
                 className="form-control"
                 style={{ width: 120 }}
                 aria-label="Quantity"
               />
 
-              <Button variant="success" disabled={!inStock} onClick={onAdd}>
+              <Button variant="success" disabled={!inStock || offline} onClick={onAdd}>
                 Add to cart
               </Button>
 
@@ -130,11 +191,19 @@ export default function Product() {
               </Button>
             </div>
 
+            {addError && <Alert variant="danger" className="mt-3 py-2">{addError}</Alert>}
+
             {!inStock && (
               <p className="text-muted small mt-2">
-                This product is currently unavailable.
+                {needsVariant
+                  ? 'This combination is not available.'
+                  : variant
+                    ? 'This option is currently unavailable.'
+                    : 'This product is currently unavailable.'}
               </p>
             )}
+
+            {soldOut && !offline && <BackInStockForm slug={product.slug} />}
           </Col>
         </Row>
       )}
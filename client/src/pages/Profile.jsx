@@ -4,6 +4,7 @@
  * - Pré-remplit le formulaire avec les infos de l’utilisateur (name/email).
  * - Exige le *mot de passe actuel* pour confirmer toute modification (sécurité).
  * - Permet de changer le mot de passe (champ facultatif).
+ * - Donne accès à l’historique des commandes (« My orders ») et au carnet d’adresses.
  * - Fournit un bouton de logout.
  *
  * Flux :
@@ -14,7 +15,7 @@
 
 import { Container, Form, Button, Alert } from 'react-bootstrap'
 import { useState, useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, Link } from 'react-router-dom'
 import { useAuth } from '../context/auth.jsx'
 
 export default function Profile() {
@@ -161,6 +162,14 @@ export default function Profile() {
 
             <hr />
 
+            <Button as={Link} to="/orders" variant="outline-success" className="w-100">
+                My orders
+            </Button>
+
+            <Button as={Link} to="/addresses" variant="outline-success" className="w-100 mt-2">
+                My addresses
+            </Button>
+
             <Button variant="danger" className="w-100 mt-2" onClick={handleLogout}>
                 Log out
             </Button>
@@ -1,40 +1,112 @@
 /**
  * client/src/pages/Shop.jsx
- * Liste des produits avec recherche côté client.
- * - Charge les produits via l'API.
- * - Gère loading / error.
- * - Filtre localement selon la requête utilisateur.
+ * Catalogue : recherche, filtres et tri côté serveur (GET /api/products).
+ * - Recherche classée par pertinence (tri « Best match » par défaut quand un texte est saisi),
+ *   suggestions pendant la frappe (components/SearchSuggest.jsx).
+ * - Tout l’état de la recherche vit dans l’URL (?search=&category=&minPrice=&maxPrice=&inStock=1&sort=) :
+ *   lien partageable, boutons précédent / suivant du navigateur.
+ * - Pagination par curseur : « Load more » ajoute la page suivante (nextCursor).
+ * - Facettes renvoyées par le serveur : nombre de produits par catégorie, en stock,
+ *   et fourchette de prix pour les filtres courants.
+ * - Navigation par catégorie (arbre de /api/categories), sous-catégories comprises.
+ * - Produit décliné (variantes) : prix « from », choix des options sur la page produit.
  * Remarque UX: en mobile, le champ de recherche prend toute la largeur.
  */
 
-import { useEffect, useState, useMemo } from 'react'
+import { useEffect, useState } from 'react'
 import { Container, Row, Col, Card, Button, Form, Alert, Spinner } from 'react-bootstrap'
-import { Link } from 'react-router-dom'
+import { Link, useSearchParams } from 'react-router-dom'
 import { useCart } from '../context/cart.jsx'
+import { hasVariants, stockOf, minPrice } from '../utils/variants.js'
+import { rendition } from '../utils/images.js'
+import CategoryNav from '../components/CategoryNav.jsx'
+import SearchSuggest from '../components/SearchSuggest.jsx'
+
+// Tris proposés (valeurs de ?sort=, voir server/src/lib/search.js) ; relevance seulement avec une recherche
+const SORTS = {
+  relevance: 'Best match',
+  newest: 'Newest',
+  price_asc: 'Price: low to high',
+  price_desc: 'Price: high to low',
+  rating: 'Top rated',
+  popular: 'Most popular',
+}
+
+// Paramètres d’URL transmis tels quels à l’API
+const FILTER_KEYS = ['search', 'category', 'minPrice', 'maxPrice', 'inStock', 'sort']
 
 export default function Shop() {
-  // Données produits et états réseau
+  // État de la recherche = query string de l’URL
+  const [params, setParams] = useSearchParams()
+  const filters = Object.fromEntries(FILTER_KEYS.map(k => [k, params.get(k) ?? '']))
+  const apiQuery = new URLSearchParams(FILTER_KEYS.filter(k => filters[k]).map(k => [k, filters[k]])).toString()
+
+  // Résultats (pages cumulées) et états réseau
   const [products, setProducts] = useState([])
+  const [total, setTotal] = useState(0)
+  const [facets, setFacets] = useState(null)
+  const [nextCursor, setNextCursor] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
   const [error, setError] = useState(null)
 
-  // État du filtre texte (recherche simple par nom)
-  const [query, setQuery] = useState('')
+  // Champs saisis, appliqués à l’URL à la validation (pas à chaque frappe)
+  const [searchInput, setSearchInput] = useState(filters.search)
+  const [priceInput, setPriceInput] = useState({ min: filters.minPrice, max: filters.maxPrice })
+
+  // Arbre des catégories
+  const [categories, setCategories] = useState([])
 
   // Accès au panier via contexte
   const { add } = useCart()
 
-  // Effet: charger les produits au montage
+  // Modifie des paramètres d’URL (valeur vide → retirée)
+  function update(patch) {
+    const next = new URLSearchParams(params)
+    for (const [k, v] of Object.entries(patch)) {
+      if (v === '' || v == null || v === false) next.delete(k)
+      else next.set(k, String(v))
+    }
+    setParams(next)
+  }
+
+  // Effet: charger l’arbre des catégories au montage (navigation masquée en cas d’échec)
+  useEffect(() => {
+    fetch('/api/categories')
+      .then(res => (res.ok ? res.json() : []))
+      .then(data => setCategories(Array.isArray(data) ? data : []))
+      .catch(() => setCategories([]))
+  }, [])
+
+  // Effet: champs saisis resynchronisés quand l’URL change (navigation, lien)
+  useEffect(() => {
+    setSearchInput(filters.search)
+    setPriceInput({ min: filters.minPrice, max: filters.maxPrice })
+  }, [filters.search, filters.minPrice, filters.maxPrice])
+
+  // Récupère une page de résultats (cursor null = première page)
+  async function fetchPage(cursor) {
+    const qs = new URLSearchParams(apiQuery)
+    if (cursor) qs.set('cursor', cursor)
+    const res = await fetch(`/api/products?${qs}`)
+    const data = await res.json().catch(() => ({}))
+    if (!res.ok) throw new Error(data?.error || 'Failed to load products')
+    return data
+  }
+
+  // Effet: recharger la première page à chaque changement de filtres
   useEffect(() => {
     let cancelled = false
       ; (async () => {
         setLoading(true)
         setError(null)
         try {
-          const res = await fetch('/api/products')
-          if (!res.ok) throw new Error('Failed to load products')
-          const data = await res.json()
-          if (!cancelled) setProducts(data || [])
+          const data = await fetchPage(null)
+          if (cancelled) return
+          setProducts(data.items || [])
+          setTotal(data.total || 0)
+          setFacets(data.facets || null)
+          setNextCursor(data.nextCursor || null)
         } catch (e) {
           if (!cancelled) {
             setError(e.message || 'Network error')
@@ -44,123 +116,229 @@ export default function Shop() {
           if (!cancelled) setLoading(false)
         }
       })()
-    // Nettoyage si démontage pendant le fetch
+    // Nettoyage si démontage (ou nouveaux filtres) pendant le fetch
     return () => { cancelled = true }
-  }, [])
+  }, [apiQuery]) // eslint-disable-line react-hooks/exhaustive-deps
 
-  // Mémo: produits filtrés par `query` (évite de recalculer à chaque rendu)
-  const filtered = useMemo(
-    () => products.filter(p => p.name.toLowerCase().includes(query.toLowerCase())),
-    [products, query]
-  )
+  // Page suivante ajoutée à la liste
+  async function loadMore() {
+    setLoadingMore(true)
+    try {
+      const data = await fetchPage(nextCursor)
+      setProducts(list => [...list, ...(data.items || [])])
+      setNextCursor(data.nextCursor || null)
+    } catch (e) {
+      setError(e.message || 'Network error')
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  const hasFilters = FILTER_KEYS.some(k => k !== 'sort' && filters[k])
+
+  // Tri par défaut côté serveur : pertinence si recherche, sinon nouveautés
+  const defaultSort = filters.search ? 'relevance' : 'newest'
+  const sortOptions = Object.entries(SORTS).filter(([v]) => v !== 'relevance' || filters.search)
 
   return (
     <Container className="py-4">
       {/* Barre titre + recherche ; en mobile, le champ s’étire sur toute la largeur */}
       <div className="d-flex flex-column flex-md-row justify-content-between align-items-md-center gap-2 mb-3">
         <h2 className="mb-0">Shop</h2>
-        <Form className="w-100" style={{ maxWidth: 320 }}>
-          <Form.Control
-            size="sm"
-            type="search"
-            placeholder="Search products..."
-            value={query}
-            onChange={e => setQuery(e.target.value)}
+        <div className="d-flex flex-column flex-sm-row gap-2 w-100" style={{ maxWidth: 520 }}>
+          <SearchSuggest
+            value={searchInput}
+            onChange={setSearchInput}
+            onSearch={text => update({ search: text })}
+            onCategory={slug => update({ category: slug, search: '' })}
           />
-        </Form>
+          <Form.Select
+            size="sm"
+            style={{ maxWidth: 200 }}
+            value={sortOptions.some(([v]) => v === filters.sort) ? filters.sort : defaultSort}
+            onChange={e => update({ sort: e.target.value === defaultSort ? '' : e.target.value })}
+          >
+            {sortOptions.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+          </Form.Select>
+        </div>
       </div>
 
-      {/* États réseau */}
-      {loading && (
-        <div className="d-flex align-items-center gap-2">
-          <Spinner size="sm" /> Loading…
-        </div>
-      )}
-      {error && !loading && (
-        <Alert variant="danger" className="my-3">
-          {error}
-        </Alert>
-      )}
-
-      {/* Contenu principal */}
-      {!loading && !error && (
-        <>
-          {filtered.length === 0 ? (
-            <Alert variant="secondary">No products found.</Alert>
-          ) : (
-            <Row xs={1} md={3} className="g-4">
-              {filtered.map(p => (
-                <Col key={p.id}>
-                  <Card className="product-card h-100">
-                    {/* Image produit */}
-                    <Card.Img variant="top" src={p.img} alt={p.name} />
-
-                    <Card.Body className="d-flex flex-column">
-                      {/* En-tête : titre + badge stock */}
-                      <div className="d-flex justify-content-between align-items-start mb-1">
-                        <Card.Title className="mb-0">{p.name}</Card.Title>
-                        <span
-                          className={`badge ${p.stock > 0 ? 'bg-success' : 'bg-danger'}`}
-                          style={{ fontSize: '0.75rem' }}
-                        >
-                          {p.stock > 0 ? `${p.stock} left` : 'Out of stock'}
-                        </span>
-                      </div>
-
-                      <Card.Text className="text-muted small mb-2">{p.category}</Card.Text>
-
-                      {/* Pied de carte : prix + actions */}
-                      <div className="d-flex justify-content-between align-items-center mt-auto">
-                        <span className="price">
-                          ${Number(p.price).toFixed(2)}
-                        </span>
-
-                        <div className="d-flex align-items-center gap-2">
-                          {/* Champ quantité : bloqué si rupture de stock */}
-                          <input
-                            type="number"
-                            min="1"
-                            max={p.stock}
-                            defaultValue={1}
-                            disabled={p.stock === 0}
-                            onClick={e => e.stopPropagation()} // évite de cliquer la carte par accident
-                            className="form-control form-control-sm"
-                            style={{ width: 72 }}
-                          />
-
-                          {/* Ajout au panier : lit la valeur de l’input précédent */}
-                          <Button
-                            size="sm"
-                            variant="success"
-                            disabled={p.stock === 0}
-                            onClick={(e) => {
-                              e.stopPropagation()
-                              const q = Number(e.currentTarget.previousSibling.value || 1)
-                              add(p, q)
-                            }}
-                          >
-                            Add
-                          </Button>
-
-                          {/* Lien vers la page produit */}
-                          <Button
-                            size="sm"
-                            variant="outline-secondary"
-                            as={Link}
-                            to={`/product/${p.slug}`}
-                          >
-                            View
-                          </Button>
-                        </div>
-                      </div>
-                    </Card.Body>
-                  </Card>
-                </Col>
-              ))}
-            </Row>
+      <Row className="g-4">
+        <Col md={3} lg={2}>
+          {categories.length > 0 && (
+            <CategoryNav
+              tree={categories}
+              counts={facets?.categories}
+              selected={filters.category}
+              onSelect={slug => update({ category: slug })}
+            />
+          )}
+
+          {/* Prix « à partir de » ; la fourchette disponible sert d’indication */}
+          <Form
+            className="mt-3 small"
+            onSubmit={e => { e.preventDefault(); update({ minPrice: priceInput.min, maxPrice: priceInput.max }) }}
+          >
+            <Form.Label className="fw-semibold mb-1">Price</Form.Label>
+            <div className="d-flex gap-1 mb-2">
+              <Form.Control
+                size="sm"
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder={facets?.price.min != null ? `${Math.floor(facets.price.min)}` : 'Min'}
+                value={priceInput.min}
+                onChange={e => setPriceInput(p => ({ ...p, min: e.target.value }))}
+              />
+              <Form.Control
+                size="sm"
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder={facets?.price.max != null ? `${Math.ceil(facets.price.max)}` : 'Max'}
+                value={priceInput.max}
+                onChange={e => setPriceInput(p => ({ ...p, max: e.target.value }))}
+              />
+            </div>
+            <Button type="submit" size="sm" variant="outline-secondary" className="w-100">Apply</Button>
+          </Form>
+
+          <Form.Check
+            type="switch"
+            id="shop-in-stock"
+            className="mt-3 small"
+            label={`In stock only${facets ? ` (${facets.inStock})` : ''}`}
+            checked={filters.inStock === '1'}
+            onChange={e => update({ inStock: e.target.checked ? '1' : '' })}
+          />
+
+          {hasFilters && (
+            <Button
+              size="sm"
+              variant="link"
+              className="px-0 mt-2"
+              onClick={() => setParams(filters.sort ? { sort: filters.sort } : {})}
+            >
+              Clear filters
+            </Button>
+          )}
+        </Col>
+        <Col>
+          {/* États réseau */}
+          {loading && (
+            <div className="d-flex align-items-center gap-2">
+              <Spinner size="sm" /> Loading…
+            </div>
+          )}
+          {error && !loading && (
+            <Alert variant="danger" className="my-3">
+              {error}
+            </Alert>
+          )}
+
+          {/* Contenu principal */}
+          {!loading && !error && (
+            <>
+              <div className="text-muted small mb-2">{total} product{total === 1 ? '' : 's'}</div>
+              {products.length === 0 ? (
+                <Alert variant="secondary">No products found.</Alert>
+              ) : (
+                <Row xs={1} md={3} className="g-4">
+                  {products.map(p => {
+                    const stock = stockOf(p)
+                    return (
+                      <Col key={p.id}>
+                        <Card className="product-card h-100">
+                          {/* Image produit */}
+                          <Card.Img variant="top" src={rendition(p.img, 'medium')} alt={p.name} />
+
+                          <Card.Body className="d-flex flex-column">
+                            {/* En-tête : titre + badge stock */}
+                            <div className="d-flex justify-content-between align-items-start mb-1">
+                              <Card.Title className="mb-0">{p.name}</Card.Title>
+                              <span
+                                className={`badge ${stock > 0 ? 'bg-success' : 'bg-danger'}`}
+                                style={{ fontSize: '0.75rem' }}
+                              >
+                                {stock > 0 ? `${stock} left` : 'Out of stock'}
+                              </span>
+                            </div>
+
+                            <Card.Text className="text-muted small mb-2">
+                              {p.category?.name}
+                              {p.rating != null && <span className="ms-2">★ {p.rating} ({p.reviewCount})</span>}
+                            </Card.Text>
+
+                            {/* Pied de carte : prix + actions */}
+                            <div className="d-flex justify-content-between align-items-center mt-auto">
+                              <span className="price">
+                                {hasVariants(p) && 'from '}${minPrice(p).toFixed(2)}
+                              </span>
+
+                              {hasVariants(p) ? (
+                                <Button size="sm" variant="outline-success" as={Link} to={`/product/${p.slug}`}>
+                                  Choose options
+                                </Button>
+                              ) : (
+                                <div className="d-flex align-items-center gap-2">
+                                  {/* Champ quantité : bloqué si rupture de stock */}
+                                  <input
+                                    type="number"
+                                    min="1"
+                                    max={p.stock}
+                                    defaultValue={1}
+                                    disabled={p.stock === 0}
+                                    onClick={e => e.stopPropagation()} // évite de cliquer la carte par accident
+                                    className="form-control form-control-sm"
+                                    style={{ width: 72 }}
+                                  />
+
+                                  {/* Ajout au panier : lit la valeur de l’input précédent */}
+                                  <Button
+                                    size="sm"
+                                    variant="success"
+                                    disabled={p.stock === 0}
+                                    onClick={(e) => {
+                                      e.stopPropagation()
+                                      const q = Number(e.currentTarget.previousSibling.value || 1)
+                                      add(p, q)
+                                    }}
+                                  >
+                                    Add
+                                  </Button>
+
+                                  {/* Lien vers la page produit */}
+                                  <Button
+                                    size="sm"
+                                    variant="outline-secondary"
+                                    as={Link}
+                                    to={`/product/${p.slug}`}
+                                  >
+                                    View
+                                  </Button>
+                                </div>
+                              )}
+                            </div>
+                          </Card.Body>
+                        </Card>
+                      </Col>
+                    )
+                  })}
+                </Row>
+              )}
+
+              {/* Page suivante (curseur) */}
+              {nextCursor && (
+                <div className="text-center mt-4">
+                  <Button variant="outline-secondary" onClick={loadMore} disabled={loadingMore}>
+                    {loadingMore ? <><Spinner size="sm" /> Loading…</> : 'Load more'}
+                  </Button>
+                </div>
+              )}
+            </>
           )}
-        </>
-      )}
+        </Col>
+      </Row>
     </Container>
   )
 }
@@ -61,6 +61,14 @@ export default function AdminLayout() {
       >
         📦 Products
       </Nav.Link>
+      <Nav.Link
+        as={NavLink}
+        to="/admin/categories"
+        onClick={closeMenu}
+        className={({ isActive }) => isActive ? 'active fw-semibold' : undefined}
+      >
+        🗂️ Categories
+      </Nav.Link>
       <Nav.Link
         as={NavLink}
         to="/admin/users"
@@ -77,6 +85,22 @@ export default function AdminLayout() {
       >
         💰 Sales
       </Nav.Link>
+      <Nav.Link
+        as={NavLink}
+        to="/admin/coupons"
+        onClick={closeMenu}
+        className={({ isActive }) => isActive ? 'active fw-semibold' : undefined}
+      >
+        🏷️ Coupons
+      </Nav.Link>
+      <Nav.Link
+        as={NavLink}
+        to="/admin/promotions"
+        onClick={closeMenu}
+        className={({ isActive }) => isActive ? 'active fw-semibold' : undefined}
+      >
+        🎁 Promotions
+      </Nav.Link>
     </Nav>
   )
 
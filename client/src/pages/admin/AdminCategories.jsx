@@ -0,0 +1,221 @@
+/**
+ * Fichier : client/src/pages/admin/AdminCategories.jsx
+ * Rôle : gestion des catégories dans l’admin (arbre + création/édition/suppression).
+ * - Charge la liste via GET /api/admin/categories, affichée dans l’ordre de l’arbre.
+ * - Crée/édite via POST/PATCH /api/admin/categories(/:id) ; le serveur valide (slug
+ *   unique, pas de cycle) et renvoie l’erreur.
+ * - Supprime via DELETE /api/admin/categories/:id (refusé si produits ou sous-catégories).
+ */
+
+import { useEffect, useMemo, useState } from 'react'
+import { Card, Table, Button, Modal, Form, Spinner, Alert, Row, Col } from 'react-bootstrap'
+import { treeOrder, optionLabel } from '../../utils/categories.js'
+
+const EMPTY_FORM = { name: '', slug: '', description: '', parentId: '', position: 0 }
+
+export default function AdminCategories() {
+    // État principal : liste, chargement, erreur
+    const [categories, setCategories] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+
+    // État du formulaire (modale) : création si `editing === null`
+    const [showModal, setShowModal] = useState(false)
+    const [editing, setEditing] = useState(null)
+    const [form, setForm] = useState(EMPTY_FORM)
+    const [formError, setFormError] = useState(null)
+
+    const ordered = useMemo(() => treeOrder(categories), [categories])
+
+    function openCreate(parentId = '') {
+        setEditing(null)
+        setForm({ ...EMPTY_FORM, parentId })
+        setFormError(null)
+        setShowModal(true)
+    }
+
+    function openEdit(c) {
+        setEditing(c)
+        setForm({
+            name: c.name,
+            slug: c.slug,
+            description: c.description,
+            parentId: c.parentId ?? '',
+            position: c.position,
+        })
+        setFormError(null)
+        setShowModal(true)
+    }
+
+    async function load() {
+        setLoading(true); setError(null)
+        try {
+            const res = await fetch('/api/admin/categories', { credentials: 'include' })
+            if (!res.ok) throw new Error('Loading error')
+            const data = await res.json()
+            setCategories(Array.isArray(data) ? data : [])
+        } catch (e) {
+            setError(e.message || 'Network error')
+            setCategories([])
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => { load() }, [])
+
+    // Création / Édition (slug vide à la création → déduit du nom par le serveur)
+    async function save(e) {
+        e.preventDefault()
+        setFormError(null)
+        try {
+            const method = editing ? 'PATCH' : 'POST'
+            const url = editing ? `/api/admin/categories/${editing.id}` : '/api/admin/categories'
+            const res = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({
+                    name: form.name,
+                    ...(form.slug || editing ? { slug: form.slug } : {}),
+                    description: form.description,
+                    parentId: form.parentId === '' ? null : Number(form.parentId),
+                    position: Number(form.position) || 0,
+                })
+            })
+            const data = await res.json().catch(() => ({}))
+            if (!res.ok) throw new Error(data?.error || 'Save failed')
+            setShowModal(false)
+            await load()
+        } catch (e) {
+            setFormError(e.message)
+        }
+    }
+
+    async function remove(c) {
+        if (!confirm(`Delete category ${c.name}?`)) return
+        const res = await fetch(`/api/admin/categories/${c.id}`, { method: 'DELETE', credentials: 'include' })
+        const data = await res.json().catch(() => ({}))
+        if (res.ok) load()
+        else alert(data?.error || 'Deletion failed')
+    }
+
+    // Parents possibles : toutes les catégories sauf celle éditée (le serveur refuse les cycles)
+    const parentOptions = ordered.filter(c => c.id !== editing?.id)
+
+    return (
+        <Card className="p-3 rounded-20 shadow-soft">
+            <div className="d-flex justify-content-between align-items-center mb-3">
+                <h5 className="mb-0">Categories</h5>
+                <Button onClick={() => openCreate()}>+ Add</Button>
+            </div>
+
+            {loading && (
+                <div className="d-flex align-items-center gap-2">
+                    <Spinner size="sm" /> Loading…
+                </div>
+            )}
+            {error && <Alert variant="danger">{error}</Alert>}
+
+            {!loading && !error && (
+                <Table hover responsive>
+                    <thead>
+                        <tr>
+                            <th>Name</th><th>Slug</th><th>Order</th><th>Products</th><th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {ordered.map(c => (
+                            <tr key={c.id}>
+                                <td style={{ paddingLeft: `${0.5 + c.depth * 1.5}rem` }}>
+                                    {c.depth > 0 && <span className="text-muted">└ </span>}
+                                    <b>{c.name}</b>
+                                    {c.description && <div className="small text-muted">{c.description}</div>}
+                                </td>
+                                <td><code>{c.slug}</code></td>
+                                <td>{c.position}</td>
+                                <td>{c._count.products}</td>
+                                <td className="text-end text-nowrap">
+                                    <Button size="sm" variant="outline-secondary" onClick={() => openCreate(c.id)}>+ Sub</Button>{' '}
+                                    <Button size="sm" variant="outline-primary" onClick={() => openEdit(c)}>Edit</Button>{' '}
+                                    <Button
+                                        size="sm"
+                                        variant="outline-danger"
+                                        disabled={c._count.products > 0 || c._count.children > 0}
+                                        onClick={() => remove(c)}
+                                    >
+                                        Delete
+                                    </Button>
+                                </td>
+                            </tr>
+                        ))}
+                        {ordered.length === 0 && (
+                            <tr><td colSpan={5} className="text-muted">No categories.</td></tr>
+                        )}
+                    </tbody>
+                </Table>
+            )}
+
+            <Modal show={showModal} onHide={() => setShowModal(false)}>
+                <Form onSubmit={save}>
+                    <Modal.Header closeButton>
+                        <Modal.Title>{editing ? `Edit ${editing.name}` : 'Add category'}</Modal.Title>
+                    </Modal.Header>
+                    <Modal.Body>
+                        {formError && <Alert variant="danger">{formError}</Alert>}
+                        <Row className="g-3">
+                            <Col md={6}>
+                                <Form.Label>Name</Form.Label>
+                                <Form.Control
+                                    value={form.name}
+                                    onChange={e => setForm({ ...form, name: e.target.value })}
+                                    required
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Slug</Form.Label>
+                                <Form.Control
+                                    value={form.slug}
+                                    onChange={e => setForm({ ...form, slug: e.target.value })}
+                                    placeholder={editing ? '' : 'From name'}
+                                    required={!!editing}
+                                />
+                            </Col>
+                            <Col md={8}>
+                                <Form.Label>Parent</Form.Label>
+                                <Form.Select
+                                    value={form.parentId}
+                                    onChange={e => setForm({ ...form, parentId: e.target.value })}
+                                >
+                                    <option value="">— None (top level) —</option>
+                                    {parentOptions.map(c => <option key={c.id} value={c.id}>{optionLabel(c)}</option>)}
+                                </Form.Select>
+                            </Col>
+                            <Col md={4}>
+                                <Form.Label>Order</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    value={form.position}
+                                    onChange={e => setForm({ ...form, position: e.target.value })}
+                                />
+                            </Col>
+                            <Col md={12}>
+                                <Form.Label>Description</Form.Label>
+                                <Form.Control
+                                    as="textarea"
+                                    rows={3}
+                                    value={form.description}
+                                    onChange={e => setForm({ ...form, description: e.target.value })}
+                                />
+                            </Col>
+                        </Row>
+                    </Modal.Body>
+                    <Modal.Footer>
+                        <Button variant="secondary" onClick={() => setShowModal(false)}>Cancel</Button>
+                        <Button type="submit">Save</Button>
+                    </Modal.Footer>
+                </Form>
+            </Modal>
+        </Card>
+    )
+}
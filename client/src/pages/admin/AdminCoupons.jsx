@@ -0,0 +1,315 @@
+/**
+ * Fichier : client/src/pages/admin/AdminCoupons.jsx
+ * Rôle : gestion des coupons dans l’admin (liste + création/édition/suppression).
+ * - Charge la liste via GET /api/admin/coupons.
+ * - Crée/édite via POST/PATCH /api/admin/coupons(/:id) ; le serveur valide et renvoie l’erreur.
+ * - Supprime via DELETE /api/admin/coupons/:id (les ventes gardent le code utilisé).
+ * - Restrictions : slugs de catégories et IDs produits séparés par des virgules (vide = tout le catalogue).
+ */
+
+import { useEffect, useState } from 'react'
+import { Card, Table, Button, Modal, Form, Spinner, Alert, Badge, Row, Col } from 'react-bootstrap'
+
+const TYPE_LABELS = {
+    PERCENTAGE: 'Percentage',
+    FIXED_AMOUNT: 'Fixed amount',
+    FREE_SHIPPING: 'Free shipping',
+}
+
+const EMPTY_FORM = {
+    code: '', description: '', type: 'PERCENTAGE', value: '', minSubtotal: '',
+    startsAt: '', endsAt: '', maxUses: '', maxUsesPerUser: '',
+    categories: '', productIds: '', active: true,
+}
+
+// Date ISO → valeur d’un champ datetime-local (heure locale)
+function toLocalInput(iso) {
+    if (!iso) return ''
+    const d = new Date(iso)
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+const splitList = (s) => s.split(',').map(x => x.trim()).filter(Boolean)
+
+// Résumé lisible de la remise
+function describe(c) {
+    if (c.type === 'PERCENTAGE') return `${Number(c.value)} %`
+    if (c.type === 'FIXED_AMOUNT') return `$${Number(c.value).toFixed(2)}`
+    return 'Free shipping'
+}
+
+export default function AdminCoupons() {
+    // État principal : liste, chargement, erreur
+    const [coupons, setCoupons] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+
+    // État du formulaire (modale) : création si `editing === null`
+    const [showModal, setShowModal] = useState(false)
+    const [editing, setEditing] = useState(null)
+    const [form, setForm] = useState(EMPTY_FORM)
+    const [formError, setFormError] = useState(null)
+
+    function openCreate() {
+        setEditing(null)
+        setForm(EMPTY_FORM)
+        setFormError(null)
+        setShowModal(true)
+    }
+
+    function openEdit(c) {
+        setEditing(c)
+        setForm({
+            code: c.code,
+            description: c.description ?? '',
+            type: c.type,
+            value: c.type === 'FREE_SHIPPING' ? '' : String(Number(c.value)),
+            minSubtotal: c.minSubtotal == null ? '' : String(Number(c.minSubtotal)),
+            startsAt: toLocalInput(c.startsAt),
+            endsAt: toLocalInput(c.endsAt),
+            maxUses: c.maxUses ?? '',
+            maxUsesPerUser: c.maxUsesPerUser ?? '',
+            categories: c.categories.join(', '),
+            productIds: c.productIds.join(', '),
+            active: c.active,
+        })
+        setFormError(null)
+        setShowModal(true)
+    }
+
+    async function load() {
+        setLoading(true); setError(null)
+        try {
+            const res = await fetch('/api/admin/coupons', { credentials: 'include' })
+            if (!res.ok) throw new Error('Loading error')
+            const data = await res.json()
+            setCoupons(Array.isArray(data) ? data : [])
+        } catch (e) {
+            setError(e.message || 'Network error')
+            setCoupons([])
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => { load() }, [])
+
+    // Création / Édition
+    async function save(e) {
+        e.preventDefault()
+        setFormError(null)
+        try {
+            const method = editing ? 'PATCH' : 'POST'
+            const url = editing ? `/api/admin/coupons/${editing.id}` : '/api/admin/coupons'
+            const res = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({
+                    code: form.code,
+                    description: form.description,
+                    type: form.type,
+                    value: form.type === 'FREE_SHIPPING' ? 0 : form.value,
+                    minSubtotal: form.minSubtotal,
+                    startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+                    endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null,
+                    maxUses: form.maxUses,
+                    maxUsesPerUser: form.maxUsesPerUser,
+                    categories: splitList(form.categories),
+                    productIds: splitList(form.productIds).map(Number),
+                    active: !!form.active
+                })
+            })
+            const data = await res.json().catch(() => ({}))
+            if (!res.ok) throw new Error(data?.error || 'Save failed')
+            setShowModal(false)
+            await load()
+        } catch (e) {
+            setFormError(e.message)
+        }
+    }
+
+    async function remove(c) {
+        if (!confirm(`Delete coupon ${c.code}?`)) return
+        const res = await fetch(`/api/admin/coupons/${c.id}`, { method: 'DELETE', credentials: 'include' })
+        if (res.ok) load()
+        else alert('Deletion failed')
+    }
+
+    return (
+        <Card className="p-3 rounded-20 shadow-soft">
+            <div className="d-flex justify-content-between align-items-center mb-3">
+                <h5 className="mb-0">Coupons</h5>
+                <Button onClick={openCreate}>+ Add</Button>
+            </div>
+
+            {loading && (
+                <div className="d-flex align-items-center gap-2">
+                    <Spinner size="sm" /> Loading…
+                </div>
+            )}
+            {error && <Alert variant="danger">{error}</Alert>}
+
+            {!loading && !error && (
+                <Table hover responsive>
+                    <thead>
+                        <tr>
+                            <th>Code</th><th>Discount</th><th>Validity</th><th>Uses</th><th>Active</th><th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {coupons.map(c => (
+                            <tr key={c.id}>
+                                <td>
+                                    <b>{c.code}</b>
+                                    {c.description && <div className="small text-muted">{c.description}</div>}
+                                </td>
+                                <td>
+                                    {describe(c)}
+                                    {c.minSubtotal != null && (
+                                        <div className="small text-muted">from ${Number(c.minSubtotal).toFixed(2)}</div>
+                                    )}
+                                </td>
+                                <td className="small">
+                                    {c.startsAt ? new Date(c.startsAt).toLocaleDateString() : '…'}
+                                    {' → '}
+                                    {c.endsAt ? new Date(c.endsAt).toLocaleDateString() : '…'}
+                                </td>
+                                <td>{c.usedCount}{c.maxUses != null && ` / ${c.maxUses}`}</td>
+                                <td>{c.active ? <Badge bg="success">Yes</Badge> : <Badge bg="secondary">No</Badge>}</td>
+                                <td className="text-end">
+                                    <Button size="sm" variant="outline-primary" onClick={() => openEdit(c)}>Edit</Button>{' '}
+                                    <Button size="sm" variant="outline-danger" onClick={() => remove(c)}>Delete</Button>
+                                </td>
+                            </tr>
+                        ))}
+                        {coupons.length === 0 && (
+                            <tr><td colSpan={6} className="text-muted">No coupons.</td></tr>
+                        )}
+                    </tbody>
+                </Table>
+            )}
+
+            <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+                <Form onSubmit={save}>
+                    <Modal.Header closeButton>
+                        <Modal.Title>{editing ? `Edit ${editing.code}` : 'Add coupon'}</Modal.Title>
+                    </Modal.Header>
+                    <Modal.Body>
+                        {formError && <Alert variant="danger">{formError}</Alert>}
+                        <Row className="g-3">
+                            <Col md={6}>
+                                <Form.Label>Code</Form.Label>
+                                <Form.Control
+                                    value={form.code}
+                                    onChange={e => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                                    required
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Type</Form.Label>
+                                <Form.Select value={form.type} onChange={e => setForm({ ...form, type: e.target.value })}>
+                                    {Object.entries(TYPE_LABELS).map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+                                </Form.Select>
+                            </Col>
+                            <Col md={12}>
+                                <Form.Label>Description</Form.Label>
+                                <Form.Control
+                                    value={form.description}
+                                    onChange={e => setForm({ ...form, description: e.target.value })}
+                                />
+                            </Col>
+                            {form.type !== 'FREE_SHIPPING' && (
+                                <Col md={6}>
+                                    <Form.Label>{form.type === 'PERCENTAGE' ? 'Percent off' : 'Amount off ($)'}</Form.Label>
+                                    <Form.Control
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        value={form.value}
+                                        onChange={e => setForm({ ...form, value: e.target.value })}
+                                        required
+                                    />
+                                </Col>
+                            )}
+                            <Col md={6}>
+                                <Form.Label>Minimum subtotal ($)</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    value={form.minSubtotal}
+                                    onChange={e => setForm({ ...form, minSubtotal: e.target.value })}
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Starts at</Form.Label>
+                                <Form.Control
+                                    type="datetime-local"
+                                    value={form.startsAt}
+                                    onChange={e => setForm({ ...form, startsAt: e.target.value })}
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Ends at</Form.Label>
+                                <Form.Control
+                                    type="datetime-local"
+                                    value={form.endsAt}
+                                    onChange={e => setForm({ ...form, endsAt: e.target.value })}
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Max uses (total)</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    min="1"
+                                    value={form.maxUses}
+                                    onChange={e => setForm({ ...form, maxUses: e.target.value })}
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Max uses per customer</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    min="1"
+                                    value={form.maxUsesPerUser}
+                                    onChange={e => setForm({ ...form, maxUsesPerUser: e.target.value })}
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Category slugs</Form.Label>
+                                <Form.Control
+                                    value={form.categories}
+                                    onChange={e => setForm({ ...form, categories: e.target.value })}
+                                    placeholder="books, kitchen"
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Product IDs</Form.Label>
+                                <Form.Control
+                                    value={form.productIds}
+                                    onChange={e => setForm({ ...form, productIds: e.target.value })}
+                                    placeholder="12, 34"
+                                />
+                            </Col>
+                            <Col md={12}>
+                                <Form.Text muted>Leave categories and products empty to apply to the whole catalog.</Form.Text>
+                                <Form.Check
+                                    type="switch"
+                                    id="coupon-active"
+                                    label="Active"
+                                    checked={!!form.active}
+                                    onChange={e => setForm({ ...form, active: e.target.checked })}
+                                />
+                            </Col>
+                        </Row>
+                    </Modal.Body>
+                    <Modal.Footer>
+                        <Button variant="secondary" onClick={() => setShowModal(false)}>Cancel</Button>
+                        <Button type="submit">Save</Button>
+                    </Modal.Footer>
+                </Form>
+            </Modal>
+        </Card>
+    )
+}
@@ -1,18 +1,61 @@
 /**
  * Fichier : client/src/pages/admin/AdminProducts.jsx
  * Rôle : gestion des produits (liste + recherche/pagination + création/édition/suppression).
- * - GET /api/admin/products?search=&category=&skip=&take= pour la liste.
+ * - GET /api/admin/products?search=&category=&lowStock=&archived=&skip=&take= pour la liste.
  * - POST /api/admin/products pour créer, PATCH /api/admin/products/:id pour éditer.
- * - DELETE /api/admin/products/:id pour supprimer.
+ * - DELETE /api/admin/products/:id pour supprimer (un produit vendu ou noté est
+ *   archivé à la place).
+ * - Archivage : POST /api/admin/products/:id/archive | unarchive ; les produits
+ *   archivés n’apparaissent qu’avec le filtre « Show archived ».
+ * - Publication : statut (brouillon par défaut pour un nouveau produit) et fenêtre
+ *   facultative publishAt / unpublishAt saisis dans le formulaire ; badge d’état
+ *   (`publication` renvoyé par la liste) et lien « Preview » vers la fiche
+ *   produit en aperçu admin (/product/:slug?preview=1).
  * - Modale avec formulaire contrôlé pour créer/éditer.
+ * - Variantes (options + SKU, prix et stock) éditées dans ProductVariantsModal.
+ * - Stock : chaque changement est journalisé côté serveur ; historique et mouvements
+ *   manuels (réception, retour, ajustement) dans InventoryModal. Modifier le stock
+ *   dans le formulaire demande un motif.
+ * - Seuil de réapprovisionnement par produit : badge « Low stock » dans la liste
+ *   (stock du produit ou d’une variante active au seuil ou en dessous) et filtre.
+ * - Galerie d’images (ordre, texte alternatif, image principale) dans le formulaire produit.
+ * - Export CSV / JSON (GET /api/admin/products/export) et import avec dry run
+ *   dans ProductImportModal.
+ * - Catégorie choisie dans l’arbre (GET /api/admin/categories) ; le filtre de la liste
+ *   inclut les sous-catégories.
  */
 
-import { useEffect, useState } from 'react'
-import { Card, Table, Button, Modal, Form, InputGroup, Spinner, Alert } from 'react-bootstrap'
+import { useEffect, useMemo, useState } from 'react'
+import { Card, Table, Button, Modal, Form, InputGroup, Spinner, Alert, Badge, Dropdown, DropdownButton } from 'react-bootstrap'
+import ProductVariantsModal from '../../components/ProductVariantsModal.jsx'
+import ProductImagesField from '../../components/ProductImagesField.jsx'
+import InventoryModal from '../../components/InventoryModal.jsx'
+import ProductImportModal from '../../components/ProductImportModal.jsx'
+import { treeOrder, optionLabel } from '../../utils/categories.js'
+
+const EMPTY_FORM = {
+    slug: '', name: '', price: 0, categoryId: '', images: [], description: '', stock: 0, stockReason: '', reorderThreshold: '',
+    status: 'DRAFT', publishAt: '', unpublishAt: ''
+}
+
+// Badge de l’état de publication (produits en ligne et archivés : pas de badge ici)
+const PUBLICATION_BADGES = {
+    DRAFT: ['Draft', 'light'],
+    SCHEDULED: ['Scheduled', 'info'],
+    ENDED: ['Ended', 'dark'],
+}
+
+// Date ISO ↔ valeur d’un champ datetime-local (heure locale, '' = pas de borne)
+const toLocalInput = (iso) => {
+    if (!iso) return ''
+    const d = new Date(iso)
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null)
 
 export default function AdminProducts() {
     // Query côté UI (recherche/filtre/pagination)
-    const [query, setQuery] = useState({ search: '', category: '', skip: 0, take: 20 })
+    const [query, setQuery] = useState({ search: '', category: '', lowStock: false, archived: false, skip: 0, take: 20 })
     // Données + états réseau
     const [rows, setRows] = useState([])
     const [total, setTotal] = useState(0)
@@ -22,15 +65,18 @@ export default function AdminProducts() {
     // État du formulaire (modale) : `editing === null` => création
     const [showModal, setShowModal] = useState(false)
     const [editing, setEditing] = useState(null)
-    const [form, setForm] = useState({
-        slug: '',
-        name: '',
-        price: 0,
-        category: '',
-        img: '',
-        description: '',
-        stock: 0
-    })
+    const [form, setForm] = useState(EMPTY_FORM)
+
+    // Produit dont on édite les variantes (null = modale fermée)
+    const [variantsOf, setVariantsOf] = useState(null)
+    // Produit dont on consulte le journal des stocks (null = modale fermée)
+    const [inventoryOf, setInventoryOf] = useState(null)
+    // Modale d’import du catalogue
+    const [showImport, setShowImport] = useState(false)
+
+    // Catégories (ordre de l’arbre) pour le filtre et le formulaire
+    const [categories, setCategories] = useState([])
+    const categoryOptions = useMemo(() => treeOrder(categories), [categories])
 
     const canPrev = query.skip > 0
     const canNext = query.skip + query.take < total
@@ -42,6 +88,8 @@ export default function AdminProducts() {
             const qs = new URLSearchParams()
             if (query.search) qs.set('search', query.search)
             if (query.category) qs.set('category', query.category)
+            if (query.lowStock) qs.set('lowStock', '1')
+            if (query.archived) qs.set('archived', '1')
             qs.set('skip', query.skip); qs.set('take', query.take)
 
             const res = await fetch(`/api/admin/products?${qs.toString()}`, { credentials: 'include' })
@@ -60,6 +108,13 @@ export default function AdminProducts() {
     // Monte + pagination (skip/take) → recharge
     useEffect(() => { load() }, [query.skip, query.take]) // eslint-disable-line react-hooks/exhaustive-deps
 
+    useEffect(() => {
+        fetch('/api/admin/categories', { credentials: 'include' })
+            .then(r => (r.ok ? r.json() : []))
+            .then(data => setCategories(Array.isArray(data) ? data : []))
+            .catch(() => setCategories([]))
+    }, [])
+
     // Soumission du filtre
     const onSubmitSearch = (e) => {
         e.preventDefault()
@@ -67,10 +122,17 @@ export default function AdminProducts() {
         load()
     }
 
+    // Infobulle du badge de publication (dates de la fenêtre)
+    function publicationTitle(p) {
+        if (p.publication === 'SCHEDULED') return `Goes live ${new Date(p.publishAt).toLocaleString()}`
+        if (p.publication === 'ENDED') return `Unpublished since ${new Date(p.unpublishAt).toLocaleString()}`
+        return 'Not visible in the shop'
+    }
+
     // Ouvre la modale en mode création
     function openCreate() {
         setEditing(null)
-        setForm({ slug: '', name: '', price: 0, category: '', img: '', description: '', stock: 0 })
+        setForm(EMPTY_FORM)
         setShowModal(true)
     }
 
@@ -81,14 +143,22 @@ export default function AdminProducts() {
             slug: p.slug,
             name: p.name,
             price: p.price,
-            category: p.category,
-            img: p.img,
+            categoryId: p.categoryId ?? '',
+            images: (p.images || []).map(i => ({ url: i.url, alt: i.alt, isPrimary: i.isPrimary })),
             description: p.description,
-            stock: p.stock
+            stock: p.stock,
+            stockReason: '',
+            reorderThreshold: p.reorderThreshold ?? '',
+            status: p.status,
+            publishAt: toLocalInput(p.publishAt),
+            unpublishAt: toLocalInput(p.unpublishAt)
         })
         setShowModal(true)
     }
 
+    // Édition : le stock saisi diffère du stock actuel → motif demandé (journal des stocks)
+    const stockChanged = editing && Number(form.stock) !== editing.stock
+
     // Création / Édition
     async function save(e) {
         e.preventDefault()
@@ -99,7 +169,12 @@ export default function AdminProducts() {
                 method,
                 headers: { 'Content-Type': 'application/json' },
                 credentials: 'include',
-                body: JSON.stringify(form)
+                body: JSON.stringify({
+                    ...form,
+                    stockReason: stockChanged ? form.stockReason : undefined,
+                    publishAt: fromLocalInput(form.publishAt),
+                    unpublishAt: fromLocalInput(form.unpublishAt)
+                })
             })
             const data = await res.json().catch(() => ({}))
             if (!res.ok) throw new Error(data?.error || 'Save failed')
@@ -112,11 +187,27 @@ export default function AdminProducts() {
 
     // Suppression
     async function remove(id) {
-        if (!confirm('Delete this product?')) return
+        if (!confirm('Delete this product? Products with orders or reviews are archived instead.')) return
         try {
             const res = await fetch(`/api/admin/products/${id}`, { method: 'DELETE', credentials: 'include' })
             const data = await res.json().catch(() => ({}))
             if (!res.ok) throw new Error(data?.error || 'Deletion failed')
+            if (data.archived) alert('This product has orders or reviews: it was archived instead of deleted.')
+            load()
+        } catch (e) {
+            alert(e.message)
+        }
+    }
+
+    // Archivage / remise en vente
+    async function setArchived(id, archived) {
+        try {
+            const res = await fetch(`/api/admin/products/${id}/${archived ? 'archive' : 'unarchive'}`, {
+                method: 'POST',
+                credentials: 'include'
+            })
+            const data = await res.json().catch(() => ({}))
+            if (!res.ok) throw new Error(data?.error || 'Update failed')
             load()
         } catch (e) {
             alert(e.message)
@@ -137,13 +228,36 @@ export default function AdminProducts() {
                                 onChange={e => setQuery(q => ({ ...q, search: e.target.value }))}
                             />
                         </InputGroup>
-                        <Form.Control
-                            placeholder="Category"
+                        <Form.Select
                             value={query.category}
                             onChange={e => setQuery(q => ({ ...q, category: e.target.value }))}
+                        >
+                            <option value="">All categories</option>
+                            {categoryOptions.map(c => <option key={c.id} value={c.slug}>{optionLabel(c)}</option>)}
+                        </Form.Select>
+                        <Form.Check
+                            type="switch"
+                            id="low-stock-filter"
+                            label="Low stock"
+                            className="text-nowrap align-self-center"
+                            checked={query.lowStock}
+                            onChange={e => setQuery(q => ({ ...q, lowStock: e.target.checked }))}
+                        />
+                        <Form.Check
+                            type="switch"
+                            id="archived-filter"
+                            label="Show archived"
+                            className="text-nowrap align-self-center"
+                            checked={query.archived}
+                            onChange={e => setQuery(q => ({ ...q, archived: e.target.checked }))}
                         />
                         <Button type="submit" variant="outline-secondary">Filter</Button>
                     </Form>
+                    <DropdownButton variant="outline-secondary" title="Export">
+                        <Dropdown.Item href="/api/admin/products/export?format=csv">CSV</Dropdown.Item>
+                        <Dropdown.Item href="/api/admin/products/export?format=json">JSON</Dropdown.Item>
+                    </DropdownButton>
+                    <Button variant="outline-secondary" onClick={() => setShowImport(true)}>Import</Button>
                     <Button onClick={openCreate}>+ Add</Button>
                 </div>
             </div>
@@ -167,15 +281,54 @@ export default function AdminProducts() {
                         </thead>
                         <tbody>
                             {rows.map(p => (
-                                <tr key={p.id}>
+                                <tr key={p.id} className={p.archivedAt ? 'text-muted' : undefined}>
                                     <td>{p.id}</td>
                                     <td>{p.slug}</td>
-                                    <td>{p.name}</td>
-                                    <td>{p.category}</td>
+                                    <td>
+                                        {p.name}
+                                        {p.archivedAt && <Badge bg="secondary" className="ms-2">Archived</Badge>}
+                                        {PUBLICATION_BADGES[p.publication] && (
+                                            <Badge
+                                                bg={PUBLICATION_BADGES[p.publication][1]}
+                                                text={p.publication === 'DRAFT' ? 'dark' : undefined}
+                                                className="ms-2"
+                                                title={publicationTitle(p)}
+                                            >
+                                                {PUBLICATION_BADGES[p.publication][0]}
+                                            </Badge>
+                                        )}
+                                    </td>
+                                    <td>{p.category?.name ?? '—'}</td>
                                     <td>{Number(p.price).toFixed(2)}</td>
-                                    <td>{p.stock}</td>
+                                    <td>
+                                        {p.variants?.length > 0
+                                            ? p.variants.filter(v => v.active).reduce((s, v) => s + v.stock, 0)
+                                            : p.stock}
+                                        {p.variants?.length > 0 && (
+                                            <Badge bg="info" className="ms-2">{p.variants.length} variants</Badge>
+                                        )}
+                                        {p.lowStock && (
+                                            <Badge bg="warning" text="dark" className="ms-2" title={`Reorder threshold: ${p.reorderThreshold}`}>
+                                                Low stock
+                                            </Badge>
+                                        )}
+                                    </td>
                                     <td className="text-end">
                                         <Button size="sm" variant="outline-primary" onClick={() => openEdit(p)}>Edit</Button>{' '}
+                                        <Button
+                                            size="sm"
+                                            variant="outline-secondary"
+                                            href={`/product/${encodeURIComponent(p.slug)}?preview=1`}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                        >
+                                            Preview
+                                        </Button>{' '}
+                                        <Button size="sm" variant="outline-secondary" onClick={() => setVariantsOf(p)}>Variants</Button>{' '}
+                                        <Button size="sm" variant="outline-secondary" onClick={() => setInventoryOf(p)}>Stock</Button>{' '}
+                                        {p.archivedAt
+                                            ? <Button size="sm" variant="outline-success" onClick={() => setArchived(p.id, false)}>Unarchive</Button>
+                                            : <Button size="sm" variant="outline-warning" onClick={() => setArchived(p.id, true)}>Archive</Button>}{' '}
                                         <Button size="sm" variant="outline-danger" onClick={() => remove(p.id)}>Delete</Button>
                                     </td>
                                 </tr>
@@ -244,10 +397,13 @@ export default function AdminProducts() {
                         </div>
                         <div className="col-md-4">
                             <Form.Label>Category</Form.Label>
-                            <Form.Control
-                                value={form.category}
-                                onChange={e => setForm(f => ({ ...f, category: e.target.value }))}
-                            />
+                            <Form.Select
+                                value={form.categoryId}
+                                onChange={e => setForm(f => ({ ...f, categoryId: e.target.value }))}
+                            >
+                                <option value="">— None —</option>
+                                {categoryOptions.map(c => <option key={c.id} value={c.id}>{optionLabel(c)}</option>)}
+                            </Form.Select>
                         </div>
                         <div className="col-md-4">
                             <Form.Label>Stock</Form.Label>
@@ -257,11 +413,60 @@ export default function AdminProducts() {
                                 onChange={e => setForm(f => ({ ...f, stock: Number(e.target.value) }))}
                             />
                         </div>
-                        <div className="col-12">
-                            <Form.Label>Image URL</Form.Label>
+                        <div className="col-md-4">
+                            <Form.Label>Reorder threshold</Form.Label>
                             <Form.Control
-                                value={form.img}
-                                onChange={e => setForm(f => ({ ...f, img: e.target.value }))}
+                                type="number"
+                                min="0"
+                                step="1"
+                                value={form.reorderThreshold}
+                                placeholder="No alert"
+                                onChange={e => setForm(f => ({ ...f, reorderThreshold: e.target.value }))}
+                            />
+                        </div>
+                        <div className="col-md-4">
+                            <Form.Label>Status</Form.Label>
+                            <Form.Select
+                                value={form.status}
+                                onChange={e => setForm(f => ({ ...f, status: e.target.value }))}
+                            >
+                                <option value="DRAFT">Draft</option>
+                                <option value="PUBLISHED">Published</option>
+                            </Form.Select>
+                        </div>
+                        <div className="col-md-4">
+                            <Form.Label>Publish at</Form.Label>
+                            <Form.Control
+                                type="datetime-local"
+                                value={form.publishAt}
+                                onChange={e => setForm(f => ({ ...f, publishAt: e.target.value }))}
+                            />
+                        </div>
+                        <div className="col-md-4">
+                            <Form.Label>Unpublish at</Form.Label>
+                            <Form.Control
+                                type="datetime-local"
+                                value={form.unpublishAt}
+                                min={form.publishAt || undefined}
+                                onChange={e => setForm(f => ({ ...f, unpublishAt: e.target.value }))}
+                            />
+                        </div>
+                        {stockChanged && (
+                            <div className="col-12">
+                                <Form.Label>Reason for the stock change</Form.Label>
+                                <Form.Control
+                                    value={form.stockReason}
+                                    placeholder="Inventory count, damaged goods…"
+                                    onChange={e => setForm(f => ({ ...f, stockReason: e.target.value }))}
+                                    required
+                                />
+                            </div>
+                        )}
+                        <div className="col-12">
+                            <Form.Label>Images</Form.Label>
+                            <ProductImagesField
+                                images={form.images}
+                                onChange={images => setForm(f => ({ ...f, images }))}
                             />
                         </div>
                         <div className="col-12">
@@ -280,6 +485,26 @@ export default function AdminProducts() {
                     </Modal.Footer>
                 </Form>
             </Modal>
+
+            <ProductVariantsModal
+                product={variantsOf}
+                show={!!variantsOf}
+                onHide={() => setVariantsOf(null)}
+                onSaved={() => load()}
+            />
+
+            <InventoryModal
+                product={inventoryOf}
+                show={!!inventoryOf}
+                onHide={() => setInventoryOf(null)}
+                onChanged={() => load()}
+            />
+
+            <ProductImportModal
+                show={showImport}
+                onHide={() => setShowImport(false)}
+                onImported={() => load()}
+            />
         </Card>
     )
 }
@@ -0,0 +1,353 @@
+/**
+ * Fichier : client/src/pages/admin/AdminPromotions.jsx
+ * Rôle : gestion des promotions automatiques dans l’admin (liste + création/édition/suppression).
+ * - Charge la liste via GET /api/admin/promotions (ordre d’application : priorité décroissante).
+ * - Crée/édite via POST/PATCH /api/admin/promotions(/:id) ; le serveur valide et renvoie l’erreur.
+ * - BUY_X_GET_Y : quantités achetée / offerte ; TIERED_PERCENTAGE : paliers seuil → %.
+ * - Restrictions : slugs de catégories et IDs produits séparés par des virgules (vide = tout le catalogue).
+ */
+
+import { useEffect, useState } from 'react'
+import { Card, Table, Button, Modal, Form, Spinner, Alert, Badge, Row, Col } from 'react-bootstrap'
+
+const TYPE_LABELS = {
+    BUY_X_GET_Y: 'Buy X get Y free',
+    TIERED_PERCENTAGE: 'Tiered percentage',
+}
+
+const EMPTY_FORM = {
+    name: '', description: '', type: 'BUY_X_GET_Y', buyQty: 2, getQty: 1,
+    tiers: [{ minSubtotal: '', percent: '' }],
+    categories: '', productIds: '', startsAt: '', endsAt: '', priority: 0, active: true,
+}
+
+// Date ISO → valeur d’un champ datetime-local (heure locale)
+function toLocalInput(iso) {
+    if (!iso) return ''
+    const d = new Date(iso)
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+const splitList = (s) => s.split(',').map(x => x.trim()).filter(Boolean)
+
+// Résumé lisible de la mécanique
+function describe(p) {
+    if (p.type === 'BUY_X_GET_Y') return `Buy ${p.buyQty}, get ${p.getQty} free`
+    return p.tiers.map(t => `${Number(t.percent)} % from $${Number(t.minSubtotal).toFixed(2)}`).join(' · ')
+}
+
+export default function AdminPromotions() {
+    // État principal : liste, chargement, erreur
+    const [promotions, setPromotions] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+
+    // État du formulaire (modale) : création si `editing === null`
+    const [showModal, setShowModal] = useState(false)
+    const [editing, setEditing] = useState(null)
+    const [form, setForm] = useState(EMPTY_FORM)
+    const [formError, setFormError] = useState(null)
+
+    function openCreate() {
+        setEditing(null)
+        setForm(EMPTY_FORM)
+        setFormError(null)
+        setShowModal(true)
+    }
+
+    function openEdit(p) {
+        setEditing(p)
+        setForm({
+            name: p.name,
+            description: p.description ?? '',
+            type: p.type,
+            buyQty: p.buyQty ?? '',
+            getQty: p.getQty ?? '',
+            tiers: p.tiers.length
+                ? p.tiers.map(t => ({ minSubtotal: String(Number(t.minSubtotal)), percent: String(Number(t.percent)) }))
+                : [{ minSubtotal: '', percent: '' }],
+            categories: p.categories.join(', '),
+            productIds: p.productIds.join(', '),
+            startsAt: toLocalInput(p.startsAt),
+            endsAt: toLocalInput(p.endsAt),
+            priority: p.priority,
+            active: p.active,
+        })
+        setFormError(null)
+        setShowModal(true)
+    }
+
+    async function load() {
+        setLoading(true); setError(null)
+        try {
+            const res = await fetch('/api/admin/promotions', { credentials: 'include' })
+            if (!res.ok) throw new Error('Loading error')
+            const data = await res.json()
+            setPromotions(Array.isArray(data) ? data : [])
+        } catch (e) {
+            setError(e.message || 'Network error')
+            setPromotions([])
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => { load() }, [])
+
+    // Paliers : édition d’une ligne, ajout, suppression
+    const setTier = (i, field, value) =>
+        setForm(f => ({ ...f, tiers: f.tiers.map((t, j) => (j === i ? { ...t, [field]: value } : t)) }))
+    const addTier = () => setForm(f => ({ ...f, tiers: [...f.tiers, { minSubtotal: '', percent: '' }] }))
+    const removeTier = (i) => setForm(f => ({ ...f, tiers: f.tiers.filter((_, j) => j !== i) }))
+
+    // Création / Édition
+    async function save(e) {
+        e.preventDefault()
+        setFormError(null)
+        const buyXGetY = form.type === 'BUY_X_GET_Y'
+        try {
+            const method = editing ? 'PATCH' : 'POST'
+            const url = editing ? `/api/admin/promotions/${editing.id}` : '/api/admin/promotions'
+            const res = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({
+                    name: form.name,
+                    description: form.description,
+                    type: form.type,
+                    buyQty: buyXGetY ? form.buyQty : null,
+                    getQty: buyXGetY ? form.getQty : null,
+                    tiers: buyXGetY ? [] : form.tiers,
+                    categories: splitList(form.categories),
+                    productIds: splitList(form.productIds).map(Number),
+                    startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+                    endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null,
+                    priority: Number(form.priority) || 0,
+                    active: !!form.active
+                })
+            })
+            const data = await res.json().catch(() => ({}))
+            if (!res.ok) throw new Error(data?.error || 'Save failed')
+            setShowModal(false)
+            await load()
+        } catch (e) {
+            setFormError(e.message)
+        }
+    }
+
+    async function remove(p) {
+        if (!confirm(`Delete promotion "${p.name}"?`)) return
+        const res = await fetch(`/api/admin/promotions/${p.id}`, { method: 'DELETE', credentials: 'include' })
+        if (res.ok) load()
+        else alert('Deletion failed')
+    }
+
+    return (
+        <Card className="p-3 rounded-20 shadow-soft">
+            <div className="d-flex justify-content-between align-items-center mb-3">
+                <h5 className="mb-0">Promotions</h5>
+                <Button onClick={openCreate}>+ Add</Button>
+            </div>
+            <p className="small text-muted">
+                Applied automatically to every cart, highest priority first; promo codes come on top.
+            </p>
+
+            {loading && (
+                <div className="d-flex align-items-center gap-2">
+                    <Spinner size="sm" /> Loading…
+                </div>
+            )}
+            {error && <Alert variant="danger">{error}</Alert>}
+
+            {!loading && !error && (
+                <Table hover responsive>
+                    <thead>
+                        <tr>
+                            <th>Name</th><th>Rule</th><th>Applies to</th><th>Validity</th><th>Priority</th><th>Active</th><th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {promotions.map(p => (
+                            <tr key={p.id}>
+                                <td>
+                                    <b>{p.name}</b>
+                                    {p.description && <div className="small text-muted">{p.description}</div>}
+                                </td>
+                                <td>{describe(p)}</td>
+                                <td className="small">
+                                    {p.categories.length === 0 && p.productIds.length === 0
+                                        ? 'Whole catalog'
+                                        : [...p.categories, ...p.productIds.map(id => `#${id}`)].join(', ')}
+                                </td>
+                                <td className="small">
+                                    {p.startsAt ? new Date(p.startsAt).toLocaleDateString() : '…'}
+                                    {' → '}
+                                    {p.endsAt ? new Date(p.endsAt).toLocaleDateString() : '…'}
+                                </td>
+                                <td>{p.priority}</td>
+                                <td>{p.active ? <Badge bg="success">Yes</Badge> : <Badge bg="secondary">No</Badge>}</td>
+                                <td className="text-end">
+                                    <Button size="sm" variant="outline-primary" onClick={() => openEdit(p)}>Edit</Button>{' '}
+                                    <Button size="sm" variant="outline-danger" onClick={() => remove(p)}>Delete</Button>
+                                </td>
+                            </tr>
+                        ))}
+                        {promotions.length === 0 && (
+                            <tr><td colSpan={7} className="text-muted">No promotions.</td></tr>
+                        )}
+                    </tbody>
+                </Table>
+            )}
+
+            <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+                <Form onSubmit={save}>
+                    <Modal.Header closeButton>
+                        <Modal.Title>{editing ? `Edit ${editing.name}` : 'Add promotion'}</Modal.Title>
+                    </Modal.Header>
+                    <Modal.Body>
+                        {formError && <Alert variant="danger">{formError}</Alert>}
+                        <Row className="g-3">
+                            <Col md={6}>
+                                <Form.Label>Name</Form.Label>
+                                <Form.Control
+                                    value={form.name}
+                                    onChange={e => setForm({ ...form, name: e.target.value })}
+                                    placeholder="3 Kitchen items for the price of 2"
+                                    required
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Type</Form.Label>
+                                <Form.Select value={form.type} onChange={e => setForm({ ...form, type: e.target.value })}>
+                                    {Object.entries(TYPE_LABELS).map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+                                </Form.Select>
+                            </Col>
+                            <Col md={12}>
+                                <Form.Label>Description</Form.Label>
+                                <Form.Control
+                                    value={form.description}
+                                    onChange={e => setForm({ ...form, description: e.target.value })}
+                                />
+                            </Col>
+
+                            {form.type === 'BUY_X_GET_Y' ? (
+                                <>
+                                    <Col md={6}>
+                                        <Form.Label>Buy (items)</Form.Label>
+                                        <Form.Control
+                                            type="number"
+                                            min="1"
+                                            value={form.buyQty}
+                                            onChange={e => setForm({ ...form, buyQty: e.target.value })}
+                                            required
+                                        />
+                                    </Col>
+                                    <Col md={6}>
+                                        <Form.Label>Get free (cheapest items)</Form.Label>
+                                        <Form.Control
+                                            type="number"
+                                            min="1"
+                                            value={form.getQty}
+                                            onChange={e => setForm({ ...form, getQty: e.target.value })}
+                                            required
+                                        />
+                                    </Col>
+                                </>
+                            ) : (
+                                <Col md={12}>
+                                    <Form.Label>Tiers (eligible subtotal → % off)</Form.Label>
+                                    {form.tiers.map((t, i) => (
+                                        <div key={i} className="d-flex gap-2 mb-2">
+                                            <Form.Control
+                                                type="number"
+                                                step="0.01"
+                                                min="0"
+                                                placeholder="From ($)"
+                                                value={t.minSubtotal}
+                                                onChange={e => setTier(i, 'minSubtotal', e.target.value)}
+                                                required
+                                            />
+                                            <Form.Control
+                                                type="number"
+                                                step="0.01"
+                                                min="0.01"
+                                                max="100"
+                                                placeholder="% off"
+                                                value={t.percent}
+                                                onChange={e => setTier(i, 'percent', e.target.value)}
+                                                required
+                                            />
+                                            <Button
+                                                variant="outline-danger"
+                                                onClick={() => removeTier(i)}
+                                                disabled={form.tiers.length === 1}
+                                            >
+                                                ✕
+                                            </Button>
+                                        </div>
+                                    ))}
+                                    <Button size="sm" variant="outline-secondary" onClick={addTier}>+ Tier</Button>
+                                </Col>
+                            )}
+
+                            <Col md={6}>
+                                <Form.Label>Category slugs</Form.Label>
+                                <Form.Control
+                                    value={form.categories}
+                                    onChange={e => setForm({ ...form, categories: e.target.value })}
+                                    placeholder="kitchen"
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Product IDs</Form.Label>
+                                <Form.Control
+                                    value={form.productIds}
+                                    onChange={e => setForm({ ...form, productIds: e.target.value })}
+                                    placeholder="12, 34"
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Starts at</Form.Label>
+                                <Form.Control
+                                    type="datetime-local"
+                                    value={form.startsAt}
+                                    onChange={e => setForm({ ...form, startsAt: e.target.value })}
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Ends at</Form.Label>
+                                <Form.Control
+                                    type="datetime-local"
+                                    value={form.endsAt}
+                                    onChange={e => setForm({ ...form, endsAt: e.target.value })}
+                                />
+                            </Col>
+                            <Col md={6}>
+                                <Form.Label>Priority</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    value={form.priority}
+                                    onChange={e => setForm({ ...form, priority: e.target.value })}
+                                />
+                            </Col>
+                            <Col md={6} className="d-flex align-items-end">
+                                <Form.Check
+                                    type="switch"
+                                    id="promotion-active"
+                                    label="Active"
+                                    checked={!!form.active}
+                                    onChange={e => setForm({ ...form, active: e.target.checked })}
+                                />
+                            </Col>
+                        </Row>
+                    </Modal.Body>
+                    <Modal.Footer>
+                        <Button variant="secondary" onClick={() => setShowModal(false)}>Cancel</Button>
+                        <Button type="submit">Save</Button>
+                    </Modal.Footer>
+                </Form>
+            </Modal>
+        </Card>
+    )
+}
@@ -1,24 +1,37 @@
 /**
  * Fichier : client/src/pages/admin/AdminSales.jsx
  * Rôle : Liste et filtrage des ventes côté admin (+ détail d’une vente).
- * - GET /api/admin/sales?from=&to=&userId=&skip=&take=
- * - GET /api/admin/sales/:id (détail : items + user)
- * - Filtre par date et userId, pagination simple, modale de détail.
+ * - GET /api/admin/sales?from=&to=&userId=&status=&skip=&take=
+ * - GET /api/admin/sales/:id (détail : items + user + adresses copiées au checkout)
+ * - GET /api/admin/sales/:id/history + POST /api/admin/sales/:id/status (cycle de vie)
+ * - Filtre par date, userId et statut, pagination simple, modale de détail.
+ * - Montants HT / TVA / TTC : par vente, par ligne (détail) et cumulés sur le filtre.
  */
 
 import { useEffect, useState } from 'react'
 import { Card, Table, Button, Modal, Form, Spinner, Alert, InputGroup } from 'react-bootstrap'
+import OrderStatusBadge, { ORDER_STATUSES } from '../../components/OrderStatusBadge.jsx'
+import AddressBlock from '../../components/AddressBlock.jsx'
+import SaleDiscounts from '../../components/SaleDiscounts.jsx'
+import { toCents, fromCents } from '../../utils/money.js'
+
+// HT des articles d’une vente : TTC moins TVA et frais de port (exonérés de TVA)
+const netOf = (sale) => fromCents(toCents(sale.total) - toCents(sale.taxTotal) - toCents(sale.shippingCost ?? 0))
 
 export default function AdminSales() {
     // Filtres et pagination côté UI
-    const [filters, setFilters] = useState({ from: '', to: '', userId: '', skip: 0, take: 20 })
+    const [filters, setFilters] = useState({ from: '', to: '', userId: '', status: '', skip: 0, take: 20 })
     // Données + états réseau
     const [rows, setRows] = useState([])
     const [total, setTotal] = useState(0)
+    const [summary, setSummary] = useState(null) // cumuls { net, tax, gross, shipping } du filtre
     const [loading, setLoading] = useState(true)
     const [error, setError] = useState(null)
-    // Détail de vente (ouvrira la modale)
+    // Détail de vente (ouvrira la modale) + cycle de vie : { status, allowed, history }
     const [detail, setDetail] = useState(null)
+    const [lifecycle, setLifecycle] = useState(null)
+    const [note, setNote] = useState('')
+    const [saving, setSaving] = useState(false)
 
     const canPrev = filters.skip > 0
     const canNext = filters.skip + filters.take < total
@@ -31,6 +44,7 @@ export default function AdminSales() {
             if (filters.from) qs.set('from', filters.from)
             if (filters.to) qs.set('to', filters.to)
             if (filters.userId) qs.set('userId', filters.userId)
+            if (filters.status) qs.set('status', filters.status)
             qs.set('skip', filters.skip)
             qs.set('take', filters.take)
 
@@ -39,9 +53,10 @@ export default function AdminSales() {
             if (!res.ok) throw new Error(data?.error || 'Loading error')
             setRows(data.items || [])
             setTotal(data.total || 0)
+            setSummary(data.summary || null)
         } catch (e) {
             setError(e.message || 'Network error')
-            setRows([]); setTotal(0)
+            setRows([]); setTotal(0); setSummary(null)
         } finally {
             setLoading(false)
         }
@@ -57,18 +72,52 @@ export default function AdminSales() {
         load()
     }
 
-    // Charge le détail d'une vente (affiche ensuite la modale)
+    // Charge le détail d'une vente + son historique de statuts (affiche ensuite la modale)
     async function openDetail(id) {
         try {
-            const res = await fetch(`/api/admin/sales/${id}`, { credentials: 'include' })
+            const [res, resHistory] = await Promise.all([
+                fetch(`/api/admin/sales/${id}`, { credentials: 'include' }),
+                fetch(`/api/admin/sales/${id}/history`, { credentials: 'include' }),
+            ])
             const data = await res.json()
             if (!res.ok) throw new Error(data?.error || 'Unable to load sale details')
+            const history = await resHistory.json()
+            if (!resHistory.ok) throw new Error(history?.error || 'Unable to load sale history')
+            setNote('')
+            setLifecycle(history)
             setDetail(data)
         } catch (e) {
             alert(e.message)
         }
     }
 
+    function closeDetail() {
+        setDetail(null)
+        setLifecycle(null)
+    }
+
+    // Fait avancer la vente ouverte vers `status` (annulation/remboursement → remise en stock côté API)
+    async function changeStatus(status) {
+        if ((status === 'CANCELLED' || status === 'REFUNDED') && !confirm(`Mark sale #${detail.id} as ${status}? Stock will be restored.`)) return
+        setSaving(true)
+        try {
+            const res = await fetch(`/api/admin/sales/${detail.id}/status`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ status, note: note || undefined })
+            })
+            const data = await res.json().catch(() => ({}))
+            if (!res.ok) throw new Error(data?.error || 'Status update failed')
+            await openDetail(detail.id)
+            load()
+        } catch (e) {
+            alert(e.message)
+        } finally {
+            setSaving(false)
+        }
+    }
+
     return (
         <Card className="p-3 rounded-20 shadow-soft">
             {/* Barre de filtres */}
@@ -93,6 +142,16 @@ export default function AdminSales() {
                             placeholder="e.g. 1"
                         />
                     </InputGroup>
+                    <Form.Select
+                        value={filters.status}
+                        onChange={e => setFilters(f => ({ ...f, status: e.target.value }))}
+                        style={{ width: 'auto' }}
+                    >
+                        <option value="">All statuses</option>
+                        {Object.entries(ORDER_STATUSES).map(([k, v]) => (
+                            <option key={k} value={k}>{v.label}</option>
+                        ))}
+                    </Form.Select>
                     <Button type="submit" variant="outline-secondary">Filter</Button>
                 </Form>
             </div>
@@ -111,7 +170,8 @@ export default function AdminSales() {
                     <Table hover responsive>
                         <thead>
                             <tr>
-                                <th>#</th><th>Date</th><th>User</th><th>Total</th><th></th>
+                                <th>#</th><th>Date</th><th>User</th><th>Status</th>
+                                <th>Net</th><th>Tax</th><th>Gross</th><th></th>
                             </tr>
                         </thead>
                         <tbody>
@@ -120,6 +180,9 @@ export default function AdminSales() {
                                     <td>{s.id}</td>
                                     <td>{new Date(s.createdAt).toLocaleString()}</td>
                                     <td>{s.user ? (s.user.name || s.user.email) : '—'}</td>
+                                    <td><OrderStatusBadge status={s.status} /></td>
+                                    <td>${netOf(s).toFixed(2)}</td>
+                                    <td>${Number(s.taxTotal).toFixed(2)}</td>
                                     <td>${Number(s.total).toFixed(2)}</td>
                                     <td className="text-end">
                                         <Button size="sm" variant="outline-primary" onClick={() => openDetail(s.id)}>
@@ -129,11 +192,19 @@ export default function AdminSales() {
                                 </tr>
                             ))}
                             {rows.length === 0 && (
-                                <tr><td colSpan={5} className="text-muted">No sales.</td></tr>
+                                <tr><td colSpan={8} className="text-muted">No sales.</td></tr>
                             )}
                         </tbody>
                     </Table>
 
+                    {/* Cumuls du filtre (toutes pages) */}
+                    {summary && (
+                        <p className="small text-muted">
+                            Filtered sales — Net: ${summary.net.toFixed(2)} · Tax: ${summary.tax.toFixed(2)} ·
+                            Shipping (VAT-exempt): ${summary.shipping.toFixed(2)} · Gross: ${summary.gross.toFixed(2)}
+                        </p>
+                    )}
+
                     {/* Pagination */}
                     <div className="d-flex justify-content-between">
                         <div>Total: {total}</div>
@@ -158,7 +229,7 @@ export default function AdminSales() {
             )}
 
             {/* Modale de détail de vente */}
-            <Modal show={!!detail} onHide={() => setDetail(null)} size="lg">
+            <Modal show={!!detail} onHide={closeDetail} size="lg">
                 <Modal.Header closeButton>
                     <Modal.Title>Sale #{detail?.id}</Modal.Title>
                 </Modal.Header>
@@ -166,30 +237,111 @@ export default function AdminSales() {
                     {detail ? (
                         <>
                             <p><b>Date:</b> {new Date(detail.createdAt).toLocaleString()}</p>
+                            <p><b>Status:</b> <OrderStatusBadge status={detail.status} /></p>
                             <p>
                                 <b>Customer:</b>{' '}
                                 {detail.user ? `${detail.user.name || ''} <${detail.user.email}>` : '—'}
                             </p>
 
+                            <div className="row mb-3">
+                                <div className="col-md-6">
+                                    <b>Ship to:</b>
+                                    <AddressBlock address={detail.shippingAddress} />
+                                </div>
+                                <div className="col-md-6">
+                                    <b>Bill to:</b>
+                                    <AddressBlock address={detail.billingAddress} />
+                                </div>
+                            </div>
+
                             <Table size="sm" responsive>
                                 <thead>
-                                    <tr><th>Product</th><th>Price</th><th>Qty</th><th>Subtotal</th></tr>
+                                    <tr>
+                                        <th>Product</th><th>Price</th><th>Qty</th><th>Discount</th>
+                                        <th>VAT</th><th>Net</th><th>Tax</th><th>Gross</th>
+                                    </tr>
                                 </thead>
                                 <tbody>
                                     {detail.items.map(it => (
                                         <tr key={it.id}>
-                                            <td>{it.product?.name} ({it.product?.slug})</td>
+                                            <td>
+                                                {it.product?.name} ({it.product?.slug})
+                                                {it.variantTitle && (
+                                                    <div className="small text-muted">{it.variantTitle} · SKU {it.sku}</div>
+                                                )}
+                                            </td>
                                             <td>${Number(it.price).toFixed(2)}</td>
                                             <td>{it.qty}</td>
-                                            <td>${Number(it.price * it.qty).toFixed(2)}</td>
+                                            <td>{Number(it.discount) > 0 ? `−$${Number(it.discount).toFixed(2)}` : '—'}</td>
+                                            <td>{(Number(it.taxRate) * 100).toLocaleString()} %</td>
+                                            <td>${Number(it.netAmount).toFixed(2)}</td>
+                                            <td>${Number(it.taxAmount).toFixed(2)}</td>
+                                            <td>${Number(it.grossAmount).toFixed(2)}</td>
                                         </tr>
                                     ))}
                                 </tbody>
                             </Table>
 
+                            <p className="text-end mb-1 small text-muted">
+                                Prices {detail.pricesIncludeTax ? 'include' : 'exclude'} VAT ·
+                                Net: ${netOf(detail).toFixed(2)} ·
+                                Tax: ${Number(detail.taxTotal).toFixed(2)}
+                            </p>
+
+                            <SaleDiscounts sale={detail} className="text-end mb-1" />
+                            {detail.shippingMethod && (
+                                <p className="text-end mb-1">
+                                    Shipping ({detail.shippingMethod}): ${Number(detail.shippingCost).toFixed(2)}
+                                </p>
+                            )}
                             <p className="text-end fs-5">
                                 <b>Total:</b> ${Number(detail.total).toFixed(2)}
                             </p>
+
+                            {/* Cycle de vie : transitions permises depuis le statut courant */}
+                            {lifecycle?.allowed?.length > 0 && (
+                                <div className="d-flex flex-wrap align-items-center gap-2 mb-3">
+                                    <Form.Control
+                                        size="sm"
+                                        placeholder="Note (optional)"
+                                        value={note}
+                                        onChange={e => setNote(e.target.value)}
+                                        style={{ maxWidth: 260 }}
+                                    />
+                                    {lifecycle.allowed.map(st => (
+                                        <Button
+                                            key={st}
+                                            size="sm"
+                                            variant={st === 'CANCELLED' || st === 'REFUNDED' ? 'outline-danger' : 'outline-success'}
+                                            disabled={saving}
+                                            onClick={() => changeStatus(st)}
+                                        >
+                                            → {ORDER_STATUSES[st]?.label || st}
+                                        </Button>
+                                    ))}
+                                </div>
+                            )}
+
+                            {/* Historique des statuts */}
+                            <h6>History</h6>
+                            <Table size="sm" responsive>
+                                <thead>
+                                    <tr><th>Date</th><th>Change</th><th>By</th><th>Note</th></tr>
+                                </thead>
+                                <tbody>
+                                    {(lifecycle?.history || []).map(h => (
+                                        <tr key={h.id}>
+                                            <td>{new Date(h.createdAt).toLocaleString()}</td>
+                                            <td>
+                                                {h.fromStatus && <><OrderStatusBadge status={h.fromStatus} /> → </>}
+                                                <OrderStatusBadge status={h.toStatus} />
+                                            </td>
+                                            <td>{h.actor ? (h.actor.name || h.actor.email) : 'System'}</td>
+                                            <td>{h.note || ''}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </Table>
                         </>
                     ) : '…'}
                 </Modal.Body>
@@ -0,0 +1,30 @@
+/**
+ * client/src/utils/categories.js
+ * Catégories (arbre) pour la navigation et les formulaires admin.
+ * - /api/categories renvoie l’arbre ; /api/admin/categories une liste à plat (parentId).
+ */
+
+/**
+ * Liste à plat { id, parentId, … } (déjà triée) → ordre de l’arbre, parents avant
+ * enfants, chaque entrée portant sa profondeur `depth` (0 = racine).
+ */
+export function treeOrder(categories) {
+  const children = new Map()
+  for (const c of categories) {
+    const key = categories.some(p => p.id === c.parentId) ? c.parentId : null
+    if (!children.has(key)) children.set(key, [])
+    children.get(key).push(c)
+  }
+  const out = []
+  const walk = (parentId, depth) => {
+    for (const c of children.get(parentId) ?? []) {
+      out.push({ ...c, depth })
+      walk(c.id, depth + 1)
+    }
+  }
+  walk(null, 0)
+  return out
+}
+
+/** Libellé indenté d’une catégorie dans un <select> (espaces insécables, non repliés). */
+export const optionLabel = (c) => `${'  '.repeat(c.depth)}${c.name}`
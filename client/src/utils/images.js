@@ -0,0 +1,28 @@
+/**
+ * client/src/utils/images.js
+ * Images envoyées via /api/admin/uploads : chaque envoi existe en plusieurs tailles
+ * (<dossier>/<id>/thumb|medium|large.webp, voir server/src/lib/uploads.js).
+ * - `rendition` choisit une taille pour une URL d’image envoyée ;
+ *   les autres URL (images du dossier public, liens externes) sont rendues telles quelles.
+ * - `uploadImage` envoie un fichier et renvoie { url, renditions, … }.
+ */
+
+const UPLOAD_RE = /^(\/api\/uploads\/.+\/)(thumb|medium|large)\.webp$/
+
+export function rendition(url, size) {
+  const m = UPLOAD_RE.exec(url || '')
+  return m ? `${m[1]}${size}.webp` : url
+}
+
+export async function uploadImage(file, folder = 'products') {
+  const body = new FormData()
+  body.append('file', file)
+  const res = await fetch(`/api/admin/uploads?folder=${folder}`, {
+    method: 'POST',
+    credentials: 'include',
+    body
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data?.error || 'Upload failed')
+  return data
+}
@@ -0,0 +1,13 @@
+/**
+ * client/src/utils/money.js
+ * Sommes de montants au centime près (pendant client de server/src/lib/money.js).
+ * - L’API renvoie les montants en nombre ou en chaîne décimale ("19.90") ;
+ *   on additionne en centimes entiers pour éviter la dérive des flottants.
+ */
+
+export const toCents = (value) => Math.round(Number(value) * 100)
+
+export const fromCents = (cents) => cents / 100
+
+/** Somme exacte de montants (unités) → unités. */
+export const sumMoney = (values) => fromCents(values.reduce((s, v) => s + toCents(v), 0))
@@ -0,0 +1,63 @@
+/**
+ * client/src/utils/quote.js
+ * Devis calculés côté serveur à partir du panier (livraison, TVA…).
+ * - Le serveur relit prix, poids et catégories : on n’envoie que productId (+ variantId) + qty.
+ * - `useQuote` recharge le devis quand le panier, le pays ou le coupon change.
+ * - Coupon optionnel : le serveur l’applique et signale un code invalide dans `couponError`.
+ */
+
+import { useEffect, useState } from 'react'
+
+export async function fetchQuote(url, items, country, coupon) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      country,
+      items: items.map(i => ({ productId: i.id, variantId: i.variantId ?? null, qty: i.qty })),
+      coupon: coupon || undefined
+    })
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data?.error || 'Unable to compute quote')
+  return data
+}
+
+/**
+ * @returns { quote, loading, error } — quote = réponse du serveur ou null
+ */
+export function useQuote(url, items, country, coupon) {
+  const [quote, setQuote] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Clé stable : évite de relancer le devis à chaque rendu (items est recréé)
+  const key = items.map(i => `${i.id}:${i.variantId ?? ''}x${i.qty}`).join(',')
+
+  useEffect(() => {
+    if (!items.length || !/^[A-Z]{2}$/.test(country || '')) {
+      setQuote(null)
+      return
+    }
+    let cancelled = false
+      ; (async () => {
+        setLoading(true)
+        setError(null)
+        try {
+          const data = await fetchQuote(url, items, country, coupon)
+          if (!cancelled) setQuote(data)
+        } catch (e) {
+          if (!cancelled) {
+            setQuote(null)
+            setError(e.message)
+          }
+        } finally {
+          if (!cancelled) setLoading(false)
+        }
+      })()
+    return () => { cancelled = true }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [url, key, country, coupon])
+
+  return { quote, loading, error }
+}
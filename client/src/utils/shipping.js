@@ -0,0 +1,13 @@
+/**
+ * client/src/utils/shipping.js
+ * Devis de frais de port (POST /api/shipping/quote), partagé par Cart et Checkout.
+ */
+
+import { useQuote } from './quote.js'
+
+/**
+ * @returns { quote, loading, error } — quote = { subtotal, weight, country, methods, coupon, couponError } ou null
+ */
+export function useShippingQuote(items, country, coupon) {
+  return useQuote('/api/shipping/quote', items, country, coupon)
+}
@@ -0,0 +1,16 @@
+/**
+ * client/src/utils/tax.js
+ * Devis de TVA (POST /api/tax/quote), partagé par Cart et Checkout.
+ * - pricesIncludeTax : prix affichés TTC (TVA extraite) ou HT (TVA ajoutée).
+ */
+
+import { useQuote } from './quote.js'
+
+/**
+ * - discount : remise du coupon, déjà déduite de net / tax / gross.
+ * @returns { quote, loading, error } — quote = { country, pricesIncludeTax, discount, net, tax, gross, lines,
+ *            coupon, couponError } ou null
+ */
+export function useTaxQuote(items, country, coupon) {
+  return useQuote('/api/tax/quote', items, country, coupon)
+}
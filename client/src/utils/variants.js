@@ -0,0 +1,29 @@
+/**
+ * client/src/utils/variants.js
+ * Déclinaisons d’un produit tel que renvoyé par /api/products (options + variantes actives).
+ * - Prix d’une variante : le sien, ou celui du produit à défaut.
+ * - Stock d’un produit décliné : somme des stocks de ses variantes.
+ */
+
+export const hasVariants = (p) => (p?.variants?.length ?? 0) > 0
+
+export const variantPrice = (p, v) => Number(v?.price ?? p.price)
+
+/** Stock vendable : celui de la variante, sinon du produit (ou de toutes ses variantes). */
+export function stockOf(p, v = null) {
+  if (v) return v.stock
+  if (hasVariants(p)) return p.variants.reduce((s, x) => s + x.stock, 0)
+  return p.stock
+}
+
+/** Prix le plus bas (affichage « from $x » pour un produit décliné). */
+export function minPrice(p) {
+  if (!hasVariants(p)) return Number(p.price)
+  return Math.min(...p.variants.map(v => variantPrice(p, v)))
+}
+
+/** Variante correspondant à une sélection complète { axe: valeur }, ou null. */
+export function findVariant(p, selection) {
+  if (!hasVariants(p)) return null
+  return p.variants.find(v => p.options.every(o => v.options[o.name] === selection[o.name])) ?? null
+}
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "public"."SaleStatus" AS ENUM ('PENDING', 'PAID', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED');
+
+-- AlterTable
+ALTER TABLE "public"."Sale" ADD COLUMN     "status" "public"."SaleStatus" NOT NULL DEFAULT 'PENDING',
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "public"."SaleStatusHistory" (
+    "id" SERIAL NOT NULL,
+    "saleId" INTEGER NOT NULL,
+    "fromStatus" "public"."SaleStatus",
+    "toStatus" "public"."SaleStatus" NOT NULL,
+    "note" TEXT,
+    "actorId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SaleStatusHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- Data: les ventes existantes ont été réglées par le checkout simulé → PAID
+UPDATE "public"."Sale" SET "status" = 'PAID', "updatedAt" = "createdAt";
+
+INSERT INTO "public"."SaleStatusHistory" ("saleId", "fromStatus", "toStatus", "note", "createdAt")
+SELECT "id", NULL, 'PAID', 'Migrated (mock checkout)', "createdAt" FROM "public"."Sale";
+
+-- CreateIndex
+CREATE INDEX "Sale_status_createdAt_idx" ON "public"."Sale"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SaleStatusHistory_saleId_createdAt_idx" ON "public"."SaleStatusHistory"("saleId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."SaleStatusHistory" ADD CONSTRAINT "SaleStatusHistory_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "public"."Sale"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SaleStatusHistory" ADD CONSTRAINT "SaleStatusHistory_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
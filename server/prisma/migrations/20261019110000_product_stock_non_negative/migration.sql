@@ -0,0 +1,8 @@
+-- Le stock ne peut plus devenir négatif (filet de sécurité sous le décrément
+-- conditionnel du checkout). Prisma ne gère pas les CHECK : contrainte en SQL brut.
+
+-- Data: corrige d’éventuelles surventes passées avant d’ajouter la contrainte
+UPDATE "public"."Product" SET "stock" = 0 WHERE "stock" < 0;
+
+-- AddCheckConstraint
+ALTER TABLE "public"."Product" ADD CONSTRAINT "Product_stock_non_negative" CHECK ("stock" >= 0);
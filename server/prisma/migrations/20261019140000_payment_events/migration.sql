@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "public"."PaymentEventStatus" AS ENUM ('RECEIVED', 'PROCESSED', 'IGNORED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "public"."PaymentEvent" (
+    "id" SERIAL NOT NULL,
+    "provider" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" "public"."PaymentEventStatus" NOT NULL DEFAULT 'RECEIVED',
+    "detail" TEXT,
+    "payload" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP(3),
+    "paymentId" INTEGER,
+
+    CONSTRAINT "PaymentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PaymentEvent_paymentId_createdAt_idx" ON "public"."PaymentEvent"("paymentId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentEvent_provider_eventId_key" ON "public"."PaymentEvent"("provider", "eventId");
+
+-- AddForeignKey
+ALTER TABLE "public"."PaymentEvent" ADD CONSTRAINT "PaymentEvent_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "public"."Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "public"."Sale" ADD COLUMN     "billingAddress" JSONB,
+ADD COLUMN     "shippingAddress" JSONB;
+
+-- CreateTable
+CREATE TABLE "public"."Address" (
+    "id" SERIAL NOT NULL,
+    "label" TEXT,
+    "fullName" TEXT NOT NULL,
+    "line1" TEXT NOT NULL,
+    "line2" TEXT,
+    "city" TEXT NOT NULL,
+    "postalCode" TEXT NOT NULL,
+    "region" TEXT,
+    "country" TEXT NOT NULL,
+    "phone" TEXT,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" INTEGER NOT NULL,
+
+    CONSTRAINT "Address_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Address_userId_createdAt_idx" ON "public"."Address"("userId", "createdAt");
+
+-- Une seule adresse par défaut par utilisateur (index partiel, hors schéma Prisma)
+CREATE UNIQUE INDEX "Address_one_default_per_user" ON "public"."Address"("userId") WHERE "isDefault";
+
+-- AddForeignKey
+ALTER TABLE "public"."Address" ADD CONSTRAINT "Address_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,66 @@
+-- AlterTable
+ALTER TABLE "public"."Product" ADD COLUMN     "weight" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."Sale" ADD COLUMN     "shippingCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "shippingMethod" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."ShippingMethod" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "freeShippingThreshold" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ShippingMethod_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."ShippingRate" (
+    "id" SERIAL NOT NULL,
+    "countries" TEXT[],
+    "minWeight" INTEGER,
+    "maxWeight" INTEGER,
+    "minSubtotal" DOUBLE PRECISION,
+    "maxSubtotal" DOUBLE PRECISION,
+    "price" DOUBLE PRECISION NOT NULL,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "methodId" INTEGER NOT NULL,
+
+    CONSTRAINT "ShippingRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShippingMethod_code_key" ON "public"."ShippingMethod"("code");
+
+-- CreateIndex
+CREATE INDEX "ShippingRate_methodId_sortOrder_idx" ON "public"."ShippingRate"("methodId", "sortOrder");
+
+-- AddForeignKey
+ALTER TABLE "public"."ShippingRate" ADD CONSTRAINT "ShippingRate_methodId_fkey" FOREIGN KEY ("methodId") REFERENCES "public"."ShippingMethod"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Grille par défaut (modifiable ensuite en base) :
+-- France, reste de l’UE, reste du monde ; poids en grammes
+INSERT INTO "public"."ShippingMethod" ("code", "name", "description", "sortOrder", "freeShippingThreshold") VALUES
+    ('standard', 'Standard', 'Delivered in 3–5 business days', 0, 60),
+    ('express', 'Express', 'Delivered in 1–2 business days', 1, NULL),
+    ('pickup', 'Store pickup', 'Collect your order at our Paris workshop', 2, NULL);
+
+INSERT INTO "public"."ShippingRate" ("methodId", "countries", "minWeight", "maxWeight", "price", "sortOrder")
+SELECT m."id", r."countries", r."minWeight", r."maxWeight", r."price", r."sortOrder"
+FROM "public"."ShippingMethod" m
+JOIN (VALUES
+    ('standard', ARRAY['FR'], NULL::INTEGER, 2000, 4.90, 0),
+    ('standard', ARRAY['FR'], 2000, NULL::INTEGER, 8.90, 1),
+    ('standard', ARRAY['AT','BE','BG','CY','CZ','DE','DK','EE','ES','FI','GR','HR','HU','IE','IT','LT','LU','LV','MT','NL','PL','PT','RO','SE','SI','SK'], NULL::INTEGER, 2000, 9.90, 2),
+    ('standard', ARRAY['AT','BE','BG','CY','CZ','DE','DK','EE','ES','FI','GR','HR','HU','IE','IT','LT','LU','LV','MT','NL','PL','PT','RO','SE','SI','SK'], 2000, NULL::INTEGER, 14.90, 3),
+    ('standard', ARRAY[]::TEXT[], NULL::INTEGER, NULL::INTEGER, 19.90, 4),
+    ('express', ARRAY['FR'], NULL::INTEGER, NULL::INTEGER, 12.90, 0),
+    ('express', ARRAY['AT','BE','BG','CY','CZ','DE','DK','EE','ES','FI','GR','HR','HU','IE','IT','LT','LU','LV','MT','NL','PL','PT','RO','SE','SI','SK'], NULL::INTEGER, NULL::INTEGER, 24.90, 1),
+    ('pickup', ARRAY['FR'], NULL::INTEGER, NULL::INTEGER, 0, 0)
+) AS r("code", "countries", "minWeight", "maxWeight", "price", "sortOrder") ON r."code" = m."code";
@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "public"."Sale" ADD COLUMN     "pricesIncludeTax" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "taxTotal" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."SaleItem" ADD COLUMN     "grossAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "netAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Ventes existantes : aucune TVA n’était calculée, net = brut = prix × quantité
+UPDATE "public"."SaleItem" SET "netAmount" = "price" * "qty", "grossAmount" = "price" * "qty";
+
+-- CreateTable
+CREATE TABLE "public"."TaxRate" (
+    "id" SERIAL NOT NULL,
+    "country" TEXT,
+    "category" TEXT,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "label" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TaxRate_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "TaxRate_rate_check" CHECK ("rate" >= 0 AND "rate" < 1)
+);
+
+-- Un seul taux par couple (pays, catégorie), null compris (non exprimable en Prisma)
+CREATE UNIQUE INDEX "TaxRate_country_category_key" ON "public"."TaxRate"(COALESCE("country", ''), COALESCE("category", ''));
+
+-- Taux par défaut (modifiables ensuite en base) :
+-- France 20 % (5,5 % livres et alimentaire), UE au taux normal du pays de
+-- livraison (vente à distance, guichet OSS), hors UE exonéré (export)
+INSERT INTO "public"."TaxRate" ("country", "category", "rate", "label") VALUES
+    (NULL, NULL, 0, 'Export (exempt)'),
+    ('FR', NULL, 0.20, 'TVA 20 %'),
+    ('FR', 'Books', 0.055, 'TVA 5,5 %'),
+    ('FR', 'Food', 0.055, 'TVA 5,5 %'),
+    ('AT', NULL, 0.20, 'USt 20 %'),
+    ('BE', NULL, 0.21, 'TVA 21 %'),
+    ('DE', NULL, 0.19, 'MwSt 19 %'),
+    ('ES', NULL, 0.21, 'IVA 21 %'),
+    ('IE', NULL, 0.23, 'VAT 23 %'),
+    ('IT', NULL, 0.22, 'IVA 22 %'),
+    ('LU', NULL, 0.17, 'TVA 17 %'),
+    ('NL', NULL, 0.21, 'BTW 21 %'),
+    ('PT', NULL, 0.23, 'IVA 23 %');
@@ -0,0 +1,34 @@
+-- Montants : DOUBLE PRECISION → DECIMAL exact.
+-- Le cast float8 → numeric part de la représentation décimale la plus courte
+-- (19.9 reste 19.90, pas 19.899999…) ; ROUND ne fait qu’écarter d’éventuels
+-- restes de calculs flottants au-delà du centime.
+
+-- AlterTable
+ALTER TABLE "public"."Product" ALTER COLUMN "price" SET DATA TYPE DECIMAL(12,2) USING ROUND("price"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "public"."Sale" ALTER COLUMN "total" SET DATA TYPE DECIMAL(12,2) USING ROUND("total"::numeric, 2),
+ALTER COLUMN "shippingCost" SET DATA TYPE DECIMAL(12,2) USING ROUND("shippingCost"::numeric, 2),
+ALTER COLUMN "taxTotal" SET DATA TYPE DECIMAL(12,2) USING ROUND("taxTotal"::numeric, 2),
+ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "public"."SaleItem" ALTER COLUMN "price" SET DATA TYPE DECIMAL(12,2) USING ROUND("price"::numeric, 2),
+ALTER COLUMN "taxRate" SET DATA TYPE DECIMAL(5,4) USING ROUND("taxRate"::numeric, 4),
+ALTER COLUMN "netAmount" SET DATA TYPE DECIMAL(12,2) USING ROUND("netAmount"::numeric, 2),
+ALTER COLUMN "taxAmount" SET DATA TYPE DECIMAL(12,2) USING ROUND("taxAmount"::numeric, 2),
+ALTER COLUMN "grossAmount" SET DATA TYPE DECIMAL(12,2) USING ROUND("grossAmount"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "public"."Payment" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(12,2) USING ROUND("amount"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "public"."ShippingMethod" ALTER COLUMN "freeShippingThreshold" SET DATA TYPE DECIMAL(12,2) USING ROUND("freeShippingThreshold"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "public"."ShippingRate" ALTER COLUMN "minSubtotal" SET DATA TYPE DECIMAL(12,2) USING ROUND("minSubtotal"::numeric, 2),
+ALTER COLUMN "maxSubtotal" SET DATA TYPE DECIMAL(12,2) USING ROUND("maxSubtotal"::numeric, 2),
+ALTER COLUMN "price" SET DATA TYPE DECIMAL(12,2) USING ROUND("price"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "public"."TaxRate" ALTER COLUMN "rate" SET DATA TYPE DECIMAL(5,4) USING ROUND("rate"::numeric, 4);
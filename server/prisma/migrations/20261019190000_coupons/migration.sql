@@ -0,0 +1,52 @@
+-- CreateEnum
+CREATE TYPE "public"."CouponType" AS ENUM ('PERCENTAGE', 'FIXED_AMOUNT', 'FREE_SHIPPING');
+
+-- AlterTable
+ALTER TABLE "public"."Cart" ADD COLUMN     "couponId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."Sale" ADD COLUMN     "couponCode" TEXT,
+ADD COLUMN     "couponId" INTEGER,
+ADD COLUMN     "discount" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."SaleItem" ADD COLUMN     "discount" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."Coupon" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "public"."CouponType" NOT NULL,
+    "value" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "minSubtotal" DECIMAL(12,2),
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "maxUses" INTEGER,
+    "maxUsesPerUser" INTEGER,
+    "usedCount" INTEGER NOT NULL DEFAULT 0,
+    "categories" TEXT[],
+    "productIds" INTEGER[],
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Coupon_pkey" PRIMARY KEY ("id")
+);
+
+-- Prisma ne gère pas les CHECK : garde-fous posés en SQL brut
+ALTER TABLE "public"."Coupon" ADD CONSTRAINT "Coupon_value_valid"
+    CHECK ("value" >= 0 AND ("type" <> 'PERCENTAGE' OR "value" <= 100));
+ALTER TABLE "public"."Coupon" ADD CONSTRAINT "Coupon_usedCount_non_negative" CHECK ("usedCount" >= 0);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Coupon_code_key" ON "public"."Coupon"("code");
+
+-- CreateIndex
+CREATE INDEX "Sale_couponId_userId_idx" ON "public"."Sale"("couponId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Sale" ADD CONSTRAINT "Sale_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "public"."Coupon"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Cart" ADD CONSTRAINT "Cart_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "public"."Coupon"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "public"."PromotionType" AS ENUM ('BUY_X_GET_Y', 'TIERED_PERCENTAGE');
+
+-- AlterTable
+ALTER TABLE "public"."Sale" ADD COLUMN     "promotions" JSONB;
+
+-- CreateTable
+CREATE TABLE "public"."Promotion" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "public"."PromotionType" NOT NULL,
+    "buyQty" INTEGER,
+    "getQty" INTEGER,
+    "categories" TEXT[],
+    "productIds" INTEGER[],
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Promotion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."PromotionTier" (
+    "id" SERIAL NOT NULL,
+    "minSubtotal" DECIMAL(12,2) NOT NULL,
+    "percent" DECIMAL(5,2) NOT NULL,
+    "promotionId" INTEGER NOT NULL,
+
+    CONSTRAINT "PromotionTier_pkey" PRIMARY KEY ("id")
+);
+
+-- Prisma ne gère pas les CHECK : garde-fous posés en SQL brut
+ALTER TABLE "public"."Promotion" ADD CONSTRAINT "Promotion_buy_x_get_y_valid"
+    CHECK ("type" <> 'BUY_X_GET_Y' OR ("buyQty" >= 1 AND "getQty" >= 1));
+ALTER TABLE "public"."PromotionTier" ADD CONSTRAINT "PromotionTier_values_valid"
+    CHECK ("minSubtotal" >= 0 AND "percent" > 0 AND "percent" <= 100);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromotionTier_promotionId_minSubtotal_key" ON "public"."PromotionTier"("promotionId", "minSubtotal");
+
+-- AddForeignKey
+ALTER TABLE "public"."PromotionTier" ADD CONSTRAINT "PromotionTier_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "public"."Promotion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,70 @@
+-- AlterTable
+ALTER TABLE "public"."CartItem" ADD COLUMN     "variantId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."SaleItem" ADD COLUMN     "sku" TEXT,
+ADD COLUMN     "variantId" INTEGER,
+ADD COLUMN     "variantTitle" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."ProductOption" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "values" TEXT[],
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "productId" INTEGER NOT NULL,
+
+    CONSTRAINT "ProductOption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."ProductVariant" (
+    "id" SERIAL NOT NULL,
+    "sku" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "options" JSONB NOT NULL,
+    "price" DECIMAL(12,2),
+    "stock" INTEGER NOT NULL DEFAULT 0,
+    "weight" INTEGER,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" INTEGER NOT NULL,
+
+    CONSTRAINT "ProductVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- Prisma ne gère pas les CHECK : même garde-fou que Product.stock
+ALTER TABLE "public"."ProductVariant" ADD CONSTRAINT "ProductVariant_stock_non_negative" CHECK ("stock" >= 0);
+ALTER TABLE "public"."ProductVariant" ADD CONSTRAINT "ProductVariant_price_non_negative" CHECK ("price" IS NULL OR "price" >= 0);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductOption_productId_name_key" ON "public"."ProductOption"("productId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductVariant_sku_key" ON "public"."ProductVariant"("sku");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductVariant_productId_title_key" ON "public"."ProductVariant"("productId", "title");
+
+-- Une ligne par (panier, produit, variante) : l’ancienne unicité (cartId, productId)
+-- empêcherait deux tailles du même produit. Index sur expression pour que
+-- « sans variante » (NULL) compte comme une valeur (Prisma ne sait pas l’exprimer).
+DROP INDEX "public"."CartItem_cartId_productId_key";
+CREATE UNIQUE INDEX "CartItem_cartId_productId_variantId_key" ON "public"."CartItem"("cartId", "productId", COALESCE("variantId", 0));
+
+-- CreateIndex
+CREATE INDEX "CartItem_cartId_idx" ON "public"."CartItem"("cartId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ProductOption" ADD CONSTRAINT "ProductOption_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ProductVariant" ADD CONSTRAINT "ProductVariant_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."SaleItem" ADD CONSTRAINT "SaleItem_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "public"."ProductVariant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CartItem" ADD CONSTRAINT "CartItem_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "public"."ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "public"."ProductImage" (
+    "id" SERIAL NOT NULL,
+    "url" TEXT NOT NULL,
+    "alt" TEXT NOT NULL DEFAULT '',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "isPrimary" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" INTEGER NOT NULL,
+
+    CONSTRAINT "ProductImage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProductImage_productId_position_idx" ON "public"."ProductImage"("productId", "position");
+
+-- Une seule image principale par produit (index partiel, non modélisable dans Prisma)
+CREATE UNIQUE INDEX "ProductImage_productId_primary_key" ON "public"."ProductImage"("productId") WHERE "isPrimary";
+
+-- AddForeignKey
+ALTER TABLE "public"."ProductImage" ADD CONSTRAINT "ProductImage_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Reprise de l’image unique existante comme image principale
+INSERT INTO "public"."ProductImage" ("url", "alt", "position", "isPrimary", "productId")
+SELECT "img", "name", 0, true, "id" FROM "public"."Product" WHERE "img" <> '';
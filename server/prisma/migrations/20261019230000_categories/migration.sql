@@ -0,0 +1,75 @@
+-- CreateTable
+CREATE TABLE "public"."Category" (
+    "id" SERIAL NOT NULL,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT NOT NULL DEFAULT '',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "parentId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Category_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "Category_not_own_parent" CHECK ("parentId" <> "id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Category_slug_key" ON "public"."Category"("slug");
+
+-- CreateIndex
+CREATE INDEX "Category_parentId_position_idx" ON "public"."Category"("parentId", "position");
+
+-- AddForeignKey
+ALTER TABLE "public"."Category" ADD CONSTRAINT "Category_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "public"."Category"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AlterTable
+ALTER TABLE "public"."Product" ADD COLUMN "categoryId" INTEGER;
+
+-- Reprise des catégories texte : une Category par slug distinct (libellé le plus
+-- fréquent), rangées à la racine par ordre alphabétique. Slug = minuscules, tout
+-- ce qui n’est pas [a-z0-9] remplacé par « - » (même règle que src/lib/categories.js).
+INSERT INTO "public"."Category" ("slug", "name", "position", "updatedAt")
+SELECT "slug", "name", (ROW_NUMBER() OVER (ORDER BY "name", "slug"))::int - 1, CURRENT_TIMESTAMP
+FROM (
+    SELECT DISTINCT ON ("slug") "slug", "name"
+    FROM (
+        SELECT TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM("category")), '[^a-z0-9]+', '-', 'g')) AS "slug",
+               TRIM("category") AS "name",
+               COUNT(*) AS "uses"
+        FROM "public"."Product"
+        GROUP BY 1, 2
+    ) AS "labels"
+    WHERE "slug" <> ''
+    ORDER BY "slug", "uses" DESC, "name"
+) AS "distinct_labels";
+
+UPDATE "public"."Product" AS p
+SET "categoryId" = c."id"
+FROM "public"."Category" AS c
+WHERE c."slug" = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(p."category")), '[^a-z0-9]+', '-', 'g'));
+
+-- Les règles par catégorie (TVA, coupons, promotions) désignent désormais des slugs
+UPDATE "public"."TaxRate"
+SET "category" = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM("category")), '[^a-z0-9]+', '-', 'g'))
+WHERE "category" IS NOT NULL;
+
+UPDATE "public"."Coupon"
+SET "categories" = ARRAY(
+    SELECT TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(c)), '[^a-z0-9]+', '-', 'g'))
+    FROM UNNEST("categories") AS c
+);
+
+UPDATE "public"."Promotion"
+SET "categories" = ARRAY(
+    SELECT TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(TRIM(c)), '[^a-z0-9]+', '-', 'g'))
+    FROM UNNEST("categories") AS c
+);
+
+-- AlterTable
+ALTER TABLE "public"."Product" DROP COLUMN "category";
+
+-- CreateIndex
+CREATE INDEX "Product_categoryId_idx" ON "public"."Product"("categoryId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Product" ADD CONSTRAINT "Product_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "public"."Category"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,61 @@
+-- Extension de similarité par trigrammes (word_similarity : fautes de frappe)
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- AlterTable
+ALTER TABLE "public"."Product" ADD COLUMN "searchVector" tsvector;
+
+-- Document de recherche d’un produit (config english : pluriels, formes fléchies).
+-- Poids : nom (A) > noms de la catégorie et de ses ancêtres (B) > description (C).
+CREATE FUNCTION "public"."product_search_vector"(name TEXT, description TEXT, category_id INTEGER)
+RETURNS tsvector LANGUAGE sql STABLE AS $$
+    SELECT setweight(to_tsvector('english', COALESCE(name, '')), 'A')
+        || setweight(to_tsvector('english', COALESCE((
+            WITH RECURSIVE up AS (
+                SELECT c."id", c."parentId", c."name" FROM "public"."Category" c WHERE c."id" = category_id
+                UNION ALL
+                SELECT c."id", c."parentId", c."name" FROM "public"."Category" c JOIN up ON c."id" = up."parentId"
+            )
+            SELECT string_agg(up."name", ' ') FROM up
+        ), '')), 'B')
+        || setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+$$;
+
+-- Produit créé ou modifié (nom, description, catégorie) → vecteur recalculé
+CREATE FUNCTION "public"."product_search_vector_refresh"() RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+    NEW."searchVector" := "public"."product_search_vector"(NEW."name", NEW."description", NEW."categoryId");
+    RETURN NEW;
+END
+$$;
+
+CREATE TRIGGER "Product_searchVector_refresh"
+BEFORE INSERT OR UPDATE OF "name", "description", "categoryId" ON "public"."Product"
+FOR EACH ROW EXECUTE FUNCTION "public"."product_search_vector_refresh"();
+
+-- Catégorie renommée ou déplacée → vecteurs des produits de toute sa branche recalculés
+CREATE FUNCTION "public"."category_search_vector_refresh"() RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+    WITH RECURSIVE branch AS (
+        SELECT NEW."id" AS "id"
+        UNION ALL
+        SELECT c."id" FROM "public"."Category" c JOIN branch b ON c."parentId" = b."id"
+    )
+    UPDATE "public"."Product" p
+    SET "searchVector" = "public"."product_search_vector"(p."name", p."description", p."categoryId")
+    WHERE p."categoryId" IN (SELECT "id" FROM branch);
+    RETURN NULL;
+END
+$$;
+
+CREATE TRIGGER "Category_searchVector_refresh"
+AFTER UPDATE OF "name", "parentId" ON "public"."Category"
+FOR EACH ROW
+WHEN (OLD."name" IS DISTINCT FROM NEW."name" OR OLD."parentId" IS DISTINCT FROM NEW."parentId")
+EXECUTE FUNCTION "public"."category_search_vector_refresh"();
+
+-- Reprise des produits existants
+UPDATE "public"."Product"
+SET "searchVector" = "public"."product_search_vector"("name", "description", "categoryId");
+
+-- CreateIndex
+CREATE INDEX "Product_searchVector_idx" ON "public"."Product" USING GIN ("searchVector");
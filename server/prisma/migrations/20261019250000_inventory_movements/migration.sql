@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "public"."InventoryMovementType" AS ENUM ('SALE', 'CANCELLATION', 'RETURN', 'ADJUSTMENT', 'RESTOCK');
+
+-- AlterTable
+-- Plus de stock par défaut : tout stock doit entrer par un mouvement du journal
+ALTER TABLE "public"."Product" ALTER COLUMN "stock" SET DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."InventoryMovement" (
+    "id" SERIAL NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "variantId" INTEGER,
+    "type" "public"."InventoryMovementType" NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "stockAfter" INTEGER NOT NULL,
+    "reason" TEXT,
+    "actorId" INTEGER,
+    "saleId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_productId_createdAt_idx" ON "public"."InventoryMovement"("productId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_variantId_idx" ON "public"."InventoryMovement"("variantId");
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_saleId_idx" ON "public"."InventoryMovement"("saleId");
+
+-- AddForeignKey
+ALTER TABLE "public"."InventoryMovement" ADD CONSTRAINT "InventoryMovement_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."InventoryMovement" ADD CONSTRAINT "InventoryMovement_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "public"."ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."InventoryMovement" ADD CONSTRAINT "InventoryMovement_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."InventoryMovement" ADD CONSTRAINT "InventoryMovement_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "public"."Sale"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Ouverture du journal : le stock actuel de chaque produit et de chaque variante
+-- devient un mouvement initial, pour que stock = somme des mouvements dès le départ.
+INSERT INTO "public"."InventoryMovement" ("productId", "type", "quantity", "stockAfter", "reason")
+SELECT "id", 'ADJUSTMENT', "stock", "stock", 'Opening balance'
+FROM "public"."Product"
+WHERE "stock" <> 0;
+
+INSERT INTO "public"."InventoryMovement" ("productId", "variantId", "type", "quantity", "stockAfter", "reason")
+SELECT "productId", "id", 'ADJUSTMENT', "stock", "stock", 'Opening balance'
+FROM "public"."ProductVariant"
+WHERE "stock" <> 0;
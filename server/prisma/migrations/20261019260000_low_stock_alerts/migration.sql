@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "public"."NotificationType" AS ENUM ('LOW_STOCK');
+
+-- AlterTable
+ALTER TABLE "public"."Product" ADD COLUMN     "reorderThreshold" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."Notification" (
+    "id" SERIAL NOT NULL,
+    "type" "public"."NotificationType" NOT NULL,
+    "dedupeKey" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sentAt" TIMESTAMP(3),
+
+    CONSTRAINT "Notification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Notification_dedupeKey_key" ON "public"."Notification"("dedupeKey");
+
+-- CreateIndex
+CREATE INDEX "Notification_sentAt_createdAt_idx" ON "public"."Notification"("sentAt", "createdAt");
@@ -0,0 +1,22 @@
+-- AlterEnum
+ALTER TYPE "public"."NotificationType" ADD VALUE 'BACK_IN_STOCK';
+
+-- CreateTable
+CREATE TABLE "public"."StockSubscription" (
+    "id" SERIAL NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "email" TEXT NOT NULL,
+    "userId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StockSubscription_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockSubscription_productId_email_key" ON "public"."StockSubscription"("productId", "email");
+
+-- AddForeignKey
+ALTER TABLE "public"."StockSubscription" ADD CONSTRAINT "StockSubscription_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockSubscription" ADD CONSTRAINT "StockSubscription_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Product" ADD COLUMN     "archivedAt" TIMESTAMP(3);
@@ -0,0 +1,11 @@
+-- CreateEnum
+CREATE TYPE "public"."ProductStatus" AS ENUM ('DRAFT', 'PUBLISHED');
+
+-- AlterTable : les produits existants restent publiés
+ALTER TABLE "public"."Product" ADD COLUMN     "publishAt" TIMESTAMP(3),
+ADD COLUMN     "status" "public"."ProductStatus" NOT NULL DEFAULT 'PUBLISHED',
+ADD COLUMN     "unpublishAt" TIMESTAMP(3);
+
+-- Fenêtre de publication cohérente (fin après début)
+ALTER TABLE "public"."Product" ADD CONSTRAINT "Product_publish_window_check"
+    CHECK ("unpublishAt" IS NULL OR "publishAt" IS NULL OR "unpublishAt" > "publishAt");
@@ -3,7 +3,7 @@
  * server/prisma/seed.js
  * ──────────────────────────────────────────────────────────────────────────────
  * Script de "seed" (ensemencement) de la base :
- * - Crée ou met à jour des utilisateurs, produits, éléments de portfolio, FAQ,
+ * - Crée ou met à jour des utilisateurs, catégories, produits, éléments de portfolio, FAQ,
  *   et quelques avis (reviews) démonstratifs.
  * - Idéal pour démarrer un environnement de dev/test reproductible.
  *
@@ -18,20 +18,33 @@
 
 import bcrypt from 'bcryptjs'
 import { prisma } from '../src/db/prisma.js' // Client Prisma connecté à ta DB
+import { setStock } from '../src/lib/inventory.js'
 
 // --- Données de démonstration (modifiables facilement) -----------------------
-// Produits : slugs uniques (utilisés dans les URLs et les upserts)
+// Catégories : slugs uniques, parent désigné par son slug (déclaré avant ses enfants)
+const categories = [
+    { slug: 'home', name: 'Home', position: 0, description: 'Everyday essentials for a greener home.' },
+    { slug: 'kitchen', name: 'Kitchen', position: 0, parent: 'home' },
+    { slug: 'hygiene', name: 'Hygiene', position: 1, parent: 'home' },
+    { slug: 'accessories', name: 'Accessories', position: 1 },
+    { slug: 'electronics', name: 'Electronics', position: 2 },
+    { slug: 'stationery', name: 'Stationery', position: 3 },
+]
+
+// Produits : slugs uniques (utilisés dans les URLs et les upserts), poids en grammes,
+// seuil de réapprovisionnement (alertes de stock bas),
+// catégorie désignée par son slug
 const products = [
-    { slug: 'eco-bottle', name: 'Eco Bottle', price: 19.90, category: 'Accessories', img: '/images/sara-groblechner-h10-NImYZHs-unsplash.jpg', description: 'Reusable bottle made from recycled materials.', stock: 20 },
-    { slug: 'bamboo-toothbrush', name: 'Bamboo Toothbrush', price: 4.90, category: 'Hygiene', img: '/images/sara-groblechner-7TgbRVEYdYY-unsplash.jpg', description: 'Soft bristles, compostable handle.', stock: 12 },
-    { slug: 'metal-straw-set', name: 'Metal Straw Set', price: 9.90, category: 'Kitchen', img: '/images/blair-yang-VyXMd13O1qE-unsplash.jpg', description: 'Set of 4 stainless steel straws + brush.', stock: 41 },
-    { slug: 'reusable-bag', name: 'Reusable Bag', price: 7.50, category: 'Accessories', img: '/images/kelly-sikkema-1Pgq9ZpIatI-unsplash.jpg', description: 'Durable tote bag for daily use.', stock: 49 },
-    { slug: 'solar-charger', name: 'Solar Charger', price: 39.00, category: 'Electronics', img: '/images/evnex-ltd-QjZqEIrTy1c-unsplash.jpg', description: 'Charge devices with sunlight.', stock: 99 },
-    { slug: 'organic-soap', name: 'Organic Soap', price: 5.90, category: 'Hygiene', img: '/images/aurelia-dubois-6J0MUsmS4fQ-unsplash.jpg', description: 'Natural ingredients, gentle on skin.', stock: 148 },
-    { slug: 'wooden-cutlery', name: 'Wooden Cutlery', price: 6.50, category: 'Kitchen', img: '/images/clair-Mv3yxyI_OY4-unsplash.jpg', description: 'Reusable wooden cutlery set.', stock: 12 },
-    { slug: 'recycled-notebook', name: 'Recycled Notebook', price: 8.90, category: 'Stationery', img: '/images/daian-gan-8_d05sj9JVc-unsplash.jpg', description: 'Notebook made from recycled paper.', stock: 45 },
-    { slug: 'thermal-mug', name: 'Thermal Mug', price: 14.90, category: 'Kitchen', img: '/images/sean-thoman-smtcdXmvZTI-unsplash.jpg', description: 'Keep drinks hot or cold longer.', stock: 67 },
-    { slug: 'led-bulb', name: 'LED Bulb', price: 3.90, category: 'Electronics', img: '/images/federico-bottos-TuAtSs8peoM-unsplash.jpg', description: 'Energy-saving LED bulb.', stock: 7 },
+    { slug: 'eco-bottle', name: 'Eco Bottle', price: 19.90, category: 'accessories', img: '/images/sara-groblechner-h10-NImYZHs-unsplash.jpg', description: 'Reusable bottle made from recycled materials.', stock: 20, reorderThreshold: 10, weight: 350 },
+    { slug: 'bamboo-toothbrush', name: 'Bamboo Toothbrush', price: 4.90, category: 'hygiene', img: '/images/sara-groblechner-7TgbRVEYdYY-unsplash.jpg', description: 'Soft bristles, compostable handle.', stock: 12, reorderThreshold: 10, weight: 20 },
+    { slug: 'metal-straw-set', name: 'Metal Straw Set', price: 9.90, category: 'kitchen', img: '/images/blair-yang-VyXMd13O1qE-unsplash.jpg', description: 'Set of 4 stainless steel straws + brush.', stock: 41, reorderThreshold: 10, weight: 80 },
+    { slug: 'reusable-bag', name: 'Reusable Bag', price: 7.50, category: 'accessories', img: '/images/kelly-sikkema-1Pgq9ZpIatI-unsplash.jpg', description: 'Durable tote bag for daily use.', stock: 49, reorderThreshold: 10, weight: 120 },
+    { slug: 'solar-charger', name: 'Solar Charger', price: 39.00, category: 'electronics', img: '/images/evnex-ltd-QjZqEIrTy1c-unsplash.jpg', description: 'Charge devices with sunlight.', stock: 99, reorderThreshold: 10, weight: 450 },
+    { slug: 'organic-soap', name: 'Organic Soap', price: 5.90, category: 'hygiene', img: '/images/aurelia-dubois-6J0MUsmS4fQ-unsplash.jpg', description: 'Natural ingredients, gentle on skin.', stock: 148, reorderThreshold: 10, weight: 110 },
+    { slug: 'wooden-cutlery', name: 'Wooden Cutlery', price: 6.50, category: 'kitchen', img: '/images/clair-Mv3yxyI_OY4-unsplash.jpg', description: 'Reusable wooden cutlery set.', stock: 12, reorderThreshold: 10, weight: 90 },
+    { slug: 'recycled-notebook', name: 'Recycled Notebook', price: 8.90, category: 'stationery', img: '/images/daian-gan-8_d05sj9JVc-unsplash.jpg', description: 'Notebook made from recycled paper.', stock: 45, reorderThreshold: 10, weight: 300 },
+    { slug: 'thermal-mug', name: 'Thermal Mug', price: 14.90, category: 'kitchen', img: '/images/sean-thoman-smtcdXmvZTI-unsplash.jpg', description: 'Keep drinks hot or cold longer.', stock: 67, reorderThreshold: 10, weight: 400 },
+    { slug: 'led-bulb', name: 'LED Bulb', price: 3.90, category: 'electronics', img: '/images/federico-bottos-TuAtSs8peoM-unsplash.jpg', description: 'Energy-saving LED bulb.', stock: 7, reorderThreshold: 10, weight: 60 },
 ]
 
 // Portfolio (galerie) : slugs uniques, utilisé pour l’upsert
@@ -92,16 +105,38 @@ async function main() {
         }
     })
 
-    // 2) PRODUCTS — upsert par slug pour pouvoir corriger/mettre à jour
-    for (const p of products) {
-        await prisma.product.upsert({
+    // 2) CATEGORIES — upsert par slug, parents d’abord (ordre de la liste)
+    const categoryIds = new Map()
+    for (const { parent, ...c } of categories) {
+        const data = { ...c, parentId: parent ? categoryIds.get(parent) : null }
+        const category = await prisma.category.upsert({
+            where: { slug: c.slug },
+            update: data,
+            create: data
+        })
+        categoryIds.set(c.slug, category.id)
+    }
+
+    // 3) PRODUCTS — upsert par slug pour pouvoir corriger/mettre à jour
+    //    + image principale de la galerie si le produit n’en a pas encore
+    //    + stock fixé via le journal des stocks (mouvement ADJUSTMENT « Seed »)
+    for (const { category, stock, ...p } of products) {
+        const data = { ...p, categoryId: categoryIds.get(category) }
+        const product = await prisma.product.upsert({
             where: { slug: p.slug },
-            update: p,      // si existe, on met à jour avec les nouvelles valeurs
-            create: p       // sinon on crée
+            update: data,   // si existe, on met à jour avec les nouvelles valeurs
+            create: { ...data, stock: 0 }    // sinon on crée (stock fixé juste après)
         })
+        await prisma.$transaction(tx => setStock(tx, { productId: product.id, stock, reason: 'Seed', actorId: admin.id }))
+        const hasImages = await prisma.productImage.count({ where: { productId: product.id } })
+        if (!hasImages) {
+            await prisma.productImage.create({
+                data: { productId: product.id, url: p.img, alt: p.name, isPrimary: true }
+            })
+        }
     }
 
-    // 3) PORTFOLIO — idem, upsert par slug
+    // 4) PORTFOLIO — idem, upsert par slug
     for (const i of imgs) {
         await prisma.portfolio.upsert({
             where: { slug: i.slug },
@@ -110,7 +145,7 @@ async function main() {
         })
     }
 
-    // 4) FAQ — createMany (plus efficace pour des lots)
+    // 5) FAQ — createMany (plus efficace pour des lots)
     //    "skipDuplicates: true" évite les erreurs si re-run avec mêmes données
     await prisma.faq.createMany({
         data: [
@@ -121,7 +156,7 @@ async function main() {
         skipDuplicates: true
     })
 
-    // 5) REVIEWS — on doit d’abord récupérer les produits (FK productId requis)
+    // 6) REVIEWS — on doit d’abord récupérer les produits (FK productId requis)
     const prodBottle = await prisma.product.findUnique({ where: { slug: 'eco-bottle' } })
     const prodBrush = await prisma.product.findUnique({ where: { slug: 'bamboo-toothbrush' } })
     const prodStraw = await prisma.product.findUnique({ where: { slug: 'metal-straw-set' } })
@@ -0,0 +1,125 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/scripts/checkout-race.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Banc d’essai de concurrence du checkout (à lancer sur une base Postgres locale).
+ * - Crée un produit jetable avec RACE_STOCK unités et RACE_BUYERS acheteurs,
+ *   chacun avec une adresse et un panier ACTIVE contenant RACE_QTY unités de ce produit.
+ * - Lance tous les checkouts en parallèle (placeOrder, sans passer par HTTP).
+ * - Vérifie les invariants : stock jamais négatif, stock final = stock initial
+ *   - quantités vendues, aucune vente au-delà du stock disponible, stock = somme
+ *   du journal des stocks (InventoryMovement).
+ * - Nettoie toutes les données créées, puis sort en code 1 si un invariant casse.
+ *
+ * Usage :
+ *   DATABASE_URL=postgresql://… npm run race:checkout
+ *   RACE_BUYERS=50 RACE_STOCK=7 RACE_QTY=2 npm run race:checkout
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import 'dotenv/config'
+import { prisma } from '../src/db/prisma.js'
+import { placeOrder } from '../src/lib/checkout.js'
+import { HttpError } from '../src/lib/errors.js'
+import { setStock } from '../src/lib/inventory.js'
+
+const BUYERS = Number(process.env.RACE_BUYERS) || 20
+const STOCK = Number(process.env.RACE_STOCK) || 5
+const QTY = Number(process.env.RACE_QTY) || 1
+
+// Préfixe unique : permet de tout retrouver (et supprimer) même après un crash
+const tag = `race-${Date.now()}`
+
+async function setup() {
+    const product = await prisma.product.create({
+        data: {
+            slug: tag,
+            name: `Race test ${tag}`,
+            price: 1,
+            img: '',
+            description: 'Produit jetable créé par scripts/checkout-race.js',
+            stock: 0,
+        },
+    })
+    await prisma.$transaction(tx => setStock(tx, { productId: product.id, stock: STOCK, reason: 'Race test' }))
+
+    const buyers = []
+    for (let i = 0; i < BUYERS; i++) {
+        const user = await prisma.user.create({
+            data: {
+                email: `${tag}-${i}@example.test`,
+                password: 'x',
+                addresses: {
+                    create: { fullName: `Buyer ${i}`, line1: '1 Test St', city: 'Test', postalCode: '00000', country: 'FR', isDefault: true },
+                },
+            },
+            include: { addresses: true },
+        })
+        await prisma.cart.create({
+            data: { userId: user.id, items: { create: { productId: product.id, qty: QTY } } },
+        })
+        buyers.push(user)
+    }
+    return { product, buyers }
+}
+
+async function cleanup(product, buyers) {
+    const userIds = buyers.map(u => u.id)
+    // Ordre imposé par les FK : lignes panier → paniers → users (cascade Sale/SaleItem/Address) → produit
+    await prisma.cartItem.deleteMany({ where: { cart: { userId: { in: userIds } } } })
+    await prisma.cart.deleteMany({ where: { userId: { in: userIds } } })
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } })
+    await prisma.product.delete({ where: { id: product.id } })
+}
+
+async function main() {
+    console.log(`[race] ${BUYERS} buyers × ${QTY} unit(s) for a stock of ${STOCK}`)
+    const { product, buyers } = await setup()
+
+    try {
+        const results = await Promise.allSettled(buyers.map(u => placeOrder(u.id, { shippingAddressId: u.addresses[0].id, shippingMethod: 'pickup' })))
+
+        const ok = results.filter(r => r.status === 'fulfilled').length
+        const outOfStock = results.filter(r => r.status === 'rejected' && r.reason instanceof HttpError).length
+        const crashed = results.filter(r => r.status === 'rejected' && !(r.reason instanceof HttpError))
+        for (const r of crashed) console.error('[race] unexpected error:', r.reason?.message || r.reason)
+
+        const { stock } = await prisma.product.findUnique({ where: { id: product.id } })
+        // Une vente annulée (paiement en échec) a rendu son stock : elle ne compte pas
+        const sold = await prisma.saleItem.aggregate({
+            where: { productId: product.id, sale: { status: { not: 'CANCELLED' } } },
+            _sum: { qty: true },
+        })
+        const soldQty = sold._sum.qty ?? 0
+        const ledger = await prisma.inventoryMovement.aggregate({ where: { productId: product.id }, _sum: { quantity: true } })
+
+        console.log(`[race] orders ok=${ok} refused=${outOfStock} errors=${crashed.length}`)
+        console.log(`[race] stock ${STOCK} → ${stock}, units sold ${soldQty}`)
+
+        const failures = []
+        if (stock < 0) failures.push('stock went negative')
+        if (stock !== STOCK - soldQty) failures.push('stock does not match units sold')
+        if (soldQty > STOCK) failures.push('more units sold than available')
+        if (ledger._sum.quantity !== stock) failures.push('stock does not match the inventory ledger')
+        if (ok * QTY !== soldQty) failures.push('successful orders do not match units sold')
+        if (ok < Math.min(BUYERS, Math.floor(STOCK / QTY)) && crashed.length === 0) {
+            failures.push('some buyers were refused while stock was still available')
+        }
+
+        if (failures.length) {
+            console.error('[race] FAILED:', failures.join('; '))
+            process.exitCode = 1
+        } else {
+            console.log('[race] OK ✅ stock never oversold')
+        }
+    } finally {
+        await cleanup(product, buyers)
+    }
+}
+
+main()
+    .catch((e) => {
+        console.error(e)
+        process.exitCode = 1
+    })
+    .finally(() => prisma.$disconnect())
@@ -0,0 +1,40 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/scripts/mock-webhook.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Envoie un webhook signé « comme la passerelle mock » à l’API locale.
+ * - Signé avec MOCK_WEBHOOK_SECRET (même secret que le serveur).
+ * - Un nouvel eventId à chaque appel, sauf si EVENT_ID est fourni
+ *   (pratique pour vérifier qu’un rejeu est bien refusé).
+ *
+ * Usage :
+ *   npm run webhook:mock -- payment.refunded mock_pi_…
+ *   EVENT_ID=evt_1 WEBHOOK_URL=http://localhost:5000/api/payments/webhook npm run webhook:mock -- payment.captured mock_pi_…
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import 'dotenv/config'
+import crypto from 'node:crypto'
+import { signMockWebhook } from '../src/payments/mock.js'
+
+const [type, paymentId] = process.argv.slice(2)
+const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`
+
+if (!type || !paymentId) {
+    console.error('Usage: npm run webhook:mock -- <event type> <payment id>')
+    process.exit(1)
+}
+
+const body = JSON.stringify({
+    id: process.env.EVENT_ID || `evt_${crypto.randomUUID()}`,
+    type,
+    data: { paymentId },
+})
+
+const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Mock-Signature': signMockWebhook(body) },
+    body,
+})
+console.log(`[webhook] ${type} ${paymentId} → ${res.status}`, await res.text())
+if (!res.ok) process.exitCode = 1
@@ -4,9 +4,12 @@
  * ──────────────────────────────────────────────────────────────────────────────
  * Point d’entrée principal du serveur Express.
  * - Configure middlewares globaux (CORS, JSON, cookies)
- * - Monte les routes publiques (auth, produits, panier, faq, reviews, portfolio)
- * - Monte les routes admin protégées (produits, users, ventes)
- * - Fournit endpoints utilitaires (/health, /stats, /checkout)
+ * - Monte le webhook de paiement AVANT express.json() (signature sur body brut)
+ * - Monte les routes publiques (auth, produits, panier, livraison, TVA, checkout, commandes, adresses, faq, reviews, portfolio)
+ * - Monte les routes admin protégées (produits, users, ventes, statuts de commande, coupons, promotions, envois d’images,
+ *   catégories, journal des stocks)
+ * - Sert les images envoyées (stockage local) sous /api/uploads
+ * - Fournit endpoints utilitaires (/health, /stats)
  * ──────────────────────────────────────────────────────────────────────────────
  */
 
@@ -19,19 +22,33 @@ import cookieParser from 'cookie-parser'
 import productsRouter from './routes/Products.js'
 import userRoutes from './routes/User.js'
 import cartRoutes from './routes/Cart.js'
+import shippingRoutes from './routes/Shipping.js'
+import taxRoutes from './routes/Tax.js'
+import checkoutRoutes from './routes/Checkout.js'
+import orderRoutes from './routes/Orders.js'
+import addressRoutes from './routes/Addresses.js'
 import faqRoutes from './routes/Faq.js'
+import categoryRoutes from './routes/Categories.js'
+import searchRoutes from './routes/Search.js'
 import reviewRoutes from './routes/Review.js'
+import paymentRoutes from './routes/Payments.js'
 
 // Routes admin
 import adminProductsRouter from './routes/AdminProducts.js'
 import adminUsersRouter from './routes/AdminUsers.js'
 import adminSalesRouter from './routes/AdminSales.js'
+import adminOrdersRouter from './routes/AdminOrders.js'
+import adminCouponsRouter from './routes/AdminCoupons.js'
+import adminPromotionsRouter from './routes/AdminPromotions.js'
+import adminUploadsRouter from './routes/AdminUploads.js'
+import adminCategoriesRouter from './routes/AdminCategories.js'
+import adminInventoryRouter from './routes/AdminInventory.js'
 
 // Base de données (Prisma)
 import { prisma } from './db/prisma.js'
-
-// Middlewares custom (auth)
-import { requireAuth } from './routes/User.js'
+import { REVENUE_STATUSES } from './lib/orders.js'
+import { toCents, fromCents } from './lib/money.js'
+import { UPLOAD_DIR, UPLOAD_ROOT_URL } from './storage/local.js'
 
 dotenv.config()
 const app = express()
@@ -43,6 +60,8 @@ app.use(cors({
   origin: (origin, cb) => cb(null, origin || true), // autorise l’origine appelante
   credentials: true,
 }));
+// Webhooks de paiement : ont besoin du body brut, donc montés avant le parse JSON
+app.use('/api', paymentRoutes)
 app.use(express.json()) // parse JSON body
 app.use(cookieParser()) // parse cookies (JWT inclus)
 
@@ -56,6 +75,21 @@ app.use('/api', userRoutes)
 // Panier utilisateur (guest ou connecté)
 app.use('/api', cartRoutes)
 
+// Frais de port (devis par mode de livraison)
+app.use('/api', shippingRoutes)
+
+// TVA (devis HT / TVA / TTC selon la destination)
+app.use('/api', taxRoutes)
+
+// Checkout (commande depuis le panier ACTIVE persisté)
+app.use('/api', checkoutRoutes)
+
+// Mes commandes (historique du user connecté)
+app.use('/api', orderRoutes)
+
+// Carnet d’adresses du user connecté
+app.use('/api', addressRoutes)
+
 // FAQ (public + admin)
 app.use('/api', faqRoutes)
 
@@ -67,81 +101,11 @@ app.get('/api/health', (req, res) =>
   res.json({ status: 'ok', time: new Date().toISOString() })
 )
 
-/**
- * POST /api/checkout
- * Simulation d’un checkout :
- * - Vérifie que l’utilisateur est authentifié
- * - Valide les produits + stock
- * - Calcule le total
- * - Effectue une transaction Prisma :
- *   → crée une vente liée au user
- *   → crée les SaleItem (qty, prix snapshot)
- *   → décrémente le stock produit
- *   → clôture le panier actif (status CHECKED_OUT)
- */
-app.post('/api/checkout', requireAuth, async (req, res) => {
-  try {
-    const items = Array.isArray(req.body?.items) ? req.body.items : []
-    if (!items.length) return res.status(400).json({ error: 'Empty cart' })
-
-    // Charger les produits par slug
-    const slugs = items.map(i => String(i.slug))
-    const products = await prisma.product.findMany({ where: { slug: { in: slugs } } })
-    if (products.length !== slugs.length) {
-      return res.status(400).json({ error: 'Unknown product in cart' })
-    }
-
-    // Vérif stock + calcul du total
-    const bySlug = Object.fromEntries(products.map(p => [p.slug, p]))
-    for (const i of items) {
-      const p = bySlug[i.slug]
-      const q = Math.max(1, Number(i.qty) || 1)
-      if (p.stock < q) return res.status(400).json({ error: `Insufficient stock for ${p.name}` })
-    }
-    const total = items.reduce(
-      (s, i) => s + bySlug[i.slug].price * Math.max(1, Number(i.qty) || 1),
-      0
-    )
-
-    // Transaction : crée la vente + lignes + décrémente le stock
-    const result = await prisma.$transaction(async (tx) => {
-      const sale = await tx.sale.create({
-        data: { total, userId: req.user.id }
-      })
-
-      for (const i of items) {
-        const p = bySlug[i.slug]
-        const q = Math.max(1, Number(i.qty) || 1)
-
-        await tx.saleItem.create({
-          data: { saleId: sale.id, productId: p.id, qty: q, price: p.price }
-        })
-
-        await tx.product.update({
-          where: { id: p.id },
-          data: { stock: { decrement: q } }
-        })
-      }
-
-      await tx.cart.updateMany({
-        where: { userId: req.user.id, status: 'ACTIVE' },
-        data: { status: 'CHECKED_OUT' }
-      })
-
-      return sale
-    })
-
-    return res.json({ success: true, orderId: result.id })
-  } catch (e) {
-    console.error(e)
-    return res.status(500).json({ error: 'Checkout failed' })
-  }
-})
-
 /**
  * GET /api/stats
  * Renvoie les ventes des 6 derniers mois (glissants).
- * - Bucket mensuel avec total des ventes
+ * - Bucket mensuel avec total des ventes encaissées (hors annulées / remboursées)
+ * - Cumul en centimes (Sale.total est un Decimal), renvoyé en unités
  * - Utilisé pour graphiques/dashboard
  */
 app.get('/api/stats', async (req, res) => {
@@ -152,7 +116,7 @@ app.get('/api/stats', async (req, res) => {
     start.setHours(0, 0, 0, 0)
 
     const sales = await prisma.sale.findMany({
-      where: { createdAt: { gte: start } },
+      where: { createdAt: { gte: start }, status: { in: REVENUE_STATUSES } },
       orderBy: { createdAt: 'asc' },
       select: { total: true, createdAt: true }
     })
@@ -162,13 +126,13 @@ app.get('/api/stats', async (req, res) => {
     for (let i = 5; i >= 0; i--) {
       const d = new Date(now); d.setMonth(now.getMonth() - i)
       const key = `${d.getFullYear()}-${d.getMonth()}`
-      buckets[key] = { month: months[d.getMonth()], sales: 0 }
+      buckets[key] = { month: months[d.getMonth()], cents: 0 }
     }
     for (const s of sales) {
       const k = `${s.createdAt.getFullYear()}-${s.createdAt.getMonth()}`
-      if (buckets[k]) buckets[k].sales += s.total
+      if (buckets[k]) buckets[k].cents += toCents(s.total)
     }
-    res.json(Object.values(buckets))
+    res.json(Object.values(buckets).map(b => ({ month: b.month, sales: fromCents(b.cents) })))
   } catch (e) {
     console.error(e)
     res.status(500).json({ error: 'Stats failed' })
@@ -178,6 +142,15 @@ app.get('/api/stats', async (req, res) => {
 // Produits (catalogue public)
 app.use('/api/products', productsRouter)
 
+// Catégories (arbre + nombre de produits, navigation de la boutique)
+app.use('/api', categoryRoutes)
+
+// Autocomplétion de la recherche (produits + catégories)
+app.use('/api', searchRoutes)
+
+// Images envoyées par l’admin (noms uniques par envoi → cache long)
+app.use(UPLOAD_ROOT_URL, express.static(UPLOAD_DIR, { immutable: true, maxAge: '365d', index: false }))
+
 // Portfolio (galerie de démos)
 app.get('/api/portfolio', async (_req, res) => {
   const items = await prisma.portfolio.findMany({
@@ -193,6 +166,12 @@ app.get('/api/portfolio', async (_req, res) => {
 app.use('/api/admin', adminProductsRouter)
 app.use('/api/admin', adminUsersRouter)
 app.use('/api/admin', adminSalesRouter)
+app.use('/api/admin', adminOrdersRouter)
+app.use('/api/admin', adminCouponsRouter)
+app.use('/api/admin', adminPromotionsRouter)
+app.use('/api/admin', adminUploadsRouter)
+app.use('/api/admin', adminCategoriesRouter)
+app.use('/api/admin', adminInventoryRouter)
 
 // ────────────────────────────────
 // LANCEMENT SERVEUR
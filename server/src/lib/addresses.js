@@ -0,0 +1,129 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/addresses.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Carnet d’adresses (Address) et adresses de commande.
+ * - parseAddress : validation / normalisation d’un body (création ou PATCH).
+ * - Une seule adresse par défaut par user : on retire l’ancienne dans la même
+ *   transaction (l’index unique partiel en base garantit l’invariant).
+ * - snapshotAddress : copie figée stockée sur la Sale au checkout.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+
+const REQUIRED = ['fullName', 'line1', 'city', 'postalCode', 'country']
+const OPTIONAL = ['label', 'line2', 'region', 'phone']
+const MAX_LENGTH = 200
+
+// Champs recopiés sur la Sale (pas d’id : la copie ne dépend plus du carnet)
+const SNAPSHOT_FIELDS = ['fullName', 'line1', 'line2', 'city', 'postalCode', 'region', 'country', 'phone']
+
+/**
+ * Valide un body d’adresse.
+ * - partial = true (PATCH) : seuls les champs présents sont contrôlés
+ * - country : code ISO alpha-2, mis en majuscules
+ * @returns les champs Address à écrire (+ isDefault si fourni)
+ * @throws HttpError 400
+ */
+export function parseAddress(body = {}, { partial = false } = {}) {
+    const data = {}
+
+    for (const field of [...REQUIRED, ...OPTIONAL]) {
+        if (body[field] === undefined) {
+            if (!partial && REQUIRED.includes(field)) throw new HttpError(400, `${field} requis`)
+            continue
+        }
+
+        const value = body[field] === null ? '' : String(body[field]).trim()
+        if (value.length > MAX_LENGTH) throw new HttpError(400, `${field} trop long`)
+        if (REQUIRED.includes(field) && !value) throw new HttpError(400, `${field} requis`)
+        data[field] = value || null
+    }
+
+    if (data.country !== undefined) {
+        data.country = data.country.toUpperCase()
+        if (!/^[A-Z]{2}$/.test(data.country)) throw new HttpError(400, 'country doit être un code ISO à 2 lettres')
+    }
+    if (body.isDefault !== undefined) data.isDefault = Boolean(body.isDefault)
+
+    return data
+}
+
+/**
+ * Crée une adresse pour `userId`. La première adresse du carnet devient l’adresse par défaut.
+ */
+export async function createAddress(userId, data) {
+    return prisma.$transaction(async (tx) => {
+        const count = await tx.address.count({ where: { userId } })
+        const isDefault = count === 0 || data.isDefault === true
+        if (isDefault) await tx.address.updateMany({ where: { userId, isDefault: true }, data: { isDefault: false } })
+        return tx.address.create({ data: { ...data, isDefault, userId } })
+    })
+}
+
+/**
+ * Met à jour une adresse de `userId` (404 si elle ne lui appartient pas).
+ * - isDefault: true → devient l’adresse par défaut ; isDefault: false est ignoré
+ *   (il faut toujours une adresse par défaut : choisir une autre adresse à la place)
+ */
+export async function updateAddress(userId, id, data) {
+    const { isDefault, ...fields } = data
+    return prisma.$transaction(async (tx) => {
+        const existing = await tx.address.findFirst({ where: { id, userId } })
+        if (!existing) throw new HttpError(404, 'Address not found')
+
+        if (isDefault === true && !existing.isDefault) {
+            await tx.address.updateMany({ where: { userId, isDefault: true }, data: { isDefault: false } })
+            fields.isDefault = true
+        }
+        return tx.address.update({ where: { id }, data: fields })
+    })
+}
+
+/**
+ * Supprime une adresse de `userId`. Si c’était l’adresse par défaut,
+ * la plus récente des adresses restantes prend le relais.
+ * (Les commandes passées gardent leur copie : rien à faire côté Sale.)
+ */
+export async function deleteAddress(userId, id) {
+    return prisma.$transaction(async (tx) => {
+        const existing = await tx.address.findFirst({ where: { id, userId } })
+        if (!existing) throw new HttpError(404, 'Address not found')
+
+        await tx.address.delete({ where: { id } })
+        if (existing.isDefault) {
+            const next = await tx.address.findFirst({ where: { userId }, orderBy: { createdAt: 'desc' } })
+            if (next) await tx.address.update({ where: { id: next.id }, data: { isDefault: true } })
+        }
+    })
+}
+
+export function snapshotAddress(address) {
+    return Object.fromEntries(SNAPSHOT_FIELDS.map(f => [f, address[f] ?? null]))
+}
+
+/**
+ * Adresses d’une commande : l’adresse de livraison est obligatoire,
+ * la facturation reprend la livraison si elle n’est pas précisée.
+ * @returns { shippingAddress, billingAddress } prêts à être stockés sur la Sale
+ * @throws HttpError 400 (adresse manquante ou qui n’appartient pas au user)
+ */
+export async function resolveOrderAddresses(userId, { shippingAddressId, billingAddressId } = {}) {
+    if (!shippingAddressId) throw new HttpError(400, 'Shipping address required')
+
+    const load = async (id, kind) => {
+        const address = Number.isInteger(Number(id))
+            ? await prisma.address.findFirst({ where: { id: Number(id), userId } })
+            : null
+        if (!address) throw new HttpError(400, `Unknown ${kind} address`)
+        return snapshotAddress(address)
+    }
+
+    const shippingAddress = await load(shippingAddressId, 'shipping')
+    const billingAddress = billingAddressId && Number(billingAddressId) !== Number(shippingAddressId)
+        ? await load(billingAddressId, 'billing')
+        : shippingAddress
+    return { shippingAddress, billingAddress }
+}
@@ -0,0 +1,95 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/alerts.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Alertes de stock bas (Product.reorderThreshold).
+ * - Une ligne de stock est « basse » quand son stock est ≤ au seuil du produit :
+ *   le produit lui-même s’il n’a pas de variante, sinon chacune de ses variantes
+ *   actives (leur stock est celui vendu). Les produits archivés sont ignorés.
+ * - checkLowStock : relit des mouvements du journal (lib/inventory.js) et met en
+ *   file une notification LOW_STOCK (outbox Notification) pour chaque sortie qui
+ *   fait passer une ligne au-dessus du seuil → au seuil ou en dessous. Chaque
+ *   mouvement porte son stock avant / après : deux ventes simultanées ne peuvent
+ *   pas déclencher deux fois la même alerte, et dedupeKey (id du mouvement)
+ *   protège d’un second passage.
+ * - Lancé après le checkout, hors de la requête (lib/checkout.js).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Prisma } from '@prisma/client'
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+
+/**
+ * Seuil saisi par un admin : entier ≥ 0, ou null / '' (pas d’alerte).
+ * @throws HttpError 400
+ */
+export function parseReorderThreshold(value) {
+    if (value === null || value === '') return null
+    const threshold = Number(value)
+    if (!Number.isInteger(threshold) || threshold < 0) throw new HttpError(400, 'reorderThreshold doit être un entier >= 0')
+    return threshold
+}
+
+/**
+ * Lignes de stock bas, de la plus entamée (stock - seuil le plus faible) à la moins.
+ * - productIds : limite aux produits donnés
+ * @returns [{ productId, variantId, name, sku, stock, threshold }]
+ */
+export function lowStockLines({ productIds } = {}) {
+    const only = productIds ? Prisma.sql`AND p."id" IN (${Prisma.join(productIds.length ? productIds : [0])})` : Prisma.empty
+    return prisma.$queryRaw(Prisma.sql`
+        SELECT * FROM (
+            SELECT p."id" AS "productId", NULL::int AS "variantId", p."name", NULL AS "sku",
+                   p."stock", p."reorderThreshold" AS "threshold"
+            FROM "Product" p
+            WHERE p."stock" <= p."reorderThreshold" AND p."archivedAt" IS NULL ${only}
+              AND NOT EXISTS (SELECT 1 FROM "ProductVariant" v WHERE v."productId" = p."id")
+            UNION ALL
+            SELECT p."id", v."id", p."name" || ' (' || v."title" || ')', v."sku",
+                   v."stock", p."reorderThreshold"
+            FROM "ProductVariant" v JOIN "Product" p ON p."id" = v."productId"
+            WHERE v."active" AND v."stock" <= p."reorderThreshold" AND p."archivedAt" IS NULL ${only}
+        ) l
+        ORDER BY l."stock" - l."threshold", l."productId", l."variantId" NULLS FIRST`)
+}
+
+/**
+ * Met en file une alerte LOW_STOCK pour chaque mouvement de `where` (filtre
+ * Prisma sur InventoryMovement, ex. { saleId }) qui franchit le seuil.
+ * @returns nombre de notifications créées
+ */
+export async function checkLowStock(where) {
+    const movements = await prisma.inventoryMovement.findMany({
+        where: { ...where, quantity: { lt: 0 }, product: { reorderThreshold: { not: null } } },
+        include: {
+            product: { select: { name: true, reorderThreshold: true } },
+            variant: { select: { sku: true, title: true } },
+        },
+        orderBy: { id: 'asc' },
+    })
+
+    const crossings = movements.filter(m => {
+        const threshold = m.product.reorderThreshold
+        return m.stockAfter - m.quantity > threshold && m.stockAfter <= threshold
+    })
+    if (crossings.length === 0) return 0
+
+    const { count } = await prisma.notification.createMany({
+        data: crossings.map(m => ({
+            type: 'LOW_STOCK',
+            dedupeKey: `low-stock:${m.id}`,
+            payload: {
+                productId: m.productId,
+                variantId: m.variantId,
+                name: m.variant ? `${m.product.name} (${m.variant.title})` : m.product.name,
+                sku: m.variant?.sku ?? null,
+                stock: m.stockAfter,
+                threshold: m.product.reorderThreshold,
+                saleId: m.saleId,
+            },
+        })),
+        skipDuplicates: true,
+    })
+    return count
+}
@@ -0,0 +1,83 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/catalog.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Lecture du catalogue pour les devis (port, TVA) calculés avant le checkout.
+ * - Le client n’envoie que des productId + quantités : prix, poids et catégorie
+ *   sont toujours relus depuis Product (ou ProductVariant pour une déclinaison).
+ * - Ciblage des remises (coupons, promotions) par produit ou catégorie ; chaque
+ *   ligne porte le chemin de sa catégorie (product.categoryPath, lib/categories.js)
+ *   pour qu’une règle sur une catégorie vaille aussi pour ses sous-catégories.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { pricingLine } from './variants.js'
+import { categoryPaths } from './categories.js'
+import { publishedWhere } from './publishing.js'
+
+// Ajoute à chaque ligne le chemin de catégorie de son produit ([] sans catégorie)
+async function withCategoryPaths(lines) {
+    const paths = await categoryPaths()
+    return lines.map(l => ({ ...l, product: { ...l.product, categoryPath: paths.get(l.product.categoryId) ?? [] } }))
+}
+
+/**
+ * Lignes de panier { product, variant, qty } → lignes pour les moteurs de prix
+ * (pricingLine + chemin de catégorie).
+ */
+export const pricingLines = (items) => withCategoryPaths(items.map(pricingLine))
+
+/**
+ * Transforme des lignes client [{ productId, variantId?, qty }] en lignes
+ * { product, variant, qty } (même forme que les CartItem avec leur product),
+ * `product` portant le prix et le poids effectifs de la variante.
+ * @throws HttpError 400 (lignes invalides, produit inconnu ou non public, variante inconnue ou
+ *         désactivée, comme au checkout)
+ */
+export async function loadQuoteLines(items) {
+    if (!Array.isArray(items)) throw new HttpError(400, 'items requis')
+
+    const wanted = items.map(i => ({
+        productId: Number(i?.productId),
+        variantId: i?.variantId == null ? null : Number(i.variantId),
+        qty: Number(i?.qty),
+    }))
+    if (wanted.some(i =>
+        !Number.isInteger(i.productId) || !Number.isInteger(i.qty) || i.qty < 1 ||
+        (i.variantId !== null && !Number.isInteger(i.variantId)))) {
+        throw new HttpError(400, 'items invalides')
+    }
+
+    const products = await prisma.product.findMany({
+        where: { id: { in: wanted.map(i => i.productId) }, ...publishedWhere() },
+        select: { id: true, price: true, weight: true, categoryId: true },
+    })
+    const variantIds = wanted.map(i => i.variantId).filter(id => id !== null)
+    const variants = variantIds.length === 0 ? [] : await prisma.productVariant.findMany({
+        where: { id: { in: variantIds }, active: true },
+        select: { id: true, productId: true, price: true, weight: true },
+    })
+    const byId = new Map(products.map(p => [p.id, p]))
+    const variantById = new Map(variants.map(v => [v.id, v]))
+    if (wanted.some(i => !byId.has(i.productId))) throw new HttpError(400, 'Produit introuvable')
+    if (wanted.some(i => i.variantId !== null && variantById.get(i.variantId)?.productId !== i.productId)) {
+        throw new HttpError(400, 'Variante introuvable')
+    }
+
+    return pricingLines(wanted.map(i => ({
+        product: byId.get(i.productId),
+        variant: i.variantId === null ? null : variantById.get(i.variantId),
+        qty: i.qty,
+    })))
+}
+
+/**
+ * Produit visé par une règle de remise { productIds, categories } ?
+ * (les deux listes vides → tout le catalogue ; categories = slugs, sous-catégories comprises)
+ */
+export function matchesProduct(rule, product) {
+    if (rule.productIds.length === 0 && rule.categories.length === 0) return true
+    return rule.productIds.includes(product.id) || rule.categories.some(c => product.categoryPath?.includes(c))
+}
@@ -0,0 +1,146 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/categories.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Arbre des catégories (Category).
+ * - Une catégorie est identifiée par son slug (URL, règles de TVA, coupons et
+ *   promotions) ; une règle posée sur une catégorie vaut pour ses sous-catégories.
+ * - Le catalogue tient en mémoire : l’arbre est relu en entier et assemblé ici.
+ * - Pas de cycle : un parent ne peut pas être la catégorie elle-même ni l’une
+ *   de ses descendantes (vérifié ici ; CHECK parentId <> id en base).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { publishedWhere } from './publishing.js'
+
+// Même règle que la migration des anciennes catégories texte
+export const slugify = (s) =>
+    String(s ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+
+const loadCategories = () =>
+    prisma.category.findMany({ orderBy: [{ position: 'asc' }, { name: 'asc' }] })
+
+/**
+ * Chemin de chaque catégorie, de la catégorie vers la racine.
+ * @returns Map id → [slug, slug du parent, …]
+ */
+export async function categoryPaths() {
+    const list = await loadCategories()
+    const byId = new Map(list.map(c => [c.id, c]))
+    const paths = new Map()
+    for (const c of list) {
+        const path = []
+        const seen = new Set()
+        for (let cur = c; cur && !seen.has(cur.id); cur = byId.get(cur.parentId)) {
+            seen.add(cur.id)
+            path.push(cur.slug)
+        }
+        paths.set(c.id, path)
+    }
+    return paths
+}
+
+/**
+ * Ids de la catégorie `slug` et de toutes ses sous-catégories.
+ * @returns [] si le slug est inconnu
+ */
+export async function descendantIds(slug) {
+    const paths = await categoryPaths()
+    const wanted = slugify(slug)
+    return [...paths].filter(([, path]) => path.includes(wanted)).map(([id]) => id)
+}
+
+/**
+ * Arbre complet, trié par position puis nom :
+ * [{ id, slug, name, description, position, parentId, productCount, children }]
+ * - productCount : produits publics de la catégorie et de ses sous-catégories
+ */
+export async function categoryTree() {
+    const [categories, counts] = await Promise.all([
+        loadCategories(),
+        prisma.product.groupBy({ by: ['categoryId'], where: publishedWhere(), _count: { _all: true } }),
+    ])
+    const own = new Map(counts.map(c => [c.categoryId, c._count._all]))
+
+    const nodes = new Map(categories.map(c => [c.id, {
+        id: c.id,
+        slug: c.slug,
+        name: c.name,
+        description: c.description,
+        position: c.position,
+        parentId: c.parentId,
+        productCount: 0,
+        children: [],
+    }]))
+    const roots = []
+    for (const node of nodes.values()) {
+        const parent = nodes.get(node.parentId)
+        if (parent) parent.children.push(node)
+        else roots.push(node)
+    }
+
+    const total = (node) => {
+        node.productCount = (own.get(node.id) ?? 0) + node.children.reduce((s, child) => s + total(child), 0)
+        return node.productCount
+    }
+    roots.forEach(total)
+    return roots
+}
+
+/**
+ * Vérifie que `parentId` peut devenir le parent de la catégorie `id`
+ * (id null = catégorie à créer).
+ * @throws HttpError 400 (parent inconnu, ou cycle dans l’arbre)
+ */
+export async function assertParent(id, parentId) {
+    if (parentId === null) return
+    const categories = await prisma.category.findMany({ select: { id: true, parentId: true } })
+    const byId = new Map(categories.map(c => [c.id, c]))
+    if (!byId.has(parentId)) throw new HttpError(400, 'Catégorie parente introuvable')
+    for (let cur = byId.get(parentId); cur; cur = byId.get(cur.parentId)) {
+        if (cur.id === id) throw new HttpError(400, 'Une catégorie ne peut pas être rangée sous elle-même')
+    }
+}
+
+/**
+ * categoryId d’un produit depuis le body (null / '' → sans catégorie).
+ * @throws HttpError 400 (id invalide ou catégorie inconnue)
+ */
+export async function parseCategoryId(value) {
+    if (value == null || value === '') return null
+    const id = Number(value)
+    if (!Number.isInteger(id) || !(await prisma.category.findUnique({ where: { id }, select: { id: true } }))) {
+        throw new HttpError(400, 'Catégorie introuvable')
+    }
+    return id
+}
+
+/**
+ * Vérifie les slugs ciblés par une règle (coupon, promotion, TVA).
+ * @throws HttpError 400 (slug inconnu)
+ */
+export async function assertCategorySlugs(slugs) {
+    if (!slugs?.length) return
+    const found = await prisma.category.findMany({ where: { slug: { in: slugs } }, select: { slug: true } })
+    const known = new Set(found.map(c => c.slug))
+    const unknown = slugs.filter(s => !known.has(s))
+    if (unknown.length > 0) throw new HttpError(400, `Catégorie inconnue : ${unknown.join(', ')}`)
+}
+
+/**
+ * Reporte un changement de slug `from` → `to` dans les règles qui citent la
+ * catégorie : TaxRate.category, Coupon.categories et Promotion.categories.
+ * À appeler dans la transaction `tx` qui renomme la catégorie.
+ */
+export async function renameCategorySlug(tx, from, to) {
+    await tx.taxRate.updateMany({ where: { category: from }, data: { category: to } })
+    const rename = (slugs) => [...new Set(slugs.map(s => (s === from ? to : s)))]
+    for (const model of [tx.coupon, tx.promotion]) {
+        const rules = await model.findMany({ where: { categories: { has: from } }, select: { id: true, categories: true } })
+        for (const rule of rules) {
+            await model.update({ where: { id: rule.id }, data: { categories: rename(rule.categories) } })
+        }
+    }
+}
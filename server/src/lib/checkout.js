@@ -0,0 +1,233 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/checkout.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Logique métier du checkout (indépendante d’Express).
+ * - La commande est construite depuis le panier ACTIVE persisté (Cart/CartItem),
+ *   jamais depuis une liste envoyée par le navigateur.
+ * - Les prix sont relus depuis Product au moment du paiement (ou depuis la
+ *   variante choisie, dont le stock est alors celui décrémenté ; lib/variants.js).
+ * - Si le client transmet ce qu’il a affiché (lignes + total), on refuse la
+ *   commande quand ça ne correspond plus au panier serveur (falsifié ou périmé).
+ * - Paiement en deux temps : la vente naît PENDING avec le stock réservé, puis
+ *   passe PAID après capture, ou CANCELLED (stock rendu) si le paiement échoue.
+ * - Les adresses de livraison / facturation sont copiées sur la vente.
+ * - Frais de port (lib/shipping.js) selon le mode choisi et le pays de livraison,
+ *   inclus dans Sale.total, exonérés de TVA (voir lib/tax.js).
+ * - TVA (lib/tax.js) calculée ligne à ligne pour le pays de livraison et figée
+ *   sur chaque SaleItem ; Sale.total est TTC.
+ * - Promotions automatiques (lib/promotions.js) réévaluées comme pour l’aperçu du
+ *   panier, puis coupon du panier (lib/coupons.js) revérifié ; les remises sont
+ *   réparties sur les lignes et copiées sur la vente, l’utilisation du coupon est
+ *   réservée dans la transaction.
+ * - Vente conclue : les lignes passées sous leur seuil de réapprovisionnement
+ *   sont signalées en tâche de fond (lib/alerts.js).
+ * - Montants calculés en centimes entiers (lib/money.js) ; la vente garde la
+ *   devise de la boutique (Sale.currency).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { chargeSale, refundSalePayments } from './payments.js'
+import { transitionSale } from './orders.js'
+import { resolveOrderAddresses } from './addresses.js'
+import { priceShipping } from './shipping.js'
+import { computeTax } from './tax.js'
+import { evaluateCoupon, claimCoupon } from './coupons.js'
+import { evaluatePromotions, combineDiscounts } from './promotions.js'
+import { toCents, fromCents, STORE_CURRENCY } from './money.js'
+import { availableStock, lineLabel } from './variants.js'
+import { pricingLines } from './catalog.js'
+import { moveStock } from './inventory.js'
+import { checkLowStock } from './alerts.js'
+import { isPublished } from './publishing.js'
+
+/**
+ * Compare le panier serveur avec ce que le client affichait.
+ * - expected.items : [{ productId, variantId?, qty }] → mêmes lignes, mêmes quantités
+ * - expected.total : total affiché (TTC, port inclus) → doit égaler le total recalculé
+ * Chaque contrôle est ignoré si le champ correspondant est absent.
+ */
+function assertMatchesExpected(cart, totalCents, expected) {
+    if (Array.isArray(expected.items)) {
+        const key = (productId, variantId) => `${Number(productId)}:${variantId == null ? '' : Number(variantId)}`
+        const seen = new Map(cart.items.map(ci => [key(ci.productId, ci.variantId), ci.qty]))
+        const sameLines =
+            expected.items.length === seen.size &&
+            expected.items.every(i => seen.get(key(i.productId, i.variantId)) === Number(i.qty))
+        if (!sameLines) throw new HttpError(409, 'Your cart has changed, please review it before paying')
+    }
+
+    if (expected.total !== undefined && toCents(expected.total) !== totalCents) {
+        throw new HttpError(409, 'Prices have changed, please review your cart before paying')
+    }
+}
+
+/**
+ * Passe commande pour le panier ACTIVE de `userId`.
+ * - Vérifie le stock (pré-contrôle rapide), recalcule le total depuis Product
+ *   + frais de port du mode opts.shippingMethod vers le pays de livraison
+ *   + TVA selon le pays de livraison et la catégorie de chaque produit
+ *   - promotions automatiques et coupon appliqué au panier (409 s’il n’est plus valable)
+ * - Transaction : Sale (PENDING) + SaleItem (prix snapshot) + décrément stock
+ *   atomique (mouvement SALE au journal, lib/inventory.js) + utilisation du coupon ; tout est annulé si une ligne manque de stock
+ * - opts.items / opts.total : ce que le client affichait (voir assertMatchesExpected)
+ * - opts.shippingAddressId (obligatoire) / opts.billingAddressId : adresses du carnet
+ * - Paiement (opts.paymentMethod) : succès → PAID + clôture du panier,
+ *   échec → CANCELLED (stock rendu), le panier reste ACTIVE pour réessayer
+ * @returns la Sale (PAID)
+ * @throws HttpError (400 panier vide / stock / adresse / livraison, 409 panier modifié, produit
+ *         plus en vente (lib/publishing.js), coupon invalide ou stock pris entre-temps,
+ *         402/502/504 paiement refusé ou en échec)
+ */
+export async function placeOrder(userId, opts = {}) {
+    const cart = await prisma.cart.findFirst({
+        where: { userId, status: 'ACTIVE' },
+        include: { items: { include: { product: true, variant: true }, orderBy: { id: 'asc' } }, coupon: true },
+    })
+    if (!cart || cart.items.length === 0) throw new HttpError(400, 'Empty cart')
+
+    for (const ci of cart.items) {
+        const label = lineLabel(ci.product, ci.variant)
+        if (ci.qty < 1) throw new HttpError(400, `Invalid quantity for ${label}`)
+        if (!isPublished(ci.product) || (ci.variant && !ci.variant.active)) {
+            throw new HttpError(409, `${label} is no longer available`)
+        }
+        if (availableStock(ci.product, ci.variant) < ci.qty) throw new HttpError(400, `Insufficient stock for ${label}`)
+    }
+
+    const addresses = await resolveOrderAddresses(userId, opts)
+
+    // Lignes au prix / poids effectifs de leur variante, pour tous les moteurs
+    const lines = await pricingLines(cart.items)
+    const promotions = await evaluatePromotions(lines)
+
+    // Le coupon a pu expirer ou s’épuiser depuis qu’il a été appliqué au panier
+    let promo = null
+    if (cart.coupon) {
+        try {
+            promo = await evaluateCoupon(cart.coupon, lines, { userId, lineDiscounts: promotions.lineDiscounts })
+        } catch (e) {
+            if (e instanceof HttpError) throw new HttpError(409, `${e.message}. Please review your cart.`)
+            throw e
+        }
+    }
+
+    const discounts = combineDiscounts(promotions, promo)
+    const country = addresses.shippingAddress.country
+    const shipping = await priceShipping(lines, country, opts.shippingMethod, discounts)
+
+    const tax = await computeTax(lines, country, discounts)
+    const totalCents = toCents(tax.gross) + toCents(shipping.cost)
+    assertMatchesExpected(cart, totalCents, opts)
+
+    const sale = await prisma.$transaction(async (tx) => {
+        if (promo) await claimCoupon(tx, cart.coupon, userId)
+
+        // La vente attend son paiement ; le stock est réservé dès maintenant
+        const sale = await tx.sale.create({
+            data: {
+                total: fromCents(totalCents),
+                currency: STORE_CURRENCY,
+                userId,
+                ...addresses,
+                shippingMethod: shipping.code,
+                shippingCost: shipping.cost,
+                taxTotal: tax.tax,
+                pricesIncludeTax: tax.pricesIncludeTax,
+                couponId: promo?.couponId,
+                couponCode: promo?.code,
+                discount: tax.discount,
+                promotions: promotions.applied.length
+                    ? promotions.applied.map(a => ({ promotionId: a.promotionId, name: a.name, discount: fromCents(a.discountCents) }))
+                    : undefined,
+                status: 'PENDING',
+                history: { create: { toStatus: 'PENDING', note: 'Checkout, awaiting payment' } },
+            },
+        })
+
+        for (const [i, ci] of cart.items.entries()) {
+            const line = tax.lines[i]
+            await tx.saleItem.create({
+                data: {
+                    saleId: sale.id,
+                    productId: ci.productId,
+                    variantId: ci.variantId,
+                    variantTitle: ci.variant?.title,
+                    sku: ci.variant?.sku,
+                    qty: ci.qty,
+                    price: lines[i].product.price,
+                    taxRate: line.taxRate,
+                    netAmount: line.net,
+                    taxAmount: line.tax,
+                    grossAmount: line.gross,
+                    discount: line.discount,
+                },
+            })
+
+            // Décrément conditionnel (lib/inventory.js) : la condition `stock >= qty`
+            // est évaluée par Postgres au moment de l’UPDATE (verrou de ligne), donc
+            // deux acheteurs simultanés ne peuvent pas vendre les mêmes dernières unités.
+            // null → stock insuffisant → throw → rollback de toute la commande.
+            const movement = await moveStock(tx, {
+                productId: ci.productId,
+                variantId: ci.variantId,
+                type: 'SALE',
+                quantity: -ci.qty,
+                actorId: userId,
+                saleId: sale.id,
+            })
+            if (!movement) throw new HttpError(409, `Insufficient stock for ${lineLabel(ci.product, ci.variant)}`)
+        }
+
+        return sale
+    })
+
+    let payment
+    try {
+        payment = await chargeSale(sale, { paymentMethod: opts.paymentMethod })
+    } catch (e) {
+        // Rien n’a été encaissé : on annule la vente, ce qui rend le stock réservé
+        await transitionSale(sale.id, 'CANCELLED', { note: e.message })
+        throw e
+    }
+
+    let order
+    try {
+        order = await closeOrder(userId, cart.id, sale.id, payment)
+    } catch (e) {
+        // Encaissé mais la vente n’a pas pu passer PAID : on l’annule (remboursement +
+        // stock rendu), ou on rembourse seulement si elle a déjà été annulée entre-temps
+        await transitionSale(sale.id, 'CANCELLED', { note: 'Order could not be completed' })
+            .catch(() => refundSalePayments(sale.id))
+        throw e
+    }
+
+    // Alertes de stock bas en tâche de fond : ne retarde ni ne fait échouer la commande
+    checkLowStock({ saleId: sale.id, type: 'SALE' })
+        .catch(e => console.error('low-stock check error:', e))
+
+    return order
+}
+
+/**
+ * Vente payée : PAID + clôture du panier, dans une seule transaction.
+ */
+function closeOrder(userId, cartId, saleId, payment) {
+    return prisma.$transaction(async (tx) => {
+        // Le webhook `payment.captured` a pu passer la vente PAID avant nous
+        const { status } = await tx.sale.findUnique({ where: { id: saleId }, select: { status: true } })
+        if (status !== 'PAID') {
+            await transitionSale(saleId, 'PAID', { tx, note: `Payment captured (${payment.provider})` })
+        }
+
+        // @@unique(userId, status) n’autorise qu’un panier CHECKED_OUT par user :
+        // on purge l’ancien (la Sale conserve l’historique) avant de clôturer celui-ci.
+        await tx.cartItem.deleteMany({ where: { cart: { userId, status: 'CHECKED_OUT' } } })
+        await tx.cart.deleteMany({ where: { userId, status: 'CHECKED_OUT' } })
+        await tx.cart.update({ where: { id: cartId }, data: { status: 'CHECKED_OUT' } })
+
+        return tx.sale.findUnique({ where: { id: saleId } })
+    })
+}
@@ -0,0 +1,135 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/coupons.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Moteur de coupons (codes de réduction).
+ * - Types : PERCENTAGE (% des articles éligibles), FIXED_AMOUNT (montant plafonné
+ *   aux articles éligibles), FREE_SHIPPING (port offert).
+ * - Contrôles : actif, fenêtre startsAt / endsAt, minSubtotal (panier après
+ *   promotions automatiques), limites d’utilisation globale et par user, restriction à des
+ *   catégories / produits.
+ * - Le coupon s’applique après les promotions automatiques (lib/promotions.js),
+ *   sur les montants déjà remisés ; sa remise est répartie sur les lignes
+ *   éligibles (au prorata, en centimes) et la TVA est ensuite calculée sur les
+ *   prix remisés (lib/tax.js).
+ * - Une utilisation = une vente non annulée : réservée au checkout par un
+ *   incrément conditionnel (claimCoupon), rendue à l’annulation (releaseCoupon).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Prisma } from '@prisma/client'
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { toCents, fromCents, percentOfCents, allocateCents } from './money.js'
+import { matchesProduct } from './catalog.js'
+
+// Ventes qui ne consomment plus le coupon (elles l’ont rendu)
+const RELEASED_STATUSES = ['CANCELLED', 'REFUNDED']
+
+export const normalizeCode = (code) => String(code ?? '').trim().toUpperCase()
+
+/**
+ * Coupon par son code (insensible à la casse).
+ * @throws HttpError 404 si aucun coupon ne porte ce code
+ */
+export async function findCoupon(code) {
+    const coupon = await prisma.coupon.findUnique({ where: { code: normalizeCode(code) } })
+    if (!coupon) throw new HttpError(404, 'Coupon not found')
+    return coupon
+}
+
+/**
+ * Applique `coupon` aux lignes { product, qty } (panier ou devis).
+ * - opts.userId : vérifie aussi maxUsesPerUser (omis pour un devis anonyme)
+ * - opts.now : date de référence de la fenêtre de validité
+ * - opts.lineDiscounts : remises déjà accordées par ligne (promotions), en centimes
+ * @returns { couponId, code, type, discountCents, lineDiscounts: [centimes par ligne], freeShipping }
+ * @throws HttpError 400 (coupon inactif, expiré, épuisé, panier non éligible…)
+ */
+export async function evaluateCoupon(coupon, lines, { userId = null, now = new Date(), lineDiscounts = [] } = {}) {
+    const invalid = (reason) => new HttpError(400, `Coupon ${coupon.code}: ${reason}`)
+
+    if (!coupon.active) throw invalid('this code is not active')
+    if (coupon.startsAt && now < coupon.startsAt) throw invalid('this code is not valid yet')
+    if (coupon.endsAt && now >= coupon.endsAt) throw invalid('this code has expired')
+    if (coupon.maxUses != null && coupon.usedCount >= coupon.maxUses) {
+        throw invalid('this code has reached its usage limit')
+    }
+
+    const amounts = lines.map((l, i) => toCents(l.product.price) * l.qty - (lineDiscounts[i] || 0))
+    const subtotal = amounts.reduce((s, a) => s + a, 0)
+    if (coupon.minSubtotal != null && subtotal < toCents(coupon.minSubtotal)) {
+        throw invalid(`requires a subtotal of at least ${fromCents(toCents(coupon.minSubtotal)).toFixed(2)}`)
+    }
+
+    const weights = lines.map((l, i) => (matchesProduct(coupon, l.product) ? amounts[i] : 0))
+    const eligible = weights.reduce((s, w) => s + w, 0)
+    if (eligible === 0) throw invalid('none of the items in your cart are eligible')
+
+    if (userId != null && coupon.maxUsesPerUser != null) {
+        const used = await prisma.sale.count({
+            where: { couponId: coupon.id, userId, status: { notIn: RELEASED_STATUSES } },
+        })
+        if (used >= coupon.maxUsesPerUser) throw invalid('you have already used this code')
+    }
+
+    let discountCents = 0
+    if (coupon.type === 'PERCENTAGE') discountCents = percentOfCents(eligible, Number(coupon.value) / 100)
+    if (coupon.type === 'FIXED_AMOUNT') discountCents = Math.min(toCents(coupon.value), eligible)
+
+    return {
+        couponId: coupon.id,
+        code: coupon.code,
+        type: coupon.type,
+        discountCents,
+        lineDiscounts: allocateCents(discountCents, weights),
+        freeShipping: coupon.type === 'FREE_SHIPPING',
+    }
+}
+
+/**
+ * Devis (port, TVA) avec un code saisi : un coupon invalide n’empêche pas le devis.
+ * @returns { promo, couponError } — promo = résultat d’evaluateCoupon ou null
+ */
+export async function evaluateCouponCode(code, lines, opts) {
+    if (!normalizeCode(code)) return { promo: null, couponError: null }
+    try {
+        return { promo: await evaluateCoupon(await findCoupon(code), lines, opts), couponError: null }
+    } catch (e) {
+        if (e instanceof HttpError) return { promo: null, couponError: e.message }
+        throw e
+    }
+}
+
+/**
+ * Réserve une utilisation du coupon dans la transaction du checkout.
+ * Incrément conditionnel (comme le stock) : deux commandes simultanées ne
+ * peuvent pas dépasser maxUses. La limite par user est recomptée sous verrou
+ * de la ligne User (SELECT … FOR UPDATE) : deux checkouts simultanés du même
+ * user passent l’un après l’autre, le second voit la vente du premier.
+ * @throws HttpError 409 si la limite a été atteinte entre-temps
+ */
+export async function claimCoupon(tx, coupon, userId) {
+    if (coupon.maxUsesPerUser != null) {
+        // Verrou tenu jusqu’à la fin de la transaction (vente comprise)
+        await tx.$queryRaw(Prisma.sql`SELECT 1 FROM "User" WHERE "id" = ${userId} FOR UPDATE`)
+        const used = await tx.sale.count({
+            where: { couponId: coupon.id, userId, status: { notIn: RELEASED_STATUSES } },
+        })
+        if (used >= coupon.maxUsesPerUser) throw new HttpError(409, `Coupon ${coupon.code}: you have already used this code`)
+    }
+
+    const { count } = await tx.coupon.updateMany({
+        where: { id: coupon.id, ...(coupon.maxUses != null && { usedCount: { lt: coupon.maxUses } }) },
+        data: { usedCount: { increment: 1 } },
+    })
+    if (count === 0) throw new HttpError(409, `Coupon ${coupon.code}: this code has reached its usage limit`)
+}
+
+/** Rend l’utilisation d’un coupon (vente annulée / remboursée), dans la transaction `tx`. */
+export async function releaseCoupon(tx, couponId) {
+    await tx.coupon.updateMany({
+        where: { id: couponId, usedCount: { gt: 0 } },
+        data: { usedCount: { decrement: 1 } },
+    })
+}
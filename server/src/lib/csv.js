@@ -0,0 +1,83 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/csv.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Lecture / écriture CSV (RFC 4180) pour l’import / export du catalogue.
+ * - Séparateur virgule, champs entre guillemets s’ils contiennent une virgule,
+ *   un guillemet (doublé) ou un saut de ligne ; lignes terminées par CRLF.
+ * - En lecture : BOM UTF-8 ignoré, fins de ligne LF ou CRLF, lignes vides sautées.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { HttpError } from './errors.js'
+
+const escapeField = (value) => {
+    const s = value == null ? '' : String(value)
+    return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s
+}
+
+/**
+ * Objets → texte CSV (en-tête = columns, dans cet ordre).
+ */
+export function toCsv(columns, rows) {
+    const lines = [columns, ...rows.map(r => columns.map(c => r[c]))]
+    return lines.map(l => l.map(escapeField).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Texte CSV → enregistrements { line, values } (line = n° de ligne de début dans le fichier).
+ * @throws HttpError 400 (guillemet non fermé)
+ */
+function parseRecords(text) {
+    const records = []
+    let values = []
+    let field = ''
+    let quoted = false
+    let line = 1
+    let start = 1
+
+    const endRecord = () => {
+        values.push(field)
+        if (values.length > 1 || values[0] !== '') records.push({ line: start, values })
+        values = []; field = ''
+    }
+
+    for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+        const c = text[i]
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++ }
+            else if (c === '"') quoted = false
+            else {
+                if (c === '\n') line++
+                field += c
+            }
+        } else if (c === '"' && field === '') quoted = true
+        else if (c === ',') { values.push(field); field = '' }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++
+            endRecord()
+            start = ++line
+        } else field += c
+    }
+    if (quoted) throw new HttpError(400, `CSV invalide : guillemet non fermé (ligne ${start})`)
+    endRecord()
+    return records
+}
+
+/**
+ * Texte CSV avec en-tête → [{ line, row: { colonne: valeur } }].
+ * @throws HttpError 400 (fichier vide, en-tête en double, nombre de champs incohérent)
+ */
+export function parseCsv(text) {
+    const [header, ...records] = parseRecords(text)
+    if (!header) throw new HttpError(400, 'CSV vide')
+    const columns = header.values.map(c => c.trim())
+    if (new Set(columns).size !== columns.length) throw new HttpError(400, 'CSV invalide : colonne en double')
+
+    return records.map(({ line, values }) => {
+        if (values.length !== columns.length) {
+            throw new HttpError(400, `CSV invalide : ${values.length} champs au lieu de ${columns.length} (ligne ${line})`)
+        }
+        return { line, row: Object.fromEntries(columns.map((c, i) => [c, values[i]])) }
+    })
+}
@@ -0,0 +1,22 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/dates.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Dates saisies côté API (bornes de validité, fenêtres de publication, filtres).
+ * - Une borne absente s’écrit null ou '' ; toute autre valeur doit être une date
+ *   lisible par `new Date` (ISO de préférence), sinon 400.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { HttpError } from './errors.js'
+
+/**
+ * Date optionnelle : null / undefined / '' → null, sinon Date valide.
+ * @throws HttpError 400 (`field` n’est pas une date)
+ */
+export function parseDate(value, field) {
+    if (value == null || value === '') return null
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) throw new HttpError(400, `${field} doit être une date`)
+    return date
+}
@@ -0,0 +1,27 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/errors.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Erreurs « métier » partagées par les modules de src/lib.
+ * - HttpError porte le status HTTP à renvoyer : les routes la traduisent en
+ *   `res.status(e.status).json({ error: e.message })`.
+ * - PaymentError signale une erreur technique d’un prestataire de paiement
+ *   (timeout, signature de webhook invalide…) ; un refus de carte n’en est pas une.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.name = 'HttpError'
+        this.status = status
+    }
+}
+
+export class PaymentError extends Error {
+    constructor(code, message) {
+        super(message || code)
+        this.name = 'PaymentError'
+        this.code = code
+    }
+}
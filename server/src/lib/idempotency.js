@@ -0,0 +1,116 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/idempotency.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Middleware `Idempotency-Key` pour les routes mutantes authentifiées.
+ * - Première requête avec une clé : on réserve la clé, on exécute la route,
+ *   puis on stocke le status + le body JSON renvoyés.
+ * - Rejeu de la même clé (double-clic, retry réseau) : on renvoie la réponse
+ *   stockée sans ré-exécuter l’action (header `Idempotent-Replayed: true`).
+ * - Même clé avec une autre requête → 422 ; requête encore en cours → 409.
+ * - Les réponses 5xx ne sont pas mémorisées : la clé est libérée pour un retry.
+ * - À placer APRÈS requireAuth (les clés sont rangées par utilisateur).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import crypto from 'node:crypto'
+import { prisma } from '../db/prisma.js'
+
+// Durée de vie d’une clé terminée (au-delà, elle est purgée et réutilisable)
+const KEY_TTL_MS = 24 * 60 * 60 * 1000
+// Une clé « en cours » plus vieille que ça est considérée abandonnée (route plantée)
+const IN_PROGRESS_TTL_MS = 60 * 1000
+
+function hashRequest(req) {
+    return crypto
+        .createHash('sha256')
+        .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body ?? null)}`)
+        .digest('hex')
+}
+
+function isExpired(record, now = Date.now()) {
+    const age = now - record.createdAt.getTime()
+    return record.responseStatus === null ? age > IN_PROGRESS_TTL_MS : age > KEY_TTL_MS
+}
+
+/**
+ * Réserve la clé pour cet utilisateur.
+ * @returns { record } si la clé vient d’être créée, { existing } si elle est déjà prise
+ */
+async function reserve(userId, key, req, requestHash) {
+    const data = { userId, key, method: req.method, path: req.baseUrl + req.path, requestHash }
+    try {
+        return { record: await prisma.idempotencyKey.create({ data }) }
+    } catch (e) {
+        if (e.code !== 'P2002') throw e
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({ where: { userId_key: { userId, key } } })
+    if (existing && !isExpired(existing)) return { existing }
+
+    // Clé expirée (ou supprimée entre-temps) : on la remplace, une seule fois
+    await prisma.idempotencyKey.deleteMany({ where: { userId, key } })
+    try {
+        return { record: await prisma.idempotencyKey.create({ data }) }
+    } catch (e) {
+        if (e.code !== 'P2002') throw e
+        return { existing: await prisma.idempotencyKey.findUnique({ where: { userId_key: { userId, key } } }) }
+    }
+}
+
+/**
+ * Fabrique le middleware. Sans header `Idempotency-Key`, la route s’exécute normalement.
+ */
+export function idempotent() {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key')
+        if (!key) return next()
+        if (key.length > 255) return res.status(400).json({ error: 'Idempotency-Key too long' })
+
+        try {
+            const userId = req.user.id
+            const requestHash = hashRequest(req)
+
+            // Purge opportuniste des clés expirées de cet utilisateur
+            await prisma.idempotencyKey.deleteMany({
+                where: { userId, createdAt: { lt: new Date(Date.now() - KEY_TTL_MS) } },
+            })
+
+            const { record, existing } = await reserve(userId, key, req, requestHash)
+
+            if (existing) {
+                if (existing.requestHash !== requestHash) {
+                    return res.status(422).json({ error: 'Idempotency-Key already used for a different request' })
+                }
+                if (existing.responseStatus === null) {
+                    return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' })
+                }
+                res.set('Idempotent-Replayed', 'true')
+                return res.status(existing.responseStatus).json(existing.responseBody)
+            }
+
+            // Interception de res.json : on enregistre la réponse AVANT de l’envoyer,
+            // pour qu’un rejeu immédiat trouve déjà le résultat.
+            const send = res.json.bind(res)
+            res.json = (body) => {
+                const status = res.statusCode
+                const store = status >= 500
+                    ? prisma.idempotencyKey.delete({ where: { id: record.id } })
+                    : prisma.idempotencyKey.update({
+                        where: { id: record.id },
+                        // aller-retour JSON : stocke exactement ce que le client reçoit (dates → chaînes)
+                        data: { responseStatus: status, responseBody: JSON.parse(JSON.stringify(body ?? null)), completedAt: new Date() },
+                    })
+                store
+                    .catch((e) => console.error('idempotency store error:', e))
+                    .finally(() => send(body))
+                return res
+            }
+
+            next()
+        } catch (e) {
+            console.error('idempotency error:', e)
+            res.status(500).json({ error: 'Server error' })
+        }
+    }
+}
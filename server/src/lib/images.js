@@ -0,0 +1,56 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/images.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Galerie d’images des produits (ProductImage).
+ * - La galerie est envoyée en entier par l’admin et remplace la précédente
+ *   (ordre de la liste = position).
+ * - Une seule image principale (la première si aucune n’est marquée) ; son URL
+ *   est recopiée dans Product.img, que lisent panier, commandes et listes.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { HttpError } from './errors.js'
+
+// Galerie renvoyée avec un produit, dans l’ordre d’affichage
+export const imagesInclude = { images: { orderBy: [{ position: 'asc' }, { id: 'asc' }] } }
+
+/**
+ * Galerie demandée par le body d’un produit :
+ * - body.images : [{ url, alt?, isPrimary? }]
+ * - sinon body.img (ancien format) → galerie d’une seule image
+ * @returns [{ url, alt, position, isPrimary }], ou undefined si aucun des deux champs
+ * @throws HttpError 400 (liste invalide, URL manquante, plusieurs images principales)
+ */
+export function imagesFromBody(body) {
+    if (body.images === undefined) {
+        if (body.img === undefined) return undefined
+        return body.img ? [{ url: String(body.img), alt: String(body.name ?? ''), position: 0, isPrimary: true }] : []
+    }
+    if (!Array.isArray(body.images)) throw new HttpError(400, 'images doit être une liste')
+
+    const images = body.images.map((i, position) => ({
+        url: String(i?.url ?? '').trim(),
+        alt: String(i?.alt ?? '').trim(),
+        position,
+        isPrimary: Boolean(i?.isPrimary),
+    }))
+    if (images.some(i => !i.url)) throw new HttpError(400, 'url requise pour chaque image')
+    const primaries = images.filter(i => i.isPrimary).length
+    if (primaries > 1) throw new HttpError(400, 'Une seule image principale')
+    if (primaries === 0 && images.length > 0) images[0].isPrimary = true
+    return images
+}
+
+/**
+ * Remplace la galerie du produit et recopie l’image principale dans Product.img.
+ * À appeler dans une transaction (tx).
+ */
+export async function replaceImages(tx, productId, images) {
+    await tx.productImage.deleteMany({ where: { productId } })
+    if (images.length > 0) {
+        await tx.productImage.createMany({ data: images.map(i => ({ ...i, productId })) })
+    }
+    const primary = images.find(i => i.isPrimary)
+    await tx.product.update({ where: { id: productId }, data: { img: primary?.url ?? '' } })
+}
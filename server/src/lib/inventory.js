@@ -0,0 +1,157 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/inventory.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Journal des stocks (InventoryMovement).
+ * - Tout changement de Product.stock / ProductVariant.stock passe par ce module,
+ *   dans la transaction de l’appelant : le stock est modifié et le mouvement
+ *   (type, quantité signée, niveau atteint, acteur, motif, vente) inscrit ensemble.
+ * - moveStock : variation relative (vente, annulation, réception…) ; une sortie
+ *   ne passe que si le stock suffit, condition évaluée par l’UPDATE lui-même.
+ * - setStock : nouveau niveau absolu (saisie admin) → mouvement de la différence ;
+ *   refusé si le stock a bougé entre la lecture et l’écriture.
+ * - Réconciliation : recalcule chaque stock depuis le journal (somme des
+ *   mouvements) et signale les écarts ; peut réaligner le stock sur le journal.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+
+// Types de mouvement qu’un admin peut saisir ; SALE / CANCELLATION viennent des commandes
+export const MANUAL_MOVEMENT_TYPES = ['ADJUSTMENT', 'RESTOCK', 'RETURN']
+
+// Mouvement tel que renvoyé à l’admin (acteur et variante lisibles)
+export const movementInclude = {
+    actor: { select: { id: true, email: true, name: true } },
+    variant: { select: { id: true, sku: true, title: true } },
+}
+
+// Ligne de stock visée : la variante si présente, sinon le produit
+const stockOf = (tx, { productId, variantId }) => (variantId
+    ? { model: tx.productVariant, where: { id: variantId, productId } }
+    : { model: tx.product, where: { id: productId } })
+
+const record = (tx, m, stockAfter) => tx.inventoryMovement.create({
+    data: {
+        productId: m.productId,
+        variantId: m.variantId ?? null,
+        type: m.type,
+        quantity: m.quantity,
+        stockAfter,
+        reason: m.reason || null,
+        actorId: m.actorId ?? null,
+        saleId: m.saleId ?? null,
+    },
+})
+
+/**
+ * Applique la variation `m.quantity` (signée, non nulle) au stock et la journalise.
+ * - m : { productId, variantId?, type, quantity, reason?, actorId?, saleId? }
+ * - Une vente (SALE) exige en plus une variante active.
+ * @returns le mouvement créé, ou null si la ligne n’existe pas ou si le stock
+ *   est insuffisant (rien n’est modifié)
+ */
+export async function moveStock(tx, m) {
+    const { model, where } = stockOf(tx, m)
+    try {
+        const { stock } = await model.update({
+            where: {
+                ...where,
+                ...(m.quantity < 0 && { stock: { gte: -m.quantity } }),
+                ...(m.variantId && m.type === 'SALE' && { active: true }),
+            },
+            data: { stock: { increment: m.quantity } },
+            select: { stock: true },
+        })
+        return record(tx, m, stock)
+    } catch (e) {
+        // P2025 : aucune ligne ne remplit la condition (inconnue ou stock insuffisant)
+        if (e.code === 'P2025') return null
+        throw e
+    }
+}
+
+/**
+ * Fixe le stock à `m.stock` et journalise la différence (type ADJUSTMENT par défaut).
+ * @returns le mouvement créé, ou null si le stock ne change pas
+ * @throws HttpError 404 (produit / variante inconnu), 409 (stock modifié entre-temps)
+ */
+export async function setStock(tx, { stock, ...m }) {
+    const { model, where } = stockOf(tx, m)
+    const current = await model.findFirst({ where, select: { stock: true } })
+    if (!current) throw new HttpError(404, m.variantId ? 'Variante introuvable' : 'Produit introuvable')
+    if (current.stock === stock) return null
+
+    // Compare-and-set : une vente passée entre la lecture et l’écriture fait échouer la saisie
+    const { count } = await model.updateMany({ where: { ...where, stock: current.stock }, data: { stock } })
+    if (count === 0) throw new HttpError(409, 'Stock modifié entre-temps, réessayez')
+    return record(tx, { type: 'ADJUSTMENT', ...m, quantity: stock - current.stock }, stock)
+}
+
+/**
+ * Contrôle d’un mouvement saisi par un admin.
+ * - type parmi MANUAL_MOVEMENT_TYPES ; quantity entier non nul, positif pour
+ *   RESTOCK / RETURN ; reason obligatoire pour ADJUSTMENT
+ * @returns { type, quantity, variantId, reason }
+ * @throws HttpError 400
+ */
+export function parseManualMovement(body = {}) {
+    const type = String(body.type ?? '')
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+        throw new HttpError(400, `type doit être ${MANUAL_MOVEMENT_TYPES.join(', ')}`)
+    }
+    const quantity = Number(body.quantity)
+    if (!Number.isInteger(quantity) || quantity === 0) throw new HttpError(400, 'quantity doit être un entier non nul')
+    if (type !== 'ADJUSTMENT' && quantity < 0) throw new HttpError(400, `quantity doit être positive pour ${type}`)
+    const reason = String(body.reason ?? '').trim()
+    if (type === 'ADJUSTMENT' && !reason) throw new HttpError(400, 'reason requis pour un ajustement')
+    const variantId = body.variantId == null || body.variantId === '' ? null : Number(body.variantId)
+    if (variantId !== null && !Number.isInteger(variantId)) throw new HttpError(400, 'variantId invalide')
+    return { type, quantity, variantId, reason }
+}
+
+/**
+ * Réconciliation : stock attendu = somme des mouvements, pour chaque produit
+ * (stock hors variantes) et chaque variante.
+ * - apply : réaligne les stocks en écart sur le journal (un total négatif ne
+ *   peut pas l’être et reste signalé)
+ * @returns { checked, drifts: [{ productId, variantId, name, sku, stock, ledger, drift, fixed }] }
+ *   drift = stock - ledger
+ */
+export async function reconcileStock({ apply = false } = {}) {
+    // Lectures dans un même instantané : une vente en cours ne crée pas de faux écart
+    const [sums, products, variants] = await prisma.$transaction([
+        prisma.inventoryMovement.groupBy({ by: ['productId', 'variantId'], _sum: { quantity: true } }),
+        prisma.product.findMany({ select: { id: true, name: true, stock: true }, orderBy: { id: 'asc' } }),
+        prisma.productVariant.findMany({
+            select: { id: true, productId: true, sku: true, title: true, stock: true, product: { select: { name: true } } },
+            orderBy: { id: 'asc' },
+        }),
+    ], { isolationLevel: 'RepeatableRead' })
+
+    const ledger = new Map(sums.map(s => [`${s.productId}:${s.variantId ?? ''}`, s._sum.quantity ?? 0]))
+    const lines = [
+        ...products.map(p => ({ productId: p.id, variantId: null, name: p.name, sku: null, stock: p.stock })),
+        ...variants.map(v => ({
+            productId: v.productId, variantId: v.id, name: `${v.product.name} (${v.title})`, sku: v.sku, stock: v.stock,
+        })),
+    ]
+
+    const drifts = []
+    for (const line of lines) {
+        const expected = ledger.get(`${line.productId}:${line.variantId ?? ''}`) ?? 0
+        if (expected !== line.stock) drifts.push({ ...line, ledger: expected, drift: line.stock - expected, fixed: false })
+    }
+
+    if (apply) {
+        for (const d of drifts.filter(d => d.ledger >= 0)) {
+            // Conditionnel : un stock qui a bougé depuis la lecture reste signalé
+            const { model, where } = stockOf(prisma, d)
+            const { count } = await model.updateMany({ where: { ...where, stock: d.stock }, data: { stock: d.ledger } })
+            d.fixed = count > 0
+        }
+    }
+
+    return { checked: lines.length, drifts }
+}
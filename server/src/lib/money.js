@@ -0,0 +1,86 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/money.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Arithmétique monétaire exacte.
+ * - En base : colonnes Decimal(12,2) (Prisma renvoie des Decimal, sérialisés en
+ *   chaîne dans le JSON) ; la devise de la boutique est STORE_CURRENCY.
+ * - Dans le code : tous les calculs se font en centimes entiers (toCents), puis
+ *   on repasse en unités (fromCents) pour écrire en base ou répondre en JSON.
+ * - Arrondi au centime « half up » (0,005 → 0,01), jamais de flottant cumulé.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+// Devise unique de la boutique (code ISO 4217), copiée sur chaque vente
+export const STORE_CURRENCY = (process.env.STORE_CURRENCY || 'USD').toUpperCase()
+
+const DECIMAL = /^(-)?(\d+)(?:\.(\d*))?$/
+
+/**
+ * Montant (number, chaîne ou Prisma Decimal) → centimes entiers.
+ * Lu en décimal depuis sa représentation texte : '19.90', 19.9 et Decimal('19.9') → 1990.
+ * @returns NaN si la valeur n’est pas un montant
+ */
+export function toCents(value) {
+    if (value == null || value === '') return NaN
+    const match = DECIMAL.exec(String(value).trim())
+    if (!match) return NaN
+
+    const [, sign, units, decimals = ''] = match
+    let cents = Number(units) * 100 + Number(decimals.slice(0, 2).padEnd(2, '0'))
+    if (Number(decimals[2] || 0) >= 5) cents += 1
+    return sign ? -cents : cents
+}
+
+/** Centimes entiers → montant en unités (number à 2 décimales au plus). */
+export const fromCents = (cents) => cents / 100
+
+/** Somme exacte de montants (unités) → centimes. */
+export const sumCents = (values) => values.reduce((s, v) => s + toCents(v), 0)
+
+// Division entière arrondie au plus proche (half up), pour des entiers >= 0
+const divRound = (num, den) => Math.floor((2 * num + den) / (2 * den))
+
+// Taux (fraction, ex. 0.055) → dix-millièmes entiers (550)
+const toBasisPoints = (rate) => Math.round(Number(rate) * 10000)
+
+/** Part `rate` d’un montant en centimes (ex. TVA ajoutée à un prix HT). */
+export function percentOfCents(cents, rate) {
+    return divRound(cents * toBasisPoints(rate), 10000)
+}
+
+/** Montant HT contenu dans un montant TTC en centimes, au taux `rate`. */
+export function netOfGrossCents(cents, rate) {
+    const bp = toBasisPoints(rate)
+    return divRound(cents * 10000, 10000 + bp)
+}
+
+/**
+ * Répartit `cents` au prorata de `weights` (centimes entiers, méthode du plus fort
+ * reste) : la somme des parts vaut exactement `cents`. Sert à imputer une remise
+ * sur des lignes.
+ */
+export function allocateCents(cents, weights) {
+    const total = weights.reduce((s, w) => s + w, 0)
+    if (total === 0 || cents === 0) return weights.map(() => 0)
+
+    const shares = weights.map(w => Math.floor((cents * w) / total))
+    let rest = cents - shares.reduce((s, v) => s + v, 0)
+    const order = weights
+        .map((w, i) => ({ i, r: (cents * w) % total }))
+        .sort((a, b) => b.r - a.r || a.i - b.i)
+    for (const { i } of order) {
+        if (rest === 0) break
+        shares[i] += 1
+        rest -= 1
+    }
+    return shares
+}
+
+/**
+ * Montant saisi (admin, import…) → nombre à 2 décimales, ou null si invalide / négatif.
+ */
+export function parseMoney(value) {
+    const cents = toCents(value)
+    return Number.isInteger(cents) && cents >= 0 ? fromCents(cents) : null
+}
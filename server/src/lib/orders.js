@@ -0,0 +1,107 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/orders.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Cycle de vie d’une commande (Sale.status).
+ * - Machine à états : seules les transitions de SALE_TRANSITIONS sont permises.
+ * - Chaque transition est journalisée dans SaleStatusHistory.
+ * - CANCELLED / REFUNDED remettent les quantités des SaleItem en stock (celui de
+ *   la variante vendue le cas échéant ; mouvements CANCELLATION / RETURN au
+ *   journal, lib/inventory.js), dans la même transaction que le changement de
+ *   statut, et rendent l’utilisation du coupon éventuel (lib/coupons.js).
+ * - Avant CANCELLED / REFUNDED, les paiements capturés sont remboursés chez le
+ *   prestataire (lib/payments.js) ; si le remboursement échoue, le statut ne bouge pas.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { refundSalePayments } from './payments.js'
+import { releaseCoupon } from './coupons.js'
+import { moveStock } from './inventory.js'
+
+// Statuts atteignables depuis chaque statut (CANCELLED / REFUNDED sont terminaux)
+export const SALE_TRANSITIONS = {
+    PENDING: ['PAID', 'CANCELLED'],
+    PAID: ['SHIPPED', 'CANCELLED', 'REFUNDED'],
+    SHIPPED: ['DELIVERED', 'REFUNDED'],
+    DELIVERED: ['REFUNDED'],
+    CANCELLED: [],
+    REFUNDED: [],
+}
+
+// Tous les statuts de vente (enum SaleStatus)
+export const SALE_STATUSES = Object.keys(SALE_TRANSITIONS)
+
+// Statuts qui comptent dans le chiffre d’affaires (stats, rapports)
+export const REVENUE_STATUSES = ['PAID', 'SHIPPED', 'DELIVERED']
+
+// Statuts qui rendent les quantités au stock → type du mouvement journalisé
+const RESTOCKING_STATUSES = new Map([['CANCELLED', 'CANCELLATION'], ['REFUNDED', 'RETURN']])
+
+export function canTransition(from, to) {
+    return (SALE_TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * Fait passer la vente `saleId` au statut `to`.
+ * - opts.actorId : user à l’origine du changement (null = système)
+ * - opts.note    : commentaire libre stocké dans l’historique
+ * - opts.tx      : transaction Prisma existante (sinon on en ouvre une) ;
+ *   dans ce cas aucun remboursement n’est déclenché (pas d’appel réseau en transaction)
+ * @returns la vente mise à jour (avec items + history)
+ * @throws HttpError 404 (vente inconnue), 400/409 (transition invalide ou concurrente),
+ *         502 (remboursement refusé par le prestataire)
+ */
+export async function transitionSale(saleId, to, opts = {}) {
+    if (!SALE_TRANSITIONS[to]) throw new HttpError(400, `Unknown status ${to}`)
+    if (opts.tx) return applyTransition(opts.tx, saleId, to, opts)
+
+    if (RESTOCKING_STATUSES.has(to)) {
+        // On ne rembourse que si la transition est permise (évite un remboursement « orphelin »)
+        const sale = await prisma.sale.findUnique({ where: { id: saleId }, select: { status: true } })
+        if (sale && canTransition(sale.status, to)) await refundSalePayments(saleId)
+    }
+
+    return prisma.$transaction((tx) => applyTransition(tx, saleId, to, opts))
+}
+
+async function applyTransition(tx, saleId, to, { actorId = null, note = null }) {
+    const sale = await tx.sale.findUnique({ where: { id: saleId }, include: { items: true } })
+    if (!sale) throw new HttpError(404, 'Sale not found')
+    if (!canTransition(sale.status, to)) {
+        throw new HttpError(409, `Cannot move sale from ${sale.status} to ${to}`)
+    }
+
+    // Update conditionnel : si une autre requête a changé le statut entre-temps,
+    // aucune ligne n’est touchée → on abandonne (évite un double retour en stock)
+    const { count } = await tx.sale.updateMany({
+        where: { id: saleId, status: sale.status },
+        data: { status: to },
+    })
+    if (count === 0) throw new HttpError(409, 'Sale status changed concurrently, please retry')
+
+    if (RESTOCKING_STATUSES.has(to)) {
+        for (const it of sale.items) {
+            await moveStock(tx, {
+                productId: it.productId,
+                variantId: it.variantId,
+                type: RESTOCKING_STATUSES.get(to),
+                quantity: it.qty,
+                reason: note,
+                actorId,
+                saleId,
+            })
+        }
+        if (sale.couponId) await releaseCoupon(tx, sale.couponId)
+    }
+
+    await tx.saleStatusHistory.create({
+        data: { saleId, fromStatus: sale.status, toStatus: to, note, actorId },
+    })
+
+    return tx.sale.findUnique({
+        where: { id: saleId },
+        include: { items: true, history: { orderBy: { createdAt: 'asc' } } },
+    })
+}
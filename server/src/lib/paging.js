@@ -0,0 +1,27 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/paging.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Pagination skip/take des listes de l’API.
+ * - Les valeurs de la query string sont bornées, jamais refusées : absentes ou
+ *   non numériques → valeurs par défaut, décimales tronquées, négatives ramenées
+ *   à la borne (skip >= 0, 1 <= take <= max).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+// Entier de la query string, ou `fallback` s’il n’y en a pas
+function queryInt(value, fallback) {
+    const n = Math.trunc(Number(value))
+    return value == null || value === '' || !Number.isFinite(n) ? fallback : n
+}
+
+/**
+ * `req.query` → { skip, take } utilisables tels quels par Prisma.
+ * @param max      plafond de take
+ * @param fallback take quand il n’est pas fourni
+ */
+export function parsePaging(query = {}, max = 100, fallback = 20) {
+    const skip = Math.max(0, queryInt(query.skip, 0))
+    const take = Math.min(max, Math.max(1, queryInt(query.take, fallback)))
+    return { skip, take }
+}
@@ -0,0 +1,85 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/payments.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Paiement des ventes via le prestataire configuré (src/payments).
+ * - Chaque tentative est tracée dans Payment (statut, référence prestataire).
+ * - chargeSale : autorisation puis capture du total de la vente.
+ * - refundSalePayments : rembourse les paiements capturés d’une vente.
+ * - Les appels au prestataire se font HORS transaction (latence, timeouts).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError, PaymentError } from './errors.js'
+import { getPaymentProvider, withTimeout } from '../payments/index.js'
+import { toCents } from './money.js'
+
+/**
+ * Encaisse `sale.total` (dans `sale.currency`) : authorize → capture.
+ * - opts.paymentMethod : moyen de paiement transmis tel quel au prestataire
+ * @returns le Payment CAPTURED
+ * @throws HttpError 402 (refus), 504 (timeout), 502 (autre erreur prestataire) ;
+ *         le Payment est alors DECLINED / FAILED et rien n’a été encaissé
+ */
+export async function chargeSale(sale, { paymentMethod } = {}) {
+    const provider = getPaymentProvider()
+    const payment = await prisma.payment.create({
+        data: { saleId: sale.id, provider: provider.name, amount: sale.total, currency: sale.currency },
+    })
+    const amount = toCents(sale.total)
+
+    let providerRef = null
+    try {
+        const auth = await withTimeout(provider.authorize({
+            amount,
+            currency: sale.currency,
+            reference: `sale_${sale.id}`,
+            paymentMethod,
+        }))
+        providerRef = auth.paymentId
+
+        if (auth.status !== 'authorized') {
+            await prisma.payment.update({
+                where: { id: payment.id },
+                data: { status: 'DECLINED', providerRef, failureReason: auth.reason || 'Declined' },
+            })
+            throw new HttpError(402, `Payment declined: ${auth.reason || 'please use another payment method'}`)
+        }
+
+        await prisma.payment.update({ where: { id: payment.id }, data: { status: 'AUTHORIZED', providerRef } })
+        await withTimeout(provider.capture(providerRef, amount))
+        return prisma.payment.update({ where: { id: payment.id }, data: { status: 'CAPTURED' } })
+    } catch (e) {
+        if (e instanceof HttpError) throw e
+
+        await prisma.payment.update({
+            where: { id: payment.id },
+            data: { status: 'FAILED', providerRef, failureReason: e.message },
+        })
+        if (e instanceof PaymentError && e.code === 'timeout') {
+            throw new HttpError(504, 'Payment timed out, you have not been charged. Please try again.')
+        }
+        console.error('payment error:', e)
+        throw new HttpError(502, 'Payment failed, you have not been charged. Please try again.')
+    }
+}
+
+/**
+ * Rembourse chez le prestataire tous les paiements CAPTURED de la vente.
+ * Sans paiement capturé (vente non payée, ventes d’avant les paiements) : ne fait rien.
+ * @throws HttpError 502 si le prestataire refuse ou ne répond pas
+ */
+export async function refundSalePayments(saleId) {
+    const captured = await prisma.payment.findMany({ where: { saleId, status: 'CAPTURED' } })
+
+    for (const payment of captured) {
+        try {
+            await withTimeout(getPaymentProvider(payment.provider).refund(payment.providerRef, toCents(payment.amount)))
+        } catch (e) {
+            console.error('refund error:', e)
+            throw new HttpError(502, `Refund failed at payment provider: ${e.message}`)
+        }
+        await prisma.payment.update({ where: { id: payment.id }, data: { status: 'REFUNDED' } })
+    }
+}
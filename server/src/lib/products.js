@@ -0,0 +1,303 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/products.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Saisie des produits côté admin : règles de coercition communes et import /
+ * export du catalogue.
+ * - parseProductInput : contrôle des champs de POST /api/admin/products,
+ *   réutilisé ligne à ligne par l’import (publication : lib/publishing.js).
+ * - Export : tous les produits, une ligne chacun (EXPORT_COLUMNS), catégorie
+ *   désignée par son slug ; CSV (lib/csv.js) ou JSON.
+ * - Import : upsert par slug, tout ou rien. Chaque ligne est contrôlée puis
+ *   comparée à l’existant (created / updated avec le détail des champs /
+ *   unchanged) ; en dry run, ou si une ligne est invalide, rien n’est écrit.
+ *   Le stock passe par le journal (ADJUSTMENT « Import », lib/inventory.js).
+ * - Archivage (archivedAt) : le produit quitte le catalogue public et les paniers
+ *   en cours, mais reste lisible par les ventes et avis passés ; un produit déjà
+ *   vendu ou noté est archivé au lieu d’être supprimé.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { parseMoney, toCents } from './money.js'
+import { parseCategoryId } from './categories.js'
+import { parseReorderThreshold } from './alerts.js'
+import { setStock } from './inventory.js'
+import { notifyBackInStock } from './subscriptions.js'
+import { imagesFromBody, replaceImages } from './images.js'
+import { parseCsv } from './csv.js'
+import { parsePublishing, assertPublishWindow } from './publishing.js'
+
+// Colonnes de l’export, acceptées telles quelles par l’import
+export const EXPORT_COLUMNS = [
+    'slug', 'name', 'price', 'category', 'description', 'stock', 'reorderThreshold', 'weight', 'img',
+    'status', 'publishAt', 'unpublishAt',
+]
+
+// Formats d’import / export
+export const TRANSFER_FORMATS = ['csv', 'json']
+
+// Un import tient dans une transaction : on lui laisse plus que les 5 s par défaut
+const IMPORT_TIMEOUT_MS = 60_000
+
+// Nombre saisi : absent → `fallback` ; présent mais non numérique (null, '', « 12O ») → NaN
+const quantity = (value, fallback) => {
+    if (value === undefined) return fallback
+    return value === null || String(value).trim() === '' ? NaN : Number(value)
+}
+
+/**
+ * Champs d’un produit saisi par l’admin → données Product (règles de POST /api/admin/products).
+ * - slug, name requis ; price montant >= 0 (0 par défaut) ; categoryId existante
+ *   ou null ; description ('' par défaut) ; weight en grammes >= 0, arrondi ;
+ *   reorderThreshold entier >= 0 ou null ; status DRAFT / PUBLISHED (PUBLISHED
+ *   par défaut), publishAt / unpublishAt dates ou null
+ * - stock : entier >= 0 (0 par défaut), renvoyé à part car il passe par le journal
+ * - stock / weight : 0 seulement s’ils sont absents à la création ; une valeur
+ *   présente mais non numérique est refusée (jamais ramenée à 0)
+ * - partial : seuls les champs présents sont contrôlés et renvoyés (mise à jour)
+ * @returns { data, stock } (stock undefined s’il est absent en mode partial)
+ * @throws HttpError 400
+ */
+export async function parseProductInput(body = {}, { partial = false } = {}) {
+    const given = (key) => !partial || body[key] !== undefined
+    const data = {}
+
+    if (given('slug')) data.slug = String(body.slug ?? '')
+    if (given('name')) data.name = String(body.name ?? '')
+    if (data.slug === '' || data.name === '') throw new HttpError(400, 'slug et name requis')
+
+    let stock
+    if (given('stock')) {
+        stock = quantity(body.stock, 0)
+        if (!Number.isInteger(stock) || stock < 0) throw new HttpError(400, 'stock doit être un entier >= 0')
+    }
+    if (given('weight')) {
+        const weight = quantity(body.weight, 0)
+        if (!(weight >= 0)) throw new HttpError(400, 'weight doit être un nombre >= 0')
+        data.weight = Math.round(weight)
+    }
+    if (given('price')) {
+        data.price = parseMoney(body.price ?? 0)
+        if (data.price === null) throw new HttpError(400, 'price doit être un montant >= 0')
+    }
+    if (given('categoryId')) data.categoryId = await parseCategoryId(body.categoryId)
+    if (given('description')) data.description = String(body.description ?? '')
+    if (given('reorderThreshold')) {
+        data.reorderThreshold = body.reorderThreshold === undefined ? null : parseReorderThreshold(body.reorderThreshold)
+    }
+    Object.assign(data, parsePublishing(body))
+    return { data, stock }
+}
+
+/**
+ * Tous les produits, dans l’ordre de création, au format des EXPORT_COLUMNS.
+ */
+export async function exportProducts() {
+    const products = await prisma.product.findMany({
+        orderBy: { id: 'asc' },
+        include: { category: { select: { slug: true } } },
+    })
+    return products.map(p => ({
+        slug: p.slug,
+        name: p.name,
+        price: Number(p.price).toFixed(2),
+        category: p.category?.slug ?? null,
+        description: p.description,
+        stock: p.stock,
+        reorderThreshold: p.reorderThreshold,
+        weight: p.weight,
+        img: p.img,
+        status: p.status,
+        publishAt: p.publishAt?.toISOString() ?? null,
+        unpublishAt: p.unpublishAt?.toISOString() ?? null,
+    }))
+}
+
+/**
+ * Contenu d’un fichier d’import → [{ line, row }].
+ * - csv : en-tête = noms de colonnes ; cellule vide = champ absent
+ * - json : liste d’objets
+ * @throws HttpError 400 (format inconnu, fichier illisible, colonne inconnue)
+ */
+export function parseImportFile(text, format) {
+    let records
+    if (format === 'csv') {
+        records = parseCsv(text).map(({ line, row }) => ({
+            line,
+            row: Object.fromEntries(Object.entries(row).filter(([, v]) => v !== '')),
+        }))
+    } else if (format === 'json') {
+        let rows
+        try {
+            rows = JSON.parse(text)
+        } catch {
+            throw new HttpError(400, 'JSON invalide')
+        }
+        if (!Array.isArray(rows) || rows.some(r => !r || typeof r !== 'object' || Array.isArray(r))) {
+            throw new HttpError(400, 'Le JSON doit être une liste de produits')
+        }
+        records = rows.map((row, i) => ({ line: i + 1, row }))
+    } else {
+        throw new HttpError(400, `format doit être ${TRANSFER_FORMATS.join(', ')}`)
+    }
+
+    const unknown = new Set(records.flatMap(r => Object.keys(r.row)).filter(k => !EXPORT_COLUMNS.includes(k)))
+    if (unknown.size > 0) throw new HttpError(400, `Colonne inconnue : ${[...unknown].join(', ')}`)
+    return records
+}
+
+// Valeur comparable d’un champ (prix en centimes, dates en millisecondes)
+const comparable = (field, value) => {
+    if (field === 'price') return toCents(value)
+    return value instanceof Date ? value.getTime() : value
+}
+
+/**
+ * Import (upsert par slug) des lignes de parseImportFile.
+ * - Ligne d’un produit existant : seuls ses champs présents sont modifiés ; img
+ *   ne sert qu’à la création (image principale), la galerie existante est conservée.
+ * - dryRun : rapport seul. Sinon, écrit tout dans une transaction si aucune
+ *   ligne n’est invalide.
+ * @returns { dryRun, applied, summary: { created, updated, unchanged, invalid },
+ *   rows: [{ line, slug, action, changes? }], errors: [{ line, slug, error }] }
+ *   changes = { champ: { from, to } }
+ * @throws HttpError 409 (stock modifié pendant l’écriture) ; P2002 si un slug est pris entre-temps
+ */
+export async function importProducts(records, { dryRun = false, actorId = null } = {}) {
+    const [existing, categories] = await Promise.all([
+        prisma.product.findMany({ where: { slug: { in: records.map(r => String(r.row.slug ?? '')) } } }),
+        prisma.category.findMany({ select: { id: true, slug: true } }),
+    ])
+    const bySlug = new Map(existing.map(p => [p.slug, p]))
+    const categoryIds = new Map(categories.map(c => [c.slug, c.id]))
+    const categorySlugs = new Map(categories.map(c => [c.id, c.slug]))
+
+    const rows = []
+    const errors = []
+    const seen = new Map()
+    for (const { line, row } of records) {
+        const slug = row.slug == null ? '' : String(row.slug)
+        try {
+            if (seen.has(slug)) throw new HttpError(400, `slug en double dans le fichier (ligne ${seen.get(slug)})`)
+            if (slug) seen.set(slug, line)
+
+            const { category, img, ...fields } = row
+            if (category !== undefined) {
+                if (category !== null && category !== '' && !categoryIds.has(String(category))) {
+                    throw new HttpError(400, `Catégorie introuvable : ${category}`)
+                }
+                fields.categoryId = category ? categoryIds.get(String(category)) : null
+            }
+
+            const current = bySlug.get(slug)
+            const { data, stock } = await parseProductInput(fields, { partial: Boolean(current) })
+            if (!current) {
+                rows.push({ line, slug, action: 'created', data, stock, images: imagesFromBody({ img, name: data.name }) ?? [] })
+                continue
+            }
+            // Fenêtre de publication complétée par les bornes actuelles
+            assertPublishWindow({ ...current, ...data })
+
+            const changes = {}
+            for (const [field, to] of Object.entries({ ...data, ...(stock !== undefined && { stock }) })) {
+                const from = current[field]
+                if (comparable(field, from) === comparable(field, to)) continue
+                if (field === 'categoryId') {
+                    changes.category = { from: categorySlugs.get(from) ?? null, to: categorySlugs.get(to) ?? null }
+                } else {
+                    changes[field] = { from: field === 'price' ? Number(from) : from, to }
+                }
+            }
+            const action = Object.keys(changes).length > 0 ? 'updated' : 'unchanged'
+            rows.push({ line, slug, action, changes, id: current.id, data, stock })
+        } catch (e) {
+            if (!(e instanceof HttpError)) throw e
+            errors.push({ line, slug, error: e.message })
+        }
+    }
+
+    const count = (action) => rows.filter(r => r.action === action).length
+    const report = {
+        dryRun,
+        applied: false,
+        summary: { created: count('created'), updated: count('updated'), unchanged: count('unchanged'), invalid: errors.length },
+        rows: rows.map(({ line, slug, action, changes }) => ({ line, slug, action, ...(action === 'updated' && { changes }) })),
+        errors,
+    }
+    if (dryRun || errors.length > 0) return report
+
+    await prisma.$transaction(async (tx) => {
+        for (const r of rows.filter(r => r.action !== 'unchanged')) {
+            if (r.action === 'created') {
+                const product = await tx.product.create({ data: { ...r.data, img: '', stock: 0 } })
+                await setStock(tx, { productId: product.id, stock: r.stock, reason: 'Import', actorId })
+                await replaceImages(tx, product.id, r.images)
+                continue
+            }
+            await tx.product.update({ where: { id: r.id }, data: r.data })
+            if (r.stock !== undefined) {
+                await setStock(tx, { productId: r.id, stock: r.stock, reason: 'Import', actorId })
+                await notifyBackInStock(tx, r.id)
+            }
+        }
+    }, { timeout: IMPORT_TIMEOUT_MS })
+
+    return { ...report, applied: true }
+}
+
+// Archive dans la transaction `tx` (sans effet si déjà archivé)
+async function archive(tx, id) {
+    await tx.product.updateMany({ where: { id, archivedAt: null }, data: { archivedAt: new Date() } })
+    // Retiré des paniers en cours ; les paniers clôturés gardent leurs lignes
+    await tx.cartItem.deleteMany({ where: { productId: id, cart: { status: 'ACTIVE' } } })
+}
+
+/**
+ * Archive le produit `id` : hors catalogue public, retiré des paniers en cours.
+ * @throws HttpError 404 (produit inconnu)
+ */
+export function archiveProduct(id) {
+    return prisma.$transaction(async (tx) => {
+        const product = await tx.product.findUnique({ where: { id }, select: { id: true } })
+        if (!product) throw new HttpError(404, 'Produit introuvable')
+        await archive(tx, id)
+    })
+}
+
+/**
+ * Remet en vente le produit archivé `id` ; s’il a du stock, ses abonnés à la
+ * remise en stock sont prévenus (lib/subscriptions.js).
+ * @throws HttpError 404 (produit inconnu)
+ */
+export function unarchiveProduct(id) {
+    return prisma.$transaction(async (tx) => {
+        const { count } = await tx.product.updateMany({ where: { id }, data: { archivedAt: null } })
+        if (count === 0) throw new HttpError(404, 'Produit introuvable')
+        await notifyBackInStock(tx, id)
+    })
+}
+
+/**
+ * Supprime le produit `id`, ou l’archive s’il figure dans une vente ou a des avis
+ * (la suppression casserait l’historique des commandes ou effacerait les avis).
+ * @returns { archived } true si le produit a été archivé plutôt que supprimé
+ * @throws HttpError 404 (produit inconnu) ; P2003 si une vente l’a référencé entre-temps
+ */
+export function deleteProduct(id) {
+    return prisma.$transaction(async (tx) => {
+        const product = await tx.product.findUnique({
+            where: { id },
+            select: { _count: { select: { items: true, reviews: true } } },
+        })
+        if (!product) throw new HttpError(404, 'Produit introuvable')
+        if (product._count.items > 0 || product._count.reviews > 0) {
+            await archive(tx, id)
+            return { archived: true }
+        }
+        await tx.cartItem.deleteMany({ where: { productId: id } })
+        await tx.product.delete({ where: { id } })
+        return { archived: false }
+    })
+}
@@ -0,0 +1,132 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/promotions.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Promotions automatiques (sans code) : évaluées sur les lignes { product, qty }
+ * d’un panier ou d’un devis.
+ * - BUY_X_GET_Y : « 3 pour le prix de 2 » — par groupe de buyQty + getQty
+ *   articles éligibles, les getQty moins chers sont offerts.
+ * - TIERED_PERCENTAGE : « 10 % dès 50 » — % du palier le plus haut atteint par
+ *   le sous-total des articles éligibles, réparti au prorata sur ces lignes.
+ * - Cumul : par priority décroissante, chaque promotion porte sur ce qui reste
+ *   à payer après les précédentes ; le coupon éventuel vient ensuite (combineDiscounts).
+ * - Même évaluation pour le panier (routes/Cart.js), les devis et le checkout :
+ *   l’aperçu et la vente finale concordent.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { toCents, fromCents, percentOfCents, allocateCents } from './money.js'
+import { matchesProduct } from './catalog.js'
+
+const sum = (values) => values.reduce((s, v) => s + v, 0)
+
+// Promotions en vigueur à `now`, dans l’ordre d’application
+async function activePromotions(now) {
+    return prisma.promotion.findMany({
+        where: {
+            active: true,
+            AND: [
+                { OR: [{ startsAt: null }, { startsAt: { lte: now } }] },
+                { OR: [{ endsAt: null }, { endsAt: { gt: now } }] },
+            ],
+        },
+        include: { tiers: { orderBy: { minSubtotal: 'desc' } } },
+        orderBy: [{ priority: 'desc' }, { id: 'asc' }],
+    })
+}
+
+// BUY_X_GET_Y : les articles offerts sont pris parmi les moins chers
+function buyXGetY(promotion, lines, remaining) {
+    const eligible = lines
+        .map((l, i) => ({ i, unit: toCents(l.product.price), qty: l.qty }))
+        .filter(e => remaining[e.i] > 0 && matchesProduct(promotion, lines[e.i].product))
+        .sort((a, b) => a.unit - b.unit || a.i - b.i)
+
+    const units = sum(eligible.map(e => e.qty))
+    let free = Math.floor(units / (promotion.buyQty + promotion.getQty)) * promotion.getQty
+
+    const discounts = lines.map(() => 0)
+    for (const e of eligible) {
+        if (free === 0) break
+        const n = Math.min(free, e.qty)
+        discounts[e.i] = Math.min(n * e.unit, remaining[e.i])
+        free -= n
+    }
+    return discounts
+}
+
+// TIERED_PERCENTAGE : palier atteint par le reste à payer des lignes éligibles
+function tieredPercentage(promotion, lines, remaining) {
+    const weights = lines.map((l, i) => (matchesProduct(promotion, l.product) ? remaining[i] : 0))
+    const eligible = sum(weights)
+    const tier = promotion.tiers.find(t => eligible >= toCents(t.minSubtotal))
+    if (!tier || eligible === 0) return lines.map(() => 0)
+    return allocateCents(percentOfCents(eligible, Number(tier.percent) / 100), weights)
+}
+
+/**
+ * Applique les promotions en vigueur aux lignes { product, qty }.
+ * - opts.now : date de référence (fenêtres startsAt / endsAt)
+ * @returns { discountCents, lineDiscounts: [centimes par ligne],
+ *            applied: [{ promotionId, name, description, discountCents, lineDiscounts }] }
+ */
+export async function evaluatePromotions(lines, { now = new Date() } = {}) {
+    const promotions = await activePromotions(now)
+    const remaining = lines.map(l => toCents(l.product.price) * l.qty)
+    const lineDiscounts = lines.map(() => 0)
+    const applied = []
+
+    for (const p of promotions) {
+        const discounts = p.type === 'BUY_X_GET_Y'
+            ? buyXGetY(p, lines, remaining)
+            : tieredPercentage(p, lines, remaining)
+        const discountCents = sum(discounts)
+        if (discountCents === 0) continue
+
+        discounts.forEach((d, i) => {
+            remaining[i] -= d
+            lineDiscounts[i] += d
+        })
+        applied.push({ promotionId: p.id, name: p.name, description: p.description, discountCents, lineDiscounts: discounts })
+    }
+
+    return { discountCents: sum(lineDiscounts), lineDiscounts, applied }
+}
+
+/**
+ * Résultat d’evaluatePromotions en unités, ligne par ligne (réponse JSON).
+ * @returns { discount, applied: [{ promotionId, name, description, discount }],
+ *            lines: [{ productId, variantId, discount, promotions: [{ promotionId, name, discount }] }] }
+ */
+export function promotionSummary(result, lines) {
+    return {
+        discount: fromCents(result.discountCents),
+        applied: result.applied.map(a => ({
+            promotionId: a.promotionId,
+            name: a.name,
+            description: a.description,
+            discount: fromCents(a.discountCents),
+        })),
+        lines: lines.map((l, i) => ({
+            productId: l.product.id,
+            variantId: l.variant?.id ?? null,
+            discount: fromCents(result.lineDiscounts[i]),
+            promotions: result.applied
+                .filter(a => a.lineDiscounts[i] > 0)
+                .map(a => ({ promotionId: a.promotionId, name: a.name, discount: fromCents(a.lineDiscounts[i]) })),
+        })),
+    }
+}
+
+/**
+ * Remises totales : promotions automatiques + coupon (résultat d’evaluateCoupon ou null).
+ * @returns { discountCents, lineDiscounts, freeShipping } — à passer à lib/shipping.js et lib/tax.js
+ */
+export function combineDiscounts(promotions, coupon) {
+    return {
+        discountCents: promotions.discountCents + (coupon?.discountCents || 0),
+        lineDiscounts: promotions.lineDiscounts.map((d, i) => d + (coupon?.lineDiscounts[i] || 0)),
+        freeShipping: !!coupon?.freeShipping,
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/publishing.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Publication des produits : brouillon (DRAFT) ou publié (PUBLISHED), dans une
+ * fenêtre facultative [publishAt, unpublishAt[.
+ * - Un produit est public s’il est PUBLISHED, non archivé et dans sa fenêtre :
+ *   c’est la seule règle de visibilité du catalogue, en Prisma (publishedWhere)
+ *   comme en SQL brut (publishedSql), relue au moment de la requête — aucune
+ *   tâche planifiée ne fait basculer un produit.
+ * - Un produit qui cesse d’être public reste dans les paniers : la ligne y est
+ *   signalée indisponible (routes/Cart.js) et le checkout la refuse.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Prisma } from '@prisma/client'
+import { HttpError } from './errors.js'
+import { parseDate } from './dates.js'
+
+// Statuts de publication (enum ProductStatus)
+export const PRODUCT_STATUSES = ['DRAFT', 'PUBLISHED']
+
+/**
+ * Filtre Prisma des produits publics à l’instant `now`.
+ */
+export function publishedWhere(now = new Date()) {
+    return {
+        archivedAt: null,
+        status: 'PUBLISHED',
+        AND: [
+            { OR: [{ publishAt: null }, { publishAt: { lte: now } }] },
+            { OR: [{ unpublishAt: null }, { unpublishAt: { gt: now } }] },
+        ],
+    }
+}
+
+/**
+ * Même règle que publishedWhere, en SQL sur l’alias `p` de "Product"
+ * (dates stockées en UTC sans fuseau, comparées à l’heure UTC de la base).
+ */
+export const publishedSql = Prisma.sql`(p."archivedAt" IS NULL AND p."status" = 'PUBLISHED'
+    AND (p."publishAt" IS NULL OR p."publishAt" <= (now() AT TIME ZONE 'UTC'))
+    AND (p."unpublishAt" IS NULL OR p."unpublishAt" > (now() AT TIME ZONE 'UTC')))`
+
+/**
+ * État de publication d’un produit à l’instant `now` :
+ * ARCHIVED, DRAFT, SCHEDULED (pas encore publié), ENDED (fenêtre passée) ou LIVE.
+ */
+export function publicationState(product, now = new Date()) {
+    if (product.archivedAt) return 'ARCHIVED'
+    if (product.status !== 'PUBLISHED') return 'DRAFT'
+    if (product.publishAt && product.publishAt > now) return 'SCHEDULED'
+    if (product.unpublishAt && product.unpublishAt <= now) return 'ENDED'
+    return 'LIVE'
+}
+
+/** Produit public à l’instant `now` ? */
+export const isPublished = (product, now = new Date()) => publicationState(product, now) === 'LIVE'
+
+/**
+ * Champs de publication présents dans `body` → données Product
+ * (status, publishAt, unpublishAt ; les absents ne sont pas renvoyés).
+ * @throws HttpError 400 (statut inconnu, date invalide, fenêtre vide)
+ */
+export function parsePublishing(body = {}) {
+    const data = {}
+    if (body.status !== undefined) {
+        data.status = String(body.status ?? '').toUpperCase()
+        if (!PRODUCT_STATUSES.includes(data.status)) {
+            throw new HttpError(400, `status doit être ${PRODUCT_STATUSES.join(', ')}`)
+        }
+    }
+    if (body.publishAt !== undefined) data.publishAt = parseDate(body.publishAt, 'publishAt')
+    if (body.unpublishAt !== undefined) data.unpublishAt = parseDate(body.unpublishAt, 'unpublishAt')
+    assertPublishWindow(data)
+    return data
+}
+
+/**
+ * Fenêtre de publication cohérente : unpublishAt après publishAt (bornes null ignorées).
+ * @throws HttpError 400
+ */
+export function assertPublishWindow({ publishAt, unpublishAt }) {
+    if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+        throw new HttpError(400, 'unpublishAt doit être postérieur à publishAt')
+    }
+}
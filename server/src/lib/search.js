@@ -0,0 +1,257 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/search.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Recherche du catalogue public : filtres, facettes, tri et pagination par curseur.
+ * - Texte : plein texte PostgreSQL (Product.searchVector, config english →
+ *   pluriels et formes fléchies) sur name, catégorie et description, similarité par
+ *   trigrammes (pg_trgm) sur le nom pour les fautes de frappe ; le vecteur
+ *   inclut les noms de la catégorie et de ses ancêtres (« kitchen » trouve les
+ *   produits de Kitchen). Résultats classés par pertinence (tri relevance, par
+ *   défaut quand un texte est cherché).
+ * - Chaque produit est vu avec ses valeurs « vitrine » (calculées en SQL) :
+ *   prix « à partir de » (variante active la moins chère, sinon Product.price),
+ *   stock vendable (somme des variantes actives, sinon Product.stock), note
+ *   moyenne des avis publiés et unités vendues (ventes encaissées).
+ * - Facettes : chacune est comptée avec tous les filtres sauf le sien (on voit
+ *   combien de produits on obtiendrait en la changeant).
+ * - Curseur opaque (base64url) = clé de tri + id du dernier produit renvoyé ;
+ *   stable même si des produits sont ajoutés entre deux pages.
+ * - Autocomplétion (suggest) : préfixes des mots saisis + similarité.
+ * - Seuls les produits publics apparaissent (publiés, non archivés, dans leur
+ *   fenêtre de publication : lib/publishing.js).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Prisma } from '@prisma/client'
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { parseMoney } from './money.js'
+import { REVENUE_STATUSES } from './orders.js'
+import { categoryPaths, descendantIds, slugify } from './categories.js'
+import { publishedSql } from './publishing.js'
+
+const DEFAULT_LIMIT = 24
+const MAX_LIMIT = 100
+const SUGGEST_PRODUCTS = 6
+const SUGGEST_CATEGORIES = 3
+const SUGGEST_MIN_LENGTH = 2
+// Similarité de mot (pg_trgm) à partir de laquelle un nom est retenu malgré une
+// faute de frappe (« botle » → Bottles : 0.5)
+const TYPO_SIMILARITY = 0.5
+
+// Tris disponibles : clé SQL (colonne de `listing`) et sens ; l’id départage
+const SORTS = {
+    relevance: { key: Prisma.sql`l."relevance"`, desc: true },
+    newest: { key: Prisma.sql`EXTRACT(EPOCH FROM l."createdAt")`, desc: true },
+    price_asc: { key: Prisma.sql`l."fromPrice"`, desc: false },
+    price_desc: { key: Prisma.sql`l."fromPrice"`, desc: true },
+    rating: { key: Prisma.sql`COALESCE(l."rating", 0)`, desc: true },
+    popular: { key: Prisma.sql`l."sold"`, desc: true },
+}
+const SORT_KEYS = Object.keys(SORTS)
+
+const encodeCursor = (key, id) => Buffer.from(JSON.stringify([String(key), id])).toString('base64url')
+
+function decodeCursor(cursor) {
+    try {
+        const [key, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString())
+        if (Number.isInteger(id) && typeof key === 'string' && key !== '' && Number.isFinite(Number(key))) return { key, id }
+    } catch { /* curseur illisible */ }
+    throw new HttpError(400, 'cursor invalide')
+}
+
+function parsePrice(value, field) {
+    if (value == null || value === '') return null
+    const amount = parseMoney(value)
+    if (amount === null) throw new HttpError(400, `${field} doit être un montant >= 0`)
+    return amount
+}
+
+/**
+ * Paramètres de recherche depuis la query string.
+ * @throws HttpError 400 (tri, montant, limite ou curseur invalides)
+ */
+export function parseSearchParams(query) {
+    const search = String(query.search ?? '').trim()
+    let sort = String(query.sort || (search ? 'relevance' : 'newest'))
+    if (!SORTS[sort]) throw new HttpError(400, `sort doit être ${SORT_KEYS.join(', ')}`)
+    if (sort === 'relevance' && !search) sort = 'newest' // pertinence sans texte : aucun sens
+    const limit = query.limit == null || query.limit === '' ? DEFAULT_LIMIT : Number(query.limit)
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new HttpError(400, `limit doit être un entier entre 1 et ${MAX_LIMIT}`)
+    }
+    const params = {
+        search,
+        category: slugify(query.category),
+        minPrice: parsePrice(query.minPrice, 'minPrice'),
+        maxPrice: parsePrice(query.maxPrice, 'maxPrice'),
+        inStock: ['1', 'true'].includes(String(query.inStock)),
+        sort,
+        limit,
+        cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    }
+    if (params.minPrice !== null && params.maxPrice !== null && params.minPrice > params.maxPrice) {
+        throw new HttpError(400, 'minPrice doit être <= maxPrice')
+    }
+    return params
+}
+
+// Produits avec leurs valeurs vitrine, restreints par `productWhere` (colonnes de p)
+const listing = (productWhere, relevance) => Prisma.sql`
+    SELECT p."id", p."createdAt", p."categoryId", ${relevance} AS "relevance",
+        COALESCE((SELECT MIN(COALESCE(v."price", p."price")) FROM "ProductVariant" v
+                  WHERE v."productId" = p."id" AND v."active"), p."price") AS "fromPrice",
+        COALESCE((SELECT SUM(v."stock") FROM "ProductVariant" v
+                  WHERE v."productId" = p."id" AND v."active"), p."stock") AS "available",
+        (SELECT AVG(r."stars") FROM "Review" r
+         WHERE r."productId" = p."id" AND r."published") AS "rating",
+        (SELECT COUNT(*) FROM "Review" r
+         WHERE r."productId" = p."id" AND r."published")::int AS "reviewCount",
+        COALESCE((SELECT SUM(si."qty") FROM "SaleItem" si JOIN "Sale" s ON s."id" = si."saleId"
+                  WHERE si."productId" = p."id"
+                    AND s."status"::text IN (${Prisma.join(REVENUE_STATUSES)})), 0)::int AS "sold"
+    FROM "Product" p
+    WHERE ${productWhere}`
+
+const and = (conditions) => (conditions.length > 0 ? Prisma.join(conditions, ' AND ') : Prisma.sql`TRUE`)
+
+/**
+ * Correspondance texte : condition sur p et score de pertinence (numeric, arrondi
+ * pour que le curseur le relise à l’identique).
+ * - plein texte (name A > catégorie B > description C) + similarité du nom
+ */
+function textMatch(search) {
+    const tsquery = Prisma.sql`websearch_to_tsquery('english', ${search})`
+    return {
+        where: Prisma.sql`(p."searchVector" @@ ${tsquery} OR word_similarity(${search}, p."name") >= ${TYPO_SIMILARITY})`,
+        relevance: Prisma.sql`ROUND((ts_rank(p."searchVector", ${tsquery})
+            + 0.5 * word_similarity(${search}, p."name"))::numeric, 6)`,
+    }
+}
+
+/**
+ * Conditions SQL des filtres, sauf ceux de `except` (facettes).
+ * @returns { product: conditions sur p, listing: conditions sur l }
+ */
+async function filters(params, except = []) {
+    const product = [publishedSql]
+    const listed = []
+    if (params.text) product.push(params.text.where)
+    if (params.category && !except.includes('category')) {
+        const ids = await descendantIds(params.category)
+        product.push(ids.length > 0 ? Prisma.sql`p."categoryId" IN (${Prisma.join(ids)})` : Prisma.sql`FALSE`)
+    }
+    if (!except.includes('price')) {
+        if (params.minPrice !== null) listed.push(Prisma.sql`l."fromPrice" >= ${params.minPrice}`)
+        if (params.maxPrice !== null) listed.push(Prisma.sql`l."fromPrice" <= ${params.maxPrice}`)
+    }
+    if (params.inStock && !except.includes('inStock')) listed.push(Prisma.sql`l."available" > 0`)
+    return { product: and(product), listing: listed }
+}
+
+// Requête sur la vue `listing` filtrée (sauf `except`)
+async function query(params, except, select, tail = Prisma.empty) {
+    const f = await filters(params, except)
+    return prisma.$queryRaw(Prisma.sql`
+        WITH l AS (${listing(f.product, params.text?.relevance ?? Prisma.sql`0`)})
+        SELECT ${select} FROM l
+        WHERE ${and(f.listing)} ${tail}`)
+}
+
+/**
+ * Facettes de la recherche :
+ * - categories : { slug: nombre de produits } (sous-catégories comprises)
+ * - price : { min, max } des prix « à partir de »
+ * - inStock : nombre de produits disponibles
+ */
+async function facets(params) {
+    const [byCategory, [price], [stock], paths] = await Promise.all([
+        query(params, ['category'], Prisma.sql`l."categoryId", COUNT(*)::int AS "count"`, Prisma.sql`GROUP BY l."categoryId"`),
+        query(params, ['price'], Prisma.sql`MIN(l."fromPrice") AS "min", MAX(l."fromPrice") AS "max"`),
+        query(params, ['inStock'], Prisma.sql`COUNT(*) FILTER (WHERE l."available" > 0)::int AS "inStock"`),
+        categoryPaths(),
+    ])
+
+    const categories = {}
+    for (const row of byCategory) {
+        for (const slug of paths.get(row.categoryId) ?? []) categories[slug] = (categories[slug] ?? 0) + row.count
+    }
+    return {
+        categories,
+        price: {
+            min: price.min == null ? null : Number(price.min),
+            max: price.max == null ? null : Number(price.max),
+        },
+        inStock: stock.inStock,
+    }
+}
+
+/**
+ * Recherche paginée.
+ * @returns { items, total, nextCursor, facets } — items = produits (avec variantes
+ *   actives et catégorie) + rating, reviewCount, sold ; nextCursor null en fin de liste
+ */
+export async function searchProducts(params, include) {
+    if (params.search) params = { ...params, text: textMatch(params.search) }
+    const { key, desc } = SORTS[params.sort]
+    const order = desc ? Prisma.sql`DESC` : Prisma.sql`ASC`
+    const after = params.cursor
+        ? Prisma.sql`AND (${key}, l."id") ${desc ? Prisma.sql`<` : Prisma.sql`>`} (${params.cursor.key}::numeric, ${params.cursor.id})`
+        : Prisma.empty
+
+    const [rows, [{ total }], facetCounts] = await Promise.all([
+        query(params, [], Prisma.sql`l."id", l."relevance", l."rating", l."reviewCount", l."sold", ${key} AS "sortKey"`,
+            Prisma.sql`${after} ORDER BY ${key} ${order}, l."id" ${order} LIMIT ${params.limit + 1}`),
+        query(params, [], Prisma.sql`COUNT(*)::int AS "total"`),
+        facets(params),
+    ])
+
+    const page = rows.slice(0, params.limit)
+    const products = await prisma.product.findMany({ where: { id: { in: page.map(r => r.id) } }, include })
+    const byId = new Map(products.map(p => [p.id, p]))
+    const items = page.filter(r => byId.has(r.id)).map(r => ({
+        ...byId.get(r.id),
+        ...(params.text ? { relevance: Number(r.relevance) } : {}),
+        rating: r.rating == null ? null : Math.round(Number(r.rating) * 10) / 10,
+        reviewCount: r.reviewCount,
+        sold: r.sold,
+    }))
+
+    const last = page[page.length - 1]
+    return {
+        items,
+        total,
+        nextCursor: rows.length > params.limit ? encodeCursor(last.sortKey, last.id) : null,
+        facets: facetCounts,
+    }
+}
+
+/**
+ * Autocomplétion de la boutique : produits et catégories dont un mot commence
+ * par les mots saisis (ou au nom proche, fautes de frappe comprises).
+ * @returns { products: [{ id, slug, name, img }], categories: [{ id, slug, name }] }
+ *   (vides sous SUGGEST_MIN_LENGTH caractères)
+ */
+export async function suggest(q) {
+    const text = String(q ?? '').trim()
+    // Mots réduits aux lettres et chiffres → jamais de syntaxe tsquery dans la saisie
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []
+    if (text.length < SUGGEST_MIN_LENGTH || words.length === 0) return { products: [], categories: [] }
+
+    const prefix = Prisma.sql`to_tsquery('english', ${words.map(w => `${w}:*`).join(' & ')})`
+    const [products, categories] = await Promise.all([
+        prisma.$queryRaw(Prisma.sql`
+            SELECT p."id", p."slug", p."name", p."img" FROM "Product" p
+            WHERE ${publishedSql}
+              AND (p."searchVector" @@ ${prefix} OR word_similarity(${text}, p."name") >= ${TYPO_SIMILARITY})
+            ORDER BY ts_rank(p."searchVector", ${prefix}) + word_similarity(${text}, p."name") DESC, p."id"
+            LIMIT ${SUGGEST_PRODUCTS}`),
+        prisma.$queryRaw(Prisma.sql`
+            SELECT c."id", c."slug", c."name" FROM "Category" c
+            WHERE to_tsvector('english', c."name") @@ ${prefix} OR word_similarity(${text}, c."name") >= ${TYPO_SIMILARITY}
+            ORDER BY word_similarity(${text}, c."name") DESC, c."id"
+            LIMIT ${SUGGEST_CATEGORIES}`),
+    ])
+    return { products, categories }
+}
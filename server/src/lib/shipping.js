@@ -0,0 +1,82 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/shipping.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Moteur de frais de port.
+ * - Les modes (ShippingMethod) et leurs grilles (ShippingRate) sont en base.
+ * - Pour un mode : première ligne de grille qui correspond au pays, au poids
+ *   et au sous-total de la commande (sortOrder croissant) ; aucune → indisponible.
+ * - Port offert quand le sous-total (remise déduite) atteint freeShippingThreshold
+ *   du mode, ou pour tous les modes avec un coupon « livraison offerte ».
+ * - Les lignes (lines) sont des { product, qty } : prix et poids viennent de Product.
+ * - Montants comparés et sommés en centimes (lib/money.js).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { toCents, fromCents } from './money.js'
+
+const inRange = (value, min, max) => (min == null || value >= min) && (max == null || value < max)
+
+// Bornes de sous-total : Decimal en base → centimes (null = pas de borne)
+const centsOrNull = (value) => (value == null ? null : toCents(value))
+
+function matchRate(rates, { country, weight, subtotalCents }) {
+    return rates.find(r =>
+        (r.countries.length === 0 || r.countries.includes(country)) &&
+        inRange(weight, r.minWeight, r.maxWeight) &&
+        inRange(subtotalCents, centsOrNull(r.minSubtotal), centsOrNull(r.maxSubtotal))
+    )
+}
+
+/**
+ * Modes de livraison disponibles pour ces lignes et ce pays, avec leur prix.
+ * - opts.discountCents : remises (promotions, coupon) déduites du sous-total (seuils, grilles)
+ * - opts.freeShipping : coupon « livraison offerte » → tous les modes à 0
+ * @returns { subtotal, weight, country, methods: [{ code, name, description, cost, free, freeShippingThreshold }] }
+ */
+export async function quoteShipping(lines, country, { discountCents = 0, freeShipping = false } = {}) {
+    const destination = String(country || '').trim().toUpperCase()
+    if (!/^[A-Z]{2}$/.test(destination)) throw new HttpError(400, 'country doit être un code ISO à 2 lettres')
+
+    const subtotalCents = lines.reduce((s, l) => s + toCents(l.product.price) * l.qty, 0) - discountCents
+    const weight = lines.reduce((s, l) => s + (l.product.weight || 0) * l.qty, 0)
+
+    const methods = await prisma.shippingMethod.findMany({
+        where: { active: true },
+        orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }],
+        include: { rates: { orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }] } },
+    })
+
+    const available = []
+    for (const m of methods) {
+        const rate = matchRate(m.rates, { country: destination, weight, subtotalCents })
+        if (!rate) continue
+        const threshold = centsOrNull(m.freeShippingThreshold)
+        const free = freeShipping || (threshold != null && subtotalCents >= threshold)
+        available.push({
+            code: m.code,
+            name: m.name,
+            description: m.description,
+            cost: free ? 0 : fromCents(toCents(rate.price)),
+            free,
+            freeShippingThreshold: threshold == null ? null : fromCents(threshold),
+        })
+    }
+
+    return { subtotal: fromCents(subtotalCents), weight, country: destination, methods: available }
+}
+
+/**
+ * Prix du mode `code` pour cette commande (checkout) ; opts : voir quoteShipping.
+ * @returns { code, name, cost }
+ * @throws HttpError 400 (mode absent, inconnu ou indisponible pour la destination)
+ */
+export async function priceShipping(lines, country, code, opts) {
+    if (!code) throw new HttpError(400, 'Shipping method required')
+    const { methods } = await quoteShipping(lines, country, opts)
+    const method = methods.find(m => m.code === String(code))
+    if (!method) throw new HttpError(400, 'Shipping method not available for this address')
+    return method
+}
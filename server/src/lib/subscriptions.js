@@ -0,0 +1,88 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/subscriptions.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Abonnements « prévenez-moi » aux produits épuisés (StockSubscription).
+ * - Un client (connecté ou invité avec un email) s’abonne à un produit dont le
+ *   stock vendable est nul : somme des variantes actives, sinon Product.stock.
+ * - notifyBackInStock : appelé dans la transaction d’une remise en stock par un
+ *   admin ; si le produit est de nouveau vendable, une notification BACK_IN_STOCK
+ *   par abonné part dans l’outbox (Notification) et les abonnements sont vidés.
+ *   dedupeKey (id de l’abonnement) : deux remises en stock simultanées ne
+ *   préviennent pas deux fois le même abonné.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { publishedWhere } from './publishing.js'
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MAX_EMAIL_LENGTH = 200
+
+/** Stock vendable du produit (null s’il n’existe pas ou n’est pas public). */
+async function sellableStock(db, productId) {
+    const product = await db.product.findFirst({
+        where: { id: productId, ...publishedWhere() },
+        select: { stock: true, variants: { where: { active: true }, select: { stock: true } } },
+    })
+    if (!product) return null
+    return product.variants.length > 0
+        ? product.variants.reduce((s, v) => s + v.stock, 0)
+        : product.stock
+}
+
+/**
+ * Abonne `email` (ou, à défaut, l’email du compte `userId`) au produit `slug`.
+ * Idempotent : un second abonnement du même email ne crée rien.
+ * @returns { productId, email }
+ * @throws HttpError 400 (email manquant / invalide), 404 (produit inconnu ou non public),
+ *         409 (produit en stock)
+ */
+export async function subscribeBackInStock(slug, { email, userId = null } = {}) {
+    let address = String(email ?? '').trim().toLowerCase()
+    if (!address && userId) {
+        const user = await prisma.user.findUnique({ where: { id: userId }, select: { email: true } })
+        address = user?.email.toLowerCase() ?? ''
+    }
+    if (!address) throw new HttpError(400, 'email requis')
+    if (address.length > MAX_EMAIL_LENGTH || !EMAIL_RE.test(address)) throw new HttpError(400, 'email invalide')
+
+    const product = await prisma.product.findFirst({ where: { slug, ...publishedWhere() }, select: { id: true } })
+    if (!product) throw new HttpError(404, 'Product not found')
+    if (await sellableStock(prisma, product.id) > 0) throw new HttpError(409, 'Product is in stock')
+
+    await prisma.stockSubscription.upsert({
+        where: { productId_email: { productId: product.id, email: address } },
+        update: userId ? { userId } : {},
+        create: { productId: product.id, email: address, userId },
+    })
+    return { productId: product.id, email: address }
+}
+
+/**
+ * Remise en stock : si le produit est vendable, met en file une notification
+ * BACK_IN_STOCK par abonné puis supprime ses abonnements.
+ * @param tx transaction Prisma de la remise en stock
+ * @returns nombre d’abonnés prévenus
+ */
+export async function notifyBackInStock(tx, productId) {
+    if (!(await sellableStock(tx, productId) > 0)) return 0
+    const subscriptions = await tx.stockSubscription.findMany({
+        where: { productId },
+        include: { product: { select: { slug: true, name: true } } },
+        orderBy: { id: 'asc' },
+    })
+    if (subscriptions.length === 0) return 0
+
+    await tx.notification.createMany({
+        data: subscriptions.map(s => ({
+            type: 'BACK_IN_STOCK',
+            dedupeKey: `back-in-stock:${s.id}`,
+            payload: { email: s.email, userId: s.userId, productId, slug: s.product.slug, name: s.product.name },
+        })),
+        skipDuplicates: true,
+    })
+    const { count } = await tx.stockSubscription.deleteMany({ where: { id: { in: subscriptions.map(s => s.id) } } })
+    return count
+}
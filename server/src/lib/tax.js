@@ -0,0 +1,106 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/tax.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Calcul de la TVA.
+ * - Taux en base (TaxRate) par pays de livraison et par catégorie (slug) ;
+ *   le plus précis l’emporte (pays + catégorie > pays > catégorie > défaut).
+ *   Un taux de catégorie vaut pour ses sous-catégories, la plus proche l’emportant.
+ * - PRICES_INCLUDE_TAX (env, true par défaut) : Product.price est TTC et la TVA
+ *   en est extraite ; à false, les prix sont HT et la TVA s’y ajoute.
+ * - Calcul en centimes entiers (lib/money.js), arrondi par ligne ; les totaux
+ *   sont la somme exacte des lignes.
+ * - Remises (promotions, coupon) : imputées ligne par ligne avant calcul (TVA sur
+ *   le prix remisé).
+ * - Frais de port exonérés de TVA : ils s’ajoutent tels quels au TTC de la vente
+ *   et n’entrent ni dans Sale.taxTotal ni dans le HT (net) des articles.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { toCents, fromCents, percentOfCents, netOfGrossCents } from './money.js'
+
+export const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX !== 'false'
+
+// Taux applicable : parmi les lignes compatibles, celle qui fixe le plus de critères
+// (le pays compte plus que la catégorie) ; à égalité, la catégorie la plus proche
+// dans `categoryPath` (chemin de la catégorie du produit vers la racine)
+function pickRate(rates, { country, categoryPath = [] }) {
+    let best = null
+    let bestScore = -1
+    let bestDepth = Infinity
+    for (const r of rates) {
+        if (r.country != null && r.country !== country) continue
+        const depth = r.category != null ? categoryPath.indexOf(r.category) : Infinity
+        if (r.category != null && depth < 0) continue
+        const score = (r.country != null ? 2 : 0) + (r.category != null ? 1 : 0)
+        if (score > bestScore || (score === bestScore && depth < bestDepth)) {
+            best = r
+            bestScore = score
+            bestDepth = depth
+        }
+    }
+    return best ? Number(best.rate) : 0
+}
+
+/**
+ * Montants d’une ligne (prix unitaire × qty, moins `discount` centimes) au taux `rate`.
+ * La remise est exprimée dans la même base que les prix (TTC ou HT).
+ * @returns { net, tax, gross } (centimes entiers)
+ */
+export function taxLineCents(price, qty, rate, inclusive = PRICES_INCLUDE_TAX, discount = 0) {
+    const amount = toCents(price) * qty - discount
+    if (inclusive) {
+        const net = netOfGrossCents(amount, rate)
+        return { net, tax: amount - net, gross: amount }
+    }
+    const tax = percentOfCents(amount, rate)
+    return { net: amount, tax, gross: amount + tax }
+}
+
+/**
+ * TVA des lignes { product, qty } livrées dans `country` (product.categoryPath : lib/catalog.js).
+ * - opts.lineDiscounts : remise en centimes par ligne (voir lib/promotions.js combineDiscounts)
+ * @returns { country, pricesIncludeTax, discount, net, tax, gross,
+ *            lines: [{ productId, variantId, taxRate, discount, net, tax, gross }] } (lines dans
+ *            l’ordre reçu ; montants en unités, déjà arrondis au centime)
+ * @throws HttpError 400 (pays invalide)
+ */
+export async function computeTax(lines, country, { lineDiscounts = [] } = {}) {
+    const destination = String(country || '').trim().toUpperCase()
+    if (!/^[A-Z]{2}$/.test(destination)) throw new HttpError(400, 'country doit être un code ISO à 2 lettres')
+
+    const rates = await prisma.taxRate.findMany({
+        where: { OR: [{ country: null }, { country: destination }] },
+    })
+
+    const taxed = lines.map((l, i) => {
+        const taxRate = pickRate(rates, { country: destination, categoryPath: l.product.categoryPath })
+        const discount = lineDiscounts[i] || 0
+        return {
+            productId: l.product.id,
+            variantId: l.variant?.id ?? null,
+            taxRate,
+            discount,
+            ...taxLineCents(l.product.price, l.qty, taxRate, PRICES_INCLUDE_TAX, discount),
+        }
+    })
+
+    const sum = (key) => fromCents(taxed.reduce((s, l) => s + l[key], 0))
+    return {
+        country: destination,
+        pricesIncludeTax: PRICES_INCLUDE_TAX,
+        discount: sum('discount'),
+        net: sum('net'),
+        tax: sum('tax'),
+        gross: sum('gross'),
+        lines: taxed.map(l => ({
+            ...l,
+            discount: fromCents(l.discount),
+            net: fromCents(l.net),
+            tax: fromCents(l.tax),
+            gross: fromCents(l.gross),
+        })),
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/uploads.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Traitement des images envoyées par l’admin (produits, portfolio).
+ * - Type vérifié sur le contenu du fichier (sharp), pas seulement sur l’en-tête
+ *   Content-Type envoyé par le navigateur.
+ * - Chaque image est déclinée en plusieurs tailles WebP (RENDITIONS), rangées
+ *   sous « <dossier>/<id>/<taille>.webp » dans le stockage configuré (src/storage).
+ * - L’orientation EXIF est appliquée puis les métadonnées sont retirées.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import crypto from 'node:crypto'
+import sharp from 'sharp'
+import { HttpError } from './errors.js'
+import { getStorage } from '../storage/index.js'
+
+// Taille max d’un fichier envoyé (octets)
+export const MAX_UPLOAD_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024
+
+// Types acceptés (Content-Type annoncé) et formats réels correspondants
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif']
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif']
+
+// Dossiers de rangement autorisés
+export const UPLOAD_FOLDERS = ['products', 'portfolio']
+
+// Déclinaisons produites : plus grand côté en pixels (jamais agrandies)
+export const RENDITIONS = { thumb: 200, medium: 800, large: 1600 }
+
+/**
+ * Enregistre une image et ses déclinaisons.
+ * @returns { id, url (= large), renditions: { thumb, medium, large }, width, height }
+ * @throws HttpError 400 (dossier inconnu), 415 (fichier qui n’est pas une image acceptée)
+ */
+export async function storeImage(buffer, { folder = 'products' } = {}) {
+    if (!UPLOAD_FOLDERS.includes(folder)) throw new HttpError(400, `folder doit être ${UPLOAD_FOLDERS.join(', ')}`)
+
+    let meta
+    try {
+        meta = await sharp(buffer).metadata()
+    } catch {
+        throw new HttpError(415, 'Unsupported image file')
+    }
+    if (!IMAGE_FORMATS.includes(meta.format)) throw new HttpError(415, 'Unsupported image file')
+
+    const storage = getStorage()
+    const id = crypto.randomUUID()
+    const renditions = {}
+    for (const [name, size] of Object.entries(RENDITIONS)) {
+        const output = await sharp(buffer)
+            .rotate()
+            .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 82 })
+            .toBuffer()
+        const key = `${folder}/${id}/${name}.webp`
+        await storage.put(key, output, { contentType: 'image/webp' })
+        renditions[name] = storage.url(key)
+    }
+
+    // Dimensions affichées (orientation EXIF appliquée)
+    const rotated = (meta.orientation ?? 1) >= 5
+    return {
+        id,
+        url: renditions.large,
+        renditions,
+        width: rotated ? meta.height : meta.width,
+        height: rotated ? meta.width : meta.height,
+    }
+}
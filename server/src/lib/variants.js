@@ -0,0 +1,198 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/variants.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Déclinaisons de produits (taille, couleur…).
+ * - Un produit sans variante se vend tel quel (Product.price / stock / weight).
+ * - Avec variantes : chaque ligne de panier / vente désigne une variante active ;
+ *   prix et poids = ceux de la variante, ou du produit à défaut ; le stock est
+ *   celui de la variante.
+ * - Admin : axes et variantes sont remplacés en bloc (saveVariants) ; une
+ *   variante déjà vendue est désactivée plutôt que supprimée.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError } from './errors.js'
+import { parseMoney } from './money.js'
+import { setStock } from './inventory.js'
+import { notifyBackInStock } from './subscriptions.js'
+import { publishedWhere } from './publishing.js'
+
+// Axes et variantes tels que renvoyés avec un produit (ordre d’affichage)
+export const variantsInclude = (onlyActive = false) => ({
+    options: { orderBy: [{ position: 'asc' }, { id: 'asc' }] },
+    variants: {
+        ...(onlyActive && { where: { active: true } }),
+        orderBy: [{ position: 'asc' }, { id: 'asc' }],
+    },
+})
+
+/** Produit tel que vendu dans la variante `variant` : prix et poids effectifs. */
+export function sellableProduct(product, variant) {
+    if (!variant) return product
+    return {
+        ...product,
+        price: variant.price ?? product.price,
+        weight: variant.weight ?? product.weight,
+    }
+}
+
+/**
+ * Ligne de panier { product, variant, qty } → ligne pour les moteurs de prix
+ * (promotions, coupons, port, TVA), qui ne lisent que `product`.
+ */
+export const pricingLine = (item) => ({
+    product: sellableProduct(item.product, item.variant),
+    variant: item.variant ?? null,
+    qty: item.qty,
+})
+
+/** Stock disponible pour une ligne (variante si présente, sinon produit). */
+export const availableStock = (product, variant) => (variant ? variant.stock : product.stock)
+
+/** Libellé d’une ligne pour les messages d’erreur (« Mug (L / Red) »). */
+export const lineLabel = (product, variant) => (variant ? `${product.name} (${variant.title})` : product.name)
+
+/**
+ * Vérifie le choix de variante pour le produit `productId`.
+ * @returns la variante choisie, ou null pour un produit sans variante
+ * @throws HttpError 404 (produit inconnu ou non public), 400 (variante manquante, inconnue ou inactive)
+ */
+export async function resolveVariant(productId, variantId) {
+    const product = await prisma.product.findFirst({
+        where: { id: productId, ...publishedWhere() },
+        select: { id: true, _count: { select: { variants: true } } },
+    })
+    if (!product) throw new HttpError(404, 'Product not found')
+
+    if (variantId == null) {
+        if (product._count.variants > 0) throw new HttpError(400, 'Please choose a variant')
+        return null
+    }
+
+    const variant = await prisma.productVariant.findFirst({
+        where: { id: Number(variantId), productId, active: true },
+    })
+    if (!variant) throw new HttpError(400, 'Variant not available')
+    return variant
+}
+
+// Axes [{ name, values }] : noms et valeurs non vides, sans doublon
+function parseOptions(options) {
+    if (!Array.isArray(options)) throw new HttpError(400, 'options doit être une liste')
+    const axes = options.map((o, position) => ({
+        name: String(o?.name ?? '').trim(),
+        values: (Array.isArray(o?.values) ? o.values : []).map(v => String(v).trim()).filter(Boolean),
+        position,
+    }))
+    for (const a of axes) {
+        if (!a.name || a.values.length === 0) throw new HttpError(400, 'Chaque option a un nom et au moins une valeur')
+        if (new Set(a.values).size !== a.values.length) throw new HttpError(400, `Valeurs en double pour ${a.name}`)
+    }
+    if (new Set(axes.map(a => a.name)).size !== axes.length) throw new HttpError(400, 'Options en double')
+    return axes
+}
+
+// Variante reçue → données Prisma (options complètes et valides pour `axes`)
+function parseVariant(v, axes, position) {
+    const sku = String(v?.sku ?? '').trim()
+    if (!sku) throw new HttpError(400, 'sku requis pour chaque variante')
+
+    const options = {}
+    for (const a of axes) {
+        const value = String(v?.options?.[a.name] ?? '').trim()
+        if (!a.values.includes(value)) throw new HttpError(400, `${sku}: valeur de ${a.name} invalide`)
+        options[a.name] = value
+    }
+
+    const price = v?.price == null || v.price === '' ? null : parseMoney(v.price)
+    if (price === null && v?.price != null && v.price !== '') throw new HttpError(400, `${sku}: price doit être un montant >= 0`)
+    const stock = Number(v?.stock ?? 0)
+    if (!Number.isInteger(stock) || stock < 0) throw new HttpError(400, `${sku}: stock doit être un entier >= 0`)
+    const weight = v?.weight == null || v.weight === '' ? null : Math.round(Number(v.weight))
+    if (weight !== null && !(weight >= 0)) throw new HttpError(400, `${sku}: weight doit être >= 0`)
+
+    return {
+        id: v?.id != null ? Number(v.id) : null,
+        data: {
+            sku,
+            title: axes.map(a => options[a.name]).join(' / '),
+            options,
+            price,
+            stock,
+            weight,
+            active: v?.active === undefined ? true : Boolean(v.active),
+            position,
+        },
+    }
+}
+
+/**
+ * Remplace les axes et les variantes du produit `productId`.
+ * - body.options : [{ name, values }] ; body.variants : [{ id?, sku, options, price?, stock, weight?, active }]
+ * - Une variante sans id est rapprochée d’une existante de même combinaison
+ *   (réactivée si elle avait été retirée).
+ * - Variante existante absente du body : supprimée, ou désactivée si elle a déjà été vendue.
+ * - Stock saisi : écart avec le stock actuel journalisé (ADJUSTMENT, lib/inventory.js)
+ *   au nom de opts.actorId ; produit de nouveau vendable → abonnés prévenus
+ *   (lib/subscriptions.js).
+ * @returns le produit avec ses axes et variantes
+ * @throws HttpError 400 (données invalides), 404 (produit inconnu) ; P2002 si un SKU est déjà pris
+ */
+export async function saveVariants(productId, body = {}, { actorId = null } = {}) {
+    const axes = parseOptions(body.options ?? [])
+    const incoming = (Array.isArray(body.variants) ? body.variants : []).map((v, i) => parseVariant(v, axes, i))
+    if (axes.length === 0 && incoming.length > 0) throw new HttpError(400, 'Des variantes demandent au moins une option')
+    if (axes.length > 0 && incoming.length === 0) throw new HttpError(400, 'Au moins une variante requise')
+    if (new Set(incoming.map(v => v.data.title)).size !== incoming.length) throw new HttpError(400, 'Combinaison d’options en double')
+    if (new Set(incoming.map(v => v.data.sku)).size !== incoming.length) throw new HttpError(400, 'SKU en double')
+
+    return prisma.$transaction(async (tx) => {
+        const product = await tx.product.findUnique({
+            where: { id: productId },
+            include: { variants: { include: { _count: { select: { saleItems: true } } } } },
+        })
+        if (!product) throw new HttpError(404, 'Produit introuvable')
+
+        const byId = new Map(product.variants.map(v => [v.id, v]))
+        const byTitle = new Map(product.variants.map(v => [v.title, v]))
+        const kept = new Set()
+        for (const v of incoming) {
+            const existing = v.id != null ? byId.get(v.id) : byTitle.get(v.data.title)
+            if (v.id != null && !existing) throw new HttpError(400, `Variante ${v.id} introuvable`)
+            if (existing) kept.add(existing.id)
+        }
+
+        // Retirées d’abord : libère les SKU des variantes supprimées avant les écritures
+        for (const old of product.variants) {
+            if (kept.has(old.id)) continue
+            if (old._count.saleItems > 0) {
+                await tx.productVariant.update({ where: { id: old.id }, data: { active: false } })
+            } else {
+                await tx.productVariant.delete({ where: { id: old.id } })
+            }
+        }
+
+        await tx.productOption.deleteMany({ where: { productId } })
+        if (axes.length > 0) await tx.productOption.createMany({ data: axes.map(a => ({ ...a, productId })) })
+
+        for (const v of incoming) {
+            const existing = v.id != null ? byId.get(v.id) : byTitle.get(v.data.title)
+            const { stock, ...data } = v.data
+            const variant = existing
+                ? await tx.productVariant.update({ where: { id: existing.id }, data })
+                : await tx.productVariant.create({ data: { ...data, stock: 0, productId } })
+            await setStock(tx, {
+                productId,
+                variantId: variant.id,
+                stock,
+                reason: existing ? 'Variant stock edit' : 'Initial stock',
+                actorId,
+            })
+        }
+        await notifyBackInStock(tx, productId)
+
+        return tx.product.findUnique({ where: { id: productId }, include: variantsInclude() })
+    })
+}
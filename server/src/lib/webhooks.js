@@ -0,0 +1,152 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/lib/webhooks.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Traitement des webhooks de paiement (callbacks asynchrones du prestataire).
+ * - Signature vérifiée par le prestataire sur le body BRUT (verifyWebhook).
+ * - Rejeu refusé : horodatage de signature trop ancien, ou eventId déjà reçu
+ *   (unique(provider, eventId) dans PaymentEvent).
+ * - Chaque événement signé est journalisé (PaymentEvent) avec ce qui en a été fait.
+ * - Événements gérés (data.paymentId = référence prestataire du paiement) :
+ *     payment.captured → Payment CAPTURED, vente PENDING → PAID
+ *                        (vente déjà annulée : on rembourse aussitôt)
+ *     payment.failed   → Payment FAILED, vente PENDING → CANCELLED
+ *     payment.refunded → Payment REFUNDED, vente → REFUNDED
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { prisma } from '../db/prisma.js'
+import { HttpError, PaymentError } from './errors.js'
+import { getPaymentProvider } from '../payments/index.js'
+import { refundSalePayments } from './payments.js'
+import { canTransition, transitionSale } from './orders.js'
+
+// Écart max toléré entre l’horodatage signé et maintenant (secondes)
+const TOLERANCE_S = Number(process.env.WEBHOOK_TOLERANCE_S) || 300
+
+/**
+ * Vérifie, journalise et applique un webhook.
+ * @param rawBody Buffer du body tel que reçu
+ * @param headers headers de la requête (noms en minuscules)
+ * @returns le PaymentEvent enregistré
+ * @throws HttpError 400 (signature / horodatage / payload invalides), 409 (événement rejoué)
+ */
+export async function processWebhook(rawBody, headers) {
+    const provider = getPaymentProvider()
+
+    let event
+    try {
+        event = provider.verifyWebhook(rawBody, headers)
+    } catch (e) {
+        if (e instanceof PaymentError) throw new HttpError(400, e.message)
+        throw e
+    }
+
+    if (event.timestamp && Math.abs(Date.now() / 1000 - event.timestamp) > TOLERANCE_S) {
+        throw new HttpError(400, 'Webhook timestamp outside tolerance')
+    }
+    if (!event.id || !event.type) throw new HttpError(400, 'Webhook event must have an id and a type')
+
+    const record = await reserveEvent(provider.name, event, rawBody)
+
+    try {
+        const { status, detail, paymentId } = await applyEvent(provider.name, event)
+        return prisma.paymentEvent.update({
+            where: { id: record.id },
+            data: { status, detail, paymentId, processedAt: new Date() },
+        })
+    } catch (e) {
+        // FAILED : le prestataire pourra renvoyer l’événement (voir reserveEvent)
+        await prisma.paymentEvent.update({
+            where: { id: record.id },
+            data: { status: 'FAILED', detail: e.message, processedAt: new Date() },
+        })
+        throw e
+    }
+}
+
+/**
+ * Enregistre l’événement (RECEIVED). Un eventId déjà vu est un rejeu → 409,
+ * sauf si son traitement précédent a échoué (FAILED) : on le retente.
+ */
+async function reserveEvent(providerName, event, rawBody) {
+    const data = {
+        provider: providerName,
+        eventId: String(event.id),
+        type: String(event.type),
+        payload: JSON.parse(rawBody.toString('utf8')),
+    }
+    try {
+        return await prisma.paymentEvent.create({ data })
+    } catch (e) {
+        if (e.code !== 'P2002') throw e
+    }
+
+    const { count } = await prisma.paymentEvent.updateMany({
+        where: { provider: providerName, eventId: data.eventId, status: 'FAILED' },
+        data: { status: 'RECEIVED', detail: null, processedAt: null },
+    })
+    if (count === 0) throw new HttpError(409, 'Event already received')
+    return prisma.paymentEvent.findUnique({
+        where: { provider_eventId: { provider: providerName, eventId: data.eventId } },
+    })
+}
+
+/**
+ * Applique l’événement au Payment et à la vente correspondants.
+ * @returns { status: 'PROCESSED' | 'IGNORED', detail, paymentId }
+ */
+async function applyEvent(providerName, event) {
+    const ref = event.data?.paymentId
+    const payment = ref
+        ? await prisma.payment.findUnique({
+            where: { provider_providerRef: { provider: providerName, providerRef: String(ref) } },
+            include: { sale: { select: { status: true } } },
+        })
+        : null
+    if (!payment) return { status: 'IGNORED', detail: 'Unknown payment', paymentId: null }
+
+    const ignored = (detail) => ({ status: 'IGNORED', detail, paymentId: payment.id })
+    const processed = (detail) => ({ status: 'PROCESSED', detail, paymentId: payment.id })
+    const note = `Webhook ${event.type} (${event.id})`
+
+    switch (event.type) {
+        case 'payment.captured': {
+            if (payment.status === 'CAPTURED' || payment.status === 'REFUNDED') return ignored(`Payment already ${payment.status}`)
+            await prisma.payment.update({ where: { id: payment.id }, data: { status: 'CAPTURED' } })
+
+            if (payment.sale.status === 'CANCELLED') {
+                // Capture tardive (ex. après un timeout au checkout) : la commande n’existe plus
+                await refundSalePayments(payment.saleId)
+                return processed('Sale already cancelled, payment refunded')
+            }
+            if (!canTransition(payment.sale.status, 'PAID')) return processed(`Sale already ${payment.sale.status}`)
+            await transitionSale(payment.saleId, 'PAID', { note })
+            return processed('Sale PAID')
+        }
+
+        case 'payment.failed': {
+            if (payment.status === 'CAPTURED' || payment.status === 'REFUNDED') return ignored(`Payment already ${payment.status}`)
+            await prisma.payment.update({
+                where: { id: payment.id },
+                data: { status: 'FAILED', failureReason: event.data.reason ? String(event.data.reason) : 'Failed (webhook)' },
+            })
+            if (payment.sale.status !== 'PENDING') return processed(`Sale left ${payment.sale.status}`)
+            await transitionSale(payment.saleId, 'CANCELLED', { note })
+            return processed('Sale CANCELLED')
+        }
+
+        case 'payment.refunded': {
+            if (payment.status !== 'CAPTURED') return ignored(`Payment is ${payment.status}`)
+            // Remboursé chez le prestataire : on le note AVANT la transition,
+            // pour que transitionSale ne tente pas de le rembourser une 2e fois
+            await prisma.payment.update({ where: { id: payment.id }, data: { status: 'REFUNDED' } })
+            if (!canTransition(payment.sale.status, 'REFUNDED')) return processed(`Sale left ${payment.sale.status}`)
+            await transitionSale(payment.saleId, 'REFUNDED', { note })
+            return processed('Sale REFUNDED')
+        }
+
+        default:
+            return ignored(`Unhandled event type ${event.type}`)
+    }
+}
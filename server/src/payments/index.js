@@ -0,0 +1,50 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/payments/index.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Couche prestataire de paiement (interchangeable).
+ * - Un prestataire est un objet { name, authorize, capture, refund, verifyWebhook } :
+ *     authorize({ amount, currency, reference, paymentMethod })   (amount en centimes)
+ *       → { status: 'authorized' | 'declined', paymentId, reason? }
+ *     capture(paymentId, amount)  → { status: 'captured', paymentId }
+ *     refund(paymentId, amount)   → { status: 'refunded', paymentId, refundId }
+ *   Les montants sont des entiers en unités mineures (centimes), comme chez
+ *   les vrais prestataires ; la devise est celle de la vente (Sale.currency).
+ *     verifyWebhook(rawBody, headers) → événement { id, type, paymentId, … }
+ *       (throw PaymentError('invalid_signature') si la signature est fausse)
+ * - Les erreurs techniques sont des PaymentError (src/lib/errors.js).
+ * - Le prestataire actif est choisi par PAYMENT_PROVIDER (défaut : "mock").
+ * - Aucune écriture en base ici : voir src/lib/payments.js.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { mockProvider } from './mock.js'
+import { PaymentError } from '../lib/errors.js'
+
+const PROVIDERS = {
+    mock: mockProvider,
+}
+
+// Délai max d’un appel au prestataire avant d’abandonner (ms)
+export const PAYMENT_TIMEOUT_MS = Number(process.env.PAYMENT_TIMEOUT_MS) || 10000
+
+/**
+ * Renvoie le prestataire configuré (PAYMENT_PROVIDER).
+ * @throws Error si le nom ne correspond à aucun prestataire connu
+ */
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'mock') {
+    const provider = PROVIDERS[name]
+    if (!provider) throw new Error(`Unknown payment provider "${name}"`)
+    return provider
+}
+
+/**
+ * Rejette avec PaymentError('timeout') si `promise` ne répond pas en `ms`.
+ */
+export function withTimeout(promise, ms = PAYMENT_TIMEOUT_MS) {
+    let timer
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new PaymentError('timeout', 'Payment provider timed out')), ms)
+    })
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
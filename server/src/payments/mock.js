@@ -0,0 +1,115 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/payments/mock.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Passerelle de paiement factice, en mémoire (aucun appel réseau).
+ * - Issue d’une autorisation, par ordre de priorité :
+ *     1. setMockOutcome('succeed' | 'decline' | 'timeout') (scripts, essais)
+ *     2. le moyen de paiement envoyé : pm_mock_succeed / pm_mock_decline / pm_mock_timeout
+ *     3. MOCK_PAYMENT_OUTCOME (défaut : succeed)
+ * - 'timeout' : la passerelle ne répond jamais (c’est l’appelant qui abandonne).
+ * - Webhooks signés HMAC-SHA256 avec MOCK_WEBHOOK_SECRET :
+ *     header `Mock-Signature: t=<timestamp>,v1=<hex(hmac(t + "." + body))>`
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import crypto from 'node:crypto'
+import { PaymentError } from '../lib/errors.js'
+
+const OUTCOMES = ['succeed', 'decline', 'timeout']
+
+// Paiements connus de la passerelle (perdus au redémarrage du serveur)
+const payments = new Map()
+
+let forcedOutcome = null
+
+const webhookSecret = () => process.env.MOCK_WEBHOOK_SECRET || 'mock-webhook-secret'
+
+/**
+ * Force l’issue des prochaines autorisations (null = revenir au comportement normal).
+ */
+export function setMockOutcome(outcome) {
+    if (outcome !== null && !OUTCOMES.includes(outcome)) throw new Error(`Unknown mock outcome "${outcome}"`)
+    forcedOutcome = outcome
+}
+
+function outcomeFor(paymentMethod) {
+    if (forcedOutcome) return forcedOutcome
+    const m = /^pm_mock_(succeed|decline|timeout)$/.exec(paymentMethod || '')
+    if (m) return m[1]
+    const fromEnv = process.env.MOCK_PAYMENT_OUTCOME
+    return OUTCOMES.includes(fromEnv) ? fromEnv : 'succeed'
+}
+
+/**
+ * Paiement connu ? Après un redémarrage la Map est vide : on accepte alors
+ * tout identifiant "mock_…" pour ne pas bloquer les remboursements.
+ */
+function findPayment(paymentId) {
+    const p = payments.get(paymentId)
+    if (p) return p
+    if (String(paymentId).startsWith('mock_pi_')) return { id: paymentId, status: 'captured' }
+    throw new PaymentError('unknown_payment', `Unknown payment ${paymentId}`)
+}
+
+/**
+ * Signe un body de webhook comme le ferait la passerelle (essais, scripts).
+ * @returns la valeur du header Mock-Signature
+ */
+export function signMockWebhook(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const sig = crypto.createHmac('sha256', webhookSecret()).update(`${timestamp}.${rawBody}`).digest('hex')
+    return `t=${timestamp},v1=${sig}`
+}
+
+export const mockProvider = {
+    name: 'mock',
+
+    async authorize({ amount, currency, reference, paymentMethod }) {
+        const outcome = outcomeFor(paymentMethod)
+        if (outcome === 'timeout') return new Promise(() => {})
+
+        const id = `mock_pi_${crypto.randomUUID()}`
+        if (outcome === 'decline') {
+            payments.set(id, { id, amount, currency, reference, status: 'declined' })
+            return { status: 'declined', paymentId: id, reason: 'Card declined (mock)' }
+        }
+
+        payments.set(id, { id, amount, currency, reference, status: 'authorized' })
+        return { status: 'authorized', paymentId: id }
+    },
+
+    async capture(paymentId) {
+        const p = findPayment(paymentId)
+        if (p.status !== 'authorized') throw new PaymentError('invalid_state', `Cannot capture a ${p.status} payment`)
+        p.status = 'captured'
+        return { status: 'captured', paymentId }
+    },
+
+    async refund(paymentId) {
+        const p = findPayment(paymentId)
+        if (p.status !== 'captured') throw new PaymentError('invalid_state', `Cannot refund a ${p.status} payment`)
+        p.status = 'refunded'
+        return { status: 'refunded', paymentId, refundId: `mock_re_${crypto.randomUUID()}` }
+    },
+
+    verifyWebhook(rawBody, headers) {
+        const header = headers['mock-signature'] || ''
+        const parts = Object.fromEntries(header.split(',').map(kv => kv.trim().split('=')))
+        if (!parts.t || !parts.v1) throw new PaymentError('invalid_signature', 'Missing webhook signature')
+
+        const expected = signMockWebhook(rawBody, parts.t).split('v1=')[1]
+        const a = Buffer.from(parts.v1, 'hex')
+        const b = Buffer.from(expected, 'hex')
+        if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+            throw new PaymentError('invalid_signature', 'Invalid webhook signature')
+        }
+
+        let event
+        try {
+            event = JSON.parse(rawBody.toString('utf8'))
+        } catch {
+            throw new PaymentError('invalid_payload', 'Webhook body is not valid JSON')
+        }
+        return { ...event, timestamp: Number(parts.t) }
+    },
+}
@@ -0,0 +1,81 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/Addresses.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Carnet d’adresses de l’utilisateur connecté.
+ * - Toutes les requêtes sont filtrées par req.user.id (jamais d’accès croisé).
+ * - Validation + règle « une seule adresse par défaut » : voir lib/addresses.js.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import express from 'express'
+import { prisma } from '../db/prisma.js'
+import { requireAuth } from './User.js'
+import { parseAddress, createAddress, updateAddress, deleteAddress } from '../lib/addresses.js'
+import { HttpError } from '../lib/errors.js'
+
+const router = express.Router()
+
+function sendError(res, e, label) {
+    if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+    console.error(`${label} error:`, e)
+    res.status(500).json({ error: 'Server error' })
+}
+
+/**
+ * GET /api/me/addresses
+ * Adresses de l’utilisateur : celle par défaut d’abord, puis les plus récentes.
+ */
+router.get('/me/addresses', requireAuth, async (req, res) => {
+    const addresses = await prisma.address.findMany({
+        where: { userId: req.user.id },
+        orderBy: [{ isDefault: 'desc' }, { createdAt: 'desc' }],
+    })
+    res.json(addresses)
+})
+
+/**
+ * POST /api/me/addresses
+ * body: { fullName, line1, line2?, city, postalCode, region?, country, phone?, label?, isDefault? }
+ * - La première adresse devient automatiquement l’adresse par défaut.
+ */
+router.post('/me/addresses', requireAuth, async (req, res) => {
+    try {
+        const address = await createAddress(req.user.id, parseAddress(req.body))
+        res.status(201).json(address)
+    } catch (e) {
+        sendError(res, e, 'address create')
+    }
+})
+
+/**
+ * PATCH /api/me/addresses/:id
+ * Mise à jour partielle ; `isDefault: true` en fait l’adresse par défaut.
+ */
+router.patch('/me/addresses/:id', requireAuth, async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        if (!Number.isInteger(id)) return res.status(404).json({ error: 'Address not found' })
+        const address = await updateAddress(req.user.id, id, parseAddress(req.body, { partial: true }))
+        res.json(address)
+    } catch (e) {
+        sendError(res, e, 'address update')
+    }
+})
+
+/**
+ * DELETE /api/me/addresses/:id
+ * Les commandes passées conservent leur copie de l’adresse.
+ */
+router.delete('/me/addresses/:id', requireAuth, async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        if (!Number.isInteger(id)) return res.status(404).json({ error: 'Address not found' })
+        await deleteAddress(req.user.id, id)
+        res.json({ ok: true })
+    } catch (e) {
+        sendError(res, e, 'address delete')
+    }
+})
+
+export default router
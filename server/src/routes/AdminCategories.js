@@ -0,0 +1,139 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/AdminCategories.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * CRUD Catégories côté Admin (sécurisé).
+ * - Tous les endpoints sont protégés par requireAuth + requireAdmin.
+ * - Slug normalisé (minuscules, tirets) et unique ; parent vérifié (pas de cycle).
+ * - Un renommage de slug est reporté dans les règles qui le citent (TVA,
+ *   coupons, promotions), dans la même transaction.
+ * - Suppression refusée (409) tant que la catégorie a des produits ou des
+ *   sous-catégories.
+ * - Arbre et règles de rattachement : lib/categories.js.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Router } from 'express'
+import { prisma } from '../db/prisma.js'
+import { requireAuth, requireAdmin } from './User.js'
+import { HttpError } from '../lib/errors.js'
+import { slugify, assertParent, renameCategorySlug } from '../lib/categories.js'
+
+const router = Router()
+
+router.use(requireAuth, requireAdmin)
+
+const withCounts = { _count: { select: { products: true, children: true } } }
+
+/**
+ * Champs d’une catégorie depuis le body (seuls les champs présents sont retenus).
+ * @throws HttpError 400 (champ invalide)
+ */
+function categoryData(body) {
+    const data = {}
+    const has = (k) => body[k] !== undefined
+
+    if (has('name')) {
+        data.name = String(body.name).trim()
+        if (!data.name) throw new HttpError(400, 'name requis')
+    }
+    if (has('slug')) {
+        data.slug = slugify(body.slug)
+        if (!data.slug) throw new HttpError(400, 'slug invalide (lettres, chiffres, tirets)')
+    }
+    if (has('description')) data.description = String(body.description ?? '')
+    if (has('position')) {
+        data.position = Number(body.position)
+        if (!Number.isInteger(data.position)) throw new HttpError(400, 'position doit être un entier')
+    }
+    if (has('parentId')) {
+        data.parentId = body.parentId == null || body.parentId === '' ? null : Number(body.parentId)
+        if (data.parentId !== null && !Number.isInteger(data.parentId)) throw new HttpError(400, 'parentId invalide')
+    }
+    return data
+}
+
+/**
+ * GET /api/admin/categories
+ * Liste à plat (position puis nom), avec le nombre de produits et de sous-catégories.
+ */
+router.get('/categories', async (_req, res) => {
+    const categories = await prisma.category.findMany({
+        orderBy: [{ position: 'asc' }, { name: 'asc' }],
+        include: withCounts,
+    })
+    res.json(categories)
+})
+
+/**
+ * POST /api/admin/categories
+ * Création d’une catégorie. Champ requis : name (slug déduit du nom à défaut).
+ */
+router.post('/categories', async (req, res) => {
+    try {
+        const body = req.body || {}
+        if (!body.name) return res.status(400).json({ error: 'name requis' })
+        const data = categoryData({ slug: body.name, ...body })
+        await assertParent(null, data.parentId ?? null)
+        const created = await prisma.category.create({ data, include: withCounts })
+        res.status(201).json(created)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        if (e.code === 'P2002') return res.status(409).json({ error: 'Slug déjà utilisé' })
+        console.error('create category error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * PATCH /api/admin/categories/:id
+ * Mise à jour partielle ; un changement de parent ne peut pas créer de cycle.
+ * - Un changement de slug réécrit TaxRate.category, Coupon.categories et
+ *   Promotion.categories dans la même transaction (lib/categories.js).
+ */
+router.patch('/categories/:id', async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        const data = categoryData(req.body || {})
+        if (data.parentId !== undefined) await assertParent(id, data.parentId)
+        const updated = await prisma.$transaction(async (tx) => {
+            const current = await tx.category.findUnique({ where: { id }, select: { slug: true } })
+            if (!current) throw new HttpError(404, 'Catégorie introuvable')
+            const category = await tx.category.update({ where: { id }, data, include: withCounts })
+            if (category.slug !== current.slug) await renameCategorySlug(tx, current.slug, category.slug)
+            return category
+        })
+        res.json(updated)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        if (e.code === 'P2002') return res.status(409).json({ error: 'Slug déjà utilisé' })
+        if (e.code === 'P2025') return res.status(404).json({ error: 'Catégorie introuvable' })
+        console.error('update category error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * DELETE /api/admin/categories/:id
+ * Suppression d’une catégorie vide (ni produit, ni sous-catégorie) ; sinon 409.
+ */
+router.delete('/categories/:id', async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        const category = await prisma.category.findUnique({ where: { id }, include: withCounts })
+        if (!category) return res.status(404).json({ error: 'Catégorie introuvable' })
+        if (category._count.products > 0 || category._count.children > 0) {
+            return res.status(409).json({ error: 'Catégorie non vide (produits ou sous-catégories)' })
+        }
+        await prisma.category.delete({ where: { id } })
+        res.json({ ok: true })
+    } catch (e) {
+        if (e.code === 'P2025') return res.status(404).json({ error: 'Catégorie introuvable' })
+        // P2003 = clé étrangère : un produit ou une sous-catégorie a été rattaché entre-temps
+        if (e.code === 'P2003') return res.status(409).json({ error: 'Catégorie non vide (produits ou sous-catégories)' })
+        console.error('delete category error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
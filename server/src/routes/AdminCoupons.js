@@ -0,0 +1,167 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/AdminCoupons.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * CRUD Coupons côté Admin (sécurisé).
+ * - Tous les endpoints sont protégés par requireAuth + requireAdmin.
+ * - Codes normalisés en majuscules ; usedCount est tenu par le checkout
+ *   (lib/coupons.js) et n’est pas modifiable ici.
+ * - Gestion des erreurs Prisma (P2002: code déjà pris, P2025: not found).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Router } from 'express'
+import { prisma } from '../db/prisma.js'
+import { requireAuth, requireAdmin } from './User.js'
+import { HttpError } from '../lib/errors.js'
+import { slugify, assertCategorySlugs } from '../lib/categories.js'
+import { parseMoney } from '../lib/money.js'
+import { normalizeCode } from '../lib/coupons.js'
+import { parseDate } from '../lib/dates.js'
+
+const router = Router()
+
+router.use(requireAuth, requireAdmin)
+
+const COUPON_TYPES = ['PERCENTAGE', 'FIXED_AMOUNT', 'FREE_SHIPPING']
+
+// Limite d’utilisation optionnelle : '' / null → illimité, sinon entier >= 1
+function parseLimit(value, field) {
+    if (value == null || value === '') return null
+    const n = Number(value)
+    if (!Number.isInteger(n) || n < 1) throw new HttpError(400, `${field} doit être un entier >= 1`)
+    return n
+}
+
+/**
+ * Champs d’un coupon depuis le body (seuls les champs présents sont retenus).
+ * - `current` : coupon existant (PATCH), pour valider type + value ensemble.
+ * @throws HttpError 400 (champ invalide)
+ */
+function couponData(body, current = null) {
+    const data = {}
+    const has = (k) => body[k] !== undefined
+
+    if (has('code')) {
+        data.code = normalizeCode(body.code)
+        if (!/^[A-Z0-9_-]{3,32}$/.test(data.code)) {
+            throw new HttpError(400, 'code: 3 à 32 caractères (lettres, chiffres, - ou _)')
+        }
+    }
+    if (has('description')) data.description = body.description ? String(body.description) : null
+    if (has('type')) {
+        if (!COUPON_TYPES.includes(body.type)) throw new HttpError(400, `type doit être ${COUPON_TYPES.join(', ')}`)
+        data.type = body.type
+    }
+    if (has('value')) {
+        data.value = parseMoney(body.value)
+        if (data.value === null) throw new HttpError(400, 'value doit être un montant >= 0')
+    }
+    if (has('minSubtotal')) {
+        data.minSubtotal = body.minSubtotal == null || body.minSubtotal === '' ? null : parseMoney(body.minSubtotal)
+        if (data.minSubtotal === null && body.minSubtotal != null && body.minSubtotal !== '') {
+            throw new HttpError(400, 'minSubtotal doit être un montant >= 0')
+        }
+    }
+    if (has('startsAt')) data.startsAt = parseDate(body.startsAt, 'startsAt')
+    if (has('endsAt')) data.endsAt = parseDate(body.endsAt, 'endsAt')
+    if (has('maxUses')) data.maxUses = parseLimit(body.maxUses, 'maxUses')
+    if (has('maxUsesPerUser')) data.maxUsesPerUser = parseLimit(body.maxUsesPerUser, 'maxUsesPerUser')
+    if (has('categories')) {
+        data.categories = (Array.isArray(body.categories) ? body.categories : [])
+            .map(slugify)
+            .filter(Boolean)
+    }
+    if (has('productIds')) {
+        data.productIds = (Array.isArray(body.productIds) ? body.productIds : [])
+            .map(Number)
+            .filter(n => Number.isInteger(n) && n > 0)
+    }
+    if (has('active')) data.active = Boolean(body.active)
+
+    // Cohérence sur l’état final (champs envoyés + valeurs existantes)
+    const type = data.type ?? current?.type
+    const value = data.value ?? Number(current?.value ?? 0)
+    if (type === 'PERCENTAGE' && (value <= 0 || value > 100)) {
+        throw new HttpError(400, 'value doit être entre 0 et 100 pour un pourcentage')
+    }
+    if (type === 'FIXED_AMOUNT' && value <= 0) throw new HttpError(400, 'value doit être > 0')
+    const startsAt = data.startsAt !== undefined ? data.startsAt : current?.startsAt
+    const endsAt = data.endsAt !== undefined ? data.endsAt : current?.endsAt
+    if (startsAt && endsAt && endsAt <= startsAt) throw new HttpError(400, 'endsAt doit suivre startsAt')
+
+    return data
+}
+
+/**
+ * GET /api/admin/coupons?search=
+ * Liste des coupons (les plus récents d’abord), filtre sur le code.
+ */
+router.get('/coupons', async (req, res) => {
+    const search = String(req.query.search ?? '').trim()
+    const coupons = await prisma.coupon.findMany({
+        where: search ? { code: { contains: search, mode: 'insensitive' } } : {},
+        orderBy: { createdAt: 'desc' },
+    })
+    res.json(coupons)
+})
+
+/**
+ * POST /api/admin/coupons
+ * Création d’un coupon. Champs requis : code, type.
+ */
+router.post('/coupons', async (req, res) => {
+    try {
+        const body = req.body || {}
+        if (!body.code || !body.type) return res.status(400).json({ error: 'code et type requis' })
+        const data = couponData(body)
+        await assertCategorySlugs(data.categories)
+        const created = await prisma.coupon.create({ data })
+        res.status(201).json(created)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        if (e.code === 'P2002') return res.status(409).json({ error: 'Code déjà utilisé' })
+        console.error('create coupon error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * PATCH /api/admin/coupons/:id
+ * Mise à jour partielle (seuls les champs fournis sont modifiés).
+ */
+router.patch('/coupons/:id', async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        const current = await prisma.coupon.findUnique({ where: { id } })
+        if (!current) return res.status(404).json({ error: 'Coupon introuvable' })
+
+        const data = couponData(req.body || {}, current)
+        await assertCategorySlugs(data.categories)
+        const updated = await prisma.coupon.update({ where: { id }, data })
+        res.json(updated)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        if (e.code === 'P2002') return res.status(409).json({ error: 'Code déjà utilisé' })
+        if (e.code === 'P2025') return res.status(404).json({ error: 'Coupon introuvable' })
+        console.error('update coupon error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * DELETE /api/admin/coupons/:id
+ * Suppression d’un coupon ; les ventes gardent couponCode (couponId → null).
+ */
+router.delete('/coupons/:id', async (req, res) => {
+    try {
+        await prisma.coupon.delete({ where: { id: Number(req.params.id) } })
+        res.json({ ok: true })
+    } catch (e) {
+        if (e.code === 'P2025') return res.status(404).json({ error: 'Coupon introuvable' })
+        console.error('delete coupon error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
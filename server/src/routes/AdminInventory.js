@@ -0,0 +1,142 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/AdminInventory.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Journal des stocks côté Admin (sécurisé) : lib/inventory.js.
+ * - Historique des mouvements d’un produit (variantes comprises).
+ * - Mouvements manuels : ajustement, réception (restock), retour client.
+ * - Réconciliation : stock recalculé depuis le journal, écarts signalés
+ *   (et corrigés à la demande).
+ * - Stock bas : lignes au seuil de réapprovisionnement ou en dessous (lib/alerts.js).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Router } from 'express'
+import { prisma } from '../db/prisma.js'
+import { requireAuth, requireAdmin } from './User.js'
+import { HttpError } from '../lib/errors.js'
+import { moveStock, parseManualMovement, reconcileStock, movementInclude } from '../lib/inventory.js'
+import { lowStockLines } from '../lib/alerts.js'
+import { notifyBackInStock } from '../lib/subscriptions.js'
+import { parsePaging } from '../lib/paging.js'
+
+const router = Router()
+
+// Sécurisation globale du module : il faut être connecté ET admin
+router.use(requireAuth, requireAdmin)
+
+/**
+ * GET /api/admin/products/:id/inventory?skip=0&take=50
+ * Mouvements du produit, du plus récent au plus ancien (take plafonné à 200).
+ * @returns { items: [{ id, type, quantity, stockAfter, reason, variant, actor, saleId, createdAt }], total, skip, take }
+ */
+router.get('/products/:id/inventory', async (req, res) => {
+    try {
+        const productId = Number(req.params.id)
+        const { skip, take } = parsePaging(req.query, 200, 50)
+
+        const product = await prisma.product.findUnique({ where: { id: productId }, select: { id: true } })
+        if (!product) throw new HttpError(404, 'Produit introuvable')
+
+        const [items, total] = await Promise.all([
+            prisma.inventoryMovement.findMany({
+                where: { productId },
+                orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+                skip,
+                take,
+                include: movementInclude,
+            }),
+            prisma.inventoryMovement.count({ where: { productId } }),
+        ])
+        res.json({ items, total, skip, take })
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('inventory history error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * POST /api/admin/products/:id/inventory
+ * body: { type: ADJUSTMENT | RESTOCK | RETURN, quantity, variantId?, reason? }
+ * Mouvement manuel (quantity signée pour un ajustement, positive sinon ; motif
+ * obligatoire pour un ajustement). variantId requis si le produit a des variantes.
+ * - 409 si une sortie dépasse le stock disponible.
+ * - Produit de nouveau vendable : ses abonnés sont prévenus (lib/subscriptions.js).
+ */
+router.post('/products/:id/inventory', async (req, res) => {
+    try {
+        const productId = Number(req.params.id)
+        const movement = parseManualMovement(req.body || {})
+
+        const created = await prisma.$transaction(async (tx) => {
+            const product = await tx.product.findUnique({
+                where: { id: productId },
+                select: { _count: { select: { variants: { where: { active: true } } } } },
+            })
+            if (!product) throw new HttpError(404, 'Produit introuvable')
+            if (product._count.variants > 0 && movement.variantId === null) {
+                throw new HttpError(400, 'variantId requis : le stock de ce produit est celui de ses variantes')
+            }
+            if (movement.variantId !== null) {
+                const variant = await tx.productVariant.findFirst({ where: { id: movement.variantId, productId } })
+                if (!variant) throw new HttpError(404, 'Variante introuvable')
+            }
+
+            const m = await moveStock(tx, { ...movement, productId, actorId: req.user.id })
+            if (!m) throw new HttpError(409, 'Stock insuffisant pour ce mouvement')
+            if (m.quantity > 0) await notifyBackInStock(tx, productId)
+            return tx.inventoryMovement.findUnique({ where: { id: m.id }, include: movementInclude })
+        })
+        res.status(201).json(created)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('inventory movement error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * GET /api/admin/inventory/alerts
+ * Lignes de stock bas (produit sans variante, ou variante active) dont le stock
+ * est ≤ Product.reorderThreshold, les plus entamées d’abord.
+ * @returns { items: [{ productId, variantId, name, sku, stock, threshold }] }
+ */
+router.get('/inventory/alerts', async (_req, res) => {
+    try {
+        res.json({ items: await lowStockLines() })
+    } catch (e) {
+        console.error('low-stock alerts error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * GET /api/admin/inventory/reconciliation
+ * Recalcule chaque stock (produits, variantes) depuis le journal et liste les écarts.
+ * @returns { checked, drifts: [{ productId, variantId, name, sku, stock, ledger, drift, fixed }] }
+ */
+router.get('/inventory/reconciliation', async (_req, res) => {
+    try {
+        res.json(await reconcileStock())
+    } catch (e) {
+        console.error('inventory reconciliation error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * POST /api/admin/inventory/reconciliation
+ * Comme le GET, puis réaligne les stocks en écart sur le journal (fixed = true) ;
+ * un total négatif au journal ne peut pas être appliqué et reste signalé.
+ */
+router.post('/inventory/reconciliation', async (_req, res) => {
+    try {
+        res.json(await reconcileStock({ apply: true }))
+    } catch (e) {
+        console.error('inventory reconciliation error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
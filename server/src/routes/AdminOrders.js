@@ -0,0 +1,77 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/AdminOrders.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Routes d’administration du cycle de vie des commandes (complète AdminSales.js).
+ * - Tous les endpoints sont protégés (authentification + rôle admin).
+ * - Changement de statut via la machine à états de lib/orders.js.
+ * - Historique des statuts d’une vente + transitions encore possibles.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Router } from 'express'
+import { prisma } from '../db/prisma.js'
+import { requireAuth, requireAdmin } from './User.js'
+import { SALE_TRANSITIONS, transitionSale } from '../lib/orders.js'
+import { HttpError } from '../lib/errors.js'
+
+const router = Router()
+router.use(requireAuth, requireAdmin)
+
+/**
+ * GET /api/admin/sales/:id/history
+ * Historique des statuts d’une vente.
+ * - Retour : { status, allowed: [statuts atteignables], history: [...] }
+ * - 404 si la vente n’existe pas (ou si l’id n’est pas un entier).
+ */
+router.get('/sales/:id/history', async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        if (!Number.isInteger(id)) throw new HttpError(404, 'Sale not found')
+
+        const sale = await prisma.sale.findUnique({
+            where: { id },
+            select: {
+                status: true,
+                history: {
+                    orderBy: { createdAt: 'asc' },
+                    include: { actor: { select: { id: true, email: true, name: true } } },
+                },
+            },
+        })
+
+        if (!sale) throw new HttpError(404, 'Sale not found')
+        res.json({ status: sale.status, allowed: SALE_TRANSITIONS[sale.status], history: sale.history })
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('admin sale history error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * POST /api/admin/sales/:id/status  body: { status, note? }
+ * Fait avancer une vente dans son cycle de vie.
+ * - 409 si la transition n’est pas permise depuis le statut courant.
+ * - CANCELLED / REFUNDED : remise en stock dans la même transaction.
+ */
+router.post('/sales/:id/status', async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        if (!Number.isInteger(id)) throw new HttpError(404, 'Sale not found')
+        const { status, note } = req.body || {}
+        if (!status) return res.status(400).json({ error: 'status requis' })
+
+        const sale = await transitionSale(id, String(status), {
+            actorId: req.user.id,
+            note: note ? String(note) : null,
+        })
+        res.json(sale)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('admin sale status error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
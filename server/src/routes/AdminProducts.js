@@ -4,31 +4,92 @@
  * ──────────────────────────────────────────────────────────────────────────────
  * CRUD Produits côté Admin (sécurisé).
  * - Tous les endpoints sont protégés par requireAuth + requireAdmin.
- * - Pagination / recherche / filtrage par catégorie sur la liste.
+ * - Pagination / recherche / filtrage par catégorie (slug, sous-catégories
+ *   comprises) sur la liste ; un produit est rangé par `categoryId` (lib/categories.js).
  * - Gestion fine des erreurs Prisma (P2002: contrainte unique, P2025: not found).
+ * - Variantes (axes d’options + SKU) remplacées en bloc : lib/variants.js.
+ * - Stock saisi : l’écart est journalisé (InventoryMovement, lib/inventory.js) ;
+ *   historique et mouvements manuels : routes/AdminInventory.js. Un produit
+ *   épuisé remis en stock prévient ses abonnés (lib/subscriptions.js).
+ * - Seuil de réapprovisionnement (reorderThreshold) : chaque produit de la liste
+ *   porte `lowStock`, filtrable (lib/alerts.js).
+ * - Archivage (archivedAt) : produit retiré de la boutique et des paniers, mais
+ *   conservé pour l’historique des ventes ; la liste ne montre les archivés que
+ *   sur demande (archived=1). Suppression d’un produit vendu ou noté = archivage.
+ * - Publication (status DRAFT / PUBLISHED, fenêtre publishAt / unpublishAt ;
+ *   lib/publishing.js) : chaque produit de la liste porte son état `publication`
+ *   (DRAFT, SCHEDULED, LIVE, ENDED, ARCHIVED) ; l’aperçu d’un produit non public
+ *   passe par GET /api/products/:slug?preview=1.
+ * - Import / export du catalogue (CSV ou JSON, upsert par slug, dry run) : lib/products.js.
+ * - Galerie d’images (`images`) remplacée en bloc à la création / mise à jour ;
+ *   Product.img suit l’image principale (lib/images.js).
  * ──────────────────────────────────────────────────────────────────────────────
  */
 
 import { Router } from 'express'
+import multer from 'multer'
 import { prisma } from '../db/prisma.js'
 import { requireAuth, requireAdmin } from './User.js'
+import { HttpError } from '../lib/errors.js'
+import { saveVariants, variantsInclude } from '../lib/variants.js'
+import { imagesFromBody, replaceImages, imagesInclude } from '../lib/images.js'
+import { descendantIds } from '../lib/categories.js'
+import { setStock } from '../lib/inventory.js'
+import { lowStockLines } from '../lib/alerts.js'
+import { notifyBackInStock } from '../lib/subscriptions.js'
+import { assertPublishWindow, publicationState } from '../lib/publishing.js'
+import { toCsv } from '../lib/csv.js'
+import {
+    parseProductInput, exportProducts, parseImportFile, importProducts, EXPORT_COLUMNS, TRANSFER_FORMATS,
+    archiveProduct, unarchiveProduct, deleteProduct,
+} from '../lib/products.js'
+
+// Produit tel que renvoyé à l’admin : variantes + galerie + catégorie
+const productInclude = {
+    ...variantsInclude(),
+    ...imagesInclude,
+    category: { select: { id: true, slug: true, name: true } },
+}
 
 const router = Router()
 
 // Sécurisation globale du module : il faut être connecté ET admin
 router.use(requireAuth, requireAdmin)
 
+// Taille max d’un fichier d’import (octets)
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 2 * 1024 * 1024
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_BYTES, files: 1 } })
+
+// Lecture du fichier `file` ; erreurs multer → réponses HTTP
+function importFile(req, res, next) {
+    upload.single('file')(req, res, (e) => {
+        if (!e) return next()
+        if (e.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Fichier trop lourd (max ${Math.round(IMPORT_MAX_BYTES / 1024 / 1024)} Mo)` })
+        }
+        res.status(400).json({ error: e.message })
+    })
+}
+
 /**
- * GET /api/admin/products?search=&category=&skip=0&take=20
+ * GET /api/admin/products?search=&category=&lowStock=1&archived=1&skip=0&take=20
  * Liste paginée des produits + filtre texte (name/description/slug) + catégorie.
+ * - lowStock=1 : seulement les produits en stock bas (lui-même ou une variante active)
+ * - archived=1 : inclut les produits archivés (exclus par défaut)
  * - `skip`/`take` pour la pagination (take plafonné à 100).
  */
 router.get('/products', async (req, res) => {
     const search = String(req.query.search ?? '')
     const category = String(req.query.category ?? '')
+    const lowStock = ['1', 'true'].includes(String(req.query.lowStock))
+    const archived = ['1', 'true'].includes(String(req.query.archived))
     const skip = Number.isFinite(+req.query.skip) ? +req.query.skip : 0
     const take = Math.min(100, Number.isFinite(+req.query.take) ? +req.query.take : 20)
 
+    // Lignes en stock bas : filtre de la liste, et badge de chaque produit
+    const low = lowStock ? await lowStockLines() : null
+
     // Construction d’un WHERE dynamique : si pas de filtre, on injecte un objet vide
     const where = {
         AND: [
@@ -41,7 +102,9 @@ router.get('/products', async (req, res) => {
                     ],
                 }
                 : {},
-            category ? { category: { equals: category, mode: 'insensitive' } } : {},
+            category ? { categoryId: { in: await descendantIds(category) } } : {},
+            low ? { id: { in: low.map(l => l.productId) } } : {},
+            archived ? {} : { archivedAt: null },
         ],
     }
 
@@ -52,20 +115,79 @@ router.get('/products', async (req, res) => {
             skip,
             take,
             orderBy: { createdAt: 'desc' },
+            include: productInclude,
         }),
         prisma.product.count({ where }),
     ])
 
-    res.json({ items, total, skip, take })
+    const lowIds = new Set((low ?? await lowStockLines({ productIds: items.map(p => p.id) })).map(l => l.productId))
+    const now = new Date()
+    res.json({
+        items: items.map(p => ({ ...p, lowStock: lowIds.has(p.id), publication: publicationState(p, now) })),
+        total,
+        skip,
+        take,
+    })
+})
+
+/**
+ * GET /api/admin/products/export?format=csv|json
+ * Tous les produits en pièce jointe (colonnes EXPORT_COLUMNS, catégorie par slug) ;
+ * le fichier se réimporte tel quel. CSV par défaut.
+ */
+router.get('/products/export', async (req, res) => {
+    try {
+        const format = String(req.query.format || 'csv')
+        if (!TRANSFER_FORMATS.includes(format)) throw new HttpError(400, `format doit être ${TRANSFER_FORMATS.join(', ')}`)
+        const rows = await exportProducts()
+        const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`
+
+        res.attachment(filename)
+        if (format === 'json') return res.json(rows)
+        res.type('text/csv').send(toCsv(EXPORT_COLUMNS, rows))
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('export products error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * POST /api/admin/products/import?dryRun=1&format=csv|json  (multipart, champ `file`)
+ * Upsert par slug des produits du fichier (colonnes de l’export ; format déduit
+ * de l’extension à défaut de `format`). Champs contrôlés comme à la création.
+ * - dryRun=1 : rapport sans rien écrire
+ * - une ligne invalide → 400 avec le rapport, rien n’est écrit
+ * @returns { dryRun, applied, summary: { created, updated, unchanged, invalid },
+ *   rows: [{ line, slug, action, changes? }], errors: [{ line, slug, error }] }
+ */
+router.post('/products/import', importFile, async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'file requis' })
+        const format = String(req.query.format || req.file.originalname.split('.').pop()).toLowerCase()
+        const dryRun = ['1', 'true'].includes(String(req.query.dryRun))
+
+        const records = parseImportFile(req.file.buffer.toString('utf8'), format)
+        const report = await importProducts(records, { dryRun, actorId: req.user.id })
+        if (!report.dryRun && !report.applied) {
+            return res.status(400).json({ error: `${report.errors.length} ligne(s) invalide(s), rien n’a été importé`, ...report })
+        }
+        res.json(report)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        if (e.code === 'P2002') return res.status(409).json({ error: 'Slug déjà utilisé, réessayez' })
+        console.error('import products error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
 })
 
 /**
  * GET /api/admin/products/:id
- * Récupère un produit par ID. 404 si introuvable.
+ * Récupère un produit par ID (avec axes, variantes et galerie). 404 si introuvable.
  */
 router.get('/products/:id', async (req, res) => {
     const id = Number(req.params.id)
-    const p = await prisma.product.findUnique({ where: { id } })
+    const p = await prisma.product.findUnique({ where: { id }, include: productInclude })
     if (!p) return res.status(404).json({ error: 'Not found' })
     res.json(p)
 })
@@ -73,27 +195,31 @@ router.get('/products/:id', async (req, res) => {
 /**
  * POST /api/admin/products
  * Création d’un produit.
- * - Champs requis: slug, name
+ * - Champs requis: slug, name (contrôles : parseProductInput, lib/products.js,
+ *   communs avec l’import)
+ * - categoryId: catégorie existante, ou null (sans catégorie)
+ * - images: [{ url, alt, isPrimary }] (ou img seul : une image principale)
+ * - stock: stock de départ, journalisé (ADJUSTMENT « Initial stock »)
+ * - reorderThreshold: seuil d’alerte de stock bas (null = aucun)
+ * - status: DRAFT (invisible en boutique) ou PUBLISHED (défaut) ; publishAt /
+ *   unpublishAt: fenêtre de publication facultative
  * - Gère la contrainte unique sur slug (P2002).
  */
 router.post('/products', async (req, res) => {
     try {
-        const { slug, name, price, category, img, description, stock } = req.body || {}
-        if (!slug || !name) return res.status(400).json({ error: 'slug et name requis' })
-
-        const created = await prisma.product.create({
-            data: {
-                slug: String(slug),
-                name: String(name),
-                price: Number(price ?? 0),
-                category: String(category ?? ''),
-                img: String(img ?? ''),
-                description: String(description ?? ''),
-                stock: Number.isFinite(+stock) ? +stock : 0,
-            },
+        const { data, stock } = await parseProductInput(req.body || {})
+        const images = imagesFromBody(req.body) ?? []
+
+        const created = await prisma.$transaction(async (tx) => {
+            const product = await tx.product.create({ data: { ...data, img: '', stock: 0 } })
+            // Stock de départ = premier mouvement du journal
+            await setStock(tx, { productId: product.id, stock, reason: 'Initial stock', actorId: req.user.id })
+            await replaceImages(tx, product.id, images)
+            return tx.product.findUnique({ where: { id: product.id }, include: productInclude })
         })
         res.status(201).json(created)
     } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
         // P2002 = violation contrainte unique (slug déjà pris)
         if (e.code === 'P2002') return res.status(409).json({ error: 'Slug déjà utilisé' })
         console.error('create product error:', e)
@@ -103,27 +229,43 @@ router.post('/products', async (req, res) => {
 
 /**
  * PATCH /api/admin/products/:id
- * Mise à jour partielle (seuls les champs fournis sont modifiés).
+ * Mise à jour partielle (seuls les champs fournis sont modifiés, contrôlés par
+ * parseProductInput comme à la création ; 400 sur une valeur invalide).
+ * - images fourni → remplace toute la galerie
+ * - stock fourni → nouveau niveau ; l’écart est journalisé (ADJUSTMENT, motif
+ *   stockReason facultatif) ; 409 si une vente l’a modifié entre-temps ;
+ *   produit de nouveau vendable → une notification par abonné, abonnements vidés
+ * - status / publishAt / unpublishAt fournis → publication (400 si la fenêtre,
+ *   complétée par les bornes actuelles, est vide) ; un produit qui redevient
+ *   public et a du stock prévient ses abonnés. Les paniers qui le contiennent
+ *   le voient indisponible tant qu’il n’est pas public (routes/Cart.js).
  * - Gère P2002 (slug unique) et P2025 (ID introuvable).
  */
 router.patch('/products/:id', async (req, res) => {
     try {
         const id = Number(req.params.id)
-        const { slug, name, price, category, img, description, stock } = req.body || {}
-
-        // On ne pousse que les champs présents dans le body
-        const data = {}
-        if (slug !== undefined) data.slug = String(slug)
-        if (name !== undefined) data.name = String(name)
-        if (price !== undefined) data.price = Number(price)
-        if (category !== undefined) data.category = String(category)
-        if (img !== undefined) data.img = String(img)
-        if (description !== undefined) data.description = String(description)
-        if (stock !== undefined) data.stock = Number(stock)
-
-        const updated = await prisma.product.update({ where: { id }, data })
+        // Seuls les champs présents sont contrôlés et modifiés (mêmes règles qu’à la création)
+        const { data, stock: newStock } = await parseProductInput(req.body || {}, { partial: true })
+        const { stockReason } = req.body || {}
+        const images = imagesFromBody(req.body)
+        const publishing = data.status !== undefined || data.publishAt !== undefined || data.unpublishAt !== undefined
+
+        const updated = await prisma.$transaction(async (tx) => {
+            if (data.publishAt !== undefined || data.unpublishAt !== undefined) {
+                const current = await tx.product.findUnique({ where: { id }, select: { publishAt: true, unpublishAt: true } })
+                if (current) assertPublishWindow({ ...current, ...data })
+            }
+            await tx.product.update({ where: { id }, data })
+            if (newStock !== undefined) {
+                await setStock(tx, { productId: id, stock: newStock, reason: stockReason || 'Manual edit', actorId: req.user.id })
+            }
+            if (newStock !== undefined || publishing) await notifyBackInStock(tx, id)
+            if (images) await replaceImages(tx, id, images)
+            return tx.product.findUnique({ where: { id }, include: productInclude })
+        })
         res.json(updated)
     } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
         if (e.code === 'P2002') return res.status(409).json({ error: 'Slug déjà utilisé' })
         if (e.code === 'P2025') return res.status(404).json({ error: 'Produit introuvable' })
         console.error('update product error:', e)
@@ -131,18 +273,73 @@ router.patch('/products/:id', async (req, res) => {
     }
 })
 
+/**
+ * PUT /api/admin/products/:id/variants
+ * body: { options: [{ name, values }], variants: [{ id?, sku, options, price?, stock, weight?, active }] }
+ * Remplace axes et variantes du produit (listes vides → produit sans variante).
+ * - Une variante déjà vendue et absente du body est désactivée, pas supprimée.
+ * - Gère P2002 (SKU déjà utilisé par un autre produit).
+ */
+router.put('/products/:id/variants', async (req, res) => {
+    try {
+        const product = await saveVariants(Number(req.params.id), req.body || {}, { actorId: req.user.id })
+        res.json(product)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        if (e.code === 'P2002') return res.status(409).json({ error: 'SKU déjà utilisé' })
+        console.error('save variants error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * POST /api/admin/products/:id/archive
+ * Archive le produit : invisible en boutique, retiré des paniers en cours ;
+ * les commandes passées le résolvent toujours. Sans effet s’il l’est déjà.
+ */
+router.post('/products/:id/archive', async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        await archiveProduct(id)
+        res.json(await prisma.product.findUnique({ where: { id }, include: productInclude }))
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('archive product error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * POST /api/admin/products/:id/unarchive
+ * Remet le produit en vente (abonnés prévenus s’il a du stock).
+ */
+router.post('/products/:id/unarchive', async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        await unarchiveProduct(id)
+        res.json(await prisma.product.findUnique({ where: { id }, include: productInclude }))
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('unarchive product error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
 /**
  * DELETE /api/admin/products/:id
  * Suppression d’un produit par ID.
- * - Gère P2025 (déjà supprimé / inexistant).
+ * - Produit présent dans une vente ou ayant des avis : archivé à la place
+ *   (archived: true), pour garder l’historique des commandes et les avis.
+ * - 404 si inexistant ; 409 si une commande l’a référencé pendant la suppression.
+ * @returns { ok: true, archived }
  */
 router.delete('/products/:id', async (req, res) => {
     try {
-        const id = Number(req.params.id)
-        await prisma.product.delete({ where: { id } })
-        res.json({ ok: true })
+        const { archived } = await deleteProduct(Number(req.params.id))
+        res.json({ ok: true, archived })
     } catch (e) {
-        if (e.code === 'P2025') return res.status(404).json({ error: 'Produit introuvable' })
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        if (e.code === 'P2003') return res.status(409).json({ error: 'Produit utilisé entre-temps, réessayez' })
         console.error('delete product error:', e)
         res.status(500).json({ error: 'Server error' })
     }
@@ -0,0 +1,181 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/AdminPromotions.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * CRUD Promotions automatiques côté Admin (sécurisé).
+ * - Tous les endpoints sont protégés par requireAuth + requireAdmin.
+ * - Les paliers (tiers) d’une promotion TIERED_PERCENTAGE sont envoyés en entier
+ *   et remplacent les précédents.
+ * - Évaluation : voir lib/promotions.js.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Router } from 'express'
+import { prisma } from '../db/prisma.js'
+import { requireAuth, requireAdmin } from './User.js'
+import { HttpError } from '../lib/errors.js'
+import { slugify, assertCategorySlugs } from '../lib/categories.js'
+import { parseMoney } from '../lib/money.js'
+import { parseDate } from '../lib/dates.js'
+
+const router = Router()
+
+router.use(requireAuth, requireAdmin)
+
+const PROMOTION_TYPES = ['BUY_X_GET_Y', 'TIERED_PERCENTAGE']
+
+const withTiers = { tiers: { orderBy: { minSubtotal: 'asc' } } }
+
+// Paliers [{ minSubtotal, percent }] : seuils >= 0 distincts, 0 < percent <= 100
+function parseTiers(tiers) {
+    if (!Array.isArray(tiers)) throw new HttpError(400, 'tiers doit être une liste')
+    const parsed = tiers.map(t => ({
+        minSubtotal: parseMoney(t?.minSubtotal),
+        percent: Number(t?.percent),
+    }))
+    if (parsed.some(t => t.minSubtotal === null || !(t.percent > 0 && t.percent <= 100))) {
+        throw new HttpError(400, 'tiers: minSubtotal >= 0 et percent entre 0 et 100')
+    }
+    if (new Set(parsed.map(t => t.minSubtotal)).size !== parsed.length) {
+        throw new HttpError(400, 'tiers: un seul palier par seuil')
+    }
+    return parsed.map(t => ({ ...t, percent: Math.round(t.percent * 100) / 100 }))
+}
+
+/**
+ * Champs d’une promotion depuis le body (seuls les champs présents sont retenus).
+ * - `current` : promotion existante (PATCH), pour valider l’état final.
+ * @returns { data, tiers } — tiers = nouveaux paliers, ou undefined si non fournis
+ * @throws HttpError 400 (champ invalide)
+ */
+function promotionData(body, current = null) {
+    const data = {}
+    const has = (k) => body[k] !== undefined
+
+    if (has('name')) {
+        data.name = String(body.name).trim()
+        if (!data.name) throw new HttpError(400, 'name requis')
+    }
+    if (has('description')) data.description = body.description ? String(body.description) : null
+    if (has('type')) {
+        if (!PROMOTION_TYPES.includes(body.type)) throw new HttpError(400, `type doit être ${PROMOTION_TYPES.join(', ')}`)
+        data.type = body.type
+    }
+    for (const k of ['buyQty', 'getQty']) {
+        if (!has(k)) continue
+        data[k] = body[k] == null || body[k] === '' ? null : Number(body[k])
+        if (data[k] !== null && !(Number.isInteger(data[k]) && data[k] >= 1)) {
+            throw new HttpError(400, `${k} doit être un entier >= 1`)
+        }
+    }
+    if (has('categories')) {
+        data.categories = (Array.isArray(body.categories) ? body.categories : [])
+            .map(slugify)
+            .filter(Boolean)
+    }
+    if (has('productIds')) {
+        data.productIds = (Array.isArray(body.productIds) ? body.productIds : [])
+            .map(Number)
+            .filter(n => Number.isInteger(n) && n > 0)
+    }
+    if (has('startsAt')) data.startsAt = parseDate(body.startsAt, 'startsAt')
+    if (has('endsAt')) data.endsAt = parseDate(body.endsAt, 'endsAt')
+    if (has('priority')) {
+        data.priority = Number(body.priority) || 0
+        if (!Number.isInteger(data.priority)) throw new HttpError(400, 'priority doit être un entier')
+    }
+    if (has('active')) data.active = Boolean(body.active)
+    const tiers = has('tiers') ? parseTiers(body.tiers) : undefined
+
+    // Cohérence sur l’état final (champs envoyés + valeurs existantes)
+    const type = data.type ?? current?.type
+    const pick = (k) => (data[k] !== undefined ? data[k] : current?.[k])
+    if (type === 'BUY_X_GET_Y' && (!pick('buyQty') || !pick('getQty'))) {
+        throw new HttpError(400, 'buyQty et getQty requis pour BUY_X_GET_Y')
+    }
+    if (type === 'TIERED_PERCENTAGE' && (tiers ?? current?.tiers ?? []).length === 0) {
+        throw new HttpError(400, 'au moins un palier requis pour TIERED_PERCENTAGE')
+    }
+    const startsAt = pick('startsAt')
+    const endsAt = pick('endsAt')
+    if (startsAt && endsAt && endsAt <= startsAt) throw new HttpError(400, 'endsAt doit suivre startsAt')
+
+    return { data, tiers }
+}
+
+/**
+ * GET /api/admin/promotions
+ * Liste des promotions dans leur ordre d’application (priority décroissante).
+ */
+router.get('/promotions', async (_req, res) => {
+    const promotions = await prisma.promotion.findMany({
+        include: withTiers,
+        orderBy: [{ priority: 'desc' }, { id: 'asc' }],
+    })
+    res.json(promotions)
+})
+
+/**
+ * POST /api/admin/promotions
+ * Création d’une promotion. Champs requis : name, type (+ buyQty/getQty ou tiers).
+ */
+router.post('/promotions', async (req, res) => {
+    try {
+        const body = req.body || {}
+        if (!body.name || !body.type) return res.status(400).json({ error: 'name et type requis' })
+        const { data, tiers } = promotionData(body)
+        await assertCategorySlugs(data.categories)
+        const created = await prisma.promotion.create({
+            data: { ...data, ...(tiers && { tiers: { create: tiers } }) },
+            include: withTiers,
+        })
+        res.status(201).json(created)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('create promotion error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * PATCH /api/admin/promotions/:id
+ * Mise à jour partielle ; `tiers` fourni → remplace tous les paliers.
+ */
+router.patch('/promotions/:id', async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        const current = await prisma.promotion.findUnique({ where: { id }, include: withTiers })
+        if (!current) return res.status(404).json({ error: 'Promotion introuvable' })
+
+        const { data, tiers } = promotionData(req.body || {}, current)
+        await assertCategorySlugs(data.categories)
+        const updated = await prisma.promotion.update({
+            where: { id },
+            data: { ...data, ...(tiers && { tiers: { deleteMany: {}, create: tiers } }) },
+            include: withTiers,
+        })
+        res.json(updated)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        if (e.code === 'P2025') return res.status(404).json({ error: 'Promotion introuvable' })
+        console.error('update promotion error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * DELETE /api/admin/promotions/:id
+ * Suppression (les ventes gardent leur copie des promotions appliquées).
+ */
+router.delete('/promotions/:id', async (req, res) => {
+    try {
+        await prisma.promotion.delete({ where: { id: Number(req.params.id) } })
+        res.json({ ok: true })
+    } catch (e) {
+        if (e.code === 'P2025') return res.status(404).json({ error: 'Promotion introuvable' })
+        console.error('delete promotion error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
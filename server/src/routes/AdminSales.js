@@ -4,7 +4,8 @@
  * ──────────────────────────────────────────────────────────────────────────────
  * Routes d’administration pour la gestion des ventes.
  * - Tous les endpoints sont protégés (authentification + rôle admin).
- * - Liste paginée et filtrée (par date et user).
+ * - Liste paginée et filtrée (par date, user et statut), avec les cumuls
+ *   HT / TVA / TTC des ventes filtrées.
  * - Détail d’une vente avec user + produits associés.
  * ──────────────────────────────────────────────────────────────────────────────
  */
@@ -12,51 +13,89 @@
 import { Router } from 'express'
 import { prisma } from '../db/prisma.js'
 import { requireAuth, requireAdmin } from './User.js'
+import { toCents, fromCents, STORE_CURRENCY } from '../lib/money.js'
+import { HttpError } from '../lib/errors.js'
+import { SALE_STATUSES } from '../lib/orders.js'
+import { parsePaging } from '../lib/paging.js'
+import { parseDate } from '../lib/dates.js'
 
 const router = Router()
 router.use(requireAuth, requireAdmin)
 
+// Filtre identifiant de la query string → entier (400 sinon)
+function queryId(value, field) {
+    const id = Number(value)
+    if (!Number.isInteger(id)) throw new HttpError(400, `${field} doit être un entier`)
+    return id
+}
+
 /**
- * GET /api/admin/sales?from=YYYY-MM-DD&to=YYYY-MM-DD&userId=&skip=&take=
+ * GET /api/admin/sales?from=YYYY-MM-DD&to=YYYY-MM-DD&userId=&status=&skip=&take=
  * Liste paginée des ventes.
  * - Filtres disponibles :
  *   - from/to : plage de dates (>= from, <= to)
  *   - userId  : limiter aux ventes d’un utilisateur
+ *   - status  : limiter à un statut de SALE_STATUSES (400 si inconnu)
  * - Pagination : skip/take (take max = 100)
+ * - summary : cumuls de toutes les ventes filtrées (pas seulement la page) :
+ *   gross = TTC port compris, tax = TVA, shipping = frais de port (exonérés de
+ *   TVA, lib/tax.js), net = HT des articles = gross - tax - shipping
  */
 router.get('/sales', async (req, res) => {
-    const { from, to, userId } = req.query
-    const skip = Number.isFinite(+req.query.skip) ? +req.query.skip : 0
-    const take = Math.min(100, Number.isFinite(+req.query.take) ? +req.query.take : 20)
+    try {
+        const { from, to, userId, status } = req.query
+        const { skip, take } = parsePaging(req.query)
+        if (status && !SALE_STATUSES.includes(String(status))) {
+            throw new HttpError(400, `status doit être ${SALE_STATUSES.join(', ')}`)
+        }
 
-    const where = {
-        AND: [
-            from ? { createdAt: { gte: new Date(String(from)) } } : {},
-            to ? { createdAt: { lte: new Date(String(to)) } } : {},
-            userId ? { userId: Number(userId) } : {},
-        ],
-    }
+        const where = {
+            AND: [
+                from ? { createdAt: { gte: parseDate(String(from), 'from') } } : {},
+                to ? { createdAt: { lte: parseDate(String(to), 'to') } } : {},
+                userId ? { userId: queryId(userId, 'userId') } : {},
+                status ? { status: String(status) } : {},
+            ],
+        }
 
-    // On exécute en parallèle la récupération des ventes + le total
-    const [items, total] = await Promise.all([
-        prisma.sale.findMany({
-            where,
-            skip,
-            take,
-            orderBy: { createdAt: 'desc' },
-            include: {
-                user: { select: { id: true, email: true, name: true } }, // infos user basiques
-                items: {
-                    include: {
-                        product: { select: { id: true, slug: true, name: true, price: true } },
+        // On exécute en parallèle la récupération des ventes + le total + les cumuls
+        const [items, total, sums] = await Promise.all([
+            prisma.sale.findMany({
+                where,
+                skip,
+                take,
+                orderBy: { createdAt: 'desc' },
+                include: {
+                    user: { select: { id: true, email: true, name: true } }, // infos user basiques
+                    items: {
+                        include: {
+                            product: { select: { id: true, slug: true, name: true, price: true } },
+                        },
                     },
                 },
-            },
-        }),
-        prisma.sale.count({ where }),
-    ])
+            }),
+            prisma.sale.count({ where }),
+            prisma.sale.aggregate({ where, _sum: { total: true, taxTotal: true, shippingCost: true } }),
+        ])
+
+        // Sommes Decimal (null sans vente) → centimes pour un net exact
+        const gross = toCents(sums._sum.total ?? 0)
+        const tax = toCents(sums._sum.taxTotal ?? 0)
+        const shipping = toCents(sums._sum.shippingCost ?? 0)
+        const summary = {
+            gross: fromCents(gross),
+            tax: fromCents(tax),
+            net: fromCents(gross - tax - shipping),
+            shipping: fromCents(shipping),
+            currency: STORE_CURRENCY,
+        }
 
-    res.json({ items, total, skip, take })
+        res.json({ items, total, skip, take, summary })
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('admin sales list error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
 })
 
 /**
@@ -66,22 +105,29 @@ router.get('/sales', async (req, res) => {
  * - 404 si la vente n’existe pas.
  */
 router.get('/sales/:id', async (req, res) => {
-    const id = Number(req.params.id)
+    try {
+        const id = Number(req.params.id)
+        if (!Number.isInteger(id)) throw new HttpError(404, 'Sale not found')
 
-    const sale = await prisma.sale.findUnique({
-        where: { id },
-        include: {
-            user: { select: { id: true, email: true, name: true } },
-            items: {
-                include: {
-                    product: { select: { id: true, slug: true, name: true, price: true } },
+        const sale = await prisma.sale.findUnique({
+            where: { id },
+            include: {
+                user: { select: { id: true, email: true, name: true } },
+                items: {
+                    include: {
+                        product: { select: { id: true, slug: true, name: true, price: true } },
+                    },
                 },
             },
-        },
-    })
+        })
 
-    if (!sale) return res.status(404).json({ error: 'Sale not found' })
-    res.json(sale)
+        if (!sale) throw new HttpError(404, 'Sale not found')
+        res.json(sale)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('admin sale detail error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
 })
 
 export default router
@@ -0,0 +1,61 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/AdminUploads.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Envoi d’images côté Admin (sécurisé).
+ * - Tous les endpoints sont protégés par requireAuth + requireAdmin.
+ * - multipart/form-data, un seul fichier dans le champ `file`, gardé en mémoire
+ *   (taille bornée par MAX_UPLOAD_BYTES) le temps du traitement.
+ * - Redimensionnement + stockage : lib/uploads.js ; fichiers servis sous /api/uploads.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Router } from 'express'
+import multer from 'multer'
+import { requireAuth, requireAdmin } from './User.js'
+import { HttpError } from '../lib/errors.js'
+import { storeImage, MAX_UPLOAD_BYTES, IMAGE_TYPES } from '../lib/uploads.js'
+
+const router = Router()
+
+router.use(requireAuth, requireAdmin)
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+    fileFilter: (_req, file, cb) => {
+        if (IMAGE_TYPES.includes(file.mimetype)) return cb(null, true)
+        cb(new HttpError(415, `Type de fichier refusé (${IMAGE_TYPES.join(', ')})`))
+    },
+})
+
+// Lecture du fichier `file` ; erreurs multer → réponses HTTP
+function singleFile(req, res, next) {
+    upload.single('file')(req, res, (e) => {
+        if (!e) return next()
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        if (e.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Fichier trop lourd (max ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} Mo)` })
+        }
+        res.status(400).json({ error: e.message })
+    })
+}
+
+/**
+ * POST /api/admin/uploads?folder=products|portfolio  (multipart, champ `file`)
+ * Enregistre une image et ses déclinaisons (thumb, medium, large).
+ * @returns 201 { id, url, renditions: { thumb, medium, large }, width, height }
+ */
+router.post('/uploads', singleFile, async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'file requis' })
+        const stored = await storeImage(req.file.buffer, { folder: String(req.query.folder || 'products') })
+        res.status(201).json(stored)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('upload error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
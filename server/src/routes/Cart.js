@@ -5,15 +5,38 @@
  * Routes panier (côté API) pour un utilisateur authentifié.
  * - Un seul panier `ACTIVE` par user (garanti par @@unique(userId, status)).
  * - Ajout / maj quantité / suppression d’item / vidage / fusion invité→user.
+ * - Une ligne = un produit, ou une variante de ce produit (variantId, obligatoire
+ *   pour un produit décliné ; voir lib/variants.js).
+ * - Les mutations acceptent un header `Idempotency-Key` (rejeu sans double effet).
+ * - Un coupon peut être appliqué au panier (vérifié ici, revérifié au checkout).
+ * - Chaque panier renvoyé porte ses promotions automatiques ligne par ligne
+ *   (`promotions`, lib/promotions.js — même évaluation qu’au checkout).
+ * - Chaque ligne porte `available` : false si son produit n’est plus public
+ *   (brouillon, hors fenêtre de publication ; lib/publishing.js) ou si sa
+ *   variante est désactivée. Elle reste au panier mais sort des promotions et
+ *   du coupon ; le checkout la refuse tant qu’elle n’est pas retirée.
  * ──────────────────────────────────────────────────────────────────────────────
  */
 
 import express from 'express'
 import { prisma } from '../db/prisma.js'
 import { requireAuth } from './User.js'
+import { idempotent } from '../lib/idempotency.js'
+import { HttpError } from '../lib/errors.js'
+import { findCoupon, evaluateCoupon } from '../lib/coupons.js'
+import { evaluatePromotions, promotionSummary } from '../lib/promotions.js'
+import { resolveVariant } from '../lib/variants.js'
+import { pricingLines } from '../lib/catalog.js'
+import { isPublished } from '../lib/publishing.js'
 
 const router = express.Router()
 
+// Ce que le front reçoit pour un panier : lignes + produit (+ variante), coupon appliqué
+const cartInclude = {
+    items: { include: { product: true, variant: true }, orderBy: { id: 'asc' } },
+    coupon: { select: { code: true, type: true, value: true, description: true } },
+}
+
 /**
  * Utilitaire : récupère le panier ACTIVE d’un user, ou le crée si absent.
  * - Inclut les items + produit attaché pour que le front ait tout en 1 appel.
@@ -21,145 +44,247 @@ const router = express.Router()
 async function getOrCreateActiveCart(userId) {
     let cart = await prisma.cart.findFirst({
         where: { userId, status: 'ACTIVE' },
-        include: { items: { include: { product: true } } },
+        include: cartInclude,
     })
     if (!cart) {
         cart = await prisma.cart.create({
             data: { userId },
-            include: { items: { include: { product: true } } },
+            include: cartInclude,
         })
     }
     return cart
 }
 
+// Ligne encore en vente : produit public et variante active
+const isAvailable = (item) => isPublished(item.product) && (!item.variant || item.variant.active)
+
+/**
+ * Panier tel que renvoyé au front : lignes marquées `available` + promotions
+ * automatiques applicables aux lignes en vente ({ discount, applied, lines },
+ * voir promotionSummary).
+ */
+async function withPromotions(cart) {
+    const lines = await pricingLines(cart.items.filter(isAvailable))
+    const promotions = await evaluatePromotions(lines)
+    return {
+        ...cart,
+        items: cart.items.map(i => ({ ...i, available: isAvailable(i) })),
+        promotions: promotionSummary(promotions, lines),
+    }
+}
+
+// Ligne du panier pour ce produit / cette variante (null si absente)
+function findLine(cartId, productId, variantId) {
+    return prisma.cartItem.findFirst({ where: { cartId, productId, variantId: variantId ?? null } })
+}
+
+const optionalId = (v) => (v == null || v === '' ? null : Number(v))
+
+// Identifiant obligatoire : entier, sinon 400
+function requiredId(value, field) {
+    const id = Number(value)
+    if (value == null || value === '' || !Number.isInteger(id)) {
+        throw new HttpError(400, `${field} doit être un entier`)
+    }
+    return id
+}
+
+// Ajoute `qty` à la ligne (productId, variantId), créée au besoin
+async function addToLine(cartId, productId, variantId, qty) {
+    const existing = await findLine(cartId, productId, variantId)
+    if (existing) {
+        await prisma.cartItem.update({ where: { id: existing.id }, data: { qty: existing.qty + qty } })
+    } else {
+        await prisma.cartItem.create({ data: { cartId, productId, variantId, qty } })
+    }
+}
+
+function sendError(res, e, label) {
+    if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+    console.error(`${label} error:`, e)
+    res.status(500).json({ error: 'Server error' })
+}
+
 /**
  * GET /api/cart
- * Retourne le panier ACTIVE de l’utilisateur courant.
+ * Retourne le panier ACTIVE de l’utilisateur courant (avec ses promotions).
  */
 router.get('/cart', requireAuth, async (req, res) => {
-    const cart = await getOrCreateActiveCart(req.user.id)
-    res.json(cart)
+    try {
+        const cart = await getOrCreateActiveCart(req.user.id)
+        res.json(await withPromotions(cart))
+    } catch (e) {
+        sendError(res, e, 'cart get')
+    }
 })
 
 /**
- * POST /api/cart/add  body: { productId, qty }
- * Ajoute un produit au panier (ou incrémente si déjà présent).
- * - Composite unique (cartId, productId) : on fait un upsert « manuel ».
+ * POST /api/cart/add  body: { productId, variantId?, qty }
+ * Ajoute un produit (ou une variante) au panier, ou incrémente la ligne existante.
+ * - Unicité (cartId, productId, variantId) garantie par index : upsert « manuel ».
+ * - 400 si le produit est décliné et qu’aucune variante active n’est choisie.
  */
-router.post('/cart/add', requireAuth, async (req, res) => {
-    const { productId, qty = 1 } = req.body || {}
-    if (!productId) return res.status(400).json({ error: 'productId requis' })
-
-    const q = Math.max(1, Number(qty) || 1)
-    const cart = await getOrCreateActiveCart(req.user.id)
+router.post('/cart/add', requireAuth, idempotent(), async (req, res) => {
+    try {
+        const { productId, variantId, qty = 1 } = req.body || {}
+        if (!productId) return res.status(400).json({ error: 'productId requis' })
 
-    const existing = await prisma.cartItem.findUnique({
-        where: { cartId_productId: { cartId: cart.id, productId: Number(productId) } },
-    })
+        const q = Math.max(1, Number(qty) || 1)
+        const variant = await resolveVariant(Number(productId), optionalId(variantId))
+        const cart = await getOrCreateActiveCart(req.user.id)
+        await addToLine(cart.id, Number(productId), variant?.id ?? null, q)
 
-    if (existing) {
-        await prisma.cartItem.update({
-            where: { cartId_productId: { cartId: cart.id, productId: Number(productId) } },
-            data: { qty: existing.qty + q },
-        })
-    } else {
-        await prisma.cartItem.create({
-            data: { cartId: cart.id, productId: Number(productId), qty: q },
+        const updated = await prisma.cart.findUnique({
+            where: { id: cart.id },
+            include: cartInclude,
         })
+        res.json(await withPromotions(updated))
+    } catch (e) {
+        sendError(res, e, 'cart add')
     }
-
-    const updated = await prisma.cart.findUnique({
-        where: { id: cart.id },
-        include: { items: { include: { product: true } } },
-    })
-    res.json(updated)
 })
 
 /**
- * PATCH /api/cart/qty  body: { productId, qty }
+ * PATCH /api/cart/qty  body: { productId, variantId?, qty }
  * Force la quantité d’un item (>= 1).
+ * - 400 si productId n’est pas un entier, 404 si la ligne n’est pas au panier.
  */
-router.patch('/cart/qty', requireAuth, async (req, res) => {
-    const { productId, qty } = req.body || {}
-    const q = Math.max(1, Number(qty) || 1)
-    const cart = await getOrCreateActiveCart(req.user.id)
-
-    await prisma.cartItem.update({
-        where: { cartId_productId: { cartId: cart.id, productId: Number(productId) } },
-        data: { qty: q },
-    })
+router.patch('/cart/qty', requireAuth, idempotent(), async (req, res) => {
+    try {
+        const { variantId, qty } = req.body || {}
+        const productId = requiredId(req.body?.productId, 'productId')
+        const q = Math.max(1, Number(qty) || 1)
+        const cart = await getOrCreateActiveCart(req.user.id)
 
-    const updated = await prisma.cart.findUnique({
-        where: { id: cart.id },
-        include: { items: { include: { product: true } } },
-    })
-    res.json(updated)
+        const line = await findLine(cart.id, productId, optionalId(variantId))
+        if (!line) throw new HttpError(404, 'Item not in cart')
+        await prisma.cartItem.update({ where: { id: line.id }, data: { qty: q } })
+
+        const updated = await prisma.cart.findUnique({
+            where: { id: cart.id },
+            include: cartInclude,
+        })
+        res.json(await withPromotions(updated))
+    } catch (e) {
+        sendError(res, e, 'cart qty')
+    }
 })
 
 /**
- * DELETE /api/cart/item/:productId
- * Supprime une ligne de panier (par productId).
+ * DELETE /api/cart/item/:productId?variantId=
+ * Supprime une ligne de panier (par productId, et variantId pour une variante).
+ * - 400 si productId n’est pas un entier.
  */
-router.delete('/cart/item/:productId', requireAuth, async (req, res) => {
-    const productId = Number(req.params.productId)
-    const cart = await getOrCreateActiveCart(req.user.id)
+router.delete('/cart/item/:productId', requireAuth, idempotent(), async (req, res) => {
+    try {
+        const productId = requiredId(req.params.productId, 'productId')
+        const cart = await getOrCreateActiveCart(req.user.id)
 
-    await prisma.cartItem.delete({
-        where: { cartId_productId: { cartId: cart.id, productId } },
-    })
+        await prisma.cartItem.deleteMany({
+            where: { cartId: cart.id, productId, variantId: optionalId(req.query.variantId) },
+        })
 
-    const updated = await prisma.cart.findUnique({
-        where: { id: cart.id },
-        include: { items: { include: { product: true } } },
-    })
-    res.json(updated)
+        const updated = await prisma.cart.findUnique({
+            where: { id: cart.id },
+            include: cartInclude,
+        })
+        res.json(await withPromotions(updated))
+    } catch (e) {
+        sendError(res, e, 'cart item delete')
+    }
 })
 
 /**
  * DELETE /api/cart/clear
  * Vide complètement le panier ACTIVE.
  */
-router.delete('/cart/clear', requireAuth, async (req, res) => {
-    const cart = await getOrCreateActiveCart(req.user.id)
-    await prisma.cartItem.deleteMany({ where: { cartId: cart.id } })
-    res.json({ ok: true })
+router.delete('/cart/clear', requireAuth, idempotent(), async (req, res) => {
+    try {
+        const cart = await getOrCreateActiveCart(req.user.id)
+        await prisma.cartItem.deleteMany({ where: { cartId: cart.id } })
+        res.json({ ok: true })
+    } catch (e) {
+        sendError(res, e, 'cart clear')
+    }
 })
 
 /**
  * POST /api/cart/merge
  * Fusionne un panier invité (localStorage) dans le panier user après login.
- * - body: [{ productId, qty }, ...]
+ * - body: [{ productId, variantId?, qty }, ...]
  * - Additionne les quantités si la ligne existe déjà.
+ * - Lignes devenues invalides (produit supprimé ou plus public, variante
+ *   désactivée) : ignorées.
  */
-router.post('/cart/merge', requireAuth, async (req, res) => {
-    const guestItems = Array.isArray(req.body) ? req.body : []
-    const cart = await getOrCreateActiveCart(req.user.id)
+router.post('/cart/merge', requireAuth, idempotent(), async (req, res) => {
+    try {
+        const guestItems = Array.isArray(req.body) ? req.body : []
+        const cart = await getOrCreateActiveCart(req.user.id)
+
+        for (const gi of guestItems) {
+            const productId = Number(gi.productId)
+            const q = Math.max(1, Number(gi.qty) || 1)
 
-    for (const gi of guestItems) {
-        const productId = Number(gi.productId)
-        const q = Math.max(1, Number(gi.qty) || 1)
+            let variant
+            try {
+                variant = await resolveVariant(productId, optionalId(gi.variantId))
+            } catch (e) {
+                if (e instanceof HttpError) continue
+                throw e
+            }
+            await addToLine(cart.id, productId, variant?.id ?? null, q)
+        }
 
-        const existing = await prisma.cartItem.findUnique({
-            where: { cartId_productId: { cartId: cart.id, productId } },
+        const updated = await prisma.cart.findUnique({
+            where: { id: cart.id },
+            include: cartInclude,
         })
+        res.json(await withPromotions(updated))
+    } catch (e) {
+        sendError(res, e, 'cart merge')
+    }
+})
 
-        if (existing) {
-            await prisma.cartItem.update({
-                where: { cartId_productId: { cartId: cart.id, productId } },
-                data: { qty: existing.qty + q },
-            })
-        } else {
-            await prisma.cartItem.create({
-                data: { cartId: cart.id, productId, qty: q },
-            })
-        }
+/**
+ * POST /api/cart/coupon  body: { code }
+ * Applique un coupon au panier (remplace le précédent).
+ * - 404 code inconnu, 400 coupon non applicable à ce panier (raison dans `error`).
+ */
+router.post('/cart/coupon', requireAuth, idempotent(), async (req, res) => {
+    try {
+        const cart = await getOrCreateActiveCart(req.user.id)
+        const coupon = await findCoupon(req.body?.code)
+        const lines = await pricingLines(cart.items.filter(isAvailable))
+        const promotions = await evaluatePromotions(lines)
+        await evaluateCoupon(coupon, lines, { userId: req.user.id, lineDiscounts: promotions.lineDiscounts })
+
+        const updated = await prisma.cart.update({
+            where: { id: cart.id },
+            data: { couponId: coupon.id },
+            include: cartInclude,
+        })
+        res.json(await withPromotions(updated))
+    } catch (e) {
+        sendError(res, e, 'cart coupon')
     }
+})
 
-    const updated = await prisma.cart.findUnique({
-        where: { id: cart.id },
-        include: { items: { include: { product: true } } },
-    })
-    res.json(updated)
+/**
+ * DELETE /api/cart/coupon
+ * Retire le coupon du panier.
+ */
+router.delete('/cart/coupon', requireAuth, idempotent(), async (req, res) => {
+    try {
+        const cart = await getOrCreateActiveCart(req.user.id)
+        const updated = await prisma.cart.update({
+            where: { id: cart.id },
+            data: { couponId: null },
+            include: cartInclude,
+        })
+        res.json(await withPromotions(updated))
+    } catch (e) {
+        sendError(res, e, 'cart coupon delete')
+    }
 })
 
 export default router
@@ -0,0 +1,30 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/Categories.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Arbre des catégories (public) : navigation de la boutique.
+ * - Gestion côté admin : routes/AdminCategories.js.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Router } from 'express'
+import { categoryTree } from '../lib/categories.js'
+
+const router = Router()
+
+/**
+ * GET /api/categories
+ * Arbre complet trié par position puis nom :
+ * [{ id, slug, name, description, position, parentId, productCount, children: [...] }]
+ * - productCount compte aussi les produits des sous-catégories.
+ */
+router.get('/categories', async (_req, res) => {
+    try {
+        res.json(await categoryTree())
+    } catch (e) {
+        console.error('categories error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
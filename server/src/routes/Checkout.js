@@ -0,0 +1,52 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/Checkout.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Route de paiement (checkout) pour un utilisateur authentifié.
+ * - La commande est bâtie depuis le panier ACTIVE persisté (voir lib/checkout.js).
+ * - Le body ne sert qu’à détecter un panier falsifié ou périmé côté client.
+ * - Accepte un header `Idempotency-Key` (double-clic / retry → pas de 2e vente).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import express from 'express'
+import { requireAuth } from './User.js'
+import { placeOrder } from '../lib/checkout.js'
+import { idempotent } from '../lib/idempotency.js'
+import { HttpError } from '../lib/errors.js'
+
+const router = express.Router()
+
+/**
+ * POST /api/checkout
+ * body: { shippingAddressId, billingAddressId?, shippingMethod, items?: [{ productId, qty }], total?, paymentMethod? }
+ * Checkout :
+ * - Relit le panier ACTIVE de l’utilisateur + les prix Product
+ * - 409 si `items`/`total` ne correspondent plus à ce panier
+ * - Copie les adresses choisies (carnet du user) sur la vente ; facturation = livraison par défaut
+ * - Ajoute les frais de port du mode choisi (400 s’il n’est pas disponible pour l’adresse)
+ * - Calcule la TVA selon le pays de livraison (total TTC, montants figés par ligne)
+ * - Crée la vente + lignes, réserve le stock, encaisse via le prestataire de paiement
+ * - 402 paiement refusé, 502/504 prestataire en erreur (vente annulée, panier conservé)
+ * - Header `Idempotency-Key` : un rejeu renvoie la commande déjà créée
+ */
+router.post('/checkout', requireAuth, idempotent(), async (req, res) => {
+    try {
+        const { items, total, paymentMethod, shippingAddressId, billingAddressId, shippingMethod } = req.body || {}
+        const sale = await placeOrder(req.user.id, {
+            items,
+            total,
+            shippingAddressId,
+            billingAddressId,
+            shippingMethod,
+            paymentMethod: paymentMethod ? String(paymentMethod) : undefined,
+        })
+        return res.json({ success: true, orderId: sale.id })
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('checkout error:', e)
+        return res.status(500).json({ error: 'Checkout failed' })
+    }
+})
+
+export default router
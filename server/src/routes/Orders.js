@@ -0,0 +1,82 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/Orders.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Historique des commandes de l’utilisateur connecté (« Mes commandes »).
+ * - Toutes les requêtes sont filtrées par req.user.id (jamais d’accès croisé).
+ * - Les lignes renvoient le prix snapshot de SaleItem, pas le prix actuel.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import express from 'express'
+import { prisma } from '../db/prisma.js'
+import { requireAuth } from './User.js'
+import { HttpError } from '../lib/errors.js'
+import { parsePaging } from '../lib/paging.js'
+
+const router = express.Router()
+
+// Infos produit utiles à l’affichage (le prix vient du snapshot SaleItem.price)
+const productSummary = { select: { id: true, slug: true, name: true, img: true } }
+
+/**
+ * GET /api/me/orders?skip=&take=
+ * Liste paginée des commandes de l’utilisateur, plus récentes d’abord.
+ * - S’appuie sur l’index Sale(userId, createdAt).
+ * - Retour : { items, total, skip, take }
+ */
+router.get('/me/orders', requireAuth, async (req, res) => {
+    try {
+        const { skip, take } = parsePaging(req.query)
+        const where = { userId: req.user.id }
+
+        const [items, total] = await Promise.all([
+            prisma.sale.findMany({
+                where,
+                skip,
+                take,
+                orderBy: { createdAt: 'desc' },
+                include: { items: { include: { product: productSummary } } },
+            }),
+            prisma.sale.count({ where }),
+        ])
+
+        res.json({ items, total, skip, take })
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('orders list error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+/**
+ * GET /api/me/orders/:id
+ * Détail d’une commande de l’utilisateur (lignes + historique des statuts).
+ * - 404 si la commande n’existe pas OU appartient à un autre utilisateur.
+ */
+router.get('/me/orders/:id', requireAuth, async (req, res) => {
+    try {
+        const id = Number(req.params.id)
+        if (!Number.isInteger(id)) throw new HttpError(404, 'Order not found')
+
+        const order = await prisma.sale.findFirst({
+            where: { id, userId: req.user.id },
+            include: {
+                items: { include: { product: productSummary } },
+                history: {
+                    orderBy: { createdAt: 'asc' },
+                    select: { id: true, fromStatus: true, toStatus: true, createdAt: true },
+                },
+            },
+        })
+
+        if (!order) throw new HttpError(404, 'Order not found')
+        res.json(order)
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('order detail error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
@@ -0,0 +1,36 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/Payments.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Webhooks du prestataire de paiement (appelés serveur à serveur, sans cookie).
+ * - La signature HMAC porte sur le body BRUT : ce router doit être monté
+ *   AVANT express.json() dans index.js (sinon le body est déjà consommé).
+ * - Vérification, anti-rejeu et application : voir lib/webhooks.js.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import express from 'express'
+import { processWebhook } from '../lib/webhooks.js'
+import { HttpError } from '../lib/errors.js'
+
+const router = express.Router()
+
+/**
+ * POST /api/payments/webhook
+ * - 200 { received: true, status } : événement journalisé (appliqué ou ignoré)
+ * - 400 signature / horodatage / payload invalides, 409 événement rejoué
+ * - 500 : l’événement est marqué FAILED, le prestataire peut le renvoyer
+ */
+router.post('/payments/webhook', express.raw({ type: () => true, limit: '1mb' }), async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body)) return res.status(400).json({ error: 'Raw body required' })
+        const event = await processWebhook(req.body, req.headers)
+        res.json({ received: true, status: event.status })
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('payment webhook error:', e)
+        res.status(500).json({ error: 'Webhook processing failed' })
+    }
+})
+
+export default router
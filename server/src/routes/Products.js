@@ -3,62 +3,98 @@
  * server/src/routes/Products.js
  * ──────────────────────────────────────────────────────────────────────────────
  * Routes publiques pour la gestion des produits.
- * - GET /api/products → liste filtrée (recherche + catégorie).
+ * - GET /api/products → recherche paginée (filtres, facettes, tri ; lib/search.js).
  * - GET /api/products/:slug → détail d’un produit.
+ * - Seuls les produits publics sont trouvables ici : publiés, non archivés et
+ *   dans leur fenêtre de publication (lib/publishing.js) ; les commandes passées
+ *   les résolvent toujours. Un admin prévisualise les autres (?preview=1).
+ * - Chaque produit porte ses axes d’options et ses variantes actives
+ *   (prix, stock, SKU ; lib/variants.js).
+ * - Le détail porte aussi sa galerie d’images ordonnée (lib/images.js).
+ * - POST /api/products/:slug/subscriptions → « prévenez-moi » sur un produit
+ *   épuisé, client connecté ou invité (lib/subscriptions.js).
  * ──────────────────────────────────────────────────────────────────────────────
  */
 
 import { Router } from 'express'
 import { prisma } from '../db/prisma.js'
+import { variantsInclude } from '../lib/variants.js'
+import { imagesInclude } from '../lib/images.js'
+import { HttpError } from '../lib/errors.js'
+import { parseSearchParams, searchProducts } from '../lib/search.js'
+import { subscribeBackInStock } from '../lib/subscriptions.js'
+import { publishedWhere, publicationState } from '../lib/publishing.js'
+import { optionalAuth } from './User.js'
 
 const router = Router()
 
+// Catégorie renvoyée avec un produit
+const categorySelect = { id: true, slug: true, name: true }
+
+// Produit tel que renvoyé dans les listes
+const listInclude = { ...variantsInclude(true), category: { select: categorySelect } }
+
 /**
  * GET /api/products
- * Liste des produits avec filtres facultatifs :
- * - search : recherche insensible à la casse dans name ou description
- * - category : filtre exact insensible à la casse
- * Retourne les produits triés du plus récent au plus ancien.
+ * Recherche paginée du catalogue (lib/search.js). Paramètres facultatifs :
+ * - search : texte libre (plein texte sur name et description, fautes de frappe
+ *   tolérées sur le nom, nom de catégorie) ; items portent alors leur relevance
+ * - category : slug de catégorie ; inclut ses sous-catégories
+ * - minPrice / maxPrice : bornes du prix « à partir de »
+ * - inStock=1 : produits disponibles uniquement
+ * - sort : relevance (défaut avec search), newest (défaut sinon), price_asc,
+ *   price_desc, rating, popular
+ * - limit (défaut 24, max 100) et cursor (nextCursor de la page précédente)
+ * @returns { items, total, nextCursor, facets: { categories, price, inStock } }
  */
 router.get('/', async (req, res) => {
-  const { search = '', category = '' } = req.query
-
-  const where = {
-    AND: [
-      search
-        ? {
-          OR: [
-            { name: { contains: String(search), mode: 'insensitive' } },
-            { description: { contains: String(search), mode: 'insensitive' } },
-          ],
-        }
-        : {},
-      category
-        ? { category: { equals: String(category), mode: 'insensitive' } }
-        : {},
-    ],
+  try {
+    const params = parseSearchParams(req.query)
+    res.json(await searchProducts(params, listInclude))
+  } catch (e) {
+    if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+    console.error('product search error:', e)
+    res.status(500).json({ error: 'Server error' })
   }
-
-  const products = await prisma.product.findMany({
-    where,
-    orderBy: { createdAt: 'desc' },
-  })
-
-  res.json(products) // renvoie un tableau simple (attendu côté front)
 })
 
 /**
- * GET /api/products/:slug
+ * GET /api/products/:slug?preview=1
  * Retourne le produit correspondant à son slug unique.
- * - 404 si aucun produit trouvé.
+ * - 404 si aucun produit trouvé, ou s’il n’est pas public.
+ * - preview=1 (admin connecté) : aperçu de n’importe quel produit (brouillon,
+ *   programmé, archivé…), qui porte alors `publication` (publicationState).
  */
-router.get('/:slug', async (req, res) => {
-  const product = await prisma.product.findUnique({
-    where: { slug: req.params.slug },
+router.get('/:slug', optionalAuth, async (req, res) => {
+  const preview = ['1', 'true'].includes(String(req.query.preview)) && !!req.user?.admin
+  const product = await prisma.product.findFirst({
+    where: { slug: req.params.slug, ...(preview ? {} : publishedWhere()) },
+    include: { ...variantsInclude(true), ...imagesInclude, category: { select: categorySelect } },
   })
 
   if (!product) return res.status(404).json({ error: 'Not found' })
-  res.json(product)
+  res.json(preview ? { ...product, publication: publicationState(product) } : product)
+})
+
+/**
+ * POST /api/products/:slug/subscriptions
+ * body: { email? } — facultatif pour un client connecté (email du compte)
+ * Abonnement à la remise en stock d’un produit épuisé ; idempotent.
+ * - 400 email manquant / invalide, 404 produit inconnu, 409 produit en stock
+ * @returns 201 { productId, email }
+ */
+router.post('/:slug/subscriptions', optionalAuth, async (req, res) => {
+  try {
+    const subscription = await subscribeBackInStock(req.params.slug, {
+      email: req.body?.email,
+      userId: req.user?.id ?? null,
+    })
+    res.status(201).json(subscription)
+  } catch (e) {
+    if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+    console.error('stock subscription error:', e)
+    res.status(500).json({ error: 'Server error' })
+  }
 })
 
 export default router
@@ -0,0 +1,30 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/Search.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Autocomplétion du champ de recherche de la boutique (public).
+ * - La recherche complète (filtres, facettes, pertinence) reste GET /api/products.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { Router } from 'express'
+import { suggest } from '../lib/search.js'
+
+const router = Router()
+
+/**
+ * GET /api/search/suggest?q=
+ * Suggestions pendant la saisie : { products: [{ id, slug, name, img }], categories: [{ id, slug, name }] }
+ * - Mots saisis pris comme préfixes (« bott » → bottles), fautes de frappe tolérées.
+ * - Listes vides si q fait moins de 2 caractères.
+ */
+router.get('/search/suggest', async (req, res) => {
+    try {
+        res.json(await suggest(req.query.q))
+    } catch (e) {
+        console.error('search suggest error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
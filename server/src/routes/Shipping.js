@@ -0,0 +1,44 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/Shipping.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Devis de frais de port (public : le panier invité en a besoin aussi).
+ * - Les prix et poids sont relus depuis Product (lib/catalog.js) : le client
+ *   n’envoie que des productId + quantités.
+ * - Calcul : voir lib/shipping.js.
+ * - Promotions automatiques et `coupon` optionnel : leur remise compte pour les
+ *   seuils, un coupon FREE_SHIPPING offre le port.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import express from 'express'
+import { quoteShipping } from '../lib/shipping.js'
+import { loadQuoteLines } from '../lib/catalog.js'
+import { evaluateCouponCode } from '../lib/coupons.js'
+import { evaluatePromotions, combineDiscounts } from '../lib/promotions.js'
+import { HttpError } from '../lib/errors.js'
+
+const router = express.Router()
+
+/**
+ * POST /api/shipping/quote  body: { country, items: [{ productId, qty }], coupon? }
+ * - Retour : { subtotal, weight, country, methods: [{ code, name, description, cost, free, freeShippingThreshold }],
+ *              coupon, couponError }
+ * - 400 si le pays ou les lignes sont invalides ; coupon invalide → `couponError`.
+ */
+router.post('/shipping/quote', async (req, res) => {
+    try {
+        const { country, items, coupon } = req.body || {}
+        const lines = await loadQuoteLines(items)
+        const promotions = await evaluatePromotions(lines)
+        const { promo, couponError } = await evaluateCouponCode(coupon, lines, { lineDiscounts: promotions.lineDiscounts })
+        const quote = await quoteShipping(lines, country, combineDiscounts(promotions, promo))
+        res.json({ ...quote, coupon: promo?.code ?? null, couponError })
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('shipping quote error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
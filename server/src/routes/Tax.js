@@ -0,0 +1,57 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/routes/Tax.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Devis de TVA (public : le panier invité affiche aussi HT / TVA / TTC).
+ * - Prix et catégories relus depuis Product (lib/catalog.js).
+ * - Calcul et choix du taux : voir lib/tax.js.
+ * - Promotions automatiques (lib/promotions.js) puis `coupon` optionnel
+ *   (lib/coupons.js) : TVA calculée sur les prix remisés, comme au checkout.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import express from 'express'
+import { computeTax } from '../lib/tax.js'
+import { loadQuoteLines } from '../lib/catalog.js'
+import { evaluateCouponCode } from '../lib/coupons.js'
+import { evaluatePromotions, promotionSummary, combineDiscounts } from '../lib/promotions.js'
+import { fromCents } from '../lib/money.js'
+import { HttpError } from '../lib/errors.js'
+
+const router = express.Router()
+
+/**
+ * POST /api/tax/quote  body: { country, items: [{ productId, qty }], coupon? }
+ * - Retour : { country, pricesIncludeTax, discount, net, tax, gross,
+ *              lines: [{ productId, taxRate, discount, net, tax, gross, promotions }],
+ *              promotions: [{ promotionId, name, description, discount }],
+ *              coupon, couponDiscount, couponError }
+ * - discount = promotions + coupon ; couponDiscount = part du coupon.
+ * - 400 si le pays ou les lignes sont invalides ; un coupon invalide est signalé
+ *   dans `couponError` (le devis est alors calculé sans remise).
+ */
+router.post('/tax/quote', async (req, res) => {
+    try {
+        const { country, items, coupon } = req.body || {}
+        const lines = await loadQuoteLines(items)
+        const promotions = await evaluatePromotions(lines)
+        const { promo, couponError } = await evaluateCouponCode(coupon, lines, { lineDiscounts: promotions.lineDiscounts })
+        const tax = await computeTax(lines, country, combineDiscounts(promotions, promo))
+
+        const summary = promotionSummary(promotions, lines)
+        res.json({
+            ...tax,
+            lines: tax.lines.map((l, i) => ({ ...l, promotions: summary.lines[i].promotions })),
+            promotions: summary.applied,
+            coupon: promo?.code ?? null,
+            couponDiscount: fromCents(promo?.discountCents ?? 0),
+            couponError,
+        })
+    } catch (e) {
+        if (e instanceof HttpError) return res.status(e.status).json({ error: e.message })
+        console.error('tax quote error:', e)
+        res.status(500).json({ error: 'Server error' })
+    }
+})
+
+export default router
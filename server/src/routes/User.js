@@ -50,6 +50,23 @@ export function requireAuth(req, res, next) {
     }
 }
 
+/**
+ * Middleware : optionalAuth
+ * Comme requireAuth, mais laisse passer les visiteurs : sans cookie JWT valide,
+ * req.user reste vide.
+ */
+export function optionalAuth(req, res, next) {
+    const token = req.cookies?.auth
+    if (token) {
+        try {
+            req.user = jwt.verify(token, JWT_SECRET)
+        } catch {
+            // cookie expiré ou falsifié : traité comme un invité
+        }
+    }
+    next()
+}
+
 /**
  * Middleware : requireAdmin
  * Exige que req.user.admin = true.
@@ -0,0 +1,30 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/storage/index.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Stockage des fichiers envoyés (interchangeable).
+ * - Un stockage est un objet { name, put, remove, url } :
+ *     put(key, buffer, { contentType }) → enregistre le fichier sous `key`
+ *       (chemin relatif « products/<id>/thumb.webp »)
+ *     remove(key)                       → supprime le fichier (absent = ignoré)
+ *     url(key)                          → URL publique du fichier
+ * - Le stockage actif est choisi par STORAGE_DRIVER (défaut : "local").
+ * - Traitement des images (formats, déclinaisons) : voir src/lib/uploads.js.
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { localDisk } from './local.js'
+
+const DRIVERS = {
+    local: localDisk,
+}
+
+/**
+ * Renvoie le stockage configuré (STORAGE_DRIVER).
+ * @throws Error si le nom ne correspond à aucun stockage connu
+ */
+export function getStorage(name = process.env.STORAGE_DRIVER || 'local') {
+    const storage = DRIVERS[name]
+    if (!storage) throw new Error(`Unknown storage driver "${name}"`)
+    return storage
+}
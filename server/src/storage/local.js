@@ -0,0 +1,41 @@
+/**
+ * ──────────────────────────────────────────────────────────────────────────────
+ * server/src/storage/local.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * Stockage sur le disque local.
+ * - Fichiers écrits sous UPLOAD_DIR (défaut : ./uploads, relatif au dossier de
+ *   lancement du serveur) ; à monter en volume en production.
+ * - Servis en statique par src/index.js sous /api/uploads (UPLOAD_ROOT_URL).
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads')
+export const UPLOAD_ROOT_URL = '/api/uploads'
+
+// Chemin disque d’une clé, sans jamais sortir de UPLOAD_DIR
+function fileFor(key) {
+    const file = path.resolve(UPLOAD_DIR, key)
+    if (!file.startsWith(UPLOAD_DIR + path.sep)) throw new Error(`Invalid storage key "${key}"`)
+    return file
+}
+
+export const localDisk = {
+    name: 'local',
+
+    async put(key, buffer) {
+        const file = fileFor(key)
+        await fs.mkdir(path.dirname(file), { recursive: true })
+        await fs.writeFile(file, buffer)
+    },
+
+    async remove(key) {
+        await fs.rm(fileFor(key), { force: true })
+    },
+
+    url(key) {
+        return `${UPLOAD_ROOT_URL}/${key}`
+    },
+}